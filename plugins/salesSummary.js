@@ -0,0 +1,61 @@
+import { existsSync, readFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+import { parseCSVText } from '../src/csv/parser.js'
+import { buildSalesSummary } from '../src/data/salesSummary.js'
+
+export const SALES_CSV_PATH = 'data/Warehouse_and_Retail_Sales.csv'
+export const SALES_SUMMARY_PATH = 'data/sales-summary.json'
+
+/**
+ * Precomputes the dashboard's sales summary from the CSV in public/ at build
+ * time (emitted as data/sales-summary.json) and serves it from memory in dev.
+ * When the CSV is missing the file is skipped and the app falls back to
+ * building the summary in the browser.
+ */
+export default function salesSummary() {
+  let csvFile
+  let cached
+
+  const readSummary = () => {
+    if (!existsSync(csvFile)) return null
+    if (!cached) {
+      const { headers, rows } = parseCSVText(readFileSync(csvFile, 'utf8'))
+      cached = JSON.stringify(buildSalesSummary(headers, rows))
+    }
+    return cached
+  }
+
+  return {
+    name: 'sales-summary',
+
+    configResolved(config) {
+      csvFile = resolve(config.publicDir, SALES_CSV_PATH)
+    },
+
+    configureServer(server) {
+      server.watcher.add(csvFile)
+      server.watcher.on('change', (file) => {
+        if (file === csvFile) cached = undefined
+      })
+      server.middlewares.use(`/${SALES_SUMMARY_PATH}`, (req, res, next) => {
+        const summary = readSummary()
+        if (!summary) return next()
+        res.setHeader('Content-Type', 'application/json')
+        res.end(summary)
+      })
+    },
+
+    generateBundle() {
+      const summary = readSummary()
+      if (!summary) {
+        this.warn(`${SALES_CSV_PATH} not found; skipping the sales summary.`)
+        return
+      }
+      this.emitFile({
+        type: 'asset',
+        fileName: SALES_SUMMARY_PATH,
+        source: summary,
+      })
+    },
+  }
+}
@@ -0,0 +1,73 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+import { join, relative } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { SALES_CSV_PATH } from './salesSummary.js'
+
+export const SERVICE_WORKER_PATH = 'sw.js'
+
+const WORKER_SOURCE = fileURLToPath(
+  new URL('../src/serviceWorker.js', import.meta.url)
+)
+
+const listFiles = (dir) =>
+  readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const path = join(entry.parentPath, entry.name)
+    return entry.isDirectory() ? listFiles(path) : [path]
+  })
+
+/**
+ * Emits src/serviceWorker.js as /sw.js in production builds, preceded by the
+ * files to precache: index.html, the bundle (including the sales summary)
+ * and public/, except the raw CSV, which is cached when the app first loads
+ * it. The cache version is a hash of those files, so a deploy that changes
+ * any of them installs a fresh shell.
+ */
+export default function serviceWorker() {
+  let publicDir
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    // After the HTML and the sales summary have been added to the bundle.
+    enforce: 'post',
+
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+
+    generateBundle(_options, bundle) {
+      const hash = createHash('sha256')
+      const bundled = Object.values(bundle)
+        .filter(({ fileName }) => !fileName.endsWith('.map'))
+        .map((file) => {
+          hash.update(file.fileName)
+          hash.update(file.type === 'chunk' ? file.code : file.source)
+          return file.fileName
+        })
+      const copied = listFiles(publicDir)
+        .map((path) => relative(publicDir, path).split('\\').join('/'))
+        .filter((fileName) => fileName !== SALES_CSV_PATH)
+        .map((fileName) => {
+          hash.update(fileName)
+          hash.update(readFileSync(join(publicDir, fileName)))
+          return fileName
+        })
+
+      const urls = Array.from(
+        new Set(['index.html', ...bundled, ...copied]),
+        (fileName) => `/${fileName}`
+      )
+      const version = hash.digest('hex').slice(0, 12)
+      this.emitFile({
+        type: 'asset',
+        fileName: SERVICE_WORKER_PATH,
+        source: [
+          `self.__PRECACHE_URLS = ${JSON.stringify(urls)}`,
+          `self.__CACHE_VERSION = '${version}'`,
+          readFileSync(WORKER_SOURCE, 'utf8'),
+        ].join('\n'),
+      })
+    },
+  }
+}
@@ -0,0 +1,37 @@
+// Grants (or with --revoke, removes) the `admin` custom claim that opens the
+// admin console at /admin.
+//
+//   FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 node scripts/grant-admin.js ada@example.com
+//
+// or against production with GOOGLE_APPLICATION_CREDENTIALS set. The user
+// has to sign out and in again (or wait for their token to refresh) before
+// the claim applies.
+import { initializeApp } from 'firebase-admin/app'
+import { getAuth } from 'firebase-admin/auth'
+
+const projectId = process.env.GCLOUD_PROJECT || 'unit3quiz-v005-vote'
+const shouldRevoke = process.argv.includes('--revoke')
+const email = process.argv.slice(2).find((arg) => !arg.startsWith('--'))
+
+const main = async () => {
+  if (!email) {
+    console.error('Usage: node scripts/grant-admin.js <email> [--revoke]')
+    process.exitCode = 1
+    return
+  }
+
+  initializeApp({ projectId })
+  const auth = getAuth()
+  const user = await auth.getUserByEmail(email)
+  const { admin: _admin, ...claims } = user.customClaims ?? {}
+  await auth.setCustomUserClaims(
+    user.uid,
+    shouldRevoke ? claims : { ...claims, admin: true }
+  )
+  console.log(`${shouldRevoke ? 'Revoked' : 'Granted'} admin for ${email}.`)
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exitCode = 1
+})
@@ -0,0 +1,133 @@
+// Moves the votes the first version of the dashboard kept in the top-level
+// `votes/{uid}` collection (`{ choice, email, createdAt }`) into the original
+// stance poll, as if each had been cast there.
+//
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 node scripts/migrate-votes.js
+//
+// Run `npm run seed:polls` first so the poll exists. Each vote becomes a
+// voter record and a ballot, dated by its `createdAt`, and is added to the
+// tally and that day's bucket. Votes whose voter already has a record in the
+// poll are skipped, so the script can be run again after a failure. Pass
+// --delete to remove each legacy vote in the same batch that migrates it.
+//
+// Migrated voters were never shown a receipt, so their ballots get random
+// ids and no `keyHash`: they count and can be invalidated, but not changed.
+import { randomBytes } from 'node:crypto'
+import { initializeApp } from 'firebase-admin/app'
+import { FieldValue, getFirestore } from 'firebase-admin/firestore'
+
+const projectId = process.env.GCLOUD_PROJECT || 'unit3quiz-v005-vote'
+const shouldDelete = process.argv.includes('--delete')
+const POLL_ID = 'distribution-capacity'
+// Each vote takes up to three writes (voter, ballot, delete) and at most one
+// day bucket, plus the tally: 401 writes, within a batch's limit of 500.
+const CHUNK_SIZE = 100
+
+const dayOf = (createdAt) =>
+  (createdAt?.toDate() ?? new Date()).toISOString().slice(0, 10)
+
+const shuffle = (items) => {
+  const shuffled = [...items]
+  for (let index = shuffled.length - 1; index > 0; index -= 1) {
+    const other = randomBytes(4).readUInt32BE() % (index + 1)
+    const item = shuffled[index]
+    shuffled[index] = shuffled[other]
+    shuffled[other] = item
+  }
+  return shuffled
+}
+
+const increments = (counts) =>
+  Object.fromEntries(
+    Object.entries(counts).map(([choice, value]) => [
+      choice,
+      FieldValue.increment(value),
+    ])
+  )
+
+// Migrates `votes` in one batch. Ballots are written in a random order so
+// nothing about the batch pairs them with the voter records.
+const migrateChunk = async (db, pollRef, votes) => {
+  const batch = db.batch()
+  const tally = {}
+  const days = {}
+  votes.forEach((vote) => {
+    batch.set(pollRef.collection('voters').doc(vote.uid), {
+      email: vote.email,
+    })
+    if (shouldDelete) batch.delete(vote.ref)
+  })
+  shuffle(votes).forEach(({ choice, day }) => {
+    batch.set(
+      pollRef.collection('ballots').doc(randomBytes(32).toString('hex')),
+      { choice, day }
+    )
+    tally[choice] = (tally[choice] ?? 0) + 1
+    days[day] ??= {}
+    days[day][choice] = (days[day][choice] ?? 0) + 1
+  })
+  batch.set(
+    pollRef.collection('tallies').doc('total'),
+    { counts: increments(tally) },
+    { merge: true }
+  )
+  Object.entries(days).forEach(([day, counts]) => {
+    batch.set(
+      pollRef.collection('days').doc(day),
+      { counts: increments(counts) },
+      { merge: true }
+    )
+  })
+  await batch.commit()
+}
+
+const main = async () => {
+  initializeApp({ projectId })
+  const db = getFirestore()
+  const pollRef = db.collection('polls').doc(POLL_ID)
+  const poll = await pollRef.get()
+  if (!poll.exists) {
+    throw new Error(`${POLL_ID} does not exist; run npm run seed:polls first.`)
+  }
+  const { optionIds } = poll.data()
+
+  const legacy = await db.collection('votes').get()
+  const pending = []
+  let invalid = 0
+  let skipped = 0
+  for (const voteDoc of legacy.docs) {
+    const { choice, email } = voteDoc.data()
+    if (!optionIds.includes(choice)) {
+      invalid += 1
+      console.log(`${voteDoc.id}: "${choice}" is not an option, skipped.`)
+      continue
+    }
+    const voter = await pollRef.collection('voters').doc(voteDoc.id).get()
+    if (voter.exists) {
+      skipped += 1
+      console.log(`${voteDoc.id}: already voted in ${POLL_ID}, skipped.`)
+      continue
+    }
+    pending.push({
+      ref: voteDoc.ref,
+      uid: voteDoc.id,
+      email: email ?? '',
+      choice,
+      day: dayOf(voteDoc.data().createdAt),
+    })
+  }
+
+  for (let start = 0; start < pending.length; start += CHUNK_SIZE) {
+    await migrateChunk(db, pollRef, pending.slice(start, start + CHUNK_SIZE))
+  }
+  console.log(
+    `${POLL_ID}: migrated ${pending.length} of ${legacy.size} votes, ` +
+      `${skipped} already there, ${invalid} invalid.`
+  )
+  if (invalid) process.exitCode = 1
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exitCode = 1
+})
@@ -0,0 +1,117 @@
+// Recounts every poll's ballots and compares the result with its tally.
+//
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 node scripts/reconcile-tallies.js
+//
+// Pass --fix to rewrite `tallies/total` so it matches the recount. Any other
+// tally documents (the shards earlier versions wrote) count towards the
+// comparison and are deleted by --fix.
+import { initializeApp } from 'firebase-admin/app'
+import { getFirestore } from 'firebase-admin/firestore'
+
+const projectId = process.env.GCLOUD_PROJECT || 'unit3quiz-v005-vote'
+const shouldFix = process.argv.includes('--fix')
+
+const countBallots = async (pollRef) => {
+  const counts = {}
+  const ballots = await pollRef.collection('ballots').get()
+  ballots.forEach((ballot) => {
+    const { choice } = ballot.data()
+    // Withdrawn and invalidated ballots keep their document with a null
+    // choice.
+    if (choice) counts[choice] = (counts[choice] ?? 0) + 1
+  })
+  return { counts, ballotCount: ballots.size }
+}
+
+const sumCounts = (docs) => {
+  const counts = {}
+  docs.forEach((countDoc) => {
+    Object.entries(countDoc.data().counts ?? {}).forEach(([choice, value]) => {
+      counts[choice] = (counts[choice] ?? 0) + value
+    })
+  })
+  return counts
+}
+
+const diffCounts = (expected, actual) => {
+  const choices = new Set([...Object.keys(expected), ...Object.keys(actual)])
+  return Array.from(choices)
+    .map((choice) => ({
+      choice,
+      expected: expected[choice] ?? 0,
+      actual: actual[choice] ?? 0,
+    }))
+    .filter(({ expected: want, actual: have }) => want !== have)
+}
+
+const rewriteTally = async (db, pollRef, tallies, counts) => {
+  const batch = db.batch()
+  tallies.forEach((tally) => {
+    if (tally.id !== 'total') batch.delete(tally.ref)
+  })
+  batch.set(pollRef.collection('tallies').doc('total'), { counts })
+  await batch.commit()
+}
+
+const main = async () => {
+  initializeApp({ projectId })
+  const db = getFirestore()
+  const polls = await db.collection('polls').get()
+  let mismatched = 0
+
+  for (const poll of polls.docs) {
+    const { counts: expected, ballotCount } = await countBallots(poll.ref)
+    const voters = await poll.ref.collection('voters').count().get()
+    const voterCount = voters.data().count
+    const days = await poll.ref.collection('days').get()
+    // A change moves a vote between choices within a day's counts; a
+    // withdrawal moves it out of them into `withdrawn`.
+    const dayTotal = [
+      ...Object.values(sumCounts(days)),
+      ...days.docs.map((day) => day.data().withdrawn ?? 0),
+    ].reduce((sum, value) => sum + value, 0)
+    const tallies = await poll.ref.collection('tallies').get()
+    const differences = diffCounts(expected, sumCounts(tallies))
+    const hasShards = tallies.docs.some((tally) => tally.id !== 'total')
+
+    // Every voter casts exactly one ballot. --fix cannot repair a mismatch
+    // here: neither document names the other.
+    if (voterCount !== ballotCount) {
+      mismatched += 1
+      console.log(`${poll.id}: ${voterCount} voters, ${ballotCount} ballots`)
+    }
+
+    // Day buckets count every ballot cast, including invalidated ones.
+    if (dayTotal !== ballotCount) {
+      mismatched += 1
+      console.log(
+        `${poll.id}: ${dayTotal} votes by day, ${ballotCount} ballots`
+      )
+    }
+
+    if (!differences.length && !hasShards) {
+      if (voterCount === ballotCount && dayTotal === ballotCount) {
+        console.log(`${poll.id}: OK`)
+      }
+      continue
+    }
+
+    mismatched += 1
+    differences.forEach(({ choice, expected: want, actual: have }) => {
+      console.log(`${poll.id}: ${choice} tally ${have}, ballots ${want}`)
+    })
+    if (hasShards) console.log(`${poll.id}: tally is still split into shards`)
+
+    if (shouldFix) {
+      await rewriteTally(db, poll.ref, tallies.docs, expected)
+      console.log(`${poll.id}: tally rewritten.`)
+    }
+  }
+
+  if (mismatched && !shouldFix) process.exitCode = 1
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exitCode = 1
+})
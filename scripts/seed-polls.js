@@ -0,0 +1,60 @@
+// Seeds the `polls` collection with the original stance poll.
+//
+// Run against the emulator with
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 node scripts/seed-polls.js
+// or against production with GOOGLE_APPLICATION_CREDENTIALS set.
+import { initializeApp } from 'firebase-admin/app'
+import { FieldValue, getFirestore } from 'firebase-admin/firestore'
+
+const projectId = process.env.GCLOUD_PROJECT || 'unit3quiz-v005-vote'
+
+const polls = {
+  'distribution-capacity': {
+    question:
+      'Do you support expanding Maryland’s distribution and warehousing capacity to improve supply reliability based on the observed warehouse and retail sales trends?',
+    description: [
+      'This dashboard presents monthly combined warehouse and retail sales data for the State of Maryland, giving the public a clear view of how goods move across our economy by supplier and product category. While sales levels rise and fall across different months and sectors, the overall volume makes one thing clear: strong and reliable distribution infrastructure is essential to keeping our shelves stocked and our economy moving.',
+      'I believe Maryland must take a proactive approach by investing in our distribution and logistics capacity. Doing so will strengthen supply reliability, reduce bottlenecks during high-volume periods, and help ensure that families and businesses can count on a resilient supply chain. Smart, data-informed planning today will keep Maryland competitive and prepared for the demands of tomorrow.',
+    ].join('\n\n'),
+    options: [
+      { id: 'yes', label: 'Support' },
+      { id: 'no', label: 'Against' },
+    ],
+    optionIds: ['yes', 'no'],
+    status: 'open',
+    opensAt: null,
+    closesAt: null,
+    translations: {
+      es: {
+        question:
+          '¿Apoyas ampliar la capacidad de distribución y almacenamiento de Maryland para mejorar la fiabilidad del suministro, a la vista de las tendencias de ventas mayoristas y minoristas observadas?',
+        description: [
+          'Este panel presenta los datos mensuales de ventas mayoristas y minoristas combinadas del estado de Maryland, y ofrece al público una visión clara de cómo se mueven los bienes en nuestra economía por proveedor y categoría de producto. Aunque el nivel de ventas sube y baja según el mes y el sector, el volumen total deja algo claro: una infraestructura de distribución sólida y fiable es esencial para mantener abastecidos nuestros comercios y nuestra economía en marcha.',
+          'Creo que Maryland debe adoptar un enfoque proactivo e invertir en su capacidad de distribución y logística. Así reforzaremos la fiabilidad del suministro, reduciremos los cuellos de botella en los periodos de mayor volumen y ayudaremos a que familias y empresas cuenten con una cadena de suministro resistente. Una planificación inteligente y basada en datos hoy mantendrá a Maryland competitiva y preparada para las exigencias del mañana.',
+        ].join('\n\n'),
+        options: { yes: 'A favor', no: 'En contra' },
+      },
+    },
+  },
+}
+
+const main = async () => {
+  initializeApp({ projectId })
+  const db = getFirestore()
+
+  for (const [pollId, poll] of Object.entries(polls)) {
+    const ref = db.collection('polls').doc(pollId)
+    const snapshot = await ref.get()
+    if (snapshot.exists) {
+      console.log(`Skipping ${pollId}: already exists.`)
+      continue
+    }
+    await ref.set({ ...poll, createdAt: FieldValue.serverTimestamp() })
+    console.log(`Created ${pollId}.`)
+  }
+}
+
+main().catch((err) => {
+  console.error(err)
+  process.exitCode = 1
+})
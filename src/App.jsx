@@ -1,655 +1,1223 @@
-import { useEffect, useMemo, useState } from 'react'
+import { useDeferredValue, useEffect, useMemo, useRef, useState } from 'react'
+import './App.css'
+import { subscribeToUser } from './auth'
+import { CHART_MODES, buildSeries } from './chartSeries'
+import AuthPanel from './components/AuthPanel'
+import ComparisonPanel from './components/ComparisonPanel'
+import DataQualityPanel from './components/DataQualityPanel'
+import DatasetCard from './components/DatasetCard'
+import ExportMenu from './components/ExportMenu'
+import FilterChips from './components/FilterChips'
+import InsightsPanel from './components/InsightsPanel'
+import LanguageSwitcher from './components/LanguageSwitcher'
+import MonthlyBarChart from './components/MonthlyBarChart'
+import MultiSelect from './components/MultiSelect'
+import PivotHeatmap from './components/PivotHeatmap'
+import PollCard from './components/PollCard'
+import PollDiscussion from './components/PollDiscussion'
+import SalesTable from './components/SalesTable'
+import { loadCSV } from './csv/loadCSV'
 import {
-  createUserWithEmailAndPassword,
-  onAuthStateChanged,
-  signInWithEmailAndPassword,
-  signOut,
-} from 'firebase/auth'
+  formatDashboardState,
+  isSearchOnlyChange,
+  parseDashboardState,
+} from './dashboardUrl'
+import { compareMonthlyTotals, summarizeComparison } from './data/comparison'
 import {
-  collection,
-  doc,
-  getDoc,
-  onSnapshot,
-  serverTimestamp,
-  setDoc,
-} from 'firebase/firestore'
-import './App.css'
-import { auth, db } from './firebase'
-
-const PAGE_SIZE = 25
-const numberFormatter = new Intl.NumberFormat('en-US')
-const parseCSVLine = (line) => {
-  const values = []
-  let current = ''
-  let inQuotes = false
-
-  for (let i = 0; i < line.length; i += 1) {
-    const char = line[i]
-    const nextChar = line[i + 1]
-
-    if (char === '"' && inQuotes && nextChar === '"') {
-      current += '"'
-      i += 1
-      continue
-    }
-
-    if (char === '"') {
-      inQuotes = !inQuotes
-      continue
-    }
-
-    if (char === ',' && !inQuotes) {
-      values.push(current)
-      current = ''
-      continue
-    }
-
-    current += char
-  }
+  QUALITY_ISSUES,
+  auditRows,
+  excludeFlaggedRows,
+  issueMask,
+} from './data/dataQuality'
+import {
+  CONFIDENCE_LEVELS,
+  FORECAST_HORIZONS,
+  MOVING_AVERAGE_WINDOWS,
+  TREND_METHODS,
+  buildOverlay,
+} from './data/forecast'
+import { getItemColumns, groupRows } from './data/insights'
+import { PIVOT_ROW_DIMENSIONS, pivotDrillDownRange } from './data/pivot'
+import { SALES_CSV_URL, loadSalesSummary } from './data/salesData'
+import {
+  buildSalesSummary,
+  groupSalesSummary,
+  getRowMonthKey,
+  isMonthInRange,
+  parseMonthLabel,
+  pivotSalesSummary,
+  querySalesSummary,
+} from './data/salesSummary'
+import {
+  DEFAULT_TABLE_VIEW,
+  getSearchColumns,
+  searchRows,
+} from './data/tableRows'
+import { renderChartPNG, serializeChart } from './export/chartImage'
+import { downloadFile } from './export/download'
+import {
+  buildExportMetadata,
+  exportFileName,
+  monthlyTotalsToCSV,
+  rowsToCSV,
+  rowsToJSON,
+} from './export/formats'
+import { translate } from './i18n'
+import { useLocale } from './i18n/useLocale'
+import { isPollOpen, subscribeToPolls } from './polls'
+import { localizePoll } from './pollTranslations'
 
-  values.push(current)
-  return values
+const DEFAULT_DATASET = {
+  source: 'default',
+  name: 'Maryland warehouse & retail sales',
 }
 
-const parseCSV = (text) => {
-  const lines = text.trim().split(/\r?\n/)
-  if (!lines.length) return { headers: [], rows: [] }
-
-  const headers = parseCSVLine(lines[0]).map((header) => header.trim())
-  const rows = lines.slice(1).map((line) => {
-    const values = parseCSVLine(line)
-    return headers.reduce((acc, header, index) => {
-      acc[header] = values[index] ?? ''
-      return acc
-    }, {})
-  })
-
-  return { headers, rows }
+const formatLoadProgress = (format, progress) => {
+  if (!progress) return ''
+  if (progress.total) {
+    const percent = Math.round((progress.loaded / progress.total) * 100)
+    return ` ${format.share(Math.min(100, percent) / 100)}`
+  }
+  return ` ${format.number(Math.round(progress.loaded / 1024))} KB`
 }
 
-const toNumber = (value) => {
-  const parsed = Number.parseFloat(value)
-  return Number.isNaN(parsed) ? 0 : parsed
-}
+// Returns `values` minus anything not in `known`, unchanged if all are known.
+const keepKnown = (values, known) =>
+  values.every((value) => known.includes(value))
+    ? values
+    : values.filter((value) => known.includes(value))
 
 function App() {
+  const { t, format, locale } = useLocale()
+  const [dataset, setDataset] = useState(DEFAULT_DATASET)
   const [headers, setHeaders] = useState([])
-  const [rows, setRows] = useState([])
-  const [selectedWarehouse, setSelectedWarehouse] = useState('All')
-  const [selectedCategory, setSelectedCategory] = useState('All')
-  const [page, setPage] = useState(1)
+  const [summary, setSummary] = useState(null)
+  const [rows, setRows] = useState(null)
+  // Without IntersectionObserver the rows load straight away.
+  const [rowsRequested, setRowsRequested] = useState(
+    () => typeof IntersectionObserver === 'undefined'
+  )
+  const [rowsError, setRowsError] = useState(null)
+  const [initialView] = useState(() =>
+    parseDashboardState(window.location.search)
+  )
+  const [selectedSuppliers, setSelectedSuppliers] = useState(
+    initialView.suppliers
+  )
+  const [selectedCategories, setSelectedCategories] = useState(
+    initialView.categories
+  )
+  const [keyword, setKeyword] = useState(initialView.keyword)
+  const [excludedIssues, setExcludedIssues] = useState(
+    initialView.excludedIssues
+  )
+  const [tableView, setTableView] = useState(initialView.tableView)
+  const [chartMode, setChartMode] = useState(initialView.chartMode)
+  const [chartMeasures, setChartMeasures] = useState(initialView.chartMeasures)
+  const [overlayOptions, setOverlayOptions] = useState(initialView.overlay)
+  const [pivotView, setPivotView] = useState(initialView.pivot)
+  const [comparison, setComparison] = useState(initialView.comparison)
+  const [dateRange, setDateRange] = useState(initialView.dateRange)
   const [isLoading, setIsLoading] = useState(true)
+  const [loadProgress, setLoadProgress] = useState(null)
   const [error, setError] = useState(null)
   const [user, setUser] = useState(null)
-  const [authMode, setAuthMode] = useState('signin')
-  const [email, setEmail] = useState('')
-  const [password, setPassword] = useState('')
-  const [authError, setAuthError] = useState('')
-  const [authLoading, setAuthLoading] = useState(false)
-  const [voteCounts, setVoteCounts] = useState({ yes: 0, no: 0 })
-  const [userVote, setUserVote] = useState(null)
-  const [selectedVote, setSelectedVote] = useState(null)
-  const [voteError, setVoteError] = useState('')
-  const [voteLoading, setVoteLoading] = useState(false)
+  const [emailVerified, setEmailVerified] = useState(false)
+  const [polls, setPolls] = useState([])
+  const [pollsError, setPollsError] = useState(null)
+  const [selectedPollId, setSelectedPollId] = useState(null)
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, async (currentUser) => {
+    const unsubscribe = subscribeToUser((currentUser) => {
       setUser(currentUser)
-      setAuthError('')
-      setVoteError('')
-      setUserVote(null)
-      setSelectedVote(null)
-
-      if (!currentUser) return
-
-      try {
-        const voteSnap = await getDoc(doc(db, 'votes', currentUser.uid))
-        if (voteSnap.exists()) {
-          setUserVote(voteSnap.data().choice)
-        }
-      } catch (err) {
-        setVoteError('')
-      }
+      setEmailVerified(currentUser?.emailVerified ?? false)
     })
 
     return () => unsubscribe()
   }, [])
 
   useEffect(() => {
-    const unsubscribe = onSnapshot(collection(db, 'votes'), (snapshot) => {
-      let yes = 0
-      let no = 0
-      snapshot.forEach((voteDoc) => {
-        const choice = voteDoc.data().choice
-        if (choice === 'yes') yes += 1
-        if (choice === 'no') no += 1
-      })
-      setVoteCounts({ yes, no })
-    })
+    const unsubscribe = subscribeToPolls(
+      (nextPolls) => {
+        setPolls(nextPolls)
+        setPollsError(null)
+        setSelectedPollId((current) => {
+          if (nextPolls.some((poll) => poll.id === current)) return current
+          const firstOpen = nextPolls.find((poll) => isPollOpen(poll))
+          return (firstOpen ?? nextPolls[0])?.id ?? null
+        })
+      },
+      (err) => setPollsError(err)
+    )
 
     return () => unsubscribe()
   }, [])
 
   useEffect(() => {
-    let isMounted = true
-
-    const loadCSV = async () => {
-      try {
-        const response = await fetch('/data/Warehouse_and_Retail_Sales.csv')
-        if (!response.ok) {
-          throw new Error('Failed to load CSV data.')
-        }
-        const text = await response.text()
-        const { headers: csvHeaders, rows: csvRows } = parseCSV(text)
-        if (isMounted) {
-          setHeaders(csvHeaders)
-          setRows(csvRows)
-        }
-      } catch (err) {
-        if (isMounted) {
-          setError(err)
-        }
-      } finally {
-        if (isMounted) {
-          setIsLoading(false)
-        }
+    if (dataset.source !== 'default') return undefined
+    const controller = new AbortController()
+    const { signal } = controller
+
+    // A shared link may name suppliers or categories this dataset lacks.
+    const dropUnknownFilters = (loaded) => {
+      setSelectedSuppliers((current) => keepKnown(current, loaded.suppliers))
+      setSelectedCategories((current) => keepKnown(current, loaded.categories))
+      setComparison((current) => ({
+        ...current,
+        suppliers: keepKnown(current.suppliers, loaded.suppliers),
+        categories: keepKnown(current.categories, loaded.categories),
+      }))
+    }
+
+    const loadSalesData = async () => {
+      const precomputed = await loadSalesSummary({ signal })
+      if (precomputed) {
+        setHeaders(precomputed.headers)
+        setSummary(precomputed)
+        dropUnknownFilters(precomputed)
+        return
       }
+
+      // No build-time summary: parse the raw CSV and summarise it here.
+      const { headers: csvHeaders, rows: csvRows } = await loadCSV(
+        { url: SALES_CSV_URL },
+        { onProgress: setLoadProgress, signal }
+      )
+      setHeaders(csvHeaders)
+      setRows(csvRows)
+      const csvSummary = buildSalesSummary(csvHeaders, csvRows)
+      setSummary(csvSummary)
+      dropUnknownFilters(csvSummary)
     }
 
-    loadCSV()
+    loadSalesData()
+      .then(() => setIsLoading(false))
+      .catch((err) => {
+        if (err.name === 'AbortError') return
+        setError(err)
+        setIsLoading(false)
+      })
+
+    return () => controller.abort()
+  }, [dataset])
+
+  const handleDatasetLoaded = (upload) => {
+    setDataset({ source: 'upload', name: upload.name })
+    setHeaders(upload.headers)
+    setRows(upload.rows)
+    setSummary(buildSalesSummary(upload.headers, upload.rows, upload.mapping))
+    setSelectedSuppliers([])
+    setSelectedCategories([])
+    setComparison((current) => ({ ...current, suppliers: [], categories: [] }))
+    setKeyword('')
+    setExcludedIssues([])
+    setChartMeasures(null)
+    setDateRange(null)
+    setTableView(DEFAULT_TABLE_VIEW)
+    setError(null)
+    setRowsError(null)
+    setIsLoading(false)
+  }
+
+  const handleDatasetReset = () => {
+    setDataset({ ...DEFAULT_DATASET })
+    setHeaders([])
+    setRows(null)
+    setSummary(null)
+    setSelectedSuppliers([])
+    setSelectedCategories([])
+    setComparison((current) => ({ ...current, suppliers: [], categories: [] }))
+    setKeyword('')
+    setExcludedIssues([])
+    setChartMeasures(null)
+    setDateRange(null)
+    setTableView(DEFAULT_TABLE_VIEW)
+    setLoadProgress(null)
+    setError(null)
+    setRowsError(null)
+    setIsLoading(true)
+  }
+
+  const tableRef = useRef(null)
+
+  useEffect(() => {
+    const element = tableRef.current
+    if (!element || rowsRequested) return undefined
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        setRowsRequested(true)
+      }
+    })
+    observer.observe(element)
+    return () => observer.disconnect()
+  }, [rowsRequested])
+
+  // Keyword and data-quality filters work on the raw rows.
+  const needsRows = rowsRequested || keyword !== '' || excludedIssues.length > 0
+
+  useEffect(() => {
+    if (!needsRows || !summary || rows) return undefined
+    const controller = new AbortController()
+
+    loadCSV({ url: SALES_CSV_URL }, { signal: controller.signal })
+      .then(({ rows: csvRows }) => setRows(csvRows))
+      .catch((err) => {
+        if (err.name !== 'AbortError') setRowsError(err)
+      })
+
+    return () => controller.abort()
+  }, [needsRows, summary, rows])
+
+  const monthOptions = useMemo(
+    () => (summary?.months ?? []).filter(Boolean),
+    [summary]
+  )
+
+  const itemColumns = useMemo(() => getItemColumns(headers), [headers])
+  const qualityReport = useMemo(() => {
+    if (!rows || !summary) return null
+    return auditRows(rows, summary.mapping, { itemColumn: itemColumns?.key })
+  }, [rows, summary, itemColumns])
+  const excludedMask = issueMask(excludedIssues)
+  const includedRows = useMemo(() => {
+    if (!rows || !qualityReport) return rows
+    return excludeFlaggedRows(rows, qualityReport.flags, excludedMask)
+  }, [rows, qualityReport, excludedMask])
+
+  const deferredKeyword = useDeferredValue(keyword.trim())
+  const keywordColumns = useMemo(() => getSearchColumns(headers), [headers])
+  const keywordRows = useMemo(() => {
+    if (!deferredKeyword || !includedRows) return null
+    return searchRows(includedRows, deferredKeyword, keywordColumns)
+  }, [includedRows, deferredKeyword, keywordColumns])
 
-    return () => {
-      isMounted = false
+  // The summary knows nothing of descriptions or row-level issues, so with a
+  // keyword or excluded issues the totals come from the matching rows.
+  const needsRowSummary = deferredKeyword !== '' || excludedMask !== 0
+  const isRowSummaryPending = needsRowSummary && !rows
+  const activeSummary = useMemo(() => {
+    if (!summary || !rows || !needsRowSummary) return summary
+    return buildSalesSummary(
+      headers,
+      keywordRows ?? includedRows,
+      summary.mapping
+    )
+  }, [summary, rows, needsRowSummary, headers, keywordRows, includedRows])
+
+  const summaryView = useMemo(() => {
+    if (!activeSummary || isRowSummaryPending) {
+      return { rowCount: 0, monthlyTotals: [] }
     }
-  }, [])
+    return querySalesSummary(activeSummary, {
+      suppliers: selectedSuppliers,
+      categories: selectedCategories,
+      monthRange: dateRange,
+    })
+  }, [
+    activeSummary,
+    isRowSummaryPending,
+    selectedSuppliers,
+    selectedCategories,
+    dateRange,
+  ])
+
+  const { monthlyTotals } = summaryView
+
+  // Until the user picks series, chart the measures that make up the total.
+  const chartSeries = useMemo(() => {
+    if (!summary) return []
+    return buildSeries(
+      summary.measures,
+      chartMeasures ?? summary.mapping.totalMeasures
+    )
+  }, [summary, chartMeasures])
+
+  const chartOverlay = useMemo(
+    () =>
+      buildOverlay(
+        monthlyTotals,
+        chartSeries.map(({ key }) => key),
+        overlayOptions,
+        locale
+      ),
+    [monthlyTotals, chartSeries, overlayOptions, locale]
+  )
 
-  const warehouses = useMemo(() => {
-    const unique = new Set(rows.map((row) => row.SUPPLIER).filter(Boolean))
-    return ['All', ...Array.from(unique).sort()]
-  }, [rows])
+  // Both sides of the comparison sum the charted series, or the headline
+  // total when none are charted.
+  const comparisonMonths = useMemo(() => {
+    if (!comparison.enabled || !activeSummary || isRowSummaryPending) return []
+    const measures = chartSeries.length
+      ? chartSeries.map(({ key }) => key)
+      : activeSummary.mapping.totalMeasures
+    const totalsFor = (suppliers, categories) =>
+      querySalesSummary(activeSummary, {
+        measures,
+        suppliers,
+        categories,
+        monthRange: dateRange,
+      }).monthlyTotals
+    return compareMonthlyTotals(
+      totalsFor(selectedSuppliers, selectedCategories),
+      totalsFor(comparison.suppliers, comparison.categories)
+    )
+  }, [
+    comparison,
+    activeSummary,
+    isRowSummaryPending,
+    chartSeries,
+    selectedSuppliers,
+    selectedCategories,
+    dateRange,
+  ])
 
-  const categories = useMemo(() => {
-    const unique = new Set(rows.map((row) => row['ITEM TYPE']).filter(Boolean))
-    return ['All', ...Array.from(unique).sort()]
-  }, [rows])
+  const updateOverlay = (changes) =>
+    setOverlayOptions((current) => ({ ...current, ...changes }))
+
+  const toggleChartMeasure = (measure) => {
+    const current = chartSeries.map(({ key }) => key)
+    const next = current.includes(measure)
+      ? current.filter((key) => key !== measure)
+      : summary.measures.filter(
+          (key) => key === measure || current.includes(key)
+        )
+    setChartMeasures(next)
+  }
+
+  const mapping = summary?.mapping
+  const isDefaultDataset = dataset.source === 'default'
+  // In the selected language; exports pass `translate` for English.
+  const warehouseLabelIn = (tr) =>
+    isDefaultDataset ? tr('dashboard.warehouse') : mapping?.supplier
+  const categoryLabelIn = (tr) =>
+    isDefaultDataset ? tr('dashboard.category') : mapping?.category
+  const issueLabel = (id, tr = t) =>
+    id === 'missing-supplier' && mapping?.supplier
+      ? tr('quality.missingColumn', { column: warehouseLabelIn(tr) })
+      : tr(QUALITY_ISSUES.find((issue) => issue.id === id)?.labelKey)
+  const warehouseLabel = warehouseLabelIn(t)
+  const categoryLabel = categoryLabelIn(t)
+  const formatMeasure = (value) => format.measure(value, mapping?.currency)
 
   const filteredRows = useMemo(() => {
-    return rows.filter((row) => {
+    if (!rows || !mapping) return []
+    const suppliers = new Set(selectedSuppliers)
+    const categories = new Set(selectedCategories)
+    return (keywordRows ?? includedRows).filter((row) => {
       const warehouseMatch =
-        selectedWarehouse === 'All' || row.SUPPLIER === selectedWarehouse
+        !suppliers.size || suppliers.has(row[mapping.supplier])
       const categoryMatch =
-        selectedCategory === 'All' || row['ITEM TYPE'] === selectedCategory
-      return warehouseMatch && categoryMatch
+        !categories.size || categories.has(row[mapping.category])
+      const dateMatch =
+        !dateRange || isMonthInRange(getRowMonthKey(row, mapping), dateRange)
+      return warehouseMatch && categoryMatch && dateMatch
     })
-  }, [rows, selectedWarehouse, selectedCategory])
+  }, [
+    rows,
+    keywordRows,
+    includedRows,
+    mapping,
+    selectedSuppliers,
+    selectedCategories,
+    dateRange,
+  ])
 
-  useEffect(() => {
-    setPage(1)
-  }, [selectedWarehouse, selectedCategory])
-
-  const monthlyTotals = useMemo(() => {
-    const totals = new Map()
-    filteredRows.forEach((row) => {
-      const year = Number.parseInt(row.YEAR, 10)
-      const month = Number.parseInt(row.MONTH, 10)
-      if (!Number.isFinite(year) || !Number.isFinite(month)) return
-
-      const key = year * 100 + month
-      const label = `${year}-${String(month).padStart(2, '0')}`
-      const retail = toNumber(row['RETAIL SALES'])
-      const warehouse = toNumber(row['WAREHOUSE SALES'])
-      const total = retail + warehouse
-
-      const current = totals.get(key) || { label, value: 0 }
-      current.value += total
-      totals.set(key, current)
-    })
+  const insightGroups = useMemo(() => {
+    if (!activeSummary || isRowSummaryPending) {
+      return { suppliers: [], categories: [] }
+    }
+    const filters = {
+      suppliers: selectedSuppliers,
+      categories: selectedCategories,
+      monthRange: dateRange,
+    }
+    return {
+      suppliers: groupSalesSummary(activeSummary, 'supplier', filters),
+      categories: groupSalesSummary(activeSummary, 'category', filters),
+    }
+  }, [
+    activeSummary,
+    isRowSummaryPending,
+    selectedSuppliers,
+    selectedCategories,
+    dateRange,
+  ])
 
-    return Array.from(totals.entries())
-      .sort((a, b) => a[0] - b[0])
-      .map(([, value]) => value)
-  }, [filteredRows])
-
-  const pagedRows = useMemo(() => {
-    const startIndex = (page - 1) * PAGE_SIZE
-    return filteredRows.slice(startIndex, startIndex + PAGE_SIZE)
-  }, [filteredRows, page])
-
-  const totalPages = Math.max(1, Math.ceil(filteredRows.length / PAGE_SIZE))
-
-  const handleAuthSubmit = async (event) => {
-    event.preventDefault()
-    setAuthLoading(true)
-    setAuthError('')
-    try {
-      if (authMode === 'signin') {
-        await signInWithEmailAndPassword(auth, email, password)
-      } else {
-        await createUserWithEmailAndPassword(auth, email, password)
+  // Fall back to a dimension and measure this dataset has, e.g. after an
+  // upload without a supplier column or a link naming another measure.
+  const pivotRowOptions = PIVOT_ROW_DIMENSIONS.filter(
+    (dimension) => mapping?.[dimension]
+  ).map((dimension) => ({
+    id: dimension,
+    label: dimension === 'supplier' ? warehouseLabel : categoryLabel,
+  }))
+  const activePivotView = {
+    ...pivotView,
+    rows: pivotRowOptions.some(({ id }) => id === pivotView.rows)
+      ? pivotView.rows
+      : pivotRowOptions[0]?.id,
+    measure: summary?.measures.includes(pivotView.measure)
+      ? pivotView.measure
+      : null,
+  }
+  const {
+    rows: pivotRows,
+    columns: pivotColumns,
+    measure: pivotMeasure,
+  } = activePivotView
+
+  const pivot = useMemo(() => {
+    if (!activeSummary || isRowSummaryPending || !pivotRows) return null
+    return pivotSalesSummary(
+      activeSummary,
+      {
+        rows: pivotRows,
+        columns: pivotColumns,
+        measures: pivotMeasure
+          ? [pivotMeasure]
+          : activeSummary.mapping.totalMeasures,
+      },
+      {
+        suppliers: selectedSuppliers,
+        categories: selectedCategories,
+        monthRange: dateRange,
       }
-      setEmail('')
-      setPassword('')
-    } catch (err) {
-      const message =
-        err?.message?.replace('Firebase: ', '') ||
-        'Unable to authenticate. Please try again.'
-      setAuthError(message)
-    } finally {
-      setAuthLoading(false)
-    }
+    )
+  }, [
+    activeSummary,
+    isRowSummaryPending,
+    pivotRows,
+    pivotColumns,
+    pivotMeasure,
+    selectedSuppliers,
+    selectedCategories,
+    dateRange,
+  ])
+
+  const qualityExampleColumns = useMemo(() => {
+    if (!mapping) return []
+    return Array.from(
+      new Set(
+        [
+          itemColumns?.label,
+          mapping.supplier,
+          mapping.date,
+          mapping.year,
+          mapping.month,
+          ...mapping.measures,
+        ].filter(Boolean)
+      )
+    )
+  }, [mapping, itemColumns])
+
+  const itemGroups = useMemo(() => {
+    if (!rows || !itemColumns || !mapping) return null
+    return groupRows(
+      filteredRows,
+      itemColumns.key,
+      itemColumns.label,
+      mapping.totalMeasures
+    )
+  }, [rows, filteredRows, itemColumns, mapping])
+
+  const chartRef = useRef(null)
+
+  const exportMetadata = (rowCount) =>
+    buildExportMetadata({
+      datasetName: dataset.name,
+      filters: [
+        {
+          label: warehouseLabelIn(translate),
+          column: mapping.supplier,
+          value: selectedSuppliers.join(', ') || 'All',
+        },
+        {
+          label: categoryLabelIn(translate),
+          column: mapping.category,
+          value: selectedCategories.join(', ') || 'All',
+        },
+        {
+          label: translate('dashboard.keyword'),
+          column: keywordColumns.join(' / '),
+          value: keyword.trim() || 'All',
+        },
+      ]
+        .filter(({ column }) => column)
+        .concat(
+          excludedIssues.length
+            ? {
+                label: translate('dashboard.excludedRows'),
+                column: '',
+                value: excludedIssues
+                  .map((id) => issueLabel(id, translate))
+                  .join(', '),
+              }
+            : []
+        ),
+      dateRange,
+      rowCount,
+    })
+
+  const rowExports = [
+    {
+      id: 'rows-csv',
+      label: 'CSV',
+      run: () => {
+        const metadata = exportMetadata(filteredRows.length)
+        downloadFile(
+          rowsToCSV(headers, filteredRows, metadata),
+          exportFileName('sales-rows', metadata, 'csv'),
+          'text/csv'
+        )
+      },
+    },
+    {
+      id: 'rows-json',
+      label: 'JSON',
+      run: () => {
+        const metadata = exportMetadata(filteredRows.length)
+        downloadFile(
+          rowsToJSON(headers, filteredRows, metadata),
+          exportFileName('sales-rows', metadata, 'json'),
+          'application/json'
+        )
+      },
+    },
+  ]
+
+  const chartExports = [
+    {
+      id: 'totals-csv',
+      label: t('export.totalsCsv'),
+      run: () => {
+        const metadata = exportMetadata(summaryView.rowCount)
+        downloadFile(
+          monthlyTotalsToCSV(monthlyTotals, summary.measures, metadata),
+          exportFileName('monthly-totals', metadata, 'csv'),
+          'text/csv'
+        )
+      },
+    },
+    {
+      id: 'chart-svg',
+      label: 'SVG',
+      run: () => {
+        const metadata = exportMetadata(summaryView.rowCount)
+        downloadFile(
+          serializeChart(chartRef.current, metadata),
+          exportFileName('monthly-sales-chart', metadata, 'svg'),
+          'image/svg+xml'
+        )
+      },
+    },
+    {
+      id: 'chart-png',
+      label: 'PNG',
+      run: async () => {
+        const metadata = exportMetadata(summaryView.rowCount)
+        const svg = chartRef.current
+        const png = await renderChartPNG(
+          serializeChart(svg, metadata),
+          Number(svg.getAttribute('width')),
+          Number(svg.getAttribute('height')),
+          metadata
+        )
+        downloadFile(
+          png,
+          exportFileName('monthly-sales-chart', metadata, 'png')
+        )
+      },
+    },
+  ]
+
+  // Narrowing the data sends the table back to its first page.
+  const resetTablePage = () =>
+    setTableView((current) => ({ ...current, page: 1 }))
+
+  const updateFilter = (setter) => (value) => {
+    setter(value)
+    resetTablePage()
   }
+  const changeSuppliers = updateFilter(setSelectedSuppliers)
+  const changeCategories = updateFilter(setSelectedCategories)
+  const changeDateRange = updateFilter(setDateRange)
+  const changeKeyword = updateFilter(setKeyword)
 
-  const handleSignOut = async () => {
-    try {
-      await signOut(auth)
-    } catch (err) {
-      setAuthError('Unable to sign out. Please refresh and try again.')
+  // Picking one end of the range fills the other with the first or last month.
+  const changeRangeBound = (bound, value) => {
+    const key = Number(value)
+    const next = { start: dateRange?.start ?? 0, end: dateRange?.end ?? 0 }
+    next[bound] = key
+    if (!next.start && !next.end) {
+      changeDateRange(null)
+      return
     }
+    const start = next.start || monthOptions[0]
+    const end = next.end || monthOptions.at(-1)
+    changeDateRange({ start: Math.min(start, end), end: Math.max(start, end) })
   }
 
-  const handleVote = async (choice) => {
-    if (!choice) {
-      setVoteError('Please choose Yes or No before confirming.')
-      return
+  const changeExcludedIssues = updateFilter(setExcludedIssues)
+
+  const clearFilters = () => {
+    setSelectedSuppliers([])
+    setSelectedCategories([])
+    setDateRange(null)
+    setKeyword('')
+    setExcludedIssues([])
+    resetTablePage()
+  }
+
+  const filterChips = [
+    ...selectedSuppliers.map((supplier) => ({
+      id: `supplier-${supplier}`,
+      label: `${warehouseLabel}: ${supplier}`,
+      onRemove: () =>
+        changeSuppliers(selectedSuppliers.filter((item) => item !== supplier)),
+    })),
+    ...selectedCategories.map((category) => ({
+      id: `category-${category}`,
+      label: `${categoryLabel}: ${category}`,
+      onRemove: () =>
+        changeCategories(
+          selectedCategories.filter((item) => item !== category)
+        ),
+    })),
+    ...(dateRange
+      ? [
+          {
+            id: 'months',
+            label: t('filters.months', {
+              start: format.monthKey(dateRange.start),
+              end: format.monthKey(dateRange.end),
+            }),
+            onRemove: () => changeDateRange(null),
+          },
+        ]
+      : []),
+    ...(keyword.trim()
+      ? [
+          {
+            id: 'keyword',
+            label: t('filters.keyword', { keyword: keyword.trim() }),
+            onRemove: () => changeKeyword(''),
+          },
+        ]
+      : []),
+    ...excludedIssues.map((id) => ({
+      id: `exclude-${id}`,
+      label: t('filters.excluding', { issue: issueLabel(id) }),
+      onRemove: () =>
+        changeExcludedIssues(excludedIssues.filter((item) => item !== id)),
+    })),
+  ]
+
+  // A pivot cell narrows the filters to its row and column and brings up
+  // the matching raw rows.
+  const handlePivotDrillDown = ({ value, columnKey }) => {
+    if (value !== undefined) {
+      if (pivotRows === 'supplier') changeSuppliers([value])
+      else changeCategories([value])
     }
-    if (!user) {
-      setVoteError('Please sign in to vote.')
-      return
+    if (columnKey !== undefined) {
+      changeDateRange(
+        pivotDrillDownRange(pivotColumns, columnKey, monthOptions, dateRange)
+      )
     }
-    if (userVote) {
-      setVoteError('You already voted.')
-      return
+    setRowsRequested(true)
+    tableRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }
+
+  const handleBrush = (fromLabel, toLabel) => {
+    changeDateRange({
+      start: parseMonthLabel(fromLabel),
+      end: parseMonthLabel(toLabel),
+    })
+  }
+
+  const dashboardState = useMemo(
+    () => ({
+      suppliers: selectedSuppliers,
+      categories: selectedCategories,
+      dateRange,
+      keyword,
+      excludedIssues,
+      chartMode,
+      chartMeasures,
+      overlay: overlayOptions,
+      pivot: pivotView,
+      comparison,
+      tableView,
+    }),
+    [
+      selectedSuppliers,
+      selectedCategories,
+      dateRange,
+      keyword,
+      excludedIssues,
+      chartMode,
+      chartMeasures,
+      overlayOptions,
+      pivotView,
+      comparison,
+      tableView,
+    ]
+  )
+  const urlStateRef = useRef(null)
+
+  useEffect(() => {
+    const query = formatDashboardState(dashboardState)
+    const current = formatDashboardState(
+      parseDashboardState(window.location.search)
+    )
+    const previous = urlStateRef.current
+    urlStateRef.current = dashboardState
+    if (query === window.location.search) return
+
+    // Rewriting an equivalent URL into canonical form is not a navigation.
+    const url = `${window.location.pathname}${query}${window.location.hash}`
+    if (
+      !previous ||
+      query === current ||
+      isSearchOnlyChange(previous, dashboardState)
+    ) {
+      window.history.replaceState(null, '', url)
+    } else {
+      window.history.pushState(null, '', url)
     }
+  }, [dashboardState])
 
-    setVoteLoading(true)
-    setVoteError('')
-    try {
-      await setDoc(doc(db, 'votes', user.uid), {
-        choice,
-        email: user.email,
-        createdAt: serverTimestamp(),
-      })
-      setUserVote(choice)
-      setSelectedVote(null)
-    } catch (err) {
-      setVoteError('Unable to record your vote. Please try again.')
-    } finally {
-      setVoteLoading(false)
+  useEffect(() => {
+    const handlePopState = () => {
+      const next = parseDashboardState(window.location.search)
+      urlStateRef.current = next
+      setSelectedSuppliers(next.suppliers)
+      setSelectedCategories(next.categories)
+      setDateRange(next.dateRange)
+      setKeyword(next.keyword)
+      setExcludedIssues(next.excludedIssues)
+      setChartMode(next.chartMode)
+      setChartMeasures(next.chartMeasures)
+      setOverlayOptions(next.overlay)
+      setPivotView(next.pivot)
+      setComparison(next.comparison)
+      setTableView(next.tableView)
     }
-  }
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [])
+
+  const localizedPolls = useMemo(
+    () => polls.map((poll) => localizePoll(poll, locale)),
+    [polls, locale]
+  )
+  const selectedPoll =
+    localizedPolls.find((poll) => poll.id === selectedPollId) ?? null
 
   return (
     <div className="app">
       <header className="page-header">
         <div className="title-block">
-          <p className="eyebrow">Warehouse + Retail Sales Dashboard</p>
-          <h1>Maryland Warehouse & Retail Sales Trends</h1>
-        </div>
-        <div className="auth-panel">
-          {!user ? (
-            <>
-              <div className="auth-buttons">
-                <button
-                  type="button"
-                  className={authMode === 'signin' ? 'active' : ''}
-                  onClick={() => setAuthMode('signin')}
-                >
-                  Sign in
-                </button>
-                <button
-                  type="button"
-                  className={authMode === 'signup' ? 'active' : ''}
-                  onClick={() => setAuthMode('signup')}
-                >
-                  Sign up
-                </button>
-              </div>
-              <form className="auth-form" onSubmit={handleAuthSubmit}>
-                <label htmlFor="auth-email">
-                  Email
-                  <input
-                    id="auth-email"
-                    type="email"
-                    value={email}
-                    onChange={(event) => setEmail(event.target.value)}
-                    required
-                  />
-                </label>
-                <label htmlFor="auth-password">
-                  Password
-                  <input
-                    id="auth-password"
-                    type="password"
-                    value={password}
-                    onChange={(event) => setPassword(event.target.value)}
-                    required
-                  />
-                </label>
-                <button type="submit" disabled={authLoading}>
-                  {authLoading
-                    ? 'Working...'
-                    : authMode === 'signin'
-                      ? 'Sign in'
-                      : 'Create account'}
-                </button>
-              </form>
-              {authError && <p className="auth-message error">{authError}</p>}
-            </>
-          ) : (
-            <div className="signed-in">
-              <p className="signed-in-email">{user.email}</p>
-              <p className="auth-message">Thank you for your support.</p>
-              <button type="button" onClick={handleSignOut}>
-                Sign out
-              </button>
-            </div>
-          )}
+          <p className="eyebrow">{t('dashboard.eyebrow')}</p>
+          <h1>{t('dashboard.title')}</h1>
         </div>
+        <LanguageSwitcher />
+        <AuthPanel user={user} emailVerified={emailVerified} />
       </header>
 
-      <section className="card vote-card">
-        <div className="section-header">
-          <div>
-            <h2>Stance Poll</h2>
-            <p className="stance-question">
-              This dashboard presents monthly combined warehouse and retail sales
-              data for the State of Maryland, giving the public a clear view of
-              how goods move across our economy by supplier and product category.
-              While sales levels rise and fall across different months and
-              sectors, the overall volume makes one thing clear: strong and
-              reliable distribution infrastructure is essential to keeping our
-              shelves stocked and our economy moving. I believe Maryland must
-              take a proactive approach by investing in our distribution and
-              logistics capacity. Doing so will strengthen supply reliability,
-              reduce bottlenecks during high-volume periods, and help ensure that
-              families and businesses can count on a resilient supply chain.
-              Smart, data-informed planning today will keep Maryland competitive
-              and prepared for the demands of tomorrow.
-              <br />
-              <br />
-              Do you support expanding Maryland’s distribution and warehousing
-              capacity to improve supply reliability based on the observed
-              warehouse and retail sales trends?
-            </p>
-            <div className="vote-totals">
-              <span>Support: {voteCounts.yes}</span>
-              <span>Against: {voteCounts.no}</span>
-            </div>
-          </div>
-        </div>
+      <PollCard
+        polls={localizedPolls}
+        selectedPollId={selectedPollId}
+        onSelectPoll={setSelectedPollId}
+        user={user}
+        pollsError={pollsError}
+      />
 
-        {!user && (
-          <p className="state">
-            Sign in or sign up to cast your vote.
-          </p>
-        )}
+      {selectedPoll && (
+        <PollDiscussion
+          key={`${selectedPoll.id}/${user?.uid ?? ''}`}
+          poll={selectedPoll}
+          user={user}
+          dashboardQuery={formatDashboardState(dashboardState)}
+        />
+      )}
 
-        {user && (
-          <>
-            <p className="auth-message success">
-              Thank you for your support. You can cast your vote below.
-            </p>
-            <div className="vote-actions">
-              <button
-                type="button"
-                className={selectedVote === 'yes' ? 'active' : ''}
-                onClick={() => setSelectedVote('yes')}
-                disabled={voteLoading || Boolean(userVote)}
-              >
-                Support
-              </button>
-              <button
-                type="button"
-                className={selectedVote === 'no' ? 'active' : ''}
-                onClick={() => setSelectedVote('no')}
-                disabled={voteLoading || Boolean(userVote)}
-              >
-                Against
-              </button>
-            </div>
-            <button
-              type="button"
-              className="vote-confirm"
-              onClick={() => handleVote(selectedVote)}
-              disabled={voteLoading || Boolean(userVote) || !selectedVote}
-            >
-              {voteLoading ? 'Submitting...' : 'Confirm Vote'}
-            </button>
-          </>
-        )}
-
-        {userVote && (
-          <p className="auth-message success">
-            Your vote has been recorded:{' '}
-            {userVote === 'yes' ? 'SUPPORT' : 'AGAINST'}.
-          </p>
-        )}
-        {voteError && <p className="auth-message error">{voteError}</p>}
-      </section>
+      <DatasetCard
+        dataset={dataset}
+        onDatasetLoaded={handleDatasetLoaded}
+        onReset={handleDatasetReset}
+      />
 
       <section className="card filter-card">
         <div className="filter-row">
+          {(!mapping || mapping.supplier) && (
+            <MultiSelect
+              label={warehouseLabel}
+              options={summary?.suppliers ?? []}
+              selected={selectedSuppliers}
+              onChange={changeSuppliers}
+            />
+          )}
+          {(!mapping || mapping.category) && (
+            <MultiSelect
+              label={categoryLabel}
+              options={summary?.categories ?? []}
+              selected={selectedCategories}
+              onChange={changeCategories}
+            />
+          )}
           <div className="filter-group">
-            <label htmlFor="warehouse-select">Warehouse (Supplier)</label>
+            <label htmlFor="month-from">{t('dashboard.fromMonth')}</label>
             <select
-              id="warehouse-select"
-              value={selectedWarehouse}
-              onChange={(event) => setSelectedWarehouse(event.target.value)}
+              id="month-from"
+              value={dateRange?.start ?? ''}
+              onChange={(event) =>
+                changeRangeBound('start', event.target.value)
+              }
             >
-              {warehouses.map((warehouse) => (
-                <option key={warehouse} value={warehouse}>
-                  {warehouse}
+              <option value="">{t('dashboard.earliest')}</option>
+              {monthOptions.map((month) => (
+                <option key={month} value={month}>
+                  {format.monthKey(month)}
                 </option>
               ))}
             </select>
           </div>
           <div className="filter-group">
-            <label htmlFor="category-select">Drug/Product Category</label>
+            <label htmlFor="month-to">{t('dashboard.toMonth')}</label>
             <select
-              id="category-select"
-              value={selectedCategory}
-              onChange={(event) => setSelectedCategory(event.target.value)}
+              id="month-to"
+              value={dateRange?.end ?? ''}
+              onChange={(event) => changeRangeBound('end', event.target.value)}
             >
-              {categories.map((category) => (
-                <option key={category} value={category}>
-                  {category}
+              <option value="">{t('dashboard.latest')}</option>
+              {monthOptions.map((month) => (
+                <option key={month} value={month}>
+                  {format.monthKey(month)}
                 </option>
               ))}
             </select>
           </div>
+          <div className="filter-group">
+            <label htmlFor="keyword-filter">
+              {keywordColumns.includes('ITEM DESCRIPTION')
+                ? t('dashboard.descriptionKeyword')
+                : t('dashboard.keyword')}
+            </label>
+            <input
+              id="keyword-filter"
+              type="search"
+              value={keyword}
+              onChange={(event) => changeKeyword(event.target.value)}
+            />
+          </div>
           <div className="filter-summary">
-            <span className="summary-label">Rows matched</span>
+            <span className="summary-label">{t('dashboard.rowsMatched')}</span>
             <span className="summary-value">
-              {numberFormatter.format(filteredRows.length)}
+              {isRowSummaryPending
+                ? '...'
+                : format.number(summaryView.rowCount)}
             </span>
           </div>
         </div>
+        <FilterChips chips={filterChips} onClearAll={clearFilters} />
       </section>
 
       <section className="card chart-card">
         <div className="section-header">
           <div>
-            <h2>Monthly Total Sales</h2>
-            <p>
-              Aggregated by year and month for the selected warehouse and
-              category filters.
-            </p>
+            <h2>{t('chart.title')}</h2>
+            <p>{t('chart.intro')}</p>
+            {dateRange && (
+              <p className="range-note">
+                {t('chart.range', {
+                  start: format.monthKey(dateRange.start),
+                  end: format.monthKey(dateRange.end),
+                })}{' '}
+                <button
+                  type="button"
+                  className="link-button"
+                  onClick={() => changeDateRange(null)}
+                >
+                  {t('chart.clearRange')}
+                </button>
+              </p>
+            )}
           </div>
+          {summary && (
+            <div className="chart-controls">
+              <div className="filter-group">
+                <label htmlFor="chart-mode">{t('chart.view')}</label>
+                <select
+                  id="chart-mode"
+                  value={chartMode}
+                  onChange={(event) => setChartMode(event.target.value)}
+                >
+                  {CHART_MODES.map((mode) => (
+                    <option key={mode.id} value={mode.id}>
+                      {t(mode.labelKey)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="filter-group">
+                <label htmlFor="overlay-average">
+                  {t('chart.movingAverage')}
+                </label>
+                <select
+                  id="overlay-average"
+                  value={overlayOptions.movingAverage}
+                  onChange={(event) =>
+                    updateOverlay({ movingAverage: Number(event.target.value) })
+                  }
+                >
+                  {MOVING_AVERAGE_WINDOWS.map((window) => (
+                    <option key={window} value={window}>
+                      {window
+                        ? t('chart.months', { count: window })
+                        : t('chart.off')}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="filter-group">
+                <label htmlFor="overlay-trend">{t('chart.trend')}</label>
+                <select
+                  id="overlay-trend"
+                  value={overlayOptions.trend}
+                  onChange={(event) =>
+                    updateOverlay({ trend: event.target.value })
+                  }
+                >
+                  {TREND_METHODS.map((method) => (
+                    <option key={method.id} value={method.id}>
+                      {t(method.labelKey)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="filter-group">
+                <label htmlFor="overlay-forecast">{t('chart.forecast')}</label>
+                <select
+                  id="overlay-forecast"
+                  value={overlayOptions.horizon}
+                  disabled={overlayOptions.trend === 'none'}
+                  title={
+                    overlayOptions.trend === 'none'
+                      ? t('chart.pickTrend')
+                      : undefined
+                  }
+                  onChange={(event) =>
+                    updateOverlay({ horizon: Number(event.target.value) })
+                  }
+                >
+                  {FORECAST_HORIZONS.map((horizon) => (
+                    <option key={horizon} value={horizon}>
+                      {horizon
+                        ? t('chart.months', { count: horizon })
+                        : t('chart.off')}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {overlayOptions.trend !== 'none' &&
+                overlayOptions.horizon > 0 && (
+                  <div className="filter-group">
+                    <label htmlFor="overlay-band">{t('chart.band')}</label>
+                    <select
+                      id="overlay-band"
+                      value={overlayOptions.confidence}
+                      onChange={(event) =>
+                        updateOverlay({
+                          confidence: Number(event.target.value),
+                        })
+                      }
+                    >
+                      {CONFIDENCE_LEVELS.map((level) => (
+                        <option key={level} value={level}>
+                          {format.share(level / 100)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              <fieldset className="series-picker">
+                <legend>{t('chart.series')}</legend>
+                {summary.measures.map((measure) => (
+                  <label key={measure}>
+                    <input
+                      type="checkbox"
+                      checked={chartSeries.some(({ key }) => key === measure)}
+                      onChange={() => toggleChartMeasure(measure)}
+                    />
+                    {measure}
+                  </label>
+                ))}
+              </fieldset>
+            </div>
+          )}
         </div>
 
-        {isLoading && <p className="state">Loading sales data...</p>}
-        {error && (
-          <p className="state error">
-            Unable to load the CSV data. Please refresh and try again.
+        {isLoading && (
+          <p className="state">
+            {t('dashboard.loading')}
+            {formatLoadProgress(format, loadProgress)}
           </p>
         )}
+        {error && <p className="state error">{t('dashboard.loadFailed')}</p>}
 
-        {!isLoading && !error && monthlyTotals.length === 0 && (
-          <p className="state">No data matches the selected filters.</p>
+        {!isLoading && isRowSummaryPending && (
+          <p className={`state${rowsError ? ' error' : ''}`}>
+            {rowsError
+              ? t('dashboard.filterRowsFailed')
+              : t('dashboard.loadingFilterRows')}
+          </p>
         )}
 
-        {!isLoading && !error && monthlyTotals.length > 0 && (
-          <div className="chart-scroll">
-            <MonthlyBarChart data={monthlyTotals} />
-          </div>
+        {!isLoading &&
+          !error &&
+          !isRowSummaryPending &&
+          monthlyTotals.length === 0 && (
+            <p className="state">{t('dashboard.noData')}</p>
+          )}
+
+        {!isLoading &&
+          !error &&
+          monthlyTotals.length > 0 &&
+          chartSeries.length === 0 && (
+            <p className="state">{t('chart.noSeries')}</p>
+          )}
+
+        {!isLoading &&
+          !error &&
+          monthlyTotals.length > 0 &&
+          chartSeries.length > 0 && (
+            <div className="chart-scroll">
+              <MonthlyBarChart
+                ref={chartRef}
+                data={monthlyTotals}
+                series={chartSeries}
+                mode={chartMode}
+                overlay={chartOverlay}
+                formatValue={formatMeasure}
+                onBrush={handleBrush}
+              />
+            </div>
+          )}
+
+        {summary && (
+          <ExportMenu
+            label={t('export.chart')}
+            actions={chartExports}
+            disabled={monthlyTotals.length === 0 || chartSeries.length === 0}
+          />
         )}
       </section>
 
-      <section className="card table-card">
+      {summary && !isLoading && !error && (
+        <ComparisonPanel
+          comparison={comparison}
+          onChange={setComparison}
+          sideA={{
+            suppliers: selectedSuppliers,
+            categories: selectedCategories,
+          }}
+          supplierLabel={mapping.supplier && warehouseLabel}
+          categoryLabel={mapping.category && categoryLabel}
+          supplierOptions={summary.suppliers}
+          categoryOptions={summary.categories}
+          months={comparisonMonths}
+          currency={mapping.currency}
+          totals={summarizeComparison(comparisonMonths)}
+          chartMode={chartMode}
+          isPending={isRowSummaryPending}
+          onBrush={handleBrush}
+        />
+      )}
+
+      {pivot && !isLoading && !error && (
+        <PivotHeatmap
+          pivot={pivot}
+          view={activePivotView}
+          onViewChange={setPivotView}
+          rowOptions={pivotRowOptions}
+          measures={summary.measures}
+          currency={mapping.currency}
+          onDrillDown={handlePivotDrillDown}
+        />
+      )}
+
+      {summary && !isLoading && !error && (
+        <InsightsPanel
+          supplierGroups={insightGroups.suppliers}
+          categoryGroups={insightGroups.categories}
+          itemGroups={itemGroups}
+          monthlyTotals={monthlyTotals}
+          measures={mapping.totalMeasures}
+          currency={mapping.currency}
+          supplierLabel={
+            mapping.supplier &&
+            (isDefaultDataset ? t('insights.suppliers') : mapping.supplier)
+          }
+          categoryLabel={
+            mapping.category &&
+            (isDefaultDataset ? t('insights.category') : mapping.category)
+          }
+          hasItems={Boolean(itemColumns)}
+          isLoadingRows={needsRows && !rows && !rowsError}
+          onLoadRows={() => setRowsRequested(true)}
+        />
+      )}
+
+      {summary && !isLoading && !error && (
+        <DataQualityPanel
+          report={qualityReport}
+          rows={rows}
+          exampleColumns={qualityExampleColumns}
+          supplierLabel={mapping.supplier && warehouseLabel}
+          excludedIssues={excludedIssues}
+          onExcludedChange={changeExcludedIssues}
+          excludedRowCount={rows ? rows.length - includedRows.length : 0}
+          isLoadingRows={needsRows && !rows && !rowsError}
+          onLoadRows={() => setRowsRequested(true)}
+        />
+      )}
+
+      <section className="card table-card" ref={tableRef}>
         <div className="section-header">
           <div>
-            <h2>Raw Sales Data</h2>
-            <p>
-              Showing {PAGE_SIZE} rows per page. Use the pagination controls to
-              browse the filtered results.
-            </p>
+            <h2>{t('table.title')}</h2>
+            <p>{t('table.intro')}</p>
           </div>
         </div>
 
-        <div className="table-wrapper">
-          <table>
-            <thead>
-              <tr>
-                {headers.map((header) => (
-                  <th key={header}>{header}</th>
-                ))}
-              </tr>
-            </thead>
-            <tbody>
-              {pagedRows.map((row, index) => (
-                <tr key={`${row['ITEM CODE']}-${index}`}>
-                  {headers.map((header) => (
-                    <td key={`${header}-${index}`}>{row[header]}</td>
-                  ))}
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        </div>
+        {rowsRequested && !rows && !rowsError && (
+          <p className="state">{t('table.loadingRows')}</p>
+        )}
+        {rowsError && <p className="state error">{t('table.loadFailed')}</p>}
 
-        <div className="pagination">
-          <button
-            type="button"
-            onClick={() => setPage((prev) => Math.max(1, prev - 1))}
-            disabled={page === 1}
-          >
-            Previous
-          </button>
-          <span>
-            Page {page} of {totalPages}
-          </span>
-          <button
-            type="button"
-            onClick={() => setPage((prev) => Math.min(totalPages, prev + 1))}
-            disabled={page === totalPages}
-          >
-            Next
-          </button>
-        </div>
+        {rows && (
+          <ExportMenu
+            label={t('export.rows')}
+            actions={rowExports}
+            disabled={filteredRows.length === 0}
+          />
+        )}
+
+        {rows && (
+          <SalesTable
+            headers={headers}
+            rows={filteredRows}
+            measures={mapping?.measures ?? []}
+            currency={mapping?.currency}
+            view={tableView}
+            onViewChange={setTableView}
+          />
+        )}
       </section>
     </div>
   )
 }
 
-const MonthlyBarChart = ({ data }) => {
-  const chartHeight = 240
-  const chartPadding = { top: 20, right: 24, bottom: 50, left: 64 }
-  const barSizing =
-    data.length <= 6
-      ? { width: 60, gap: 30 }
-      : data.length <= 12
-        ? { width: 44, gap: 20 }
-        : { width: 30, gap: 14 }
-  const barWidth = barSizing.width
-  const barGap = barSizing.gap
-  const width = Math.max(960, data.length * (barWidth + barGap) + 200)
-  const height = chartHeight + chartPadding.top + chartPadding.bottom
-
-  const maxValue = Math.max(...data.map((item) => item.value), 0)
-  const scaledMax = maxValue || 1
-  const yScale = (value) =>
-    chartPadding.top +
-    (chartHeight - (value / scaledMax) * chartHeight)
-
-  const gridLines = 4
-  const estimatedLabelWidth = 52
-  const xLabelInterval = Math.max(
-    1,
-    Math.ceil(estimatedLabelWidth / (barWidth + barGap))
-  )
-  const xOffset = -6
-
-  return (
-    <svg width={width} height={height} className="chart">
-      <defs>
-        <linearGradient id="barGradient" x1="0" y1="0" x2="0" y2="1">
-          <stop offset="0%" stopColor="#38bdf8" />
-          <stop offset="100%" stopColor="#6366f1" />
-        </linearGradient>
-      </defs>
-      <rect
-        x={0}
-        y={0}
-        width={width}
-        height={height}
-        fill="transparent"
-        rx="16"
-      />
-      {Array.from({ length: gridLines + 1 }).map((_, index) => {
-        const value = (scaledMax / gridLines) * index
-        const y = yScale(value)
-        return (
-          <g key={`grid-${value}`}>
-            <line
-              x1={chartPadding.left}
-              x2={width - chartPadding.right}
-              y1={y}
-              y2={y}
-              stroke="rgba(148, 163, 184, 0.25)"
-            />
-            <text
-              x={chartPadding.left - 12}
-              y={y + 4}
-              textAnchor="end"
-              className="axis-label"
-            >
-              {numberFormatter.format(Math.round(value))}
-            </text>
-          </g>
-        )
-      })}
-
-      {data.map((item, index) => {
-        const x = chartPadding.left + index * (barWidth + barGap) + xOffset
-        const y = yScale(item.value)
-        const barHeight = chartPadding.top + chartHeight - y
-        const showLabel = index % xLabelInterval === 0
-        const labelShift = index === data.length - 1 ? -8 : 0
-        return (
-          <g key={item.label}>
-            <rect
-              x={x}
-              y={y}
-              width={barWidth}
-              height={barHeight}
-              rx="6"
-              className="bar"
-            />
-            {showLabel && (
-              <text
-                x={x + barWidth / 2 + labelShift}
-                y={chartPadding.top + chartHeight + 20}
-                textAnchor="middle"
-                className="axis-label"
-              >
-                {item.label}
-              </text>
-            )}
-          </g>
-        )
-      })}
-    </svg>
-  )
-}
-
 export default App
@@ -0,0 +1,231 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  increment,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  writeBatch,
+} from 'firebase/firestore'
+import { db } from './firebase'
+import { LocalizedError } from './i18n'
+import { buildPollFields } from './pollDraft'
+import {
+  BALLOTS_SUBCOLLECTION,
+  POLLS_COLLECTION,
+  TALLIES_SUBCOLLECTION,
+  TALLY_ID,
+  VOTERS_SUBCOLLECTION,
+  normalizePoll,
+} from './polls'
+
+export const ROLES_COLLECTION = 'roles'
+export const AUDIT_LOG_COLLECTION = 'auditLog'
+export const AUDIT_LOG_LIMIT = 200
+
+// Message keys (see src/i18n) by action. Must stay in sync with
+// isValidAuditEntry in firestore.rules.
+export const AUDIT_ACTIONS = {
+  'poll.create': 'audit.action.pollCreate',
+  'poll.open': 'audit.action.pollOpen',
+  'poll.close': 'audit.action.pollClose',
+  'vote.invalidate': 'audit.action.voteInvalidate',
+  'votes.export': 'audit.action.votesExport',
+  'comment.hide': 'audit.action.commentHide',
+  'comment.restore': 'audit.action.commentRestore',
+}
+
+// Thrown for admin actions refused before anything is written.
+export class AdminError extends LocalizedError {}
+
+const toDate = (value) => value?.toDate?.() ?? null
+
+// Admins carry an `admin` custom claim or have `admin: true` in their
+// roles/{uid} document; firestore.rules accepts either.
+export const isAdminUser = async (user) => {
+  if (!user) return false
+  const { claims } = await user.getIdTokenResult()
+  if (claims.admin === true) return true
+  const roles = await getDoc(doc(db, ROLES_COLLECTION, user.uid))
+  return roles.exists() && roles.data().admin === true
+}
+
+// Returns `{ ref, data }` for an audit entry, to be written in the same batch
+// or transaction as the action it records.
+export const auditEntry = (
+  admin,
+  action,
+  { pollId, target = null, details = '' }
+) => ({
+  ref: doc(collection(db, AUDIT_LOG_COLLECTION)),
+  data: {
+    action,
+    actorUid: admin.uid,
+    actorEmail: admin.email ?? '',
+    pollId,
+    target,
+    details,
+    createdAt: serverTimestamp(),
+  },
+})
+
+// Every poll, drafts included, newest first.
+export const subscribeToAllPolls = (onChange, onError) =>
+  onSnapshot(
+    collection(db, POLLS_COLLECTION),
+    (snapshot) =>
+      onChange(
+        snapshot.docs
+          .map((poll) => ({
+            ...normalizePoll(poll),
+            createdAt: toDate(poll.data().createdAt),
+          }))
+          .sort(
+            (a, b) =>
+              (b.createdAt?.getTime() ?? 0) - (a.createdAt?.getTime() ?? 0)
+          )
+      ),
+    onError
+  )
+
+export const createPoll = async (admin, draft) => {
+  const pollRef = doc(collection(db, POLLS_COLLECTION))
+  const fields = buildPollFields(draft)
+  const audit = auditEntry(admin, 'poll.create', {
+    pollId: pollRef.id,
+    details: fields.question,
+  })
+  const batch = writeBatch(db)
+  batch.set(pollRef, {
+    ...fields,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    lastAuditId: audit.ref.id,
+  })
+  batch.set(audit.ref, audit.data)
+  await batch.commit()
+  return pollRef.id
+}
+
+// `status` is 'open' or 'closed'.
+export const setPollStatus = async (admin, poll, status) => {
+  const audit = auditEntry(
+    admin,
+    status === 'open' ? 'poll.open' : 'poll.close',
+    { pollId: poll.id, details: poll.question }
+  )
+  const batch = writeBatch(db)
+  batch.update(doc(db, POLLS_COLLECTION, poll.id), {
+    status,
+    updatedAt: serverTimestamp(),
+    lastAuditId: audit.ref.id,
+  })
+  batch.set(audit.ref, audit.data)
+  await batch.commit()
+}
+
+// Who has voted in the poll, by email. Voter records hold no choice, and no
+// time either, since that would date the voter's ballot.
+export const listVoters = async (pollId) => {
+  const snapshot = await getDocs(
+    collection(db, POLLS_COLLECTION, pollId, VOTERS_SUBCOLLECTION)
+  )
+  return snapshot.docs
+    .map((voter) => ({ uid: voter.id, email: voter.data().email ?? '' }))
+    .sort((a, b) => a.email.localeCompare(b.email))
+}
+
+// Every ballot in the poll, invalidated ones included. Ballots carry no
+// voter or timestamp, so they are listed by id.
+export const listBallots = async (pollId) => {
+  const snapshot = await getDocs(
+    collection(db, POLLS_COLLECTION, pollId, BALLOTS_SUBCOLLECTION)
+  )
+  return snapshot.docs
+    .map((ballot) => {
+      const data = ballot.data()
+      return {
+        id: ballot.id,
+        choice: data.choice ?? null,
+        invalidation: data.invalidation
+          ? {
+              ...data.invalidation,
+              createdAt: toDate(data.invalidation.createdAt),
+            }
+          : null,
+      }
+    })
+    .sort((a, b) => a.id.localeCompare(b.id))
+}
+
+// Clears the ballot's choice, records the reason and takes it off the tally,
+// with an audit entry in the same transaction. Like a vote, the tally write
+// names the ballot it moved.
+export const invalidateBallot = (admin, pollId, ballotId, reason) =>
+  runTransaction(db, async (transaction) => {
+    const ballotRef = doc(
+      db,
+      POLLS_COLLECTION,
+      pollId,
+      BALLOTS_SUBCOLLECTION,
+      ballotId
+    )
+    const ballotSnap = await transaction.get(ballotRef)
+    const ballot = ballotSnap.exists() ? ballotSnap.data() : null
+    if (!ballot?.choice) {
+      throw new AdminError('admin.onlyCountedBallot')
+    }
+
+    const audit = auditEntry(admin, 'vote.invalidate', {
+      pollId,
+      target: ballotId,
+      details: reason,
+    })
+    transaction.update(ballotRef, {
+      choice: null,
+      invalidation: {
+        choice: ballot.choice,
+        reason,
+        adminUid: admin.uid,
+        auditId: audit.ref.id,
+        createdAt: serverTimestamp(),
+      },
+    })
+    transaction.set(
+      doc(db, POLLS_COLLECTION, pollId, TALLIES_SUBCOLLECTION, TALLY_ID),
+      { counts: { [ballot.choice]: increment(-1) }, lastBallot: ballotId },
+      { merge: true }
+    )
+    transaction.set(audit.ref, audit.data)
+  })
+
+// Exports are read-only, so the audit entry is all there is to write.
+// `details` says what was exported, e.g. "12 voters".
+export const recordExport = async (admin, pollId, details) => {
+  const audit = auditEntry(admin, 'votes.export', { pollId, details })
+  await setDoc(audit.ref, audit.data)
+}
+
+export const subscribeToAuditLog = (onChange, onError) =>
+  onSnapshot(
+    query(
+      collection(db, AUDIT_LOG_COLLECTION),
+      orderBy('createdAt', 'desc'),
+      limit(AUDIT_LOG_LIMIT)
+    ),
+    (snapshot) =>
+      onChange(
+        snapshot.docs.map((entry) => ({
+          id: entry.id,
+          ...entry.data(),
+          createdAt: toDate(entry.data().createdAt),
+        }))
+      ),
+    onError
+  )
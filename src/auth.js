@@ -0,0 +1,58 @@
+import {
+  GoogleAuthProvider,
+  createUserWithEmailAndPassword,
+  onIdTokenChanged,
+  sendEmailVerification,
+  sendPasswordResetEmail,
+  signInWithEmailAndPassword,
+  signInWithPopup,
+  signOut,
+} from 'firebase/auth'
+import { auth } from './firebase'
+
+// Token changes cover sign-in, sign-out and the forced refresh in
+// refreshEmailVerification, so callers see emailVerified flip without
+// signing in again.
+export const subscribeToUser = (onChange) => onIdTokenChanged(auth, onChange)
+
+export const signIn = (email, password) =>
+  signInWithEmailAndPassword(auth, email, password)
+
+// New password accounts start unverified, so the verification email goes out
+// straight away. The account exists even if that email fails, so the failure
+// is reported in `verificationSent` rather than thrown; callers can retry with
+// sendVerification.
+export const signUp = async (email, password) => {
+  const { user } = await createUserWithEmailAndPassword(auth, email, password)
+  try {
+    await sendEmailVerification(user)
+  } catch {
+    return { user, verificationSent: false }
+  }
+  return { user, verificationSent: true }
+}
+
+export const signInWithGoogle = () =>
+  signInWithPopup(auth, new GoogleAuthProvider())
+
+export const sendVerification = (user) => sendEmailVerification(user)
+
+// Firebase does not reveal whether an account exists (with email enumeration
+// protection on), so callers should report success either way.
+export const sendPasswordReset = (email) => sendPasswordResetEmail(auth, email)
+
+// Picks up a verification completed in another tab. The forced token refresh
+// matters as much as the reload: the security rules read email_verified from
+// the ID token, not from the user record.
+export const refreshEmailVerification = async (user) => {
+  await user.reload()
+  if (user.emailVerified) await user.getIdToken(true)
+  return user.emailVerified
+}
+
+export const signOutUser = () => signOut(auth)
+
+// Verification and password reset emails go out in this language.
+export const setAuthLanguage = (locale) => {
+  auth.languageCode = locale
+}
@@ -0,0 +1,34 @@
+// Friendly messages for the Firebase Auth error codes the account forms can
+// hit. Kept apart from src/auth.js so it can be tested without Firebase.
+
+import { translate } from './i18n'
+
+// Message keys (see src/i18n) by error code.
+export const AUTH_ERROR_KEYS = {
+  'auth/invalid-credential': 'authError.mismatch',
+  'auth/invalid-login-credentials': 'authError.mismatch',
+  'auth/wrong-password': 'authError.mismatch',
+  'auth/user-not-found': 'authError.mismatch',
+  'auth/invalid-email': 'authError.invalidEmail',
+  'auth/missing-email': 'authError.missingEmail',
+  'auth/missing-password': 'authError.missingPassword',
+  'auth/email-already-in-use': 'authError.emailInUse',
+  'auth/weak-password': 'authError.weakPassword',
+  'auth/user-disabled': 'authError.userDisabled',
+  'auth/too-many-requests': 'authError.tooManyRequests',
+  'auth/network-request-failed': 'authError.network',
+  'auth/popup-closed-by-user': 'authError.popupClosed',
+  'auth/cancelled-popup-request': 'authError.popupClosed',
+  'auth/popup-blocked': 'authError.popupBlocked',
+  'auth/account-exists-with-different-credential': 'authError.otherCredential',
+  'auth/operation-not-allowed': 'authError.notAllowed',
+  'auth/unauthorized-domain': 'authError.unauthorizedDomain',
+  'auth/expired-action-code': 'authError.expiredLink',
+  'auth/invalid-action-code': 'authError.invalidLink',
+}
+
+export const DEFAULT_AUTH_ERROR_KEY = 'authError.default'
+
+// `t` is a translator from src/i18n; English by default.
+export const getAuthErrorMessage = (error, t = translate) =>
+  t(AUTH_ERROR_KEYS[error?.code] ?? DEFAULT_AUTH_ERROR_KEY)
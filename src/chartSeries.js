@@ -0,0 +1,36 @@
+// `labelKey` names each mode in the catalogs in src/i18n.
+export const CHART_MODES = [
+  { id: 'stacked', labelKey: 'chart.mode.stacked' },
+  { id: 'grouped', labelKey: 'chart.mode.grouped' },
+  { id: 'line', labelKey: 'chart.mode.line' },
+]
+
+const SERIES_COLORS = [
+  '#38bdf8',
+  '#a78bfa',
+  '#34d399',
+  '#fbbf24',
+  '#f472b6',
+  '#f87171',
+  '#818cf8',
+  '#2dd4bf',
+]
+
+// Colours follow a measure's position in the dataset, not in the current
+// selection, so a series keeps its colour as others are toggled.
+export const seriesColor = (measures, key) =>
+  SERIES_COLORS[Math.max(0, measures.indexOf(key)) % SERIES_COLORS.length]
+
+// Builds the chart's series list for the selected measure columns.
+export const buildSeries = (measures, keys) =>
+  keys
+    .filter((key) => measures.includes(key))
+    .map((key) => ({ key, label: key, color: seriesColor(measures, key) }))
+
+// Overlay lines are drawn over the series in neutral colours so they never
+// collide with a measure's colour.
+export const OVERLAY_STYLES = {
+  movingAverage: { color: '#94a3b8', dash: '6 4' },
+  trend: { color: '#f8fafc', dash: '' },
+  forecast: { color: '#f8fafc', dash: '3 3' },
+}
@@ -0,0 +1,63 @@
+// Shapes a poll's comments into threads for the discussion card. Kept free of
+// Firebase so it can be unit tested; src/comments.js does the reading and
+// writing.
+
+import { translate } from './i18n'
+
+// Must stay in sync with isValidComment in firestore.rules.
+export const COMMENT_MAX_LENGTH = 1000
+export const AUTHOR_NAME_MAX_LENGTH = 80
+export const REPORT_REASON_MAX_LENGTH = 500
+
+// Returns a message describing what is wrong with the comment text, or null.
+// `t` is a translator from src/i18n; English by default.
+export const validateCommentBody = (text, t = translate) => {
+  const body = text.trim()
+  if (!body) return t('comments.empty')
+  if (body.length > COMMENT_MAX_LENGTH) {
+    return t('comments.tooLong', { max: COMMENT_MAX_LENGTH })
+  }
+  return null
+}
+
+// The name shown on a user's comments: their display name, or the part of
+// their email before the @. Email addresses themselves are never stored.
+export const commentAuthorName = (user) =>
+  (user.displayName?.trim() || user.email?.split('@')[0] || 'Voter').slice(
+    0,
+    AUTHOR_NAME_MAX_LENGTH
+  )
+
+const byCreatedAt = (a, b) =>
+  (a.createdAt?.getTime() ?? 0) - (b.createdAt?.getTime() ?? 0)
+
+/**
+ * Groups comments into `[{ comment, replies }]`, oldest thread first with
+ * replies oldest first. Replies are one level deep. A reply whose parent is
+ * not in `comments` (hidden by a moderator) keeps its thread, with `comment`
+ * set to `{ id, missing: true }`.
+ */
+export const buildCommentThreads = (comments) => {
+  const threads = new Map()
+  const threadFor = (id) => {
+    if (!threads.has(id)) {
+      threads.set(id, { comment: { id, missing: true }, replies: [] })
+    }
+    return threads.get(id)
+  }
+
+  comments
+    .filter((comment) => !comment.parentId)
+    .forEach((comment) => {
+      threadFor(comment.id).comment = comment
+    })
+  comments
+    .filter((comment) => comment.parentId)
+    .forEach((reply) => threadFor(reply.parentId).replies.push(reply))
+
+  const threadStart = ({ comment, replies }) =>
+    comment.missing ? replies[0] : comment
+  return [...threads.values()]
+    .map((thread) => ({ ...thread, replies: thread.replies.sort(byCreatedAt) }))
+    .sort((a, b) => byCreatedAt(threadStart(a), threadStart(b)))
+}
@@ -0,0 +1,120 @@
+import {
+  collection,
+  doc,
+  increment,
+  onSnapshot,
+  query,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore'
+import { auditEntry } from './admin'
+import { commentAuthorName } from './commentThread'
+import { db } from './firebase'
+import { LocalizedError } from './i18n'
+import { POLLS_COLLECTION } from './polls'
+
+export const COMMENTS_SUBCOLLECTION = 'comments'
+export const REPORTS_SUBCOLLECTION = 'reports'
+
+// Thrown for comment actions refused before anything is written.
+export class CommentError extends LocalizedError {}
+
+const toDate = (value) => value?.toDate?.() ?? null
+
+const commentsCollection = (pollId) =>
+  collection(db, POLLS_COLLECTION, pollId, COMMENTS_SUBCOLLECTION)
+
+const normalizeComment = (snapshot) => {
+  // Comments just posted have no server time yet; use the local estimate.
+  const data = snapshot.data({ serverTimestamps: 'estimate' })
+  return {
+    id: snapshot.id,
+    authorUid: data.authorUid,
+    authorName: data.authorName ?? '',
+    body: data.body ?? '',
+    stance: data.stance ?? null,
+    parentId: data.parentId ?? null,
+    view: data.view ?? '',
+    hidden: data.hidden === true,
+    reportCount: data.reportCount ?? 0,
+    moderation: data.moderation ?? null,
+    createdAt: toDate(data.createdAt),
+  }
+}
+
+// The poll's comments, live. Only moderators may read hidden comments, so
+// everyone else asks for the visible ones.
+export const subscribeToComments = (pollId, includeHidden, onChange, onError) =>
+  onSnapshot(
+    includeHidden
+      ? commentsCollection(pollId)
+      : query(commentsCollection(pollId), where('hidden', '==', false)),
+    (snapshot) => onChange(snapshot.docs.map(normalizeComment)),
+    onError
+  )
+
+// `stance` is an option id or null; the rules only accept one from a user
+// who has voted, but cannot check it matches their ballot. `view` is
+// a dashboard query string ('' for none) and `parentId` the comment being
+// replied to, if any.
+export const postComment = async (
+  pollId,
+  user,
+  { body, stance = null, parentId = null, view = '' }
+) => {
+  await setDoc(doc(commentsCollection(pollId)), {
+    authorUid: user.uid,
+    authorName: commentAuthorName(user),
+    body: body.trim(),
+    stance,
+    parentId,
+    view,
+    hidden: false,
+    reportCount: 0,
+    createdAt: serverTimestamp(),
+  })
+}
+
+// Each user can report a comment once; the report is kept under their uid
+// and the comment's report count goes up in the same transaction.
+export const reportComment = (pollId, comment, user, reason) =>
+  runTransaction(db, async (transaction) => {
+    const commentRef = doc(commentsCollection(pollId), comment.id)
+    const reportRef = doc(commentRef, REPORTS_SUBCOLLECTION, user.uid)
+    if ((await transaction.get(reportRef)).exists()) {
+      throw new CommentError('comments.alreadyReported')
+    }
+    transaction.set(reportRef, { reason, createdAt: serverTimestamp() })
+    transaction.update(commentRef, { reportCount: increment(1) })
+  })
+
+// Hides or restores a comment, with the moderator's reason and an audit
+// entry in the same batch.
+export const setCommentHidden = async (
+  admin,
+  pollId,
+  comment,
+  hidden,
+  reason
+) => {
+  const audit = auditEntry(admin, hidden ? 'comment.hide' : 'comment.restore', {
+    pollId,
+    target: comment.id,
+    details: reason,
+  })
+  const batch = writeBatch(db)
+  batch.update(doc(commentsCollection(pollId), comment.id), {
+    hidden,
+    moderation: {
+      reason,
+      adminUid: admin.uid,
+      auditId: audit.ref.id,
+      createdAt: serverTimestamp(),
+    },
+  })
+  batch.set(audit.ref, audit.data)
+  await batch.commit()
+}
@@ -0,0 +1,226 @@
+import { useEffect, useState } from 'react'
+import '../App.css'
+import {
+  createPoll,
+  isAdminUser,
+  setPollStatus,
+  subscribeToAllPolls,
+} from '../admin'
+import { subscribeToUser } from '../auth'
+import AuditLog from './AuditLog'
+import { useLocale } from '../i18n/useLocale'
+import AuthPanel from './AuthPanel'
+import LanguageSwitcher from './LanguageSwitcher'
+import PollForm from './PollForm'
+import VoteList from './VoteList'
+
+// Message keys by poll status.
+const STATUS_LABELS = {
+  draft: 'admin.status.draft',
+  open: 'admin.status.open',
+  closed: 'admin.status.closed',
+}
+
+const PollList = ({ admin, polls, selectedPollId, onSelectPoll }) => {
+  const { t } = useLocale()
+  const [error, setError] = useState('')
+  const [busyPollId, setBusyPollId] = useState(null)
+
+  const changeStatus = async (poll, status) => {
+    setBusyPollId(poll.id)
+    setError('')
+    try {
+      await setPollStatus(admin, poll, status)
+    } catch {
+      setError(t('admin.updateFailed'))
+    } finally {
+      setBusyPollId(null)
+    }
+  }
+
+  if (!polls.length) return <p className="admin-note">{t('admin.noPolls')}</p>
+
+  return (
+    <>
+      {error && <p className="auth-message error">{error}</p>}
+      <ul className="admin-poll-list">
+        {polls.map((poll) => (
+          <li
+            key={poll.id}
+            className={poll.id === selectedPollId ? 'selected' : ''}
+          >
+            <button
+              type="button"
+              className="admin-poll-select"
+              onClick={() => onSelectPoll(poll.id)}
+            >
+              <span className={`status-badge ${poll.status}`}>
+                {STATUS_LABELS[poll.status]
+                  ? t(STATUS_LABELS[poll.status])
+                  : poll.status}
+              </span>
+              {poll.question}
+            </button>
+            {poll.status === 'open' ? (
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => changeStatus(poll, 'closed')}
+                disabled={busyPollId === poll.id}
+              >
+                {t('admin.close')}
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => changeStatus(poll, 'open')}
+                disabled={busyPollId === poll.id}
+              >
+                {poll.status === 'closed' ? t('admin.reopen') : t('admin.open')}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </>
+  )
+}
+
+const Console = ({ admin }) => {
+  const { t } = useLocale()
+  const [polls, setPolls] = useState([])
+  // A message key, so the text follows the selected language.
+  const [pollsError, setPollsError] = useState('')
+  const [selectedPollId, setSelectedPollId] = useState(null)
+  const selectedPoll = polls.find((poll) => poll.id === selectedPollId) ?? null
+
+  useEffect(
+    () =>
+      subscribeToAllPolls(
+        (nextPolls) => {
+          setPolls(nextPolls)
+          setPollsError('')
+        },
+        () => setPollsError('admin.loadFailed')
+      ),
+    []
+  )
+
+  const handleCreate = async (draft) => {
+    setSelectedPollId(await createPoll(admin, draft))
+  }
+
+  return (
+    <>
+      <section className="card admin-card">
+        <div className="section-header">
+          <div>
+            <h2>{t('admin.polls')}</h2>
+            <p>{t('admin.pollsIntro')}</p>
+          </div>
+        </div>
+        {pollsError ? (
+          <p className="auth-message error">{t(pollsError)}</p>
+        ) : (
+          <PollList
+            admin={admin}
+            polls={polls}
+            selectedPollId={selectedPollId}
+            onSelectPoll={setSelectedPollId}
+          />
+        )}
+        <details className="admin-new-poll">
+          <summary>{t('admin.newPoll')}</summary>
+          <PollForm onCreate={handleCreate} />
+        </details>
+      </section>
+
+      {selectedPoll && (
+        <section className="card admin-card">
+          <div className="section-header">
+            <div>
+              <h2>{t('admin.votes')}</h2>
+              <p>{selectedPoll.question}</p>
+            </div>
+          </div>
+          <VoteList key={selectedPoll.id} admin={admin} poll={selectedPoll} />
+        </section>
+      )}
+
+      <section className="card admin-card">
+        <div className="section-header">
+          <div>
+            <h2>{t('audit.title')}</h2>
+            <p>{t('audit.intro')}</p>
+          </div>
+        </div>
+        <AuditLog />
+      </section>
+    </>
+  )
+}
+
+/**
+ * The /admin page. Signed-in users with the admin claim or role (see
+ * isAdminUser) can manage polls, review and invalidate votes and read the
+ * audit log; firestore.rules enforces the same check on every write.
+ */
+function AdminConsole() {
+  const { t } = useLocale()
+  const [user, setUser] = useState(null)
+  const [emailVerified, setEmailVerified] = useState(false)
+  // `{ uid, isAdmin }` for the last user checked.
+  const [access, setAccess] = useState(null)
+
+  useEffect(
+    () =>
+      subscribeToUser((currentUser) => {
+        setUser(currentUser)
+        setEmailVerified(currentUser?.emailVerified ?? false)
+      }),
+    []
+  )
+
+  useEffect(() => {
+    if (!user) return undefined
+    let isMounted = true
+    isAdminUser(user)
+      .catch(() => false)
+      .then((isAdmin) => {
+        if (isMounted) setAccess({ uid: user.uid, isAdmin })
+      })
+    return () => {
+      isMounted = false
+    }
+  }, [user])
+
+  const isChecking = user && access?.uid !== user.uid
+
+  return (
+    <div className="app">
+      <header className="page-header">
+        <div className="title-block">
+          <p className="eyebrow">{t('dashboard.eyebrow')}</p>
+          <h1>{t('admin.title')}</h1>
+          <a className="admin-back" href="/">
+            {t('admin.back')}
+          </a>
+        </div>
+        <LanguageSwitcher />
+        <AuthPanel user={user} emailVerified={emailVerified} />
+      </header>
+
+      {!user && <p className="state">{t('admin.signIn')}</p>}
+      {isChecking && <p className="state">{t('admin.checking')}</p>}
+      {user && !isChecking && !access.isAdmin && (
+        <p className="state error">
+          {t('admin.noAccess', { email: user.email })}
+        </p>
+      )}
+      {user && !isChecking && access.isAdmin && <Console admin={user} />}
+    </div>
+  )
+}
+
+export default AdminConsole
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react'
+import { AUDIT_ACTIONS, AUDIT_LOG_LIMIT, subscribeToAuditLog } from '../admin'
+import { useLocale } from '../i18n/useLocale'
+
+// The most recent admin actions, newest first.
+function AuditLog() {
+  const { t, format } = useLocale()
+  const [entries, setEntries] = useState(null)
+  // A message key, so the text follows the selected language.
+  const [error, setError] = useState('')
+
+  useEffect(
+    () =>
+      subscribeToAuditLog(
+        (nextEntries) => {
+          setEntries(nextEntries)
+          setError('')
+        },
+        () => setError('audit.loadFailed')
+      ),
+    []
+  )
+
+  if (error) return <p className="auth-message error">{t(error)}</p>
+  if (!entries) return <p className="admin-note">{t('audit.loading')}</p>
+  if (!entries.length) return <p className="admin-note">{t('audit.empty')}</p>
+
+  return (
+    <>
+      {entries.length === AUDIT_LOG_LIMIT && (
+        <p className="admin-note">
+          {t('audit.limit', { count: AUDIT_LOG_LIMIT })}
+        </p>
+      )}
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>{t('audit.when')}</th>
+              <th>{t('audit.admin')}</th>
+              <th>{t('audit.action')}</th>
+              <th>{t('audit.poll')}</th>
+              <th>{t('audit.voter')}</th>
+              <th>{t('audit.details')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry) => (
+              <tr key={entry.id}>
+                <td>{format.timestamp(entry.createdAt)}</td>
+                <td title={entry.actorUid}>
+                  {entry.actorEmail || entry.actorUid}
+                </td>
+                <td>
+                  {AUDIT_ACTIONS[entry.action]
+                    ? t(AUDIT_ACTIONS[entry.action])
+                    : entry.action}
+                </td>
+                <td>{entry.pollId}</td>
+                <td>{entry.target ?? ''}</td>
+                <td>{entry.details}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  )
+}
+
+export default AuditLog
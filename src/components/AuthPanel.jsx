@@ -0,0 +1,213 @@
+import { useState } from 'react'
+import {
+  refreshEmailVerification,
+  sendPasswordReset,
+  sendVerification,
+  signIn,
+  signInWithGoogle,
+  signOutUser,
+  signUp,
+} from '../auth'
+import { getAuthErrorMessage } from '../authErrors'
+import { useLocale } from '../i18n/useLocale'
+
+const SUBMIT_LABELS = {
+  signin: 'auth.signIn',
+  signup: 'auth.createAccount',
+  reset: 'auth.sendReset',
+}
+
+/**
+ * Header account panel: email/password sign-in and sign-up, a password reset
+ * form, Google sign-in, and the verification prompt shown until the signed-in
+ * user's email is verified. `emailVerified` is passed separately from `user`
+ * because Firebase updates the user object in place.
+ */
+function AuthPanel({ user, emailVerified }) {
+  const { t } = useLocale()
+  const [mode, setMode] = useState('signin')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const changeMode = (nextMode) => {
+    setMode(nextMode)
+    setError('')
+    setNotice('')
+  }
+
+  // Runs an auth action, showing the notice it resolves to (if any) or a
+  // friendly error.
+  const run = async (action) => {
+    setLoading(true)
+    setError('')
+    setNotice('')
+    try {
+      setNotice((await action()) ?? '')
+    } catch (err) {
+      setError(getAuthErrorMessage(err, t))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (mode === 'reset') {
+      run(async () => {
+        try {
+          await sendPasswordReset(email)
+        } catch (err) {
+          // Do not reveal which addresses have accounts.
+          if (err?.code !== 'auth/user-not-found') throw err
+        }
+        setMode('signin')
+        return t('auth.resetSent', { email })
+      })
+      return
+    }
+    run(async () => {
+      if (mode === 'signin') {
+        await signIn(email, password)
+      } else {
+        const { verificationSent } = await signUp(email, password)
+        // The account was still created; the resend button offers a retry.
+        if (!verificationSent) setError(t('auth.verificationFailed'))
+      }
+      setEmail('')
+      setPassword('')
+    })
+  }
+
+  const handleRefresh = () =>
+    run(async () => {
+      if (await refreshEmailVerification(user)) return ''
+      return t('auth.notVerifiedYet')
+    })
+
+  if (user) {
+    return (
+      <div className="auth-panel">
+        <div className="signed-in">
+          <p className="signed-in-email">{user.email}</p>
+          {emailVerified ? (
+            <p className="auth-message">{t('auth.thanks')}</p>
+          ) : (
+            <>
+              <p className="auth-message">
+                {t('auth.verifyPrompt', { email: user.email })}
+              </p>
+              <div className="auth-buttons">
+                <button
+                  type="button"
+                  onClick={handleRefresh}
+                  disabled={loading}
+                >
+                  {t('auth.haveVerified')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() =>
+                    run(async () => {
+                      await sendVerification(user)
+                      return t('auth.verificationSent')
+                    })
+                  }
+                  disabled={loading}
+                >
+                  {t('auth.resendEmail')}
+                </button>
+              </div>
+            </>
+          )}
+          <button
+            type="button"
+            onClick={() => run(signOutUser)}
+            disabled={loading}
+          >
+            {t('auth.signOut')}
+          </button>
+          {error && <p className="auth-message error">{error}</p>}
+          {notice && <p className="auth-message">{notice}</p>}
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="auth-panel">
+      <div className="auth-buttons">
+        <button
+          type="button"
+          className={mode === 'signin' ? 'active' : ''}
+          onClick={() => changeMode('signin')}
+        >
+          {t('auth.signIn')}
+        </button>
+        <button
+          type="button"
+          className={mode === 'signup' ? 'active' : ''}
+          onClick={() => changeMode('signup')}
+        >
+          {t('auth.signUp')}
+        </button>
+      </div>
+      <form className="auth-form" onSubmit={handleSubmit}>
+        <label htmlFor="auth-email">
+          {t('auth.email')}
+          <input
+            id="auth-email"
+            type="email"
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+            required
+          />
+        </label>
+        {mode !== 'reset' && (
+          <label htmlFor="auth-password">
+            {t('auth.password')}
+            <input
+              id="auth-password"
+              type="password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              required
+            />
+          </label>
+        )}
+        <button type="submit" disabled={loading}>
+          {loading ? t('auth.working') : t(SUBMIT_LABELS[mode])}
+        </button>
+      </form>
+      <div className="auth-links">
+        {mode === 'reset' ? (
+          <button type="button" onClick={() => changeMode('signin')}>
+            {t('auth.backToSignIn')}
+          </button>
+        ) : (
+          <button type="button" onClick={() => changeMode('reset')}>
+            {t('auth.forgotPassword')}
+          </button>
+        )}
+      </div>
+      <button
+        type="button"
+        className="google-button"
+        onClick={() =>
+          run(async () => {
+            await signInWithGoogle()
+          })
+        }
+        disabled={loading}
+      >
+        {t('auth.google')}
+      </button>
+      {error && <p className="auth-message error">{error}</p>}
+      {notice && <p className="auth-message success">{notice}</p>}
+    </div>
+  )
+}
+
+export default AuthPanel
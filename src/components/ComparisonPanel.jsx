@@ -0,0 +1,208 @@
+import { seriesColor } from '../chartSeries'
+import { DELTA_MODES, describeSelection } from '../data/comparison'
+import { changeClass } from '../format'
+import { useLocale } from '../i18n/useLocale'
+import MonthlyBarChart from './MonthlyBarChart'
+import MultiSelect from './MultiSelect'
+
+const SERIES_KEYS = ['a', 'b', 'difference', 'ratio']
+
+const ratioOf = (b, a) => (a ? b / a : null)
+
+/**
+ * Side A (the dashboard's filters, `sideA`) against side B (`comparison`'s
+ * own supplier and category selection). `months` and `totals` come from
+ * compareMonthlyTotals and summarizeComparison. Both sides are drawn in one
+ * chart with the difference or ratio as a line over them (the ratio on its
+ * own axis), above a table of totals and growth, with amounts in `currency`
+ * ('' for plain numbers). Changes to the toggle, B's filters and the delta
+ * mode go through onChange.
+ */
+function ComparisonPanel({
+  comparison,
+  onChange,
+  sideA,
+  supplierLabel,
+  categoryLabel,
+  supplierOptions,
+  categoryOptions,
+  months,
+  totals,
+  currency,
+  chartMode,
+  isPending,
+  onBrush,
+}) {
+  const { t, format } = useLocale()
+  const formatAmount = (value) => format.measure(value, currency)
+  const update = (changes) => onChange({ ...comparison, ...changes })
+  const isRatio = comparison.delta === 'ratio'
+  const sideSeries = [
+    { key: 'a', label: 'A' },
+    { key: 'b', label: 'B' },
+  ].map((side) => ({ ...side, color: seriesColor(SERIES_KEYS, side.key) }))
+  // Months where A is 0 have no ratio, so the line skips them.
+  const deltaLine = {
+    key: comparison.delta,
+    label: isRatio ? 'B ÷ A' : 'B − A',
+    color: seriesColor(SERIES_KEYS, comparison.delta),
+    dash: '6 4',
+    formatValue: isRatio ? format.share : formatAmount,
+    ownAxis: isRatio,
+  }
+
+  const renderSummary = () => {
+    const rows = [
+      { key: 'a', label: 'A', ...totals.a },
+      { key: 'b', label: 'B', ...totals.b },
+    ]
+    const deltaCell = (field) =>
+      isRatio
+        ? format.share(ratioOf(totals.b[field], totals.a[field]))
+        : formatAmount(totals.b[field] - totals.a[field])
+    return (
+      <table className="insight-table comparison-table">
+        <thead>
+          <tr>
+            <th scope="col">{t('comparison.side')}</th>
+            <th scope="col">{t('insights.total')}</th>
+            <th scope="col">{t('comparison.monthlyAverage')}</th>
+            <th scope="col">{format.month(totals.latest)}</th>
+            <th scope="col">
+              {totals.previousMonth
+                ? t('insights.versus', {
+                    month: format.month(totals.previousMonth),
+                  })
+                : t('insights.versusPreviousMonth')}
+            </th>
+            <th scope="col">
+              {totals.previousYear
+                ? t('insights.versus', {
+                    month: format.month(totals.previousYear),
+                  })
+                : t('insights.versusYearEarlier')}
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.key}>
+              <th scope="row">
+                <span
+                  className="legend-swatch"
+                  style={{ background: seriesColor(SERIES_KEYS, row.key) }}
+                />
+                {row.label}
+              </th>
+              <td>{formatAmount(row.total)}</td>
+              <td>{formatAmount(row.average)}</td>
+              <td>{formatAmount(row.current)}</td>
+              <td className={changeClass(row.mom)}>{format.change(row.mom)}</td>
+              <td className={changeClass(row.yoy)}>{format.change(row.yoy)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th scope="row">{deltaLine.label}</th>
+            <td>{deltaCell('total')}</td>
+            <td>{deltaCell('average')}</td>
+            <td>{deltaCell('current')}</td>
+            <td />
+            <td />
+          </tr>
+        </tfoot>
+      </table>
+    )
+  }
+
+  const renderResults = () => {
+    if (isPending) {
+      return <p className="state">{t('dashboard.loadingFilterRows')}</p>
+    }
+    if (!months.length) {
+      return <p className="state">{t('comparison.noData')}</p>
+    }
+    return (
+      <>
+        <div className="chart-scroll">
+          <MonthlyBarChart
+            data={months}
+            series={sideSeries}
+            mode={chartMode === 'line' ? 'line' : 'grouped'}
+            formatValue={formatAmount}
+            showTotal={false}
+            line={deltaLine}
+            onBrush={onBrush}
+          />
+        </div>
+        {renderSummary()}
+      </>
+    )
+  }
+
+  return (
+    <section className="card comparison-card">
+      <div className="section-header">
+        <div>
+          <h2>{t('comparison.title')}</h2>
+          <p>{t('comparison.intro')}</p>
+        </div>
+        <label className="comparison-toggle">
+          <input
+            type="checkbox"
+            checked={comparison.enabled}
+            onChange={(event) => update({ enabled: event.target.checked })}
+          />
+          {t('comparison.toggle')}
+        </label>
+      </div>
+
+      {comparison.enabled && (
+        <>
+          <div className="filter-row comparison-filters">
+            {supplierLabel && (
+              <MultiSelect
+                label={t('comparison.sideB', { label: supplierLabel })}
+                options={supplierOptions}
+                selected={comparison.suppliers}
+                onChange={(suppliers) => update({ suppliers })}
+              />
+            )}
+            {categoryLabel && (
+              <MultiSelect
+                label={t('comparison.sideB', { label: categoryLabel })}
+                options={categoryOptions}
+                selected={comparison.categories}
+                onChange={(categories) => update({ categories })}
+              />
+            )}
+            <div className="filter-group">
+              <label htmlFor="comparison-delta">{t('comparison.by')}</label>
+              <select
+                id="comparison-delta"
+                value={comparison.delta}
+                onChange={(event) => update({ delta: event.target.value })}
+              >
+                {DELTA_MODES.map((mode) => (
+                  <option key={mode.id} value={mode.id}>
+                    {t(mode.labelKey)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <dl className="comparison-sides">
+            <dt>A</dt>
+            <dd>{describeSelection(sideA, t)}</dd>
+            <dt>B</dt>
+            <dd>{describeSelection(comparison, t)}</dd>
+          </dl>
+          {renderResults()}
+        </>
+      )}
+    </section>
+  )
+}
+
+export default ComparisonPanel
@@ -0,0 +1,129 @@
+import { useLocale } from '../i18n/useLocale'
+
+const describeColumns = (format, columns) =>
+  Object.entries(columns)
+    .map(([column, count]) => `${column} (${format.number(count)})`)
+    .join(', ')
+
+// Shows an example row by its line in the file (the header is line 1).
+const describeExample = (t, format, row, index, columns) =>
+  t('quality.exampleLine', {
+    line: format.number(index + 2),
+    values: columns
+      .map((column) => `${column} "${row[column] ?? ''}"`)
+      .join(', '),
+  })
+
+/**
+ * Data-quality report from auditRows. `report` is null until the raw rows
+ * are loaded (see onLoadRows). Ticking an issue adds its id to
+ * `excludedIssues`, which the dashboard drops from every aggregate.
+ */
+function DataQualityPanel({
+  report,
+  rows,
+  exampleColumns,
+  supplierLabel,
+  excludedIssues,
+  onExcludedChange,
+  excludedRowCount,
+  isLoadingRows,
+  onLoadRows,
+}) {
+  const { t, format } = useLocale()
+  const toggle = (id) =>
+    onExcludedChange(
+      excludedIssues.includes(id)
+        ? excludedIssues.filter((item) => item !== id)
+        : [...excludedIssues, id]
+    )
+
+  return (
+    <section className="card quality-card">
+      <div className="section-header">
+        <div>
+          <h2>{t('quality.title')}</h2>
+          <p>{t('quality.intro')}</p>
+        </div>
+      </div>
+
+      {!report &&
+        (isLoadingRows ? (
+          <p className="state">{t('table.loadingRows')}</p>
+        ) : (
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={onLoadRows}
+          >
+            {t('quality.checkRows')}
+          </button>
+        ))}
+
+      {report && (
+        <>
+          <p className="quality-summary">
+            {t('quality.summary', {
+              flagged: format.number(report.flaggedRows),
+              count: rows.length,
+            })}
+            {excludedRowCount > 0 &&
+              ` ${t('quality.excluded', { count: excludedRowCount })}`}
+          </p>
+          <ul className="quality-list">
+            {report.issues.map((issue) => (
+              <li
+                key={issue.id}
+                className={issue.count ? 'quality-issue' : 'quality-issue ok'}
+              >
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={excludedIssues.includes(issue.id)}
+                    disabled={!issue.count}
+                    onChange={() => toggle(issue.id)}
+                  />
+                  <span className="quality-label">
+                    {issue.id === 'missing-supplier' && supplierLabel
+                      ? t('quality.missingColumn', { column: supplierLabel })
+                      : t(issue.labelKey)}
+                  </span>
+                  <span className="quality-count">
+                    {t('table.rowCount', { count: issue.count })}
+                  </span>
+                </label>
+                <p className="quality-effect">
+                  {t(issue.effectKey)}
+                  {Object.keys(issue.columns).length > 0 &&
+                    ` ${t('quality.columns', {
+                      columns: describeColumns(format, issue.columns),
+                    })}`}
+                </p>
+                {issue.examples.length > 0 && (
+                  <details>
+                    <summary>{t('quality.examples')}</summary>
+                    <ul className="quality-examples">
+                      {issue.examples.map((index) => (
+                        <li key={index}>
+                          {describeExample(
+                            t,
+                            format,
+                            rows[index],
+                            index,
+                            exampleColumns
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default DataQualityPanel
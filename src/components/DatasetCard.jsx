@@ -0,0 +1,301 @@
+import { useState } from 'react'
+import { loadCSV } from '../csv/loadCSV'
+import {
+  CURRENCY_CODES,
+  guessColumnMapping,
+  loadSavedMapping,
+  saveMapping,
+  validateColumnMapping,
+} from '../data/columnMapping'
+import { LocalizedError } from '../i18n'
+import { useLocale } from '../i18n/useLocale'
+
+const ColumnSelect = ({ id, label, value, headers, onChange, optional }) => {
+  const { t } = useLocale()
+  return (
+    <div className="filter-group">
+      <label htmlFor={id}>{label}</label>
+      <select
+        id={id}
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+      >
+        {optional && <option value="">{t('common.none')}</option>}
+        {headers.map((header) => (
+          <option key={header} value={header}>
+            {header}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+const ColumnMapper = ({ headers, mapping, onChange }) => {
+  const { t } = useLocale()
+  const update = (changes) => onChange({ ...mapping, ...changes })
+  const usesDateColumn = Boolean(mapping.date)
+
+  const toggleMeasure = (column) => {
+    if (mapping.measures.includes(column)) {
+      update({
+        measures: mapping.measures.filter((item) => item !== column),
+        totalMeasures: mapping.totalMeasures.filter((item) => item !== column),
+      })
+    } else {
+      update({
+        measures: [...mapping.measures, column],
+        totalMeasures: [...mapping.totalMeasures, column],
+      })
+    }
+  }
+
+  const toggleTotal = (column) => {
+    update({
+      totalMeasures: mapping.totalMeasures.includes(column)
+        ? mapping.totalMeasures.filter((item) => item !== column)
+        : [...mapping.totalMeasures, column],
+    })
+  }
+
+  return (
+    <div className="column-mapper">
+      <div className="mapping-grid">
+        <ColumnSelect
+          id="map-supplier"
+          label={t('mapping.firstFilter')}
+          value={mapping.supplier}
+          headers={headers}
+          onChange={(supplier) => update({ supplier })}
+          optional
+        />
+        <ColumnSelect
+          id="map-category"
+          label={t('mapping.secondFilter')}
+          value={mapping.category}
+          headers={headers}
+          onChange={(category) => update({ category })}
+          optional
+        />
+        <div className="filter-group">
+          <label htmlFor="map-date-mode">{t('mapping.datesFrom')}</label>
+          <select
+            id="map-date-mode"
+            value={usesDateColumn ? 'date' : 'year-month'}
+            onChange={(event) =>
+              update(
+                event.target.value === 'date'
+                  ? { date: headers[0], year: '', month: '' }
+                  : { date: '', year: headers[0], month: headers[0] }
+              )
+            }
+          >
+            <option value="year-month">{t('mapping.yearMonth')}</option>
+            <option value="date">{t('mapping.dateColumn')}</option>
+          </select>
+        </div>
+        {usesDateColumn ? (
+          <ColumnSelect
+            id="map-date"
+            label={t('mapping.date')}
+            value={mapping.date}
+            headers={headers}
+            onChange={(date) => update({ date })}
+          />
+        ) : (
+          <>
+            <ColumnSelect
+              id="map-year"
+              label={t('pivot.columns.year')}
+              value={mapping.year}
+              headers={headers}
+              onChange={(year) => update({ year })}
+            />
+            <ColumnSelect
+              id="map-month"
+              label={t('pivot.columns.month')}
+              value={mapping.month}
+              headers={headers}
+              onChange={(month) => update({ month })}
+            />
+          </>
+        )}
+        <div className="filter-group">
+          <label htmlFor="map-currency">{t('mapping.currency')}</label>
+          <select
+            id="map-currency"
+            value={mapping.currency ?? ''}
+            onChange={(event) => update({ currency: event.target.value })}
+          >
+            <option value="">{t('mapping.noCurrency')}</option>
+            {CURRENCY_CODES.map((code) => (
+              <option key={code} value={code}>
+                {code}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <fieldset className="measure-list">
+        <legend>{t('mapping.measures')}</legend>
+        {headers.map((header) => {
+          const isMeasure = mapping.measures.includes(header)
+          return (
+            <div key={header} className="measure-option">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={isMeasure}
+                  onChange={() => toggleMeasure(header)}
+                />
+                {header}
+              </label>
+              {isMeasure && (
+                <label className="measure-total">
+                  <input
+                    type="checkbox"
+                    checked={mapping.totalMeasures.includes(header)}
+                    onChange={() => toggleTotal(header)}
+                  />
+                  {t('mapping.includeInTotal')}
+                </label>
+              )}
+            </div>
+          )
+        })}
+      </fieldset>
+    </div>
+  )
+}
+
+function DatasetCard({ dataset, onDatasetLoaded, onReset }) {
+  const { t } = useLocale()
+  const [pending, setPending] = useState(null)
+  const [mapping, setMapping] = useState(null)
+  const [uploadError, setUploadError] = useState('')
+  const [isParsing, setIsParsing] = useState(false)
+  const [isDragging, setIsDragging] = useState(false)
+
+  const handleFile = async (file) => {
+    if (!file) return
+    setIsParsing(true)
+    setUploadError('')
+    setPending(null)
+    try {
+      const { headers, rows } = await loadCSV({ file })
+      if (!headers.length || !rows.length) {
+        throw new LocalizedError('dataset.noRows')
+      }
+      setPending({ name: file.name, headers, rows })
+      setMapping(loadSavedMapping(headers) ?? guessColumnMapping(headers, rows))
+    } catch (err) {
+      if (err instanceof LocalizedError) {
+        setUploadError(t(err.key, err.params))
+      } else {
+        // The parser's own messages are only in English.
+        setUploadError(err.message || t('dataset.readFailed'))
+      }
+    } finally {
+      setIsParsing(false)
+    }
+  }
+
+  const handleDrop = (event) => {
+    event.preventDefault()
+    setIsDragging(false)
+    handleFile(event.dataTransfer.files[0])
+  }
+
+  const handleApply = () => {
+    const problem = validateColumnMapping(mapping, pending.headers, t)
+    if (problem) {
+      setUploadError(problem)
+      return
+    }
+    saveMapping(pending.headers, mapping)
+    onDatasetLoaded({ ...pending, mapping })
+    setPending(null)
+    setUploadError('')
+  }
+
+  return (
+    <section className="card dataset-card">
+      <div className="section-header">
+        <div>
+          <h2>{t('dataset.title')}</h2>
+          <p>
+            {t('dataset.showing')}{' '}
+            <strong>
+              {dataset.source === 'default'
+                ? t('dataset.defaultName')
+                : dataset.name}
+            </strong>
+            . {t('dataset.intro')}
+          </p>
+        </div>
+        {dataset.source !== 'default' && (
+          <button type="button" className="secondary-button" onClick={onReset}>
+            {t('dataset.useDefault')}
+          </button>
+        )}
+      </div>
+
+      <label
+        className={`drop-zone${isDragging ? ' active' : ''}`}
+        onDragOver={(event) => {
+          event.preventDefault()
+          setIsDragging(true)
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <input
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv"
+          onChange={(event) => {
+            handleFile(event.target.files[0])
+            event.target.value = ''
+          }}
+        />
+        {isParsing ? t('dataset.reading') : t('dataset.drop')}
+      </label>
+
+      {pending && mapping && (
+        <>
+          <p className="mapping-intro">
+            {t('dataset.mapColumns', {
+              name: pending.name,
+              rows: t('table.rowCount', { count: pending.rows.length }),
+            })}
+          </p>
+          <ColumnMapper
+            headers={pending.headers}
+            mapping={mapping}
+            onChange={setMapping}
+          />
+          <div className="vote-actions">
+            <button
+              type="button"
+              className="vote-confirm"
+              onClick={handleApply}
+            >
+              {t('dataset.load')}
+            </button>
+            <button
+              type="button"
+              className="vote-confirm"
+              onClick={() => setPending(null)}
+            >
+              {t('common.cancel')}
+            </button>
+          </div>
+        </>
+      )}
+
+      {uploadError && <p className="auth-message error">{uploadError}</p>}
+    </section>
+  )
+}
+
+export default DatasetCard
@@ -0,0 +1,49 @@
+import { useState } from 'react'
+import { LocalizedError } from '../i18n'
+import { useLocale } from '../i18n/useLocale'
+
+/**
+ * A row of export buttons. Each action is `{ id, label, run }`; `run` may
+ * return a promise, and a failure is shown under the buttons.
+ */
+function ExportMenu({ label, actions, disabled }) {
+  const { t } = useLocale()
+  const [busyId, setBusyId] = useState(null)
+  const [exportError, setExportError] = useState('')
+
+  const handleClick = async (action) => {
+    setBusyId(action.id)
+    setExportError('')
+    try {
+      await action.run()
+    } catch (err) {
+      setExportError(
+        err instanceof LocalizedError
+          ? t(err.key, err.params)
+          : t('export.failed')
+      )
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  return (
+    <div className="export-menu" role="group" aria-label={label}>
+      <span className="export-label">{label}</span>
+      {actions.map((action) => (
+        <button
+          key={action.id}
+          type="button"
+          className="secondary-button"
+          disabled={disabled || busyId !== null}
+          onClick={() => handleClick(action)}
+        >
+          {busyId === action.id ? t('export.exporting') : action.label}
+        </button>
+      ))}
+      {exportError && <p className="auth-message error">{exportError}</p>}
+    </div>
+  )
+}
+
+export default ExportMenu
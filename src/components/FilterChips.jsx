@@ -0,0 +1,36 @@
+import { useLocale } from '../i18n/useLocale'
+
+/**
+ * The active filters as removable chips. Each chip is
+ * `{ id, label, onRemove }`; nothing renders when the list is empty.
+ */
+function FilterChips({ chips, onClearAll }) {
+  const { t } = useLocale()
+  if (!chips.length) return null
+
+  return (
+    <ul className="filter-chips" aria-label={t('filters.active')}>
+      {chips.map((chip) => (
+        <li key={chip.id} className="chip">
+          <span>{chip.label}</span>
+          <button
+            type="button"
+            aria-label={t('filters.remove', { label: chip.label })}
+            onClick={chip.onRemove}
+          >
+            ×
+          </button>
+        </li>
+      ))}
+      {chips.length > 1 && (
+        <li>
+          <button type="button" className="link-button" onClick={onClearAll}>
+            {t('filters.clearAll')}
+          </button>
+        </li>
+      )}
+    </ul>
+  )
+}
+
+export default FilterChips
@@ -0,0 +1,209 @@
+import { useState } from 'react'
+import {
+  TOP_N_OPTIONS,
+  latestPeriodChanges,
+  shareOfTotal,
+  topEntries,
+} from '../data/insights'
+import { changeClass } from '../format'
+import { useLocale } from '../i18n/useLocale'
+
+const RankedList = ({ title, entries, measure, currency }) => {
+  const { t, format } = useLocale()
+  return (
+    <div className="insight-block">
+      <h3>{title}</h3>
+      {entries.length === 0 ? (
+        <p className="insight-empty">{t('insights.noSales')}</p>
+      ) : (
+        <ol className="ranked-list">
+          {entries.map((entry) => (
+            <li key={entry.key ?? entry.label}>
+              <span className="ranked-label">
+                {entry.label || t('insights.blank')}
+              </span>
+              <span className="ranked-value">
+                {format.measure(entry.values[measure], currency)}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Ranked and comparative numbers for the current filters. `supplierGroups`
+ * and `categoryGroups` come from groupSalesSummary; `itemGroups` from
+ * groupRows, or null until the raw rows are loaded (see onLoadRows).
+ * `measures` are the measures to rank by and total, and `currency` their
+ * currency code ('' for plain numbers).
+ */
+function InsightsPanel({
+  supplierGroups,
+  categoryGroups,
+  itemGroups,
+  monthlyTotals,
+  measures,
+  currency,
+  supplierLabel,
+  categoryLabel,
+  hasItems,
+  isLoadingRows,
+  onLoadRows,
+}) {
+  const { t, format } = useLocale()
+  const [topN, setTopN] = useState(5)
+  const period = latestPeriodChanges(monthlyTotals, measures)
+  const shares = shareOfTotal(categoryGroups, measures)
+
+  const renderItems = () => {
+    if (!hasItems) return null
+    if (!itemGroups) {
+      return (
+        <div className="insight-block">
+          <h3>{t('insights.topItems')}</h3>
+          {isLoadingRows ? (
+            <p className="insight-empty">{t('table.loadingRows')}</p>
+          ) : (
+            <>
+              <p className="insight-empty">{t('insights.itemsFromRows')}</p>
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={onLoadRows}
+              >
+                {t('insights.loadRows')}
+              </button>
+            </>
+          )}
+        </div>
+      )
+    }
+    return measures.map((measure) => (
+      <RankedList
+        key={measure}
+        title={t('insights.topItemsBy', { measure })}
+        entries={topEntries(itemGroups, measure, topN)}
+        measure={measure}
+        currency={currency}
+      />
+    ))
+  }
+
+  return (
+    <section className="card insights-card">
+      <div className="section-header">
+        <div>
+          <h2>{t('insights.title')}</h2>
+          <p>{t('insights.intro')}</p>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="insights-top-n">{t('insights.showTop')}</label>
+          <select
+            id="insights-top-n"
+            value={topN}
+            onChange={(event) => setTopN(Number(event.target.value))}
+          >
+            {TOP_N_OPTIONS.map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="insights-grid">
+        {period && (
+          <div className="insight-block">
+            <h3>
+              {t('insights.latestMonth', {
+                month: format.month(period.latest),
+              })}
+            </h3>
+            <table className="insight-table">
+              <thead>
+                <tr>
+                  <th scope="col">{t('insights.measure')}</th>
+                  <th scope="col">{t('insights.value')}</th>
+                  <th scope="col">
+                    {period.previousMonth
+                      ? t('insights.versus', {
+                          month: format.month(period.previousMonth),
+                        })
+                      : t('insights.versusPreviousMonth')}
+                  </th>
+                  <th scope="col">
+                    {period.previousYear
+                      ? t('insights.versus', {
+                          month: format.month(period.previousYear),
+                        })
+                      : t('insights.versusYearEarlier')}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {period.changes.map((line) => (
+                  <tr key={line.key}>
+                    <th scope="row">
+                      {line.key === 'total' ? t('insights.total') : line.key}
+                    </th>
+                    <td>{format.measure(line.current, currency)}</td>
+                    <td className={changeClass(line.mom)}>
+                      {format.change(line.mom)}
+                    </td>
+                    <td className={changeClass(line.yoy)}>
+                      {format.change(line.yoy)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {supplierLabel &&
+          measures.map((measure) => (
+            <RankedList
+              key={measure}
+              title={t('insights.topBy', { label: supplierLabel, measure })}
+              entries={topEntries(supplierGroups, measure, topN)}
+              measure={measure}
+              currency={currency}
+            />
+          ))}
+
+        {renderItems()}
+
+        {categoryLabel && (
+          <div className="insight-block">
+            <h3>{t('insights.shareOfTotal', { label: categoryLabel })}</h3>
+            {shares.length === 0 ? (
+              <p className="insight-empty">{t('insights.noSales')}</p>
+            ) : (
+              <ul className="share-list">
+                {shares.map((entry) => (
+                  <li key={entry.label}>
+                    <span className="ranked-label">
+                      {entry.label || t('insights.blank')}
+                    </span>
+                    <span className="ranked-value">
+                      {format.share(entry.share)}
+                    </span>
+                    <span className="share-bar" aria-hidden="true">
+                      <span style={{ width: `${entry.share * 100}%` }} />
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default InsightsPanel
@@ -0,0 +1,26 @@
+import { LOCALES } from '../i18n'
+import { useLocale } from '../i18n/useLocale'
+
+// Picks the language of the page; each option is named in its own language.
+function LanguageSwitcher() {
+  const { locale, setLocale, t } = useLocale()
+
+  return (
+    <div className="filter-group language-switcher">
+      <label htmlFor="language-select">{t('language.label')}</label>
+      <select
+        id="language-select"
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+      >
+        {LOCALES.map(({ id, label, tag }) => (
+          <option key={id} value={id} lang={tag}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+export default LanguageSwitcher
@@ -0,0 +1,696 @@
+import { useState } from 'react'
+import { OVERLAY_STYLES } from '../chartSeries'
+import { useLocale } from '../i18n/useLocale'
+
+const overlayValues = (overlay) => {
+  if (!overlay) return []
+  return [
+    ...(overlay.movingAverage ?? []),
+    ...(overlay.trend ?? []),
+    ...overlay.forecast.flatMap(({ lower, upper }) => [lower, upper]),
+  ].filter((value) => value !== null)
+}
+
+const valueDomain = (data, series, mode, overlay, lineValues) => {
+  let min = Math.min(0, ...overlayValues(overlay), ...lineValues)
+  let max = Math.max(0, ...overlayValues(overlay), ...lineValues)
+  data.forEach((item) => {
+    if (mode === 'stacked') {
+      let positive = 0
+      let negative = 0
+      series.forEach(({ key }) => {
+        const value = item.values[key] ?? 0
+        if (value >= 0) positive += value
+        else negative += value
+      })
+      max = Math.max(max, positive)
+      min = Math.min(min, negative)
+    } else {
+      series.forEach(({ key }) => {
+        const value = item.values[key] ?? 0
+        max = Math.max(max, value)
+        min = Math.min(min, value)
+      })
+    }
+  })
+  if (max === min) max = min + 1
+  return { min, max }
+}
+
+const stackSegments = (item, series) => {
+  let positive = 0
+  let negative = 0
+  return series.map(({ key, color }) => {
+    const value = item.values[key] ?? 0
+    const from = value >= 0 ? positive : negative
+    const to = from + value
+    if (value >= 0) positive = to
+    else negative = to
+    return { key, color, from, to }
+  })
+}
+
+const seriesTotal = (item, series) =>
+  series.reduce((sum, { key }) => sum + (item.values[key] ?? 0), 0)
+
+const overlayLines = (t, overlay, index) => {
+  if (!overlay) return []
+  return [
+    overlay.movingAverage?.[index] != null && {
+      key: 'moving-average',
+      label: t('chart.movingAverageShort'),
+      color: OVERLAY_STYLES.movingAverage.color,
+      value: overlay.movingAverage[index],
+    },
+    overlay.trend && {
+      key: 'trend',
+      label: t('chart.trend'),
+      color: OVERLAY_STYLES.trend.color,
+      value: overlay.trend[index],
+    },
+  ].filter(Boolean)
+}
+
+const forecastLines = (t, point) => [
+  { key: 'forecast', label: t('chart.forecast'), value: point.value },
+  { key: 'lower', label: t('chart.bandLow'), value: point.lower },
+  { key: 'upper', label: t('chart.bandHigh'), value: point.upper },
+]
+
+const describeForecast = (t, format, point, formatValue) =>
+  `${format.month(point.label)}: ${forecastLines(t, point)
+    .map(({ label, value }) => `${label} ${formatValue(value)}`)
+    .join(', ')}`
+
+const lineDomain = (values) => {
+  const min = Math.min(0, ...values)
+  const max = Math.max(0, ...values)
+  return { min, max: max === min ? min + 1 : max }
+}
+
+const describeMonth = (t, format, item, series, formatValue, showTotal, line) =>
+  `${format.month(item.label)}: ${[
+    ...(showTotal
+      ? [
+          t('chart.describeTotal', {
+            value: formatValue(seriesTotal(item, series)),
+          }),
+        ]
+      : []),
+    ...series.map(
+      ({ key, label }) => `${label} ${formatValue(item.values[key] ?? 0)}`
+    ),
+    ...(line && item.values[line.key] != null
+      ? [`${line.label} ${line.formatValue(item.values[line.key])}`]
+      : []),
+  ].join(', ')}`
+
+/**
+ * Monthly chart of one or more measures. `data` items are
+ * `{ label, values: { [seriesKey]: number } }` and `series` lists
+ * `{ key, label, color }` in drawing order. `mode` is one of CHART_MODES.
+ *
+ * Hovering or focusing a month shows a tooltip. Dragging across months, or
+ * Shift+arrow keys then Enter, calls onBrush(fromLabel, toLabel). `ref`
+ * points at the <svg> element, for exporting.
+ *
+ * `overlay` (see buildOverlay) adds moving-average and trend lines, forecast
+ * months after the data with their prediction band, and a line describing
+ * the method.
+ *
+ * `formatValue` formats the axis and tooltip values (rounded counts in the
+ * selected locale by default), and `showTotal: false` drops the tooltip's
+ * total line for series that should not be added up. Month labels are shown
+ * in the selected locale; onBrush still gets them as YYYY-MM.
+ *
+ * `line`, `{ key, label, color, dash, formatValue, ownAxis }`, draws one more
+ * value from `data` as a line over the bars, formatted with its own
+ * `formatValue`. With `ownAxis` it gets a scale and axis of its own on the
+ * right, for values in other units than the bars (such as a ratio). Months
+ * where it is null are left out of the line.
+ */
+const MonthlyBarChart = ({
+  data,
+  series,
+  mode = 'stacked',
+  onBrush,
+  overlay = null,
+  formatValue: formatValueProp,
+  showTotal = true,
+  line = null,
+  ref,
+}) => {
+  const { t, format } = useLocale()
+  const formatValue = formatValueProp ?? format.count
+  const [activeIndex, setActiveIndex] = useState(null)
+  const [brush, setBrush] = useState(null)
+
+  const forecast = overlay?.forecast ?? []
+  const slots = [...data, ...forecast]
+  const chartHeight = 240
+  const lineValues = line
+    ? data.map((item) => item.values[line.key] ?? null)
+    : []
+  const definedLineValues = lineValues.filter((value) => value !== null)
+  const chartPadding = {
+    top: overlay ? 64 : 44,
+    right: line?.ownAxis ? 72 : 24,
+    bottom: 50,
+    left: 64,
+  }
+  const barSizing =
+    slots.length <= 6
+      ? { width: 60, gap: 30 }
+      : slots.length <= 12
+        ? { width: 44, gap: 20 }
+        : { width: 30, gap: 14 }
+  const barWidth = barSizing.width
+  const barGap = barSizing.gap
+  const width = Math.max(960, slots.length * (barWidth + barGap) + 200)
+  const height = chartHeight + chartPadding.top + chartPadding.bottom
+
+  const { min, max } = valueDomain(
+    data,
+    series,
+    mode,
+    overlay,
+    line?.ownAxis ? [] : definedLineValues
+  )
+  const yScale = (value) =>
+    chartPadding.top + ((max - value) / (max - min)) * chartHeight
+  const baseline = yScale(0)
+  const lineAxis = line?.ownAxis ? lineDomain(definedLineValues) : null
+  const lineScale = lineAxis
+    ? (value) =>
+        chartPadding.top +
+        ((lineAxis.max - value) / (lineAxis.max - lineAxis.min)) * chartHeight
+    : yScale
+
+  const gridLines = 4
+  const estimatedLabelWidth = 52
+  const xLabelInterval = Math.max(
+    1,
+    Math.ceil(estimatedLabelWidth / (barWidth + barGap))
+  )
+  const xOffset = -6
+  const slotX = (index) =>
+    chartPadding.left + index * (barWidth + barGap) + xOffset
+  const groupWidth = barWidth / Math.max(1, series.length)
+
+  const slotCount = slots.length
+  const clampIndex = (index) => Math.min(slotCount - 1, Math.max(0, index))
+  // Only recorded months can be brushed; forecast months are read-only.
+  const clampToData = (index) => Math.min(data.length - 1, index)
+
+  const indexFromEvent = (event) => {
+    const bounds = event.currentTarget.getBoundingClientRect()
+    const x = event.clientX - bounds.left - chartPadding.left - xOffset
+    return clampIndex(Math.floor((x + barGap / 2) / (barWidth + barGap)))
+  }
+
+  const commitBrush = (range) => {
+    setBrush(null)
+    if (!range || range.from === range.to || !onBrush) return
+    const from = clampToData(Math.min(range.from, range.to))
+    const to = clampToData(Math.max(range.from, range.to))
+    if (from === to) return
+    onBrush(data[from].label, data[to].label)
+  }
+
+  const handlePointerDown = (event) => {
+    if (event.button !== 0) return
+    const index = indexFromEvent(event)
+    event.currentTarget.setPointerCapture(event.pointerId)
+    setBrush({ from: index, to: index })
+    setActiveIndex(index)
+  }
+
+  const handlePointerMove = (event) => {
+    const index = indexFromEvent(event)
+    setActiveIndex(index)
+    if (brush) setBrush({ ...brush, to: index })
+  }
+
+  const handlePointerUp = () => commitBrush(brush)
+
+  const handleKeyDown = (event) => {
+    const moves = {
+      ArrowLeft: -1,
+      ArrowRight: 1,
+      Home: -slotCount,
+      End: slotCount,
+    }
+    if (event.key in moves) {
+      event.preventDefault()
+      const current = activeIndex ?? 0
+      const next = clampIndex(current + moves[event.key])
+      setActiveIndex(next)
+      if (event.shiftKey) {
+        setBrush({ from: brush?.from ?? current, to: next })
+      } else {
+        setBrush(null)
+      }
+    } else if (event.key === 'Enter' && brush) {
+      event.preventDefault()
+      commitBrush(brush)
+    } else if (event.key === 'Escape') {
+      setBrush(null)
+      setActiveIndex(null)
+    }
+  }
+
+  const renderTooltip = () => {
+    if (activeIndex === null || !slots[activeIndex]) return null
+    const item = slots[activeIndex]
+    const lines =
+      activeIndex < data.length
+        ? [
+            ...(showTotal
+              ? [
+                  {
+                    key: 'total',
+                    label: t('insights.total'),
+                    value: seriesTotal(item, series),
+                  },
+                ]
+              : []),
+            ...series.map(({ key, label, color }) => ({
+              key,
+              label,
+              color,
+              value: item.values[key] ?? 0,
+            })),
+            ...(line && lineValues[activeIndex] !== null
+              ? [
+                  {
+                    key: line.key,
+                    label: line.label,
+                    color: line.color,
+                    value: lineValues[activeIndex],
+                    formatValue: line.formatValue,
+                  },
+                ]
+              : []),
+            ...overlayLines(t, overlay, activeIndex),
+          ]
+        : forecastLines(t, item)
+    const boxWidth = 220
+    const boxHeight = 30 + lines.length * 18
+    const anchor = slotX(activeIndex) + barWidth + 8
+    const x =
+      anchor + boxWidth > width - chartPadding.right
+        ? slotX(activeIndex) - boxWidth - 8
+        : anchor
+
+    return (
+      <g
+        className="chart-tooltip"
+        transform={`translate(${x}, ${chartPadding.top})`}
+      >
+        <rect width={boxWidth} height={boxHeight} rx="10" />
+        <text x="12" y="20" className="tooltip-title">
+          {format.month(item.label)}
+        </text>
+        {lines.map((line, index) => (
+          <g key={line.key} transform={`translate(12, ${38 + index * 18})`}>
+            {line.color && (
+              <rect y="-9" width="10" height="10" rx="2" fill={line.color} />
+            )}
+            <text x={line.color ? 16 : 0} className="tooltip-label">
+              {line.label}
+            </text>
+            <text x={boxWidth - 24} textAnchor="end" className="tooltip-value">
+              {(line.formatValue ?? formatValue)(line.value)}
+            </text>
+          </g>
+        ))}
+      </g>
+    )
+  }
+
+  const renderBrush = () => {
+    if (!brush) return null
+    const from = clampToData(Math.min(brush.from, brush.to))
+    const to = clampToData(Math.max(brush.from, brush.to))
+    const x = slotX(from) - barGap / 2
+    return (
+      <rect
+        className="chart-brush"
+        x={x}
+        y={chartPadding.top}
+        width={slotX(to) + barWidth + barGap / 2 - x}
+        height={chartHeight}
+      />
+    )
+  }
+
+  const renderBars = (item, index) => {
+    const x = slotX(index)
+    if (mode === 'grouped') {
+      return series.map(({ key, color }, seriesIndex) => {
+        const y = yScale(item.values[key] ?? 0)
+        return (
+          <rect
+            key={key}
+            x={x + seriesIndex * groupWidth}
+            y={Math.min(y, baseline)}
+            width={Math.max(1, groupWidth - 2)}
+            height={Math.abs(baseline - y)}
+            rx="3"
+            fill={color}
+            className="bar"
+          />
+        )
+      })
+    }
+    return stackSegments(item, series).map(({ key, color, from, to }) => {
+      const y1 = yScale(from)
+      const y2 = yScale(to)
+      return (
+        <rect
+          key={key}
+          x={x}
+          y={Math.min(y1, y2)}
+          width={barWidth}
+          height={Math.abs(y1 - y2)}
+          rx={series.length === 1 ? 6 : 2}
+          fill={color}
+          className="bar"
+        />
+      )
+    })
+  }
+
+  const renderLines = () =>
+    series.map(({ key, color }) => {
+      const points = data.map((item, index) => [
+        slotX(index) + barWidth / 2,
+        yScale(item.values[key] ?? 0),
+      ])
+      return (
+        <g key={key}>
+          <polyline
+            points={points.map((point) => point.join(',')).join(' ')}
+            fill="none"
+            stroke={color}
+            strokeWidth="2"
+            strokeLinejoin="round"
+          />
+          {points.map(([cx, cy], index) => (
+            <circle
+              key={data[index].label}
+              cx={cx}
+              cy={cy}
+              r="3"
+              fill={color}
+            />
+          ))}
+        </g>
+      )
+    })
+
+  const linePoints = (values, offset = 0, scale = yScale) =>
+    values
+      .map((value, index) =>
+        value === null
+          ? null
+          : `${slotX(index + offset) + barWidth / 2},${scale(value)}`
+      )
+      .filter(Boolean)
+      .join(' ')
+
+  const renderLine = () => {
+    if (!line) return null
+    return (
+      <g className="chart-line" pointerEvents="none">
+        <polyline
+          points={linePoints(lineValues, 0, lineScale)}
+          fill="none"
+          stroke={line.color}
+          strokeWidth="2"
+          strokeDasharray={line.dash}
+        />
+        {lineValues.map((value, index) =>
+          value === null ? null : (
+            <circle
+              key={data[index].label}
+              cx={slotX(index) + barWidth / 2}
+              cy={lineScale(value)}
+              r="3"
+              fill={line.color}
+            />
+          )
+        )}
+      </g>
+    )
+  }
+
+  const renderOverlay = () => {
+    if (!overlay) return null
+    const { movingAverage, trend } = OVERLAY_STYLES
+    const forecastStart = data.length
+    // The forecast line and band start from the last fitted month.
+    const anchor =
+      overlay.trend && forecast.length
+        ? [{ value: overlay.trend.at(-1), lower: null, upper: null }]
+        : []
+    const forecastPath = [...anchor, ...forecast]
+    const band = forecast.length
+      ? [
+          ...forecast.map(
+            (point, index) =>
+              `${slotX(forecastStart + index) + barWidth / 2},${yScale(point.upper)}`
+          ),
+          ...forecast
+            .map(
+              (point, index) =>
+                `${slotX(forecastStart + index) + barWidth / 2},${yScale(point.lower)}`
+            )
+            .reverse(),
+        ].join(' ')
+      : ''
+
+    return (
+      <g className="chart-overlay" pointerEvents="none">
+        {band && <polygon points={band} className="forecast-band" />}
+        {overlay.movingAverage && (
+          <polyline
+            points={linePoints(overlay.movingAverage)}
+            fill="none"
+            stroke={movingAverage.color}
+            strokeWidth="2"
+            strokeDasharray={movingAverage.dash}
+          />
+        )}
+        {overlay.trend && (
+          <polyline
+            points={linePoints(overlay.trend)}
+            fill="none"
+            stroke={trend.color}
+            strokeWidth="2"
+          />
+        )}
+        {forecast.length > 0 && (
+          <polyline
+            points={linePoints(
+              forecastPath.map(({ value }) => value),
+              forecastStart - anchor.length
+            )}
+            fill="none"
+            stroke={OVERLAY_STYLES.forecast.color}
+            strokeWidth="2"
+            strokeDasharray={OVERLAY_STYLES.forecast.dash}
+          />
+        )}
+      </g>
+    )
+  }
+
+  const legend = [
+    ...series,
+    ...(line ? [{ ...line, dash: line.dash ?? '' }] : []),
+    ...(overlay?.movingAverage
+      ? [
+          {
+            key: 'moving-average',
+            label: t('chart.movingAverage'),
+            ...OVERLAY_STYLES.movingAverage,
+          },
+        ]
+      : []),
+    ...(overlay?.trend
+      ? [{ key: 'trend', label: t('chart.trend'), ...OVERLAY_STYLES.trend }]
+      : []),
+    ...(forecast.length
+      ? [
+          {
+            key: 'forecast',
+            label: t('chart.forecast'),
+            ...OVERLAY_STYLES.forecast,
+          },
+        ]
+      : []),
+  ]
+
+  // Legend entries are spaced by an estimate of their label width.
+  const legendOffsets = legend.reduce(
+    (offsets, { label }) => [
+      ...offsets,
+      offsets.at(-1) + 44 + label.length * 7,
+    ],
+    [0]
+  )
+
+  return (
+    <>
+      <svg
+        ref={ref}
+        width={width}
+        height={height}
+        className="chart interactive"
+        tabIndex={0}
+        role="group"
+        aria-label={t('chart.ariaLabel')}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={() => {
+          if (!brush) setActiveIndex(null)
+        }}
+        onFocus={() => setActiveIndex((current) => current ?? 0)}
+        onBlur={() => {
+          setActiveIndex(null)
+          setBrush(null)
+        }}
+        onKeyDown={handleKeyDown}
+      >
+        <rect
+          x={0}
+          y={0}
+          width={width}
+          height={height}
+          fill="transparent"
+          rx="16"
+        />
+        <g className="chart-legend">
+          {legend.map(({ key, label, color, dash }, index) => (
+            <g
+              key={key}
+              transform={`translate(${chartPadding.left + legendOffsets[index]}, 12)`}
+            >
+              {dash === undefined ? (
+                <rect width="12" height="12" rx="3" fill={color} />
+              ) : (
+                <line
+                  x1="0"
+                  x2="14"
+                  y1="6"
+                  y2="6"
+                  stroke={color}
+                  strokeWidth="2"
+                  strokeDasharray={dash}
+                />
+              )}
+              <text x="18" y="10" className="axis-label">
+                {label}
+              </text>
+            </g>
+          ))}
+        </g>
+        {overlay?.description && (
+          <text x={chartPadding.left} y="44" className="chart-note">
+            {overlay.description}
+          </text>
+        )}
+        {Array.from({ length: gridLines + 1 }).map((_, index) => {
+          const value = min + ((max - min) / gridLines) * index
+          const y = yScale(value)
+          return (
+            <g key={`grid-${value}`}>
+              <line
+                x1={chartPadding.left}
+                x2={width - chartPadding.right}
+                y1={y}
+                y2={y}
+                stroke="rgba(148, 163, 184, 0.25)"
+              />
+              <text
+                x={chartPadding.left - 12}
+                y={y + 4}
+                textAnchor="end"
+                className="axis-label"
+              >
+                {formatValue(value)}
+              </text>
+              {lineAxis && (
+                <text
+                  x={width - chartPadding.right + 12}
+                  y={y + 4}
+                  className="axis-label"
+                >
+                  {line.formatValue(
+                    lineAxis.min +
+                      ((lineAxis.max - lineAxis.min) / gridLines) * index
+                  )}
+                </text>
+              )}
+            </g>
+          )
+        })}
+        {min < 0 && (
+          <line
+            x1={chartPadding.left}
+            x2={width - chartPadding.right}
+            y1={baseline}
+            y2={baseline}
+            stroke="rgba(226, 232, 240, 0.5)"
+          />
+        )}
+
+        {slots.map((item, index) => {
+          const x = slotX(index)
+          const showLabel = index % xLabelInterval === 0
+          const labelShift = index === slots.length - 1 ? -8 : 0
+          const isForecast = index >= data.length
+          return (
+            <g key={item.label}>
+              {mode !== 'line' && !isForecast && renderBars(item, index)}
+              {showLabel && (
+                <text
+                  x={x + barWidth / 2 + labelShift}
+                  y={chartPadding.top + chartHeight + 20}
+                  textAnchor="middle"
+                  className={`axis-label${isForecast ? ' forecast-label' : ''}`}
+                >
+                  {format.month(item.label)}
+                </text>
+              )}
+            </g>
+          )
+        })}
+        {mode === 'line' && renderLines()}
+        {renderLine()}
+        {renderOverlay()}
+        {renderBrush()}
+        {renderTooltip()}
+      </svg>
+      <p className="visually-hidden" aria-live="polite">
+        {activeIndex === null || !slots[activeIndex]
+          ? ''
+          : activeIndex < data.length
+            ? describeMonth(
+                t,
+                format,
+                data[activeIndex],
+                series,
+                formatValue,
+                showTotal,
+                line
+              )
+            : describeForecast(t, format, slots[activeIndex], formatValue)}
+      </p>
+    </>
+  )
+}
+
+export default MonthlyBarChart
@@ -0,0 +1,89 @@
+import { useId, useState } from 'react'
+import { useLocale } from '../i18n/useLocale'
+
+const MAX_VISIBLE_OPTIONS = 200
+
+/**
+ * A searchable checkbox list in a disclosure. `selected` is the list of
+ * chosen options; an empty list means "All".
+ */
+function MultiSelect({ label, options, selected, onChange }) {
+  const { t } = useLocale()
+  const id = useId()
+  const [query, setQuery] = useState('')
+
+  const needle = query.trim().toLowerCase()
+  const matches = needle
+    ? options.filter((option) => option.toLowerCase().includes(needle))
+    : options
+  const visible = matches.slice(0, MAX_VISIBLE_OPTIONS)
+
+  const toggle = (option) =>
+    onChange(
+      selected.includes(option)
+        ? selected.filter((item) => item !== option)
+        : options.filter((item) => item === option || selected.includes(item))
+    )
+
+  const summary =
+    selected.length === 0
+      ? t('filters.all')
+      : selected.length === 1
+        ? selected[0]
+        : t('filters.selectedCount', { count: selected.length })
+
+  return (
+    <div className="filter-group">
+      <span className="filter-label" id={`${id}-label`}>
+        {label}
+      </span>
+      <details className="multi-select">
+        <summary aria-describedby={`${id}-label`}>{summary}</summary>
+        <div className="multi-select-panel">
+          <input
+            type="search"
+            placeholder={t('filters.searchPlaceholder')}
+            aria-label={t('filters.searchLabel', { label })}
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+          />
+          <div
+            className="multi-select-options"
+            role="group"
+            aria-labelledby={`${id}-label`}
+          >
+            {visible.map((option) => (
+              <label key={option}>
+                <input
+                  type="checkbox"
+                  checked={selected.includes(option)}
+                  onChange={() => toggle(option)}
+                />
+                {option}
+              </label>
+            ))}
+            {matches.length === 0 && (
+              <p className="multi-select-note">{t('filters.noMatches')}</p>
+            )}
+            {matches.length > visible.length && (
+              <p className="multi-select-note">
+                {t('filters.more', { count: matches.length - visible.length })}
+              </p>
+            )}
+          </div>
+          {selected.length > 0 && (
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => onChange([])}
+            >
+              {t('filters.clearSelection')}
+            </button>
+          )}
+        </div>
+      </details>
+    </div>
+  )
+}
+
+export default MultiSelect
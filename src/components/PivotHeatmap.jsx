@@ -0,0 +1,186 @@
+import { useState } from 'react'
+import {
+  PIVOT_COLUMN_DIMENSIONS,
+  PIVOT_ROW_LIMIT,
+  heatColor,
+  rankPivotRows,
+} from '../data/pivot'
+import { useLocale } from '../i18n/useLocale'
+
+/**
+ * A heatmap of `pivot` (from pivotSalesSummary) with row and column totals.
+ * `view` is `{ rows, columns, measure }`, changed through onViewChange;
+ * `rowOptions` are the row dimensions this dataset has, as `{ id, label }`,
+ * and `currency` the measures' currency code ('' for plain numbers).
+ * Clicking a cell or total calls onDrillDown with `{ value, columnKey }`,
+ * either of which is undefined for a total across that dimension.
+ */
+function PivotHeatmap({
+  pivot,
+  view,
+  onViewChange,
+  rowOptions,
+  measures,
+  currency,
+  onDrillDown,
+}) {
+  const { t, format } = useLocale()
+  const formatValue = (value) => format.measure(value, currency)
+  const [showAll, setShowAll] = useState(false)
+  const ranked = rankPivotRows(pivot.rows)
+  const visibleRows = showAll ? ranked : ranked.slice(0, PIVOT_ROW_LIMIT)
+  const maxAbs = Math.max(
+    0,
+    ...pivot.rows.flatMap(({ cells }) => cells.map(Math.abs))
+  )
+  const rowLabel = rowOptions.find(({ id }) => id === view.rows)?.label
+  const measureLabel = view.measure ?? t('pivot.totalSales')
+  const columnLabel = (key) =>
+    format.month(pivot.columns.find((column) => column.key === key)?.label)
+
+  const drillButton = (value, columnKey, amount) => {
+    const parts = [value, columnKey && columnLabel(columnKey)].filter(Boolean)
+    return (
+      <button
+        type="button"
+        className="pivot-cell"
+        title={t('pivot.drillDown', { selection: parts.join(', ') })}
+        onClick={() => onDrillDown({ value, columnKey })}
+      >
+        {formatValue(amount)}
+      </button>
+    )
+  }
+
+  return (
+    <section className="card pivot-card">
+      <div className="section-header">
+        <div>
+          <h2>{t('pivot.title')}</h2>
+          <p>{t('pivot.intro', { measure: measureLabel })}</p>
+        </div>
+        <div className="chart-controls">
+          <div className="filter-group">
+            <label htmlFor="pivot-rows">{t('pivot.rows')}</label>
+            <select
+              id="pivot-rows"
+              value={view.rows}
+              onChange={(event) =>
+                onViewChange({ ...view, rows: event.target.value })
+              }
+            >
+              {rowOptions.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="pivot-columns">{t('pivot.columns')}</label>
+            <select
+              id="pivot-columns"
+              value={view.columns}
+              onChange={(event) =>
+                onViewChange({ ...view, columns: event.target.value })
+              }
+            >
+              {PIVOT_COLUMN_DIMENSIONS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {t(option.labelKey)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-group">
+            <label htmlFor="pivot-measure">{t('insights.measure')}</label>
+            <select
+              id="pivot-measure"
+              value={view.measure ?? ''}
+              onChange={(event) =>
+                onViewChange({ ...view, measure: event.target.value || null })
+              }
+            >
+              <option value="">{t('pivot.totalSales')}</option>
+              {measures.map((measure) => (
+                <option key={measure} value={measure}>
+                  {measure}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {pivot.rows.length === 0 ? (
+        <p className="state">{t('dashboard.noData')}</p>
+      ) : (
+        <div className="pivot-scroll">
+          <table className="pivot-table">
+            <thead>
+              <tr>
+                <th scope="col">{rowLabel}</th>
+                {pivot.columns.map((column) => (
+                  <th key={column.key} scope="col">
+                    {format.month(column.label)}
+                  </th>
+                ))}
+                <th scope="col">{t('insights.total')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map((row) => (
+                <tr key={row.label}>
+                  <th scope="row">{row.label || t('insights.blank')}</th>
+                  {row.cells.map((value, index) => {
+                    const { key } = pivot.columns[index]
+                    return (
+                      <td
+                        key={key}
+                        style={{ backgroundColor: heatColor(value, maxAbs) }}
+                      >
+                        {row.label && value !== 0
+                          ? drillButton(row.label, key, value)
+                          : formatValue(value)}
+                      </td>
+                    )
+                  })}
+                  <td className="pivot-total">
+                    {row.label
+                      ? drillButton(row.label, undefined, row.total)
+                      : formatValue(row.total)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr>
+                <th scope="row">{t('insights.total')}</th>
+                {pivot.columnTotals.map((value, index) => (
+                  <td key={pivot.columns[index].key} className="pivot-total">
+                    {drillButton(undefined, pivot.columns[index].key, value)}
+                  </td>
+                ))}
+                <td className="pivot-total">{formatValue(pivot.total)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
+
+      {ranked.length > PIVOT_ROW_LIMIT && (
+        <button
+          type="button"
+          className="link-button"
+          onClick={() => setShowAll((current) => !current)}
+        >
+          {showAll
+            ? t('pivot.showTop', { count: PIVOT_ROW_LIMIT })
+            : t('pivot.showAll', { count: ranked.length })}
+        </button>
+      )}
+    </section>
+  )
+}
+
+export default PivotHeatmap
@@ -0,0 +1,545 @@
+import { useEffect, useState } from 'react'
+import { useLocale } from '../i18n/useLocale'
+import {
+  VoteError,
+  canChangeVote,
+  castBallot,
+  changeBallot,
+  getBallotByReceipt,
+  getOptionLabel,
+  hasVoted,
+  isPollOpen,
+  subscribeToVoteCounts,
+  syncPendingVotes,
+} from '../polls'
+import {
+  generateReceiptCode,
+  loadReceipt,
+  normalizeReceiptCode,
+  saveReceipt,
+} from '../receipts'
+import { isOfflineError, loadPendingVotes, queueVote } from '../voteQueue'
+import PollResults from './PollResults'
+
+const PollSchedule = ({ poll }) => {
+  const { t, format } = useLocale()
+  if (poll.status === 'closed') {
+    return <p className="poll-schedule">{t('poll.closedNotice')}</p>
+  }
+  if (poll.opensAt && new Date() < poll.opensAt) {
+    return (
+      <p className="poll-schedule">
+        {t('poll.opens', { date: format.dateTime(poll.opensAt) })}
+      </p>
+    )
+  }
+  const notes = []
+  if (poll.closesAt) {
+    notes.push(
+      t(isPollOpen(poll) ? 'poll.closes' : 'poll.closedAt', {
+        date: format.dateTime(poll.closesAt),
+      })
+    )
+  }
+  if (poll.changeDeadline) {
+    notes.push(
+      canChangeVote(poll)
+        ? t('poll.changeUntil', {
+            date: format.dateTime(poll.changeDeadline),
+          })
+        : t('poll.changeClosed')
+    )
+  }
+  if (!notes.length) return null
+  return <p className="poll-schedule">{notes.join(' ')}</p>
+}
+
+const describeBallot = (t, poll, ballot) => {
+  if (!ballot) return t('receipt.notFound')
+  if (ballot.invalidation) {
+    return t('receipt.invalidated', { reason: ballot.invalidation.reason })
+  }
+  if (!ballot.choice) return t('receipt.withdrawn')
+  return t('receipt.counted', { option: getOptionLabel(poll, ballot.choice) })
+}
+
+const mergeSyncResults = (current, settled) => ({
+  ...current,
+  ...Object.fromEntries(settled.map((result) => [result.pollId, result])),
+})
+
+// Lets anyone look up a ballot by its receipt code.
+const ReceiptCheck = ({ poll }) => {
+  const { t } = useLocale()
+  const [code, setCode] = useState('')
+  const [result, setResult] = useState('')
+  const [checking, setChecking] = useState(false)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const receipt = normalizeReceiptCode(code)
+    if (!receipt) {
+      setResult(t('receipt.badFormat'))
+      return
+    }
+    setChecking(true)
+    try {
+      setResult(
+        describeBallot(t, poll, await getBallotByReceipt(poll.id, receipt))
+      )
+    } catch {
+      setResult(t('receipt.checkFailed'))
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  return (
+    <details className="receipt-check">
+      <summary>{t('receipt.checkTitle')}</summary>
+      <form onSubmit={handleSubmit}>
+        <label htmlFor="receipt-code">{t('receipt.code')}</label>
+        <input
+          id="receipt-code"
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          autoComplete="off"
+          spellCheck={false}
+          required
+        />
+        <button type="submit" className="vote-confirm" disabled={checking}>
+          {t('receipt.check')}
+        </button>
+      </form>
+      {result && <p className="auth-message">{result}</p>}
+    </details>
+  )
+}
+
+// Changes or withdraws the ballot filed under `receipt`. The receipt is the
+// only thing that authorizes it, so nothing here depends on who is signed in.
+const BallotChange = ({ poll, receipt }) => {
+  const { t } = useLocale()
+  const [ballot, setBallot] = useState(null)
+  const [selected, setSelected] = useState(null)
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    let isMounted = true
+    getBallotByReceipt(poll.id, receipt)
+      .then((found) => {
+        if (!isMounted) return
+        setBallot(found)
+        if (!found) setError('vote.noBallot')
+      })
+      .catch(() => {
+        if (isMounted) setError('receipt.checkFailed')
+      })
+    return () => {
+      isMounted = false
+    }
+  }, [poll.id, receipt])
+
+  const handleChange = async (choice) => {
+    setLoading(true)
+    setError('')
+    try {
+      await changeBallot(poll.id, receipt, choice)
+      setBallot({ ...ballot, choice })
+      setSelected(null)
+    } catch (err) {
+      setError(err instanceof VoteError ? err.key : 'poll.changeFailed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (!ballot || ballot.invalidation) {
+    return error ? <p className="auth-message error">{t(error)}</p> : null
+  }
+
+  const current = selected ?? ballot.choice
+  return (
+    <>
+      <p className="auth-message">
+        {ballot.choice
+          ? t('poll.currentChoice', {
+              option: getOptionLabel(poll, ballot.choice),
+            })
+          : t('poll.withdrawn')}{' '}
+        {t('poll.changePrompt')}
+      </p>
+      <div className="vote-actions">
+        {poll.options.map((option) => (
+          <button
+            key={option.id}
+            type="button"
+            className={current === option.id ? 'active' : ''}
+            onClick={() => setSelected(option.id)}
+            disabled={loading}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <div className="vote-actions">
+        <button
+          type="button"
+          className="vote-confirm"
+          onClick={() => handleChange(selected)}
+          disabled={loading || !selected || selected === ballot.choice}
+        >
+          {loading ? t('poll.submitting') : t('poll.change')}
+        </button>
+        {ballot.choice && (
+          <button
+            type="button"
+            className="vote-confirm"
+            onClick={() => handleChange(null)}
+            disabled={loading}
+          >
+            {t('poll.withdraw')}
+          </button>
+        )}
+      </div>
+      {error && <p className="auth-message error">{t(error)}</p>}
+    </>
+  )
+}
+
+// Takes a receipt code this browser does not have stored, so a voter can
+// change their ballot from another device.
+const ReceiptEntry = ({ onReceipt }) => {
+  const { t } = useLocale()
+  const [code, setCode] = useState('')
+  const [error, setError] = useState('')
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    const receipt = normalizeReceiptCode(code)
+    if (!receipt) {
+      setError(t('receipt.badFormat'))
+      return
+    }
+    onReceipt(receipt)
+  }
+
+  return (
+    <form className="receipt-entry" onSubmit={handleSubmit}>
+      <label htmlFor="receipt-entry-code">{t('receipt.enterToChange')}</label>
+      <input
+        id="receipt-entry-code"
+        value={code}
+        onChange={(event) => setCode(event.target.value)}
+        autoComplete="off"
+        spellCheck={false}
+        required
+      />
+      <button type="submit" className="vote-confirm">
+        {t('receipt.use')}
+      </button>
+      {error && <p className="auth-message error">{error}</p>}
+    </form>
+  )
+}
+
+function PollCard({ polls, selectedPollId, onSelectPoll, user, pollsError }) {
+  const { t } = useLocale()
+  const poll = polls.find((item) => item.id === selectedPollId) ?? null
+  const pollId = poll?.id
+  const [voteCounts, setVoteCounts] = useState({})
+  const [userHasVoted, setUserHasVoted] = useState(false)
+  const [receipt, setReceipt] = useState(null)
+  const [selectedVote, setSelectedVote] = useState(null)
+  // A message key, so the error follows the language.
+  const [voteError, setVoteError] = useState('')
+  const [voteLoading, setVoteLoading] = useState(false)
+  // Votes queued offline for this user, and how the ones submitted since
+  // this page loaded turned out, by poll id.
+  const [pendingVotes, setPendingVotes] = useState([])
+  const [syncResults, setSyncResults] = useState({})
+  const [syncing, setSyncing] = useState(false)
+
+  useEffect(() => {
+    setVoteCounts({})
+    if (!pollId) return undefined
+    return subscribeToVoteCounts(pollId, setVoteCounts, () =>
+      setVoteError('poll.resultsFailed')
+    )
+  }, [pollId])
+
+  useEffect(() => {
+    let isMounted = true
+    setUserHasVoted(false)
+    setReceipt(null)
+    setSelectedVote(null)
+    setVoteError('')
+
+    if (!pollId || !user) return undefined
+
+    setReceipt(loadReceipt(pollId, user.uid))
+    hasVoted(pollId, user.uid)
+      .then((voted) => {
+        if (isMounted) setUserHasVoted(voted)
+      })
+      .catch(() => {
+        if (isMounted) setUserHasVoted(false)
+      })
+
+    return () => {
+      isMounted = false
+    }
+  }, [pollId, user])
+
+  const syncVotes = () => {
+    setSyncing(true)
+    syncPendingVotes(user)
+      .then((settled) =>
+        setSyncResults((current) => mergeSyncResults(current, settled))
+      )
+      .catch(() => {})
+      .finally(() => {
+        setPendingVotes(loadPendingVotes(user.uid))
+        setSyncing(false)
+      })
+  }
+
+  // Queued votes go in when the page loads and whenever the browser
+  // reconnects.
+  useEffect(() => {
+    setPendingVotes(user ? loadPendingVotes(user.uid) : [])
+    setSyncResults({})
+    if (!user) return undefined
+    let isMounted = true
+    const sync = () =>
+      syncPendingVotes(user)
+        .then((settled) => {
+          if (isMounted) {
+            setSyncResults((current) => mergeSyncResults(current, settled))
+          }
+        })
+        // Whatever failed stays queued for the next reconnect.
+        .catch(() => {})
+        .finally(() => {
+          if (isMounted) setPendingVotes(loadPendingVotes(user.uid))
+        })
+
+    if (navigator.onLine) sync()
+    window.addEventListener('online', sync)
+    return () => {
+      isMounted = false
+      window.removeEventListener('online', sync)
+    }
+  }, [user])
+
+  const pendingVote =
+    pendingVotes.find((vote) => vote.pollId === pollId) ?? null
+  const syncResult = syncResults[pollId] ?? null
+  const isSynced = syncResult?.status === 'synced'
+  const voted = userHasVoted || isSynced
+  const shownReceipt = receipt ?? (isSynced ? syncResult.receipt : null)
+  const canVote = isPollOpen(poll) && !voted && !pendingVote
+  const canChange = voted && !pendingVote && canChangeVote(poll)
+
+  const handleReceipt = (code) => {
+    saveReceipt(poll.id, user.uid, code)
+    setReceipt(code)
+  }
+
+  const queueOfflineVote = (choice) => {
+    const vote = queueVote({
+      pollId: poll.id,
+      uid: user.uid,
+      choice,
+      receipt: generateReceiptCode(),
+    })
+    if (!vote) {
+      setVoteError('poll.queueFailed')
+      return
+    }
+    setPendingVotes(loadPendingVotes(user.uid))
+    setSelectedVote(null)
+  }
+
+  const handleVote = async (choice) => {
+    if (!user) {
+      setVoteError('poll.signInToVote')
+      return
+    }
+    if (!user.emailVerified) {
+      setVoteError('poll.verifyToVote')
+      return
+    }
+    if (!isPollOpen(poll)) {
+      setVoteError('poll.notAccepting')
+      return
+    }
+
+    setVoteError('')
+    if (!navigator.onLine) {
+      queueOfflineVote(choice)
+      return
+    }
+
+    setVoteLoading(true)
+    try {
+      const code = await castBallot(poll.id, user, choice)
+      saveReceipt(poll.id, user.uid, code)
+      setReceipt(code)
+      setUserHasVoted(true)
+      setSelectedVote(null)
+    } catch (err) {
+      if (isOfflineError(err)) {
+        queueOfflineVote(choice)
+      } else {
+        setVoteError(err instanceof VoteError ? err.key : 'poll.voteFailed')
+      }
+    } finally {
+      setVoteLoading(false)
+    }
+  }
+
+  return (
+    <section className="card vote-card">
+      <div className="section-header">
+        <div>
+          <h2>{t('poll.title')}</h2>
+          {polls.length > 1 && (
+            <div className="filter-group poll-picker">
+              <label htmlFor="poll-select">{t('poll.picker')}</label>
+              <select
+                id="poll-select"
+                value={selectedPollId ?? ''}
+                onChange={(event) => onSelectPoll(event.target.value)}
+              >
+                {polls.map((item) => (
+                  <option key={item.id} value={item.id}>
+                    {isPollOpen(item)
+                      ? item.question
+                      : t('poll.closedOption', { question: item.question })}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {poll && (
+            <>
+              {poll.description
+                .split(/\n\s*\n/)
+                .filter(Boolean)
+                .map((paragraph) => (
+                  <p key={paragraph} className="stance-question">
+                    {paragraph}
+                  </p>
+                ))}
+              <p className="stance-question">{poll.question}</p>
+              <PollSchedule poll={poll} />
+              <PollResults key={poll.id} poll={poll} voteCounts={voteCounts} />
+            </>
+          )}
+        </div>
+      </div>
+
+      {pollsError && <p className="state error">{t('poll.loadFailed')}</p>}
+
+      {!pollsError && !poll && <p className="state">{t('poll.none')}</p>}
+
+      {poll && !user && <p className="state">{t('poll.signInPrompt')}</p>}
+
+      {poll && user && canVote && (
+        <>
+          <p className="auth-message success">{t('poll.secretBallot')}</p>
+          <div className="vote-actions">
+            {poll.options.map((option) => (
+              <button
+                key={option.id}
+                type="button"
+                className={selectedVote === option.id ? 'active' : ''}
+                onClick={() => setSelectedVote(option.id)}
+                disabled={voteLoading}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <div className="vote-actions">
+            <button
+              type="button"
+              className="vote-confirm"
+              onClick={() => handleVote(selectedVote)}
+              disabled={voteLoading || !selectedVote}
+            >
+              {voteLoading ? t('poll.submitting') : t('poll.confirm')}
+            </button>
+          </div>
+        </>
+      )}
+
+      {poll && user && pendingVote && (
+        <div className="ballot-receipt">
+          <p className="auth-message">
+            <span className="status-badge pending">
+              {t('poll.pendingBadge')}
+            </span>{' '}
+            {t('poll.pendingVote', {
+              option: getOptionLabel(poll, pendingVote.choice),
+            })}
+          </p>
+          <p className="auth-message">
+            {t('receipt.codeLabel')} <code>{pendingVote.receipt}</code>.{' '}
+            {t('receipt.pendingHint')}
+          </p>
+          <button
+            type="button"
+            className="secondary-button"
+            onClick={syncVotes}
+            disabled={syncing}
+          >
+            {syncing ? t('poll.submitting') : t('poll.retrySync')}
+          </button>
+        </div>
+      )}
+
+      {poll && user && syncResult?.status === 'rejected' && (
+        <p className="auth-message error">
+          {t('poll.syncRejected', {
+            reason: t(syncResult.error.key, syncResult.error.params),
+          })}
+        </p>
+      )}
+
+      {poll && user && voted && (
+        <div className="ballot-receipt">
+          <p className="auth-message success">
+            {isSynced && (
+              <span className="status-badge open">{t('poll.syncedBadge')}</span>
+            )}{' '}
+            {isSynced ? t('poll.synced') : t('poll.cast')}
+          </p>
+          {shownReceipt ? (
+            <p className="auth-message">
+              {t('receipt.codeLabel')} <code>{shownReceipt}</code>.{' '}
+              {t('receipt.keepHint')}
+            </p>
+          ) : canChange ? (
+            <ReceiptEntry onReceipt={handleReceipt} />
+          ) : (
+            <p className="auth-message">{t('receipt.notStored')}</p>
+          )}
+          {shownReceipt && canChange && (
+            <BallotChange
+              key={`${poll.id}/${shownReceipt}`}
+              poll={poll}
+              receipt={shownReceipt}
+            />
+          )}
+        </div>
+      )}
+      {poll && <ReceiptCheck key={poll.id} poll={poll} />}
+      {voteError && <p className="auth-message error">{t(voteError)}</p>}
+    </section>
+  )
+}
+
+export default PollCard
@@ -0,0 +1,428 @@
+import { useEffect, useState } from 'react'
+import { isAdminUser } from '../admin'
+import {
+  buildCommentThreads,
+  COMMENT_MAX_LENGTH,
+  REPORT_REASON_MAX_LENGTH,
+  validateCommentBody,
+} from '../commentThread'
+import {
+  CommentError,
+  postComment,
+  reportComment,
+  setCommentHidden,
+  subscribeToComments,
+} from '../comments'
+import {
+  getBallotByReceipt,
+  getOptionLabel,
+  hasVoted,
+  isPollOpen,
+} from '../polls'
+import { useLocale } from '../i18n/useLocale'
+import { loadReceipt } from '../receipts'
+
+// A one-line reason form for reporting, hiding and restoring comments.
+const ReasonForm = ({
+  id,
+  label,
+  submitLabel,
+  required,
+  onSubmit,
+  onCancel,
+}) => {
+  const { t } = useLocale()
+  const [reason, setReason] = useState('')
+  const [working, setWorking] = useState(false)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setWorking(true)
+    try {
+      await onSubmit(reason.trim())
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  return (
+    <form className="invalidate-form" onSubmit={handleSubmit}>
+      <label htmlFor={id}>{label}</label>
+      <input
+        id={id}
+        value={reason}
+        maxLength={REPORT_REASON_MAX_LENGTH}
+        onChange={(event) => setReason(event.target.value)}
+        required={required}
+      />
+      <button type="submit" disabled={working || (required && !reason.trim())}>
+        {submitLabel}
+      </button>
+      <button type="button" onClick={onCancel}>
+        {t('common.cancel')}
+      </button>
+    </form>
+  )
+}
+
+const CommentForm = ({
+  poll,
+  user,
+  stanceOptions,
+  defaultStance,
+  parentId = null,
+  dashboardQuery,
+  onDone,
+}) => {
+  const { t } = useLocale()
+  const formId = parentId ? `reply-${parentId}` : 'new-comment'
+  const [body, setBody] = useState('')
+  const [stance, setStance] = useState(defaultStance ?? '')
+  const [shareView, setShareView] = useState(false)
+  const [error, setError] = useState('')
+  const [posting, setPosting] = useState(false)
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const problem = user.emailVerified
+      ? validateCommentBody(body, t)
+      : t('comments.verifyFirst')
+    setError(problem ?? '')
+    if (problem) return
+
+    setPosting(true)
+    try {
+      await postComment(poll.id, user, {
+        body,
+        stance: stance || null,
+        parentId,
+        view: shareView ? dashboardQuery : '',
+      })
+      setBody('')
+      setShareView(false)
+      onDone?.()
+    } catch {
+      setError(t('comments.postFailed'))
+    } finally {
+      setPosting(false)
+    }
+  }
+
+  return (
+    <form className="comment-form" onSubmit={handleSubmit}>
+      <label htmlFor={`${formId}-body`}>
+        {parentId ? t('comments.reply') : t('comments.add')}
+      </label>
+      <textarea
+        id={`${formId}-body`}
+        rows={parentId ? 2 : 3}
+        maxLength={COMMENT_MAX_LENGTH}
+        value={body}
+        onChange={(event) => setBody(event.target.value)}
+      />
+      <div className="comment-form-options">
+        {stanceOptions.length > 0 && (
+          <label htmlFor={`${formId}-stance`}>
+            {t('comments.stanceBadge')}
+            <select
+              id={`${formId}-stance`}
+              value={stance}
+              onChange={(event) => setStance(event.target.value)}
+            >
+              <option value="">{t('common.none')}</option>
+              {stanceOptions.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {dashboardQuery && (
+          <label className="register-agree">
+            <input
+              type="checkbox"
+              checked={shareView}
+              onChange={(event) => setShareView(event.target.checked)}
+            />
+            {t('comments.linkView')}
+          </label>
+        )}
+        <button type="submit" className="vote-confirm" disabled={posting}>
+          {posting
+            ? t('comments.posting')
+            : parentId
+              ? t('comments.reply')
+              : t('comments.post')}
+        </button>
+        {onDone && (
+          <button type="button" className="secondary-button" onClick={onDone}>
+            {t('common.cancel')}
+          </button>
+        )}
+      </div>
+      {error && <p className="auth-message error">{error}</p>}
+    </form>
+  )
+}
+
+const Comment = ({ poll, comment, user, isModerator, children }) => {
+  const { t, format } = useLocale()
+  // 'report', 'hide' or 'restore' while that form is open.
+  const [action, setAction] = useState(null)
+  const [notice, setNotice] = useState('')
+
+  if (comment.missing) {
+    return (
+      <article className="comment hidden-comment">
+        <p className="comment-body">{t('comments.hiddenByModerator')}</p>
+        {children}
+      </article>
+    )
+  }
+
+  const run = async (task, done) => {
+    try {
+      await task()
+      setAction(null)
+      setNotice(done)
+    } catch (err) {
+      setNotice(
+        err instanceof CommentError
+          ? t(err.key, err.params)
+          : t('comments.actionFailed')
+      )
+    }
+  }
+
+  const forms = {
+    report: {
+      label: t('comments.reportReason'),
+      submitLabel: t('comments.report'),
+      required: false,
+      onSubmit: (reason) =>
+        run(
+          () => reportComment(poll.id, comment, user, reason),
+          t('comments.reported')
+        ),
+    },
+    hide: {
+      label: t('comments.hideReason'),
+      submitLabel: t('comments.hide'),
+      required: true,
+      onSubmit: (reason) =>
+        run(
+          () => setCommentHidden(user, poll.id, comment, true, reason),
+          t('comments.hidden')
+        ),
+    },
+    restore: {
+      label: t('comments.restoreReason'),
+      submitLabel: t('comments.restore'),
+      required: true,
+      onSubmit: (reason) =>
+        run(
+          () => setCommentHidden(user, poll.id, comment, false, reason),
+          t('comments.restored')
+        ),
+    },
+  }
+
+  return (
+    <article className={`comment${comment.hidden ? ' hidden-comment' : ''}`}>
+      <header className="comment-meta">
+        <strong>{comment.authorName}</strong>
+        {comment.stance && (
+          <span className="stance-badge">
+            {getOptionLabel(poll, comment.stance)}
+          </span>
+        )}
+        {comment.createdAt && (
+          <time dateTime={comment.createdAt.toISOString()}>
+            {format.dateTime(comment.createdAt)}
+          </time>
+        )}
+        {comment.hidden && (
+          <span className="status-badge">{t('comments.hiddenBadge')}</span>
+        )}
+        {isModerator && comment.reportCount > 0 && (
+          <span className="status-badge closed">
+            {t('comments.reportCount', { count: comment.reportCount })}
+          </span>
+        )}
+      </header>
+      <p className="comment-body">{comment.body}</p>
+      {comment.view && (
+        <a className="comment-view" href={`/${comment.view}`}>
+          {t('comments.openView')}
+        </a>
+      )}
+      {action ? (
+        <ReasonForm
+          id={`${action}-${comment.id}`}
+          {...forms[action]}
+          onCancel={() => setAction(null)}
+        />
+      ) : (
+        <div className="comment-actions">
+          {comment.authorUid !== user.uid && (
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => setAction('report')}
+            >
+              {t('comments.report')}
+            </button>
+          )}
+          {isModerator && (
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => setAction(comment.hidden ? 'restore' : 'hide')}
+            >
+              {comment.hidden ? t('comments.restore') : t('comments.hide')}
+            </button>
+          )}
+        </div>
+      )}
+      {notice && <p className="auth-message">{notice}</p>}
+      {children}
+    </article>
+  )
+}
+
+/**
+ * Comments on `poll` for signed-in users, updated live. Voters can show a
+ * stance badge (prefilled from the receipt saved in this browser), reply to
+ * top-level comments, link the dashboard view they are looking at
+ * (`dashboardQuery`) and report comments; admins moderate by hiding and
+ * restoring them. Keyed by poll and user, so it starts afresh for each.
+ */
+function PollDiscussion({ poll, user, dashboardQuery }) {
+  const { t } = useLocale()
+  const pollId = poll.id
+  const [comments, setComments] = useState([])
+  // A message key, so the error follows the language.
+  const [loadError, setLoadError] = useState('')
+  const [isModerator, setIsModerator] = useState(false)
+  const [voted, setVoted] = useState(false)
+  const [ballotChoice, setBallotChoice] = useState(null)
+  const [replyingTo, setReplyingTo] = useState(null)
+
+  useEffect(() => {
+    if (!user) return undefined
+    let isMounted = true
+    isAdminUser(user)
+      .catch(() => false)
+      .then((isAdmin) => {
+        if (isMounted) setIsModerator(isAdmin)
+      })
+    hasVoted(pollId, user.uid)
+      .then(async (hasBallot) => {
+        if (!isMounted || !hasBallot) return
+        setVoted(true)
+        const receipt = loadReceipt(pollId, user.uid)
+        const ballot = receipt && (await getBallotByReceipt(pollId, receipt))
+        if (isMounted && ballot?.choice) setBallotChoice(ballot.choice)
+      })
+      .catch(() => {})
+    return () => {
+      isMounted = false
+    }
+  }, [pollId, user])
+
+  useEffect(() => {
+    if (!user) return undefined
+    return subscribeToComments(
+      pollId,
+      isModerator,
+      (nextComments) => {
+        setComments(nextComments)
+        setLoadError('')
+      },
+      () => setLoadError('comments.loadFailed')
+    )
+  }, [pollId, user, isModerator])
+
+  const canPost = isPollOpen(poll)
+  const stanceOptions = voted ? poll.options : []
+  const threads = buildCommentThreads(comments)
+  const formProps = {
+    poll,
+    user,
+    stanceOptions,
+    defaultStance: ballotChoice,
+    dashboardQuery,
+  }
+
+  return (
+    <section className="card discussion-card">
+      <div className="section-header">
+        <div>
+          <h2>{t('comments.title')}</h2>
+          <p>{t('comments.intro')}</p>
+        </div>
+      </div>
+
+      {!user && <p className="state">{t('comments.signIn')}</p>}
+
+      {user && (
+        <>
+          {loadError && <p className="auth-message error">{t(loadError)}</p>}
+          {canPost ? (
+            <CommentForm key={`new-${ballotChoice}`} {...formProps} />
+          ) : (
+            <p className="admin-note">{t('comments.closed')}</p>
+          )}
+          {!threads.length && !loadError && (
+            <p className="admin-note">{t('comments.none')}</p>
+          )}
+          <div className="comment-list">
+            {threads.map(({ comment, replies }) => (
+              <Comment
+                key={comment.id}
+                poll={poll}
+                comment={comment}
+                user={user}
+                isModerator={isModerator}
+              >
+                {replies.length > 0 && (
+                  <div className="comment-replies">
+                    {replies.map((reply) => (
+                      <Comment
+                        key={reply.id}
+                        poll={poll}
+                        comment={reply}
+                        user={user}
+                        isModerator={isModerator}
+                      />
+                    ))}
+                  </div>
+                )}
+                {canPost &&
+                  !comment.missing &&
+                  (replyingTo === comment.id ? (
+                    <CommentForm
+                      {...formProps}
+                      parentId={comment.id}
+                      onDone={() => setReplyingTo(null)}
+                    />
+                  ) : (
+                    <button
+                      type="button"
+                      className="link-button"
+                      onClick={() => setReplyingTo(comment.id)}
+                    >
+                      {t('comments.reply')}
+                    </button>
+                  ))}
+              </Comment>
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default PollDiscussion
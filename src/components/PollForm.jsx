@@ -0,0 +1,129 @@
+import { useState } from 'react'
+import { useLocale } from '../i18n/useLocale'
+import { EMPTY_POLL_DRAFT, validatePollDraft } from '../pollDraft'
+
+// Form fields and their label keys.
+const DATE_FIELDS = [
+  ['opensAt', 'pollForm.opensAt'],
+  ['closesAt', 'pollForm.closesAt'],
+  ['changeDeadline', 'pollForm.changeDeadline'],
+]
+
+const TRANSLATION_FIELDS = [
+  ['question', 'pollForm.question', 'input'],
+  ['description', 'pollForm.description', 'textarea'],
+  ['optionsText', 'pollForm.translatedOptions', 'textarea'],
+]
+
+/**
+ * New-poll form for the admin console. Calls `onCreate(draft)` with a valid
+ * draft (see src/pollDraft.js) and clears itself once that resolves.
+ */
+function PollForm({ onCreate }) {
+  const { t } = useLocale()
+  const [draft, setDraft] = useState(EMPTY_POLL_DRAFT)
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const update = (changes) =>
+    setDraft((current) => ({ ...current, ...changes }))
+
+  const updateTranslation = (locale, changes) =>
+    setDraft((current) => ({
+      ...current,
+      translations: {
+        ...current.translations,
+        [locale]: { ...current.translations[locale], ...changes },
+      },
+    }))
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const problem = validatePollDraft(draft, t)
+    setError(problem ?? '')
+    if (problem) return
+
+    setSaving(true)
+    try {
+      await onCreate(draft)
+      setDraft(EMPTY_POLL_DRAFT)
+    } catch {
+      setError(t('pollForm.createFailed'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form className="admin-form" onSubmit={handleSubmit}>
+      <label htmlFor="poll-question">
+        {t('pollForm.question')}
+        <input
+          id="poll-question"
+          value={draft.question}
+          onChange={(event) => update({ question: event.target.value })}
+          required
+        />
+      </label>
+      <label htmlFor="poll-description">
+        {t('pollForm.description')}
+        <textarea
+          id="poll-description"
+          rows={4}
+          value={draft.description}
+          onChange={(event) => update({ description: event.target.value })}
+        />
+      </label>
+      <label htmlFor="poll-options">
+        {t('pollForm.options')}
+        <textarea
+          id="poll-options"
+          rows={3}
+          value={draft.optionsText}
+          onChange={(event) => update({ optionsText: event.target.value })}
+        />
+      </label>
+      {Object.entries(draft.translations).map(([locale, translation]) => (
+        <fieldset key={locale} className="admin-translation" lang={locale}>
+          <legend>
+            {t('pollForm.translation', {
+              language: t(`language.name.${locale}`),
+            })}
+          </legend>
+          {TRANSLATION_FIELDS.map(([field, labelKey, Input]) => (
+            <label key={field} htmlFor={`poll-${locale}-${field}`}>
+              {t(labelKey)}
+              <Input
+                id={`poll-${locale}-${field}`}
+                rows={Input === 'textarea' ? 3 : undefined}
+                value={translation[field]}
+                onChange={(event) =>
+                  updateTranslation(locale, { [field]: event.target.value })
+                }
+              />
+            </label>
+          ))}
+        </fieldset>
+      ))}
+      <div className="admin-dates">
+        {DATE_FIELDS.map(([field, labelKey]) => (
+          <label key={field} htmlFor={`poll-${field}`}>
+            {t(labelKey)}
+            <input
+              id={`poll-${field}`}
+              type="datetime-local"
+              value={draft[field]}
+              onChange={(event) => update({ [field]: event.target.value })}
+            />
+          </label>
+        ))}
+      </div>
+      <button type="submit" className="vote-confirm" disabled={saving}>
+        {saving ? t('pollForm.creating') : t('pollForm.create')}
+      </button>
+      {error && <p className="auth-message error">{error}</p>}
+    </form>
+  )
+}
+
+export default PollForm
@@ -0,0 +1,364 @@
+import { useEffect, useState } from 'react'
+import { seriesColor } from '../chartSeries'
+import { useLocale } from '../i18n/useLocale'
+import { buildPollTimeline, voteDay, voteShares } from '../pollResults'
+import { isPollOpen, subscribeToVoteDays } from '../polls'
+
+const TURNOUT_COLOR = '#64748b'
+
+const describeDay = (t, format, entry, series) =>
+  [
+    t('pollResults.describeDay', {
+      day: format.day(entry.day),
+      count: entry.turnout,
+    }),
+    ...series.map(({ key, label }) =>
+      t('pollResults.describeTotal', {
+        label,
+        count: entry.cumulative[key],
+      })
+    ),
+  ].join(', ')
+
+// Open polls run the chart up to today; closed ones stop when they closed.
+const timelineEnd = (poll) => {
+  if (isPollOpen(poll)) return voteDay()
+  return poll.closesAt ? voteDay(poll.closesAt) : null
+}
+
+/**
+ * Cumulative votes per option (lines) above daily turnout (bars), one slot
+ * per day. `timeline` comes from buildPollTimeline and `series` lists
+ * `{ key, label, color }` per option. Hovering or focusing a day, then the
+ * arrow keys, shows that day's figures.
+ */
+const PollTimelineChart = ({ timeline, series }) => {
+  const { t, format } = useLocale()
+  const [activeIndex, setActiveIndex] = useState(null)
+
+  const padding = { top: 44, right: 24, bottom: 36, left: 56 }
+  const cumulativeHeight = 180
+  const panelGap = 32
+  const turnoutHeight = 72
+  const turnoutTop = padding.top + cumulativeHeight + panelGap
+  const step = Math.min(40, Math.max(10, 560 / timeline.length))
+  const width = Math.max(
+    640,
+    padding.left + padding.right + timeline.length * step
+  )
+  const height = turnoutTop + turnoutHeight + padding.bottom
+
+  const maxCumulative = Math.max(
+    1,
+    ...series.map(({ key }) => timeline.at(-1).cumulative[key])
+  )
+  const maxTurnout = Math.max(1, ...timeline.map(({ turnout }) => turnout))
+  const cumulativeY = (value) =>
+    padding.top + (1 - value / maxCumulative) * cumulativeHeight
+  const turnoutY = (value) =>
+    turnoutTop + (1 - value / maxTurnout) * turnoutHeight
+  const slotCenter = (index) => padding.left + index * step + step / 2
+  const barWidth = Math.max(4, step * 0.6)
+
+  const gridLines = 4
+  const labelInterval = Math.max(1, Math.ceil(52 / step))
+
+  const clampIndex = (index) =>
+    Math.min(timeline.length - 1, Math.max(0, index))
+
+  const indexFromEvent = (event) => {
+    const bounds = event.currentTarget.getBoundingClientRect()
+    const scale = width / bounds.width
+    const x = (event.clientX - bounds.left) * scale - padding.left
+    return clampIndex(Math.floor(x / step))
+  }
+
+  const handleKeyDown = (event) => {
+    const moves = {
+      ArrowLeft: -1,
+      ArrowRight: 1,
+      Home: -timeline.length,
+      End: timeline.length,
+    }
+    if (event.key in moves) {
+      event.preventDefault()
+      setActiveIndex(clampIndex((activeIndex ?? 0) + moves[event.key]))
+    } else if (event.key === 'Escape') {
+      setActiveIndex(null)
+    }
+  }
+
+  const renderTooltip = () => {
+    if (activeIndex === null || !timeline[activeIndex]) return null
+    const entry = timeline[activeIndex]
+    const lines = [
+      {
+        key: 'turnout',
+        label: t('pollResults.dayVotes'),
+        value: entry.turnout,
+      },
+      ...series.map(({ key, label, color }) => ({
+        key,
+        label: t('pollResults.optionTotal', { label }),
+        color,
+        value: entry.cumulative[key],
+      })),
+    ]
+    const boxWidth = 200
+    const boxHeight = 30 + lines.length * 18
+    const anchor = slotCenter(activeIndex) + step / 2 + 8
+    const x =
+      anchor + boxWidth > width - padding.right
+        ? slotCenter(activeIndex) - step / 2 - boxWidth - 8
+        : anchor
+
+    return (
+      <g
+        className="chart-tooltip"
+        transform={`translate(${x}, ${padding.top})`}
+      >
+        <rect width={boxWidth} height={boxHeight} rx="10" />
+        <text x="12" y="20" className="tooltip-title">
+          {format.day(entry.day)}
+        </text>
+        {lines.map((line, index) => (
+          <g key={line.key} transform={`translate(12, ${38 + index * 18})`}>
+            {line.color && (
+              <rect y="-9" width="10" height="10" rx="2" fill={line.color} />
+            )}
+            <text x={line.color ? 16 : 0} className="tooltip-label">
+              {line.label}
+            </text>
+            <text x={boxWidth - 24} textAnchor="end" className="tooltip-value">
+              {format.number(line.value)}
+            </text>
+          </g>
+        ))}
+      </g>
+    )
+  }
+
+  const legend = [
+    ...series,
+    {
+      key: 'turnout',
+      label: t('pollResults.dailyTurnout'),
+      color: TURNOUT_COLOR,
+    },
+  ]
+  const legendOffsets = legend.reduce(
+    (offsets, { label }) => [
+      ...offsets,
+      offsets.at(-1) + 44 + label.length * 7,
+    ],
+    [0]
+  )
+
+  return (
+    <div className="chart-scroll">
+      <svg
+        width={width}
+        height={height}
+        className="chart interactive"
+        tabIndex={0}
+        role="group"
+        aria-label={t('pollResults.chartLabel')}
+        onPointerMove={(event) => setActiveIndex(indexFromEvent(event))}
+        onPointerLeave={() => setActiveIndex(null)}
+        onFocus={() => setActiveIndex((current) => current ?? 0)}
+        onBlur={() => setActiveIndex(null)}
+        onKeyDown={handleKeyDown}
+      >
+        <g className="chart-legend">
+          {legend.map(({ key, label, color }, index) => (
+            <g
+              key={key}
+              transform={`translate(${padding.left + legendOffsets[index]}, 12)`}
+            >
+              <rect width="12" height="12" rx="3" fill={color} />
+              <text x="18" y="10" className="axis-label">
+                {label}
+              </text>
+            </g>
+          ))}
+        </g>
+
+        {Array.from({ length: gridLines + 1 }).map((_, index) => {
+          const value = (maxCumulative / gridLines) * index
+          const y = cumulativeY(value)
+          return (
+            <g key={`grid-${value}`}>
+              <line
+                x1={padding.left}
+                x2={width - padding.right}
+                y1={y}
+                y2={y}
+                stroke="rgba(148, 163, 184, 0.25)"
+              />
+              <text
+                x={padding.left - 12}
+                y={y + 4}
+                textAnchor="end"
+                className="axis-label"
+              >
+                {format.count(value)}
+              </text>
+            </g>
+          )
+        })}
+        {[0, maxTurnout].map((value) => (
+          <g key={`turnout-${value}`}>
+            <line
+              x1={padding.left}
+              x2={width - padding.right}
+              y1={turnoutY(value)}
+              y2={turnoutY(value)}
+              stroke="rgba(148, 163, 184, 0.25)"
+            />
+            <text
+              x={padding.left - 12}
+              y={turnoutY(value) + 4}
+              textAnchor="end"
+              className="axis-label"
+            >
+              {format.number(value)}
+            </text>
+          </g>
+        ))}
+
+        {timeline.map((entry, index) => (
+          <g key={entry.day}>
+            <rect
+              x={slotCenter(index) - barWidth / 2}
+              y={turnoutY(entry.turnout)}
+              width={barWidth}
+              height={turnoutTop + turnoutHeight - turnoutY(entry.turnout)}
+              rx="2"
+              fill={TURNOUT_COLOR}
+              className="bar"
+            />
+            {index % labelInterval === 0 && (
+              <text
+                x={slotCenter(index)}
+                y={turnoutTop + turnoutHeight + 20}
+                textAnchor="middle"
+                className="axis-label"
+              >
+                {format.day(entry.day)}
+              </text>
+            )}
+          </g>
+        ))}
+
+        {series.map(({ key, color }) => (
+          <polyline
+            key={key}
+            points={timeline
+              .map(
+                (entry, index) =>
+                  `${slotCenter(index)},${cumulativeY(entry.cumulative[key])}`
+              )
+              .join(' ')}
+            fill="none"
+            stroke={color}
+            strokeWidth="2"
+            strokeLinejoin="round"
+          />
+        ))}
+
+        {activeIndex !== null && (
+          <line
+            x1={slotCenter(activeIndex)}
+            x2={slotCenter(activeIndex)}
+            y1={padding.top}
+            y2={turnoutTop + turnoutHeight}
+            stroke="rgba(226, 232, 240, 0.4)"
+            pointerEvents="none"
+          />
+        )}
+        {renderTooltip()}
+      </svg>
+      <p className="visually-hidden" aria-live="polite">
+        {activeIndex === null || !timeline[activeIndex]
+          ? ''
+          : describeDay(t, format, timeline[activeIndex], series)}
+      </p>
+    </div>
+  )
+}
+
+/**
+ * The poll card's results section: the current split from the tallies
+ * (`voteCounts`), and cumulative votes and daily turnout from the poll's day
+ * buckets. Keyed by poll id, so it starts empty for each poll.
+ */
+function PollResults({ poll, voteCounts }) {
+  const { t, format } = useLocale()
+  const pollId = poll.id
+  const [days, setDays] = useState([])
+  // A message key, so the error follows the language.
+  const [loadError, setLoadError] = useState('')
+
+  useEffect(
+    () =>
+      subscribeToVoteDays(
+        pollId,
+        (nextDays) => {
+          setDays(nextDays)
+          setLoadError('')
+        },
+        () => setLoadError('pollResults.loadFailed')
+      ),
+    [pollId]
+  )
+
+  const optionIds = poll.options.map(({ id }) => id)
+  const series = poll.options.map(({ id, label }) => ({
+    key: id,
+    label,
+    color: seriesColor(optionIds, id),
+  }))
+  const shares = voteShares(voteCounts, optionIds)
+  const total = shares.reduce((sum, { count }) => sum + count, 0)
+  const timeline = buildPollTimeline(days, optionIds, timelineEnd(poll))
+
+  return (
+    <div className="poll-results">
+      <h3>{t('pollResults.title')}</h3>
+      {total > 0 && (
+        <div className="share-bar" aria-hidden="true">
+          {shares.map(({ id, share }, index) =>
+            share > 0 ? (
+              <span
+                key={id}
+                style={{
+                  width: `${share * 100}%`,
+                  background: series[index].color,
+                }}
+              />
+            ) : null
+          )}
+        </div>
+      )}
+      <ul className="vote-shares">
+        {shares.map(({ id, count, share }, index) => (
+          <li key={id}>
+            <span
+              className="legend-swatch"
+              style={{ background: series[index].color }}
+            />
+            {series[index].label}: {format.number(count)}
+            {total > 0 && ` (${format.share(share)})`}
+          </li>
+        ))}
+      </ul>
+      {loadError && <p className="auth-message error">{t(loadError)}</p>}
+      {timeline.length > 0 && (
+        <PollTimelineChart timeline={timeline} series={series} />
+      )}
+      <p className="poll-schedule">{t('pollResults.note')}</p>
+    </div>
+  )
+}
+
+export default PollResults
@@ -0,0 +1,191 @@
+import { useMemo } from 'react'
+import {
+  PAGE_SIZES,
+  getSearchColumns,
+  nextSort,
+  searchRows,
+  sortRows,
+  sumColumns,
+} from '../data/tableRows'
+import { useLocale } from '../i18n/useLocale'
+
+const sortIndicator = (sort, column) => {
+  if (sort?.column !== column) return ''
+  return sort.direction === 'asc' ? ' ▲' : ' ▼'
+}
+
+const ariaSort = (sort, column) => {
+  if (sort?.column !== column) return 'none'
+  return sort.direction === 'asc' ? 'ascending' : 'descending'
+}
+
+// Measure cells as numbers in the selected locale; blanks and text that is
+// not a number are shown as they are in the file.
+const formatCell = (format, value, currency) => {
+  const text = String(value ?? '').trim()
+  const number = Number(text)
+  return text && Number.isFinite(number)
+    ? format.amount(number, currency)
+    : value
+}
+
+/**
+ * Raw rows table. `view` holds `{ search, sort, page, pageSize }` and every
+ * change is reported through onViewChange so the parent owns the state.
+ * Measure cells and totals are formatted in `currency` when one is set.
+ */
+function SalesTable({
+  headers,
+  rows,
+  measures,
+  currency = '',
+  view,
+  onViewChange,
+}) {
+  const { t, format } = useLocale()
+  const searchColumns = useMemo(() => getSearchColumns(headers), [headers])
+
+  const visibleRows = useMemo(
+    () =>
+      sortRows(
+        searchRows(rows, view.search, searchColumns),
+        view.sort,
+        measures
+      ),
+    [rows, view.search, view.sort, searchColumns, measures]
+  )
+
+  const totals = useMemo(
+    () => sumColumns(visibleRows, measures),
+    [visibleRows, measures]
+  )
+
+  const totalPages = Math.max(1, Math.ceil(visibleRows.length / view.pageSize))
+  const page = Math.min(view.page, totalPages)
+  const pagedRows = visibleRows.slice(
+    (page - 1) * view.pageSize,
+    page * view.pageSize
+  )
+
+  const update = (changes) => onViewChange({ ...view, ...changes })
+
+  return (
+    <>
+      <div className="table-toolbar">
+        <div className="filter-group">
+          <label htmlFor="table-search">
+            {t('table.search', { columns: searchColumns.join(' / ') })}
+          </label>
+          <input
+            id="table-search"
+            type="search"
+            value={view.search}
+            onChange={(event) =>
+              update({ search: event.target.value, page: 1 })
+            }
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="page-size">{t('table.pageSize')}</label>
+          <select
+            id="page-size"
+            value={view.pageSize}
+            onChange={(event) =>
+              update({ pageSize: Number(event.target.value), page: 1 })
+            }
+          >
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              {headers.map((header) => (
+                <th key={header} aria-sort={ariaSort(view.sort, header)}>
+                  <button
+                    type="button"
+                    className="sort-button"
+                    onClick={() =>
+                      update({ sort: nextSort(view.sort, header), page: 1 })
+                    }
+                  >
+                    {header}
+                    {sortIndicator(view.sort, header)}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pagedRows.map((row, index) => (
+              <tr key={`${row['ITEM CODE']}-${index}`}>
+                {headers.map((header) => (
+                  <td key={`${header}-${index}`}>
+                    {measures.includes(header)
+                      ? formatCell(format, row[header], currency)
+                      : row[header]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              {headers.map((header, index) => (
+                <td key={header}>
+                  {index === 0 &&
+                    t('table.rowCount', { count: visibleRows.length })}
+                  {measures.includes(header) &&
+                    format.amount(totals[header], currency)}
+                </td>
+              ))}
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <div className="pagination">
+        <button
+          type="button"
+          onClick={() => update({ page: Math.max(1, page - 1) })}
+          disabled={page === 1}
+        >
+          {t('table.previous')}
+        </button>
+        <span className="page-jump">
+          <label htmlFor="page-input">{t('table.page')}</label>
+          <input
+            id="page-input"
+            type="number"
+            min={1}
+            max={totalPages}
+            value={page}
+            onChange={(event) => {
+              const next = Number.parseInt(event.target.value, 10)
+              if (Number.isFinite(next)) {
+                update({ page: Math.min(totalPages, Math.max(1, next)) })
+              }
+            }}
+          />
+          {t('table.ofPages', { pages: format.number(totalPages) })}
+        </span>
+        <button
+          type="button"
+          onClick={() => update({ page: Math.min(totalPages, page + 1) })}
+          disabled={page === totalPages}
+        >
+          {t('table.next')}
+        </button>
+      </div>
+    </>
+  )
+}
+
+export default SalesTable
@@ -0,0 +1,300 @@
+import { useEffect, useState } from 'react'
+import {
+  AdminError,
+  invalidateBallot,
+  listBallots,
+  listVoters,
+  recordExport,
+} from '../admin'
+import { downloadFile } from '../export/download'
+import {
+  buildExportMetadata,
+  exportFileName,
+  rowsToCSV,
+} from '../export/formats'
+import { useLocale } from '../i18n/useLocale'
+import { getOptionLabel } from '../polls'
+import { normalizeReceiptCode, receiptBallotId } from '../receipts'
+
+// Ballot ids are 64 hex characters; the first 12 are enough to tell apart.
+const shortBallotId = (id) => id.slice(0, 12)
+
+const ballotStatus = (t, poll, ballot) => {
+  if (ballot.invalidation) {
+    return t('votes.invalidated', {
+      choice: getOptionLabel(poll, ballot.invalidation.choice),
+      reason: ballot.invalidation.reason,
+    })
+  }
+  return ballot.choice
+    ? getOptionLabel(poll, ballot.choice)
+    : t('votes.withdrawn')
+}
+
+// Voters and ballots are exported separately, and neither file names the
+// other. Like the dashboard's exports, the files stay in English.
+const EXPORTS = {
+  voters: {
+    columns: ['Voter ID', 'Email'],
+    toRow: (poll, voter) => ({
+      'Voter ID': voter.uid,
+      Email: voter.email,
+    }),
+  },
+  ballots: {
+    columns: [
+      'Ballot ID',
+      'Choice',
+      'Invalidated choice',
+      'Invalidation reason',
+    ],
+    toRow: (poll, ballot) => ({
+      'Ballot ID': ballot.id,
+      Choice: ballot.choice ? getOptionLabel(poll, ballot.choice) : '',
+      'Invalidated choice': ballot.invalidation
+        ? getOptionLabel(poll, ballot.invalidation.choice)
+        : '',
+      'Invalidation reason': ballot.invalidation?.reason ?? '',
+    }),
+  },
+}
+
+/**
+ * The voter list (eligibility) and the ballot list (choices) for `poll` in
+ * the admin console, with CSV exports and per-ballot invalidation. Ballots
+ * do not name their voters, so a ballot is found by the receipt code its
+ * voter reports, not from the voter list. `admin` is the signed-in admin
+ * user.
+ */
+function VoteList({ admin, poll }) {
+  const { t } = useLocale()
+  const pollId = poll.id
+  const [lists, setLists] = useState(null)
+  // A message key, so the text follows the selected language.
+  const [loadError, setLoadError] = useState('')
+  const [reloadKey, setReloadKey] = useState(0)
+  const [invalidating, setInvalidating] = useState(null)
+  const [reason, setReason] = useState('')
+  const [actionError, setActionError] = useState('')
+  const [working, setWorking] = useState(false)
+  const [receiptCode, setReceiptCode] = useState('')
+  // The ballot id the receipt code search found, or null to list them all.
+  const [foundBallot, setFoundBallot] = useState(null)
+  const [findError, setFindError] = useState('')
+
+  useEffect(() => {
+    let isMounted = true
+    Promise.all([listVoters(pollId), listBallots(pollId)])
+      .then(([voters, ballots]) => {
+        if (!isMounted) return
+        setLists({ voters, ballots })
+        setLoadError('')
+      })
+      .catch(() => {
+        if (isMounted) setLoadError('votes.loadFailed')
+      })
+    return () => {
+      isMounted = false
+    }
+  }, [pollId, reloadKey])
+
+  const handleExport = async (kind) => {
+    const { columns, toRow } = EXPORTS[kind]
+    const rows = lists[kind].map((item) => toRow(poll, item))
+    const metadata = buildExportMetadata({
+      datasetName: `Poll ${kind}: ${poll.question}`,
+      filters: [{ label: 'Poll', column: 'poll', value: pollId }],
+      rowCount: rows.length,
+    })
+    downloadFile(
+      rowsToCSV(columns, rows, metadata),
+      exportFileName(kind, metadata, 'csv'),
+      'text/csv'
+    )
+    try {
+      await recordExport(admin, pollId, `${rows.length} ${kind}`)
+    } catch {
+      setActionError(t('votes.exportNotRecorded'))
+    }
+  }
+
+  const handleInvalidate = async (event) => {
+    event.preventDefault()
+    setWorking(true)
+    setActionError('')
+    try {
+      await invalidateBallot(admin, pollId, invalidating, reason.trim())
+      setInvalidating(null)
+      setReason('')
+      setReloadKey((key) => key + 1)
+    } catch (err) {
+      setActionError(
+        err instanceof AdminError
+          ? t(err.key, err.params)
+          : t('votes.invalidateFailed')
+      )
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleFind = async (event) => {
+    event.preventDefault()
+    const receipt = normalizeReceiptCode(receiptCode)
+    if (!receipt) {
+      setFindError('receipt.badFormat')
+      return
+    }
+    const ballotId = await receiptBallotId(receipt)
+    const found = lists.ballots.some((ballot) => ballot.id === ballotId)
+    setFindError(found ? '' : 'receipt.notFound')
+    setFoundBallot(found ? ballotId : null)
+  }
+
+  const clearFind = () => {
+    setReceiptCode('')
+    setFoundBallot(null)
+    setFindError('')
+  }
+
+  if (loadError) return <p className="auth-message error">{t(loadError)}</p>
+  if (!lists) return <p className="admin-note">{t('votes.loading')}</p>
+
+  const { voters, ballots } = lists
+  const shownBallots = foundBallot
+    ? ballots.filter((ballot) => ballot.id === foundBallot)
+    : ballots
+
+  return (
+    <div className="admin-votes">
+      {actionError && <p className="auth-message error">{actionError}</p>}
+
+      <div className="admin-toolbar">
+        <h3>{t('votes.voters', { count: voters.length })}</h3>
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={() => handleExport('voters')}
+          disabled={!voters.length}
+        >
+          {t('votes.exportVoters')}
+        </button>
+      </div>
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>{t('auth.email')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {voters.map((voter) => (
+              <tr key={voter.uid}>
+                <td title={voter.uid}>{voter.email || voter.uid}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="admin-toolbar">
+        <h3>{t('votes.ballots', { count: ballots.length })}</h3>
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={() => handleExport('ballots')}
+          disabled={!ballots.length}
+        >
+          {t('votes.exportBallots')}
+        </button>
+      </div>
+      <p className="admin-note">{t('votes.invalidateHint')}</p>
+      <form className="invalidate-form" onSubmit={handleFind}>
+        <label htmlFor="find-receipt">{t('receipt.code')}</label>
+        <input
+          id="find-receipt"
+          value={receiptCode}
+          onChange={(event) => setReceiptCode(event.target.value)}
+          autoComplete="off"
+          spellCheck={false}
+          required
+        />
+        <button type="submit">{t('votes.find')}</button>
+        {foundBallot && (
+          <button type="button" onClick={clearFind}>
+            {t('votes.showAll')}
+          </button>
+        )}
+      </form>
+      {findError && <p className="auth-message error">{t(findError)}</p>}
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>{t('votes.ballot')}</th>
+              <th>{t('votes.choice')}</th>
+              <th>
+                <span className="visually-hidden">{t('votes.actions')}</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {shownBallots.map((ballot) => (
+              <tr key={ballot.id}>
+                <td title={ballot.id}>
+                  <code>{shortBallotId(ballot.id)}</code>
+                </td>
+                <td>{ballotStatus(t, poll, ballot)}</td>
+                <td>
+                  {invalidating === ballot.id ? (
+                    <form
+                      className="invalidate-form"
+                      onSubmit={handleInvalidate}
+                    >
+                      <label htmlFor="invalidate-reason">
+                        {t('votes.reason')}
+                      </label>
+                      <input
+                        id="invalidate-reason"
+                        value={reason}
+                        onChange={(event) => setReason(event.target.value)}
+                        required
+                      />
+                      <button
+                        type="submit"
+                        disabled={working || !reason.trim()}
+                      >
+                        {t('votes.invalidate')}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setInvalidating(null)}
+                      >
+                        {t('common.cancel')}
+                      </button>
+                    </form>
+                  ) : (
+                    ballot.choice && (
+                      <button
+                        type="button"
+                        className="secondary-button"
+                        onClick={() => {
+                          setInvalidating(ballot.id)
+                          setReason('')
+                        }}
+                      >
+                        {t('votes.invalidate')}
+                      </button>
+                    )
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default VoteList
@@ -0,0 +1,59 @@
+import { createCSVParser } from './parser'
+
+const ROW_BATCH_SIZE = 5000
+
+const readSource = async ({ url, file }) => {
+  if (file) return { stream: file.stream(), total: file.size }
+
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error('Failed to load CSV data.')
+  }
+  const length = Number.parseInt(response.headers.get('Content-Length'), 10)
+  return {
+    stream: response.body,
+    total: Number.isFinite(length) ? length : null,
+  }
+}
+
+const parseSource = async (source) => {
+  let batch = []
+  const flush = () => {
+    if (!batch.length) return
+    self.postMessage({ type: 'rows', rows: batch })
+    batch = []
+  }
+
+  const parser = createCSVParser({
+    delimiter: source.delimiter,
+    onRow: (row) => {
+      batch.push(row)
+      if (batch.length >= ROW_BATCH_SIZE) flush()
+    },
+  })
+
+  const { stream, total } = await readSource(source)
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let loaded = 0
+
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    loaded += value.byteLength
+    parser.push(decoder.decode(value, { stream: true }))
+    flush()
+    self.postMessage({ type: 'progress', loaded, total })
+  }
+
+  parser.push(decoder.decode())
+  const { headers, delimiter } = parser.finish()
+  flush()
+  self.postMessage({ type: 'done', headers, delimiter })
+}
+
+self.onmessage = (event) => {
+  parseSource(event.data).catch((err) => {
+    self.postMessage({ type: 'error', message: err.message })
+  })
+}
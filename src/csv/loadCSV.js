@@ -0,0 +1,55 @@
+/**
+ * Parses a CSV off the main thread. `source` is `{ url }` or `{ file }`, plus
+ * an optional `delimiter`. onProgress receives `{ loaded, total }` in bytes;
+ * total is null when the size is unknown. Aborting the signal terminates the
+ * worker and rejects with an AbortError.
+ */
+export const loadCSV = (source, { onProgress, signal } = {}) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./csvWorker.js', import.meta.url), {
+      type: 'module',
+    })
+    const rows = []
+
+    const cleanup = () => {
+      worker.terminate()
+      signal?.removeEventListener('abort', handleAbort)
+    }
+
+    function handleAbort() {
+      cleanup()
+      reject(new DOMException('CSV load aborted.', 'AbortError'))
+    }
+
+    if (signal?.aborted) {
+      handleAbort()
+      return
+    }
+    signal?.addEventListener('abort', handleAbort)
+
+    worker.onmessage = (event) => {
+      const message = event.data
+      if (message.type === 'rows') {
+        for (const row of message.rows) rows.push(row)
+      } else if (message.type === 'progress') {
+        onProgress?.({ loaded: message.loaded, total: message.total })
+      } else if (message.type === 'done') {
+        cleanup()
+        resolve({
+          headers: message.headers,
+          rows,
+          delimiter: message.delimiter,
+        })
+      } else if (message.type === 'error') {
+        cleanup()
+        reject(new Error(message.message))
+      }
+    }
+
+    worker.onerror = (event) => {
+      cleanup()
+      reject(new Error(event.message || 'Failed to parse CSV data.'))
+    }
+
+    worker.postMessage(source)
+  })
@@ -0,0 +1,159 @@
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|']
+const BOM = '\uFEFF'
+
+// Picks whichever candidate appears most often outside quotes in the header.
+export const detectDelimiter = (headerLine) => {
+  const counts = new Map(DELIMITER_CANDIDATES.map((char) => [char, 0]))
+  let inQuotes = false
+
+  for (const char of headerLine) {
+    if (char === '"') {
+      inQuotes = !inQuotes
+      continue
+    }
+    if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1)
+    }
+  }
+
+  let best = ','
+  counts.forEach((count, char) => {
+    if (count > counts.get(best)) best = char
+  })
+  return best
+}
+
+/**
+ * Incremental CSV parser. Feed it text with push() as it arrives and call
+ * finish() once the input ends. Quoted fields may span lines and chunk
+ * boundaries; a leading BOM is dropped. Without an explicit delimiter it is
+ * detected from the header line.
+ *
+ * onHeaders receives the trimmed header row, onRow an object keyed by header.
+ */
+export const createCSVParser = ({ delimiter, onHeaders, onRow } = {}) => {
+  let separator = delimiter ?? null
+  let pending = ''
+  let isFirstChunk = true
+  let headers = null
+  let row = []
+  let field = ''
+  let inQuotes = false
+  let quotePending = false
+  let skipLineFeed = false
+
+  const endField = () => {
+    row.push(field)
+    field = ''
+  }
+
+  const endRow = () => {
+    endField()
+    const values = row
+    row = []
+    if (values.length === 1 && values[0] === '') return
+
+    if (!headers) {
+      headers = values.map((header) => header.trim())
+      onHeaders?.(headers)
+      return
+    }
+
+    onRow?.(
+      headers.reduce((acc, header, index) => {
+        acc[header] = values[index] ?? ''
+        return acc
+      }, {})
+    )
+  }
+
+  const consume = (text) => {
+    for (let i = 0; i < text.length; i += 1) {
+      const char = text[i]
+
+      if (skipLineFeed) {
+        skipLineFeed = false
+        if (char === '\n') continue
+      }
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false
+          if (char === '"') {
+            field += '"'
+            continue
+          }
+          inQuotes = false
+        } else if (char === '"') {
+          quotePending = true
+          continue
+        } else {
+          field += char
+          continue
+        }
+      }
+
+      if (char === '"') {
+        inQuotes = true
+      } else if (char === separator) {
+        endField()
+      } else if (char === '\n') {
+        endRow()
+      } else if (char === '\r') {
+        endRow()
+        skipLineFeed = true
+      } else {
+        field += char
+      }
+    }
+  }
+
+  const push = (chunk) => {
+    let text = chunk
+    if (isFirstChunk && text) {
+      isFirstChunk = false
+      if (text.startsWith(BOM)) text = text.slice(1)
+    }
+
+    if (separator) {
+      consume(text)
+      return
+    }
+
+    pending += text
+    const lineEnd = pending.search(/\r|\n/)
+    if (lineEnd === -1) return
+    separator = detectDelimiter(pending.slice(0, lineEnd))
+    const buffered = pending
+    pending = ''
+    consume(buffered)
+  }
+
+  const finish = () => {
+    if (!separator) {
+      separator = detectDelimiter(pending)
+      const buffered = pending
+      pending = ''
+      consume(buffered)
+    }
+    if (quotePending) {
+      quotePending = false
+      inQuotes = false
+    }
+    if (field !== '' || row.length) endRow()
+    return { headers: headers ?? [], delimiter: separator }
+  }
+
+  return { push, finish }
+}
+
+export const parseCSVText = (text, options = {}) => {
+  const rows = []
+  const parser = createCSVParser({
+    ...options,
+    onRow: (row) => rows.push(row),
+  })
+  parser.push(text)
+  const { headers, delimiter } = parser.finish()
+  return { headers, rows, delimiter }
+}
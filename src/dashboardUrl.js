@@ -0,0 +1,217 @@
+// Maps the dashboard's view state to and from the URL query string so links
+// can be shared and the browser's back/forward buttons step through views.
+// Parameters equal to their default are left out to keep links short.
+
+import { CHART_MODES } from './chartSeries'
+import { formatMonthKey, parseMonthLabel } from './data/salesSummary'
+import { DEFAULT_COMPARISON, DELTA_MODES } from './data/comparison'
+import { QUALITY_ISSUES } from './data/dataQuality'
+import {
+  DEFAULT_PIVOT,
+  PIVOT_COLUMN_DIMENSIONS,
+  PIVOT_ROW_DIMENSIONS,
+} from './data/pivot'
+import {
+  CONFIDENCE_LEVELS,
+  DEFAULT_OVERLAY,
+  FORECAST_HORIZONS,
+  MOVING_AVERAGE_WINDOWS,
+  TREND_METHODS,
+} from './data/forecast'
+import { DEFAULT_TABLE_VIEW, PAGE_SIZES } from './data/tableRows'
+
+export const DEFAULT_DASHBOARD_STATE = {
+  suppliers: [],
+  categories: [],
+  dateRange: null,
+  keyword: '',
+  excludedIssues: [],
+  chartMode: 'stacked',
+  chartMeasures: null,
+  overlay: DEFAULT_OVERLAY,
+  pivot: DEFAULT_PIVOT,
+  comparison: DEFAULT_COMPARISON,
+  tableView: DEFAULT_TABLE_VIEW,
+}
+
+// Returns `value` as a number when it is one of `allowed`, else `fallback`.
+const readChoice = (value, allowed, fallback) => {
+  const parsed = Number(value)
+  return value !== null && allowed.includes(parsed) ? parsed : fallback
+}
+
+const readPositiveInt = (value) => {
+  const parsed = Number.parseInt(value ?? '', 10)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null
+}
+
+// `sort=COLUMN:desc`; the direction follows the last colon so column names
+// may contain colons themselves.
+const readSort = (value) => {
+  const match = /^(.+):(asc|desc)$/.exec(value ?? '')
+  return match ? { column: match[1], direction: match[2] } : null
+}
+
+// Side B's filters only count while comparison mode is on.
+const readComparison = (params) => {
+  if (params.get('compare') !== '1') return DEFAULT_COMPARISON
+  const delta = params.get('delta')
+  return {
+    enabled: true,
+    suppliers: params.getAll('bsupplier').filter(Boolean),
+    categories: params.getAll('bcategory').filter(Boolean),
+    delta: DELTA_MODES.some(({ id }) => id === delta)
+      ? delta
+      : DEFAULT_COMPARISON.delta,
+  }
+}
+
+const readDateRange = (params) => {
+  const start = parseMonthLabel(params.get('from'))
+  const end = parseMonthLabel(params.get('to'))
+  if (!start || !end) return null
+  return { start: Math.min(start, end), end: Math.max(start, end) }
+}
+
+/**
+ * Reads a query string (with or without the leading "?") into dashboard
+ * state. Missing or malformed parameters fall back to their defaults.
+ */
+export const parseDashboardState = (search) => {
+  const params = new URLSearchParams(search)
+  const chartMode = params.get('view')
+  const pageSize = readPositiveInt(params.get('size'))
+
+  return {
+    suppliers: params.getAll('supplier').filter(Boolean),
+    categories: params.getAll('category').filter(Boolean),
+    dateRange: readDateRange(params),
+    keyword: params.get('keyword') ?? '',
+    excludedIssues: params
+      .getAll('exclude')
+      .filter((id) => QUALITY_ISSUES.some((issue) => issue.id === id)),
+    chartMode: CHART_MODES.some(({ id }) => id === chartMode)
+      ? chartMode
+      : DEFAULT_DASHBOARD_STATE.chartMode,
+    chartMeasures: params.has('series')
+      ? params.getAll('series').filter(Boolean)
+      : null,
+    overlay: {
+      movingAverage: readChoice(
+        params.get('ma'),
+        MOVING_AVERAGE_WINDOWS,
+        DEFAULT_OVERLAY.movingAverage
+      ),
+      trend: TREND_METHODS.some(({ id }) => id === params.get('trend'))
+        ? params.get('trend')
+        : DEFAULT_OVERLAY.trend,
+      horizon: readChoice(
+        params.get('forecast'),
+        FORECAST_HORIZONS,
+        DEFAULT_OVERLAY.horizon
+      ),
+      confidence: readChoice(
+        params.get('band'),
+        CONFIDENCE_LEVELS,
+        DEFAULT_OVERLAY.confidence
+      ),
+    },
+    pivot: {
+      rows: PIVOT_ROW_DIMENSIONS.includes(params.get('prows'))
+        ? params.get('prows')
+        : DEFAULT_PIVOT.rows,
+      columns: PIVOT_COLUMN_DIMENSIONS.some(
+        ({ id }) => id === params.get('pcols')
+      )
+        ? params.get('pcols')
+        : DEFAULT_PIVOT.columns,
+      measure: params.get('pmeasure') || DEFAULT_PIVOT.measure,
+    },
+    comparison: readComparison(params),
+    tableView: {
+      search: params.get('q') ?? '',
+      sort: readSort(params.get('sort')),
+      page: readPositiveInt(params.get('page')) ?? 1,
+      pageSize: PAGE_SIZES.includes(pageSize)
+        ? pageSize
+        : DEFAULT_TABLE_VIEW.pageSize,
+    },
+  }
+}
+
+// Inverse of parseDashboardState; returns "" or a string starting with "?".
+export const formatDashboardState = (state) => {
+  const params = new URLSearchParams()
+  const { tableView } = state
+
+  state.suppliers.forEach((supplier) => params.append('supplier', supplier))
+  state.categories.forEach((category) => params.append('category', category))
+  if (state.dateRange) {
+    params.set('from', formatMonthKey(state.dateRange.start))
+    params.set('to', formatMonthKey(state.dateRange.end))
+  }
+  if (state.keyword) params.set('keyword', state.keyword)
+  state.excludedIssues.forEach((id) => params.append('exclude', id))
+  if (state.chartMode !== DEFAULT_DASHBOARD_STATE.chartMode) {
+    params.set('view', state.chartMode)
+  }
+  if (state.chartMeasures) {
+    if (state.chartMeasures.length === 0) params.set('series', '')
+    state.chartMeasures.forEach((measure) => params.append('series', measure))
+  }
+  const { overlay } = state
+  if (overlay.movingAverage) params.set('ma', String(overlay.movingAverage))
+  if (overlay.trend !== DEFAULT_OVERLAY.trend) {
+    params.set('trend', overlay.trend)
+  }
+  if (overlay.horizon) params.set('forecast', String(overlay.horizon))
+  if (overlay.confidence !== DEFAULT_OVERLAY.confidence) {
+    params.set('band', String(overlay.confidence))
+  }
+  const { pivot } = state
+  if (pivot.rows !== DEFAULT_PIVOT.rows) params.set('prows', pivot.rows)
+  if (pivot.columns !== DEFAULT_PIVOT.columns) {
+    params.set('pcols', pivot.columns)
+  }
+  if (pivot.measure) params.set('pmeasure', pivot.measure)
+  const { comparison } = state
+  if (comparison.enabled) {
+    params.set('compare', '1')
+    comparison.suppliers.forEach((supplier) =>
+      params.append('bsupplier', supplier)
+    )
+    comparison.categories.forEach((category) =>
+      params.append('bcategory', category)
+    )
+    if (comparison.delta !== DEFAULT_COMPARISON.delta) {
+      params.set('delta', comparison.delta)
+    }
+  }
+  if (tableView.search) params.set('q', tableView.search)
+  if (tableView.sort) {
+    params.set('sort', `${tableView.sort.column}:${tableView.sort.direction}`)
+  }
+  if (tableView.page > 1) params.set('page', String(tableView.page))
+  if (tableView.pageSize !== DEFAULT_TABLE_VIEW.pageSize) {
+    params.set('size', String(tableView.pageSize))
+  }
+
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
+
+// Typing in the table search or the keyword filter (either of which also
+// returns the table to page 1) replaces the current history entry rather than
+// adding one per keystroke.
+export const isSearchOnlyChange = (previous, next) =>
+  (previous.tableView.search !== next.tableView.search ||
+    previous.keyword !== next.keyword) &&
+  formatDashboardState({
+    ...previous,
+    keyword: next.keyword,
+    tableView: {
+      ...previous.tableView,
+      search: next.tableView.search,
+      page: next.tableView.page,
+    },
+  }) === formatDashboardState(next)
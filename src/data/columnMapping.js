@@ -0,0 +1,107 @@
+// Browser-side helpers for uploaded datasets: guessing, validating and
+// remembering which columns map onto the dashboard (see DEFAULT_COLUMN_MAPPING
+// in salesSummary.js). Mappings are saved per header row in localStorage.
+
+import { translate } from '../i18n'
+
+const STORAGE_KEY = 'salesDashboard.columnMappings'
+const SAMPLE_SIZE = 200
+
+// Offered for the measures' `currency`; '' (plain numbers) is always offered.
+export const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'MXN']
+
+const headersKey = (headers) => headers.join('\u001f')
+
+const readSavedMappings = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) ?? {}
+  } catch {
+    return {}
+  }
+}
+
+export const loadSavedMapping = (headers) =>
+  readSavedMappings()[headersKey(headers)] ?? null
+
+export const saveMapping = (headers, mapping) => {
+  const saved = readSavedMappings()
+  saved[headersKey(headers)] = mapping
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(saved))
+  } catch {
+    // Storage may be full or disabled; the mapping still applies this session.
+  }
+}
+
+const isNumericColumn = (rows, column) => {
+  const values = rows
+    .slice(0, SAMPLE_SIZE)
+    .map((row) => String(row[column] ?? '').trim())
+    .filter(Boolean)
+  return (
+    values.length > 0 &&
+    values.every((value) => !Number.isNaN(Number(value.replace(/,/g, ''))))
+  )
+}
+
+const findColumn = (headers, pattern) =>
+  headers.find((header) => pattern.test(header)) ?? ''
+
+// Suggests a mapping from header names and a sample of values.
+export const guessColumnMapping = (headers, rows) => {
+  const year = findColumn(headers, /^(year|yr)$/i)
+  const month = findColumn(headers, /^(month|mo)$/i)
+  const date = year && month ? '' : findColumn(headers, /date|period/i)
+  const dateColumns = [year, month, date]
+  const measures = headers.filter(
+    (header) =>
+      !dateColumns.includes(header) &&
+      !/code|id$/i.test(header) &&
+      isNumericColumn(rows, header)
+  )
+  const dimensions = headers.filter(
+    (header) =>
+      !dateColumns.includes(header) &&
+      !measures.includes(header) &&
+      !/code|description|id$/i.test(header)
+  )
+
+  return {
+    supplier:
+      findColumn(dimensions, /supplier|vendor|warehouse|distributor/i) ||
+      dimensions[0] ||
+      '',
+    category:
+      findColumn(dimensions, /type|category|class/i) || dimensions[1] || '',
+    year,
+    month,
+    date,
+    measures,
+    totalMeasures: measures,
+    currency: '',
+  }
+}
+
+// Returns a message describing what is wrong with the mapping, or null.
+export const validateColumnMapping = (mapping, headers, t = translate) => {
+  const columns = [
+    mapping.supplier,
+    mapping.category,
+    mapping.year,
+    mapping.month,
+    mapping.date,
+    ...mapping.measures,
+  ].filter(Boolean)
+  const missing = columns.find((column) => !headers.includes(column))
+  if (missing) return t('mapping.missingColumn', { column: missing })
+
+  if (!mapping.date && !(mapping.year && mapping.month)) {
+    return t('mapping.noDates')
+  }
+  if (!mapping.measures.length) return t('mapping.noMeasures')
+  if (!mapping.totalMeasures.length) return t('mapping.noTotal')
+  if (mapping.supplier && mapping.supplier === mapping.category) {
+    return t('mapping.sameFilters')
+  }
+  return null
+}
@@ -0,0 +1,80 @@
+// Lines up two filter selections, A and B, for the comparison card. Side A
+// is the dashboard's own filters and side B a second supplier and category
+// selection; both share the month range and the row-level filters.
+
+import { translate } from '../i18n'
+import { latestPeriodChanges } from './insights'
+
+export const DELTA_MODES = [
+  { id: 'difference', labelKey: 'comparison.delta.difference' },
+  { id: 'ratio', labelKey: 'comparison.delta.ratio' },
+]
+
+export const DEFAULT_COMPARISON = {
+  enabled: false,
+  suppliers: [],
+  categories: [],
+  delta: 'difference',
+}
+
+/**
+ * Merges the monthly totals of side A and side B (from querySalesSummary)
+ * into `{ label, values: { a, b, difference, ratio } }` per month, sorted. A
+ * month only one side has counts as 0 on the other. `ratio` is B / A, or null
+ * when A is 0.
+ */
+export const compareMonthlyTotals = (totalsA, totalsB) => {
+  const months = new Map()
+  const add = (totals, side) =>
+    totals.forEach(({ label, value }) => {
+      if (!months.has(label)) months.set(label, { a: 0, b: 0 })
+      months.get(label)[side] = value
+    })
+  add(totalsA, 'a')
+  add(totalsB, 'b')
+
+  return Array.from(months.entries())
+    .sort((x, y) => x[0].localeCompare(y[0]))
+    .map(([label, { a, b }]) => ({
+      label,
+      values: { a, b, difference: b - a, ratio: a ? b / a : null },
+    }))
+}
+
+/**
+ * Totals and growth for each side of compareMonthlyTotals' `months`. Returns
+ * null without data; otherwise `{ latest, previousMonth, previousYear, a, b }`
+ * where each side is `{ total, average, current, mom, yoy }` and growth
+ * compares the latest month with the month before and a year earlier (null
+ * without a baseline, as in latestPeriodChanges).
+ */
+export const summarizeComparison = (months) => {
+  if (!months.length) return null
+  const periodOf = (key) =>
+    latestPeriodChanges(
+      months.map(({ label, values }) => ({ label, value: values[key] })),
+      []
+    )
+  const side = (key, period) => {
+    const total = months.reduce((sum, { values }) => sum + values[key], 0)
+    const { current, mom, yoy } = period.changes[0]
+    return { total, average: total / months.length, current, mom, yoy }
+  }
+  // Both sides cover the same months, so their periods share labels.
+  const periodA = periodOf('a')
+  return {
+    latest: periodA.latest,
+    previousMonth: periodA.previousMonth,
+    previousYear: periodA.previousYear,
+    a: side('a', periodA),
+    b: side('b', periodOf('b')),
+  }
+}
+
+// "ALPHA, BETA / WINE" for a side's selection, or "All" (in the language of
+// `t`, a translator from src/i18n) when it has none.
+export const describeSelection = ({ suppliers, categories }, t = translate) =>
+  [suppliers, categories]
+    .filter((values) => values.length)
+    .map((values) => values.join(', '))
+    .join(' / ') || t('filters.all')
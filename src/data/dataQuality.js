@@ -0,0 +1,152 @@
+// Row-level checks on a loaded dataset. Every row gets a bitmask of the
+// issues found in it so the dashboard can leave chosen kinds of rows out of
+// its aggregates.
+
+import { getRowMonthKey, isValidMonthKey } from './salesSummary'
+
+// `labelKey` and `effectKey` name each issue and what it does to the
+// aggregates in the catalogs in src/i18n.
+export const QUALITY_ISSUES = [
+  {
+    id: 'bad-date',
+    labelKey: 'quality.badDate',
+    effectKey: 'quality.badDate.effect',
+  },
+  {
+    id: 'unparseable',
+    labelKey: 'quality.unparseable',
+    effectKey: 'quality.unparseable.effect',
+  },
+  { id: 'blank', labelKey: 'quality.blank', effectKey: 'quality.blank.effect' },
+  {
+    id: 'negative',
+    labelKey: 'quality.negative',
+    effectKey: 'quality.negative.effect',
+  },
+  {
+    id: 'outlier',
+    labelKey: 'quality.outlier',
+    effectKey: 'quality.outlier.effect',
+  },
+  {
+    id: 'missing-supplier',
+    labelKey: 'quality.missingSupplier',
+    effectKey: 'quality.missingSupplier.effect',
+  },
+  {
+    id: 'duplicate',
+    labelKey: 'quality.duplicate',
+    effectKey: 'quality.duplicate.effect',
+  },
+]
+
+const ISSUE_BITS = Object.fromEntries(
+  QUALITY_ISSUES.map(({ id }, index) => [id, 1 << index])
+)
+
+const EXAMPLE_LIMIT = 5
+const OUTLIER_FENCE = 3
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/
+
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q
+  const lower = Math.floor(position)
+  const upper = Math.ceil(position)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower)
+}
+
+// Tukey's far-out fences over the non-zero values of a column.
+const outlierFences = (values) => {
+  const sorted = values.filter((value) => value !== 0).sort((a, b) => a - b)
+  if (sorted.length < 4) return null
+  const q1 = quantile(sorted, 0.25)
+  const q3 = quantile(sorted, 0.75)
+  const spread = (q3 - q1) * OUTLIER_FENCE
+  return { low: q1 - spread, high: q3 + spread }
+}
+
+/**
+ * Audits `rows` against the column `mapping`. `itemColumn` (e.g. ITEM CODE)
+ * enables the duplicate check. Returns `{ flags, flaggedRows, issues }`:
+ * `flags[i]` is row i's issue bitmask, `flaggedRows` counts rows with any
+ * issue, and `issues` follows QUALITY_ISSUES with a `count` of affected
+ * rows, per-column `columns` counts for value checks and up to five example
+ * row indexes.
+ */
+export const auditRows = (rows, mapping, { itemColumn = '' } = {}) => {
+  const flags = new Uint8Array(rows.length)
+  const counts = Object.fromEntries(QUALITY_ISSUES.map(({ id }) => [id, 0]))
+  const columns = Object.fromEntries(QUALITY_ISSUES.map(({ id }) => [id, {}]))
+  const examples = Object.fromEntries(QUALITY_ISSUES.map(({ id }) => [id, []]))
+
+  const flag = (index, id, column) => {
+    const bit = ISSUE_BITS[id]
+    if (!(flags[index] & bit)) {
+      flags[index] |= bit
+      counts[id] += 1
+      if (examples[id].length < EXAMPLE_LIMIT) examples[id].push(index)
+    }
+    if (column) columns[id][column] = (columns[id][column] ?? 0) + 1
+  }
+
+  const parsed = mapping.measures.map(() => new Float64Array(rows.length))
+  const seen = new Set()
+
+  rows.forEach((row, index) => {
+    const monthKey = getRowMonthKey(row, mapping)
+    if (!isValidMonthKey(monthKey)) flag(index, 'bad-date')
+
+    mapping.measures.forEach((column, measureIndex) => {
+      const text = String(row[column] ?? '').trim()
+      if (!text) {
+        flag(index, 'blank', column)
+      } else if (!NUMBER_PATTERN.test(text)) {
+        flag(index, 'unparseable', column)
+      } else {
+        const value = Number(text)
+        parsed[measureIndex][index] = value
+        if (value < 0) flag(index, 'negative', column)
+      }
+    })
+
+    if (mapping.supplier && !String(row[mapping.supplier] ?? '').trim()) {
+      flag(index, 'missing-supplier')
+    }
+
+    if (itemColumn && row[itemColumn]) {
+      const key = `${row[itemColumn]}|${monthKey}`
+      if (seen.has(key)) flag(index, 'duplicate')
+      else seen.add(key)
+    }
+  })
+
+  mapping.measures.forEach((column, measureIndex) => {
+    const values = parsed[measureIndex]
+    const fences = outlierFences(Array.from(values))
+    if (!fences) return
+    values.forEach((value, index) => {
+      if (value !== 0 && (value < fences.low || value > fences.high)) {
+        flag(index, 'outlier', column)
+      }
+    })
+  })
+
+  return {
+    flags,
+    flaggedRows: flags.reduce((sum, value) => sum + (value ? 1 : 0), 0),
+    issues: QUALITY_ISSUES.map((issue) => ({
+      ...issue,
+      count: counts[issue.id],
+      columns: columns[issue.id],
+      examples: examples[issue.id],
+    })),
+  }
+}
+
+// Bitmask for a list of issue ids, for use with excludeFlaggedRows.
+export const issueMask = (ids) =>
+  ids.reduce((mask, id) => mask | (ISSUE_BITS[id] ?? 0), 0)
+
+// Drops the rows whose flags intersect `mask`.
+export const excludeFlaggedRows = (rows, flags, mask) =>
+  mask ? rows.filter((_, index) => !(flags[index] & mask)) : rows
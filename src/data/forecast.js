@@ -0,0 +1,211 @@
+// Trend lines and forecasts for the monthly chart, computed from
+// querySalesSummary's monthlyTotals. Months are placed on a real calendar
+// axis, so gaps in the data do not bend the trend.
+
+import { getFormatters } from '../format'
+import { DEFAULT_LOCALE, createTranslator } from '../i18n'
+import { formatMonthKey, parseMonthLabel } from './salesSummary'
+
+export const TREND_METHODS = [
+  { id: 'none', labelKey: 'chart.trend.none' },
+  { id: 'linear', labelKey: 'chart.trend.linear' },
+  { id: 'seasonal', labelKey: 'chart.trend.seasonal' },
+]
+export const MOVING_AVERAGE_WINDOWS = [0, 3, 6, 12]
+export const FORECAST_HORIZONS = [0, 3, 6, 12]
+export const CONFIDENCE_LEVELS = [80, 95]
+
+export const DEFAULT_OVERLAY = {
+  movingAverage: 0,
+  trend: 'none',
+  horizon: 0,
+  confidence: 95,
+}
+
+const Z_SCORES = { 80: 1.2816, 95: 1.96 }
+const SEASON_LENGTH = 12
+// Seasonal offsets need every calendar month seen at least twice to leave
+// the fit any residual error to measure.
+const MIN_SEASONAL_MONTHS = 2 * SEASON_LENGTH
+
+const monthIndex = (monthKey) =>
+  Math.floor(monthKey / 100) * 12 + (monthKey % 100) - 1
+
+const monthKeyFromIndex = (index) =>
+  Math.floor(index / 12) * 100 + (index % 12) + 1
+
+// Mean of the values in the `window` calendar months ending at each point
+// (months with no data are skipped); null until a full window has passed.
+export const movingAverage = (xs, values, window) =>
+  xs.map((x, index) => {
+    if (x - xs[0] < window - 1) return null
+    let sum = 0
+    let count = 0
+    for (let i = index; i >= 0 && xs[i] > x - window; i -= 1) {
+      sum += values[i]
+      count += 1
+    }
+    return sum / count
+  })
+
+/**
+ * Least-squares fit of `ys` against `xs`, optionally with additive seasonal
+ * offsets (one per calendar month, averaged from the linear residuals and
+ * centred on zero). Returns a `predict(x)` function, the fitted slope,
+ * whether the fit is `seasonal` and the residual standard error, plus what
+ * the prediction interval needs. A seasonal fit with no more points than
+ * parameters would be exact, so it falls back to the line.
+ */
+export const fitTrend = (xs, ys, { seasonal = false } = {}) => {
+  const n = xs.length
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n
+  let sxx = 0
+  let sxy = 0
+  xs.forEach((x, i) => {
+    sxx += (x - meanX) ** 2
+    sxy += (x - meanX) * (ys[i] - meanY)
+  })
+  const slope = sxx === 0 ? 0 : sxy / sxx
+  const intercept = meanY - slope * meanX
+  const linear = (x) => intercept + slope * x
+
+  // x is a month index, so x % 12 is the calendar month.
+  const offsets = new Array(SEASON_LENGTH).fill(0)
+  let seasons = 0
+  if (seasonal) {
+    const sums = new Array(SEASON_LENGTH).fill(0)
+    const counts = new Array(SEASON_LENGTH).fill(0)
+    xs.forEach((x, i) => {
+      sums[x % SEASON_LENGTH] += ys[i] - linear(x)
+      counts[x % SEASON_LENGTH] += 1
+    })
+    const means = sums.map((sum, i) => (counts[i] ? sum / counts[i] : 0))
+    seasons = counts.filter(Boolean).length
+    const centre = means.reduce((sum, mean) => sum + mean, 0) / seasons
+    counts.forEach((count, i) => {
+      if (count) offsets[i] = means[i] - centre
+    })
+  }
+
+  // Two linear terms plus one free offset per season seen beyond the first.
+  const isSeasonal = seasonal && n > 1 + seasons
+  if (!isSeasonal) offsets.fill(0)
+  const parameters = isSeasonal ? 1 + seasons : 2
+  const predict = (x) => linear(x) + offsets[x % SEASON_LENGTH]
+  const residualSum = xs.reduce(
+    (sum, x, i) => sum + (ys[i] - predict(x)) ** 2,
+    0
+  )
+  const standardError = Math.sqrt(residualSum / Math.max(1, n - parameters))
+
+  return {
+    predict,
+    slope,
+    seasonal: isSeasonal,
+    standardError,
+    n,
+    meanX,
+    sxx,
+  }
+}
+
+// Half-width of the prediction interval at `x` for a fit from fitTrend.
+const intervalHalfWidth = (fit, x, z) =>
+  z *
+  fit.standardError *
+  Math.sqrt(1 + 1 / fit.n + (fit.sxx ? (x - fit.meanX) ** 2 / fit.sxx : 0))
+
+const describeOverlay = (options, fit, locale) => {
+  const t = createTranslator(locale)
+  const format = getFormatters(locale)
+  const parts = []
+  if (options.movingAverage) {
+    parts.push(t('forecast.movingAverage', { months: options.movingAverage }))
+  }
+  if (options.trend !== 'none' && !fit) {
+    parts.push(t('forecast.tooFewMonths'))
+  }
+  if (fit) {
+    const slope = `${fit.slope >= 0 ? '+' : ''}${format.count(fit.slope)}`
+    parts.push(
+      t(fit.seasonal ? 'forecast.seasonalTrend' : 'forecast.linearTrend', {
+        slope,
+      })
+    )
+    if (options.trend === 'seasonal' && !fit.seasonal) {
+      parts.push(
+        t('forecast.tooFewForSeasons', { months: MIN_SEASONAL_MONTHS })
+      )
+    }
+    if (options.horizon) {
+      parts.push(
+        t('forecast.band', {
+          months: options.horizon,
+          confidence: options.confidence,
+          error: format.count(fit.standardError),
+        })
+      )
+    }
+  }
+  return parts.join(' · ')
+}
+
+/**
+ * Builds the chart overlay for `monthlyTotals`, totalling the charted
+ * `seriesKeys` per month. `options` follows DEFAULT_OVERLAY. Returns null
+ * when nothing is switched on; otherwise per-month `movingAverage` and
+ * `trend` arrays (null where undefined), `forecast` entries of
+ * `{ label, value, lower, upper }` and a `description` of the method in
+ * `locale` (an id from LOCALES in src/i18n).
+ */
+export const buildOverlay = (
+  monthlyTotals,
+  seriesKeys,
+  options,
+  locale = DEFAULT_LOCALE
+) => {
+  const wantsTrend = options.trend !== 'none'
+  if (!options.movingAverage && !wantsTrend) return null
+
+  const values = monthlyTotals.map((item) =>
+    seriesKeys.reduce((sum, key) => sum + (item.values[key] ?? 0), 0)
+  )
+  const xs = monthlyTotals.map((item) =>
+    monthIndex(parseMonthLabel(item.label))
+  )
+  const fit =
+    wantsTrend && values.length >= 3
+      ? fitTrend(xs, values, {
+          seasonal:
+            options.trend === 'seasonal' &&
+            values.length >= MIN_SEASONAL_MONTHS,
+        })
+      : null
+
+  const z = Z_SCORES[options.confidence] ?? Z_SCORES[95]
+  const lastX = xs.at(-1)
+  const forecast =
+    fit && options.horizon
+      ? Array.from({ length: options.horizon }, (_, i) => {
+          const x = lastX + i + 1
+          const value = fit.predict(x)
+          const halfWidth = intervalHalfWidth(fit, x, z)
+          return {
+            label: formatMonthKey(monthKeyFromIndex(x)),
+            value,
+            lower: value - halfWidth,
+            upper: value + halfWidth,
+          }
+        })
+      : []
+
+  return {
+    movingAverage: options.movingAverage
+      ? movingAverage(xs, values, options.movingAverage)
+      : null,
+    trend: fit ? xs.map((x) => fit.predict(x)) : null,
+    forecast,
+    description: describeOverlay(options, fit, locale),
+  }
+}
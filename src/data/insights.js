@@ -0,0 +1,122 @@
+// Ranked and comparative figures for the insights panel. Everything here
+// works on already-filtered data: groups from groupSalesSummary, monthly
+// totals from querySalesSummary, or raw rows.
+
+import { parseMonthLabel, toNumber } from './salesSummary'
+
+export const TOP_N_OPTIONS = [3, 5, 10]
+
+// Returns the `n` entries with the largest `values[measure]`, largest first.
+export const topEntries = (entries, measure, n) =>
+  entries
+    .filter((entry) => entry.values[measure] > 0)
+    .sort((a, b) => b.values[measure] - a.values[measure])
+    .slice(0, n)
+
+/**
+ * Totals raw rows per item. Items are keyed by `keyColumn` (e.g. ITEM CODE)
+ * and labelled with the first non-empty `labelColumn` value seen for them.
+ * Returns `{ label, key, rows, values }` entries like groupSalesSummary.
+ */
+export const groupRows = (rows, keyColumn, labelColumn, measures) => {
+  const groups = new Map()
+  rows.forEach((row) => {
+    const key = row[keyColumn] ?? ''
+    let group = groups.get(key)
+    if (!group) {
+      group = {
+        key,
+        label: '',
+        rows: 0,
+        values: Object.fromEntries(measures.map((measure) => [measure, 0])),
+      }
+      groups.set(key, group)
+    }
+    if (!group.label && row[labelColumn]) group.label = row[labelColumn]
+    group.rows += 1
+    measures.forEach((measure) => {
+      group.values[measure] += toNumber(row[measure])
+    })
+  })
+  return Array.from(groups.values())
+}
+
+// Fractional change from `previous` to `current`; null when there is no
+// baseline to compare against.
+export const percentChange = (current, previous) => {
+  if (previous === undefined || previous === null || previous === 0) {
+    return null
+  }
+  return (current - previous) / Math.abs(previous)
+}
+
+const shiftMonth = (monthKey, months) => {
+  const index = Math.floor(monthKey / 100) * 12 + (monthKey % 100) - 1 + months
+  return Math.floor(index / 12) * 100 + (index % 12) + 1
+}
+
+/**
+ * Compares the latest month in `monthlyTotals` with the calendar month before
+ * it and the same month a year earlier. Returns null without data; otherwise
+ * `{ latest, previousMonth, previousYear, changes }` where `changes` has one
+ * `{ key, current, mom, yoy }` line for the headline total ('total') and one
+ * per measure. A comparison is null when that month has no data.
+ */
+export const latestPeriodChanges = (monthlyTotals, measures) => {
+  if (!monthlyTotals.length) return null
+  const byMonth = new Map(
+    monthlyTotals.map((item) => [parseMonthLabel(item.label), item])
+  )
+  const latestKey = parseMonthLabel(monthlyTotals.at(-1).label)
+  const latest = byMonth.get(latestKey)
+  const previousMonth = byMonth.get(shiftMonth(latestKey, -1)) ?? null
+  const previousYear = byMonth.get(shiftMonth(latestKey, -12)) ?? null
+
+  const line = (key, read) => ({
+    key,
+    current: read(latest),
+    mom: previousMonth
+      ? percentChange(read(latest), read(previousMonth))
+      : null,
+    yoy: previousYear ? percentChange(read(latest), read(previousYear)) : null,
+  })
+
+  return {
+    latest: latest.label,
+    previousMonth: previousMonth?.label ?? null,
+    previousYear: previousYear?.label ?? null,
+    changes: [
+      line('total', (item) => item.value),
+      ...measures.map((measure) =>
+        line(measure, (item) => item.values[measure] ?? 0)
+      ),
+    ],
+  }
+}
+
+/**
+ * Each group's share of the combined `measures` total, largest first.
+ * Groups with nothing to contribute are left out.
+ */
+export const shareOfTotal = (groups, measures) => {
+  const withTotals = groups.map((group) => ({
+    label: group.label,
+    total: measures.reduce((sum, measure) => sum + group.values[measure], 0),
+  }))
+  const grandTotal = withTotals.reduce(
+    (sum, group) => sum + Math.max(0, group.total),
+    0
+  )
+  if (grandTotal <= 0) return []
+  return withTotals
+    .filter((group) => group.total > 0)
+    .map((group) => ({ ...group, share: group.total / grandTotal }))
+    .sort((a, b) => b.share - a.share)
+}
+
+// Picks the columns that identify an item, or null when the dataset has none.
+export const getItemColumns = (headers) => {
+  const label = headers.includes('ITEM DESCRIPTION') ? 'ITEM DESCRIPTION' : ''
+  const key = headers.includes('ITEM CODE') ? 'ITEM CODE' : label
+  return key ? { key, label: label || key } : null
+}
@@ -0,0 +1,69 @@
+// Options and helpers for the pivot heatmap. The cross-tab itself is
+// pivotSalesSummary in ./salesSummary.
+
+export const PIVOT_ROW_DIMENSIONS = ['supplier', 'category']
+
+export const PIVOT_COLUMN_DIMENSIONS = [
+  { id: 'month', labelKey: 'pivot.columns.month' },
+  { id: 'year', labelKey: 'pivot.columns.year' },
+]
+
+// `measure` null means the headline total (the mapping's totalMeasures).
+export const DEFAULT_PIVOT = {
+  rows: 'supplier',
+  columns: 'month',
+  measure: null,
+}
+
+// Rows are ranked by total; the rest sit behind "Show all".
+export const PIVOT_ROW_LIMIT = 25
+
+// Largest rows first; blank labels (no supplier or category) go last.
+export const rankPivotRows = (rows) =>
+  [...rows].sort(
+    (a, b) => Number(!a.label) - Number(!b.label) || b.total - a.total
+  )
+
+/**
+ * The month range (see isMonthInRange) a pivot column covers, for drilling
+ * down: the month itself, or for a year the first to last month of that
+ * year among `months` (the dataset's YYYYMM keys).
+ */
+export const pivotColumnRange = (columns, key, months) => {
+  if (columns === 'month') return { start: key, end: key }
+  const inYear = months.filter(
+    (month) => month && Math.floor(month / 100) === key
+  )
+  return inYear.length
+    ? { start: inYear[0], end: inYear.at(-1) }
+    : { start: key * 100 + 1, end: key * 100 + 12 }
+}
+
+/**
+ * The month range to drill down to from a pivot column while `current` (see
+ * isMonthInRange) is applied: the column's range narrowed to `current`, so
+ * drilling into a year keeps a partial-year selection. A column outside
+ * `current` gets its own range.
+ */
+export const pivotDrillDownRange = (columns, key, months, current) => {
+  const range = pivotColumnRange(columns, key, months)
+  if (!current) return range
+  const start = Math.max(range.start, current.start)
+  const end = Math.min(range.end, current.end)
+  return start <= end ? { start, end } : range
+}
+
+/**
+ * Background colour for a cell worth `value` when the largest magnitude in
+ * view is `maxAbs`: sky blue for sales, red for net returns, stronger as the
+ * value grows. The scale is square-root so a few large suppliers do not wash
+ * out everyone else. Returns undefined for zero so empty cells stay plain.
+ */
+export const heatColor = (value, maxAbs) => {
+  if (!value || !maxAbs) return undefined
+  const strength = Math.sqrt(Math.min(1, Math.abs(value) / maxAbs))
+  const alpha = Math.round((0.08 + strength * 0.72) * 100) / 100
+  return value > 0
+    ? `rgba(56, 189, 248, ${alpha})`
+    : `rgba(248, 113, 113, ${alpha})`
+}
@@ -0,0 +1,15 @@
+import { SALES_SUMMARY_VERSION } from './salesSummary'
+
+export const SALES_CSV_URL = '/data/Warehouse_and_Retail_Sales.csv'
+export const SALES_SUMMARY_URL = '/data/sales-summary.json'
+
+// Resolves to null when no usable precomputed summary is deployed, so the
+// caller can fall back to parsing the raw CSV.
+export const loadSalesSummary = async ({ signal } = {}) => {
+  const response = await fetch(SALES_SUMMARY_URL, { signal })
+  const contentType = response.headers.get('Content-Type') ?? ''
+  if (!response.ok || !contentType.includes('json')) return null
+
+  const summary = await response.json()
+  return summary?.version === SALES_SUMMARY_VERSION ? summary : null
+}
@@ -0,0 +1,381 @@
+// Shared by the browser and the build plugin in plugins/salesSummary.js, so
+// it must not touch DOM or Node APIs.
+
+export const SALES_SUMMARY_VERSION = 3
+
+// Describes which CSV columns feed the dashboard. `supplier` and `category`
+// are the two filter dimensions (either may be empty); dates come either from
+// `year` + `month` or from a single `date` column; `measures` are the numeric
+// columns kept in the summary and `totalMeasures` the subset summed into the
+// headline total. `currency` is the ISO 4217 code the measures are in, or ''
+// for plain numbers such as the Maryland case counts.
+export const DEFAULT_COLUMN_MAPPING = {
+  supplier: 'SUPPLIER',
+  category: 'ITEM TYPE',
+  year: 'YEAR',
+  month: 'MONTH',
+  date: '',
+  measures: ['RETAIL SALES', 'RETAIL TRANSFERS', 'WAREHOUSE SALES'],
+  totalMeasures: ['RETAIL SALES', 'WAREHOUSE SALES'],
+  currency: '',
+}
+
+export const toNumber = (value) => {
+  const parsed = Number.parseFloat(value)
+  return Number.isNaN(parsed) ? 0 : parsed
+}
+
+export const toMonthKey = (year, month) => year * 100 + month
+
+// A YYYYMM key with a month from 1 to 12.
+export const isValidMonthKey = (key) =>
+  key > 0 && key % 100 >= 1 && key % 100 <= 12
+
+const parseDateParts = (value) => {
+  const text = String(value ?? '').trim()
+  if (!text) return null
+
+  const iso = /^(\d{4})[-/](\d{1,2})(?:[-/]\d{1,2})?/.exec(text)
+  if (iso) return { year: Number(iso[1]), month: Number(iso[2]) }
+
+  const us = /^(\d{1,2})\/\d{1,2}\/(\d{4})/.exec(text)
+  if (us) return { year: Number(us[2]), month: Number(us[1]) }
+
+  const parsed = new Date(text)
+  if (Number.isNaN(parsed.getTime())) return null
+  return { year: parsed.getFullYear(), month: parsed.getMonth() + 1 }
+}
+
+// Returns YYYYMM for a row, or 0 when it has no usable year and month
+// (including a month outside 1-12, which the quality report flags).
+export const getRowMonthKey = (row, mapping) => {
+  let year
+  let month
+  if (mapping.date) {
+    const parts = parseDateParts(row[mapping.date])
+    year = parts?.year
+    month = parts?.month
+  } else {
+    year = Number.parseInt(row[mapping.year], 10)
+    month = Number.parseInt(row[mapping.month], 10)
+  }
+  if (!Number.isFinite(year) || !Number.isFinite(month)) return 0
+  const key = toMonthKey(year, month)
+  return isValidMonthKey(key) ? key : 0
+}
+
+// Drops measures the file does not have, keeping totalMeasures a subset.
+export const resolveColumnMapping = (headers, mapping) => {
+  const measures = mapping.measures.filter((column) => headers.includes(column))
+  return {
+    ...mapping,
+    measures,
+    totalMeasures: mapping.totalMeasures.filter((column) =>
+      measures.includes(column)
+    ),
+  }
+}
+
+export const formatMonthKey = (key) =>
+  `${Math.floor(key / 100)}-${String(key % 100).padStart(2, '0')}`
+
+// Inverse of formatMonthKey; returns 0 for anything that is not YYYY-MM.
+export const parseMonthLabel = (label) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(label ?? '')
+  return match ? toMonthKey(Number(match[1]), Number(match[2])) : 0
+}
+
+// `range` is `{ start, end }` in YYYYMM form (inclusive) or null for all time.
+export const isMonthInRange = (monthKey, range) =>
+  !range || (monthKey >= range.start && monthKey <= range.end)
+
+const round = (value) => Math.round(value * 100) / 100
+
+const buildDictionary = (rows, column) => {
+  if (!column) return []
+  return Array.from(
+    new Set(rows.map((row) => row[column]).filter(Boolean))
+  ).sort()
+}
+
+/**
+ * Rolls parsed CSV rows up into a columnar cube keyed by supplier, category
+ * and month. Suppliers and categories are dictionary-encoded (the cube holds
+ * indexes into `suppliers` / `categories`) and entries are sorted by supplier.
+ * `supplierOffsets[i + 1]..supplierOffsets[i + 2]` is supplier i's slice of
+ * the cube; slot 0 starts the rows with no supplier. An empty supplier or
+ * category is encoded as -1, and rows without a valid date are kept under
+ * month 0 so they still count towards row totals.
+ */
+export const buildSalesSummary = (
+  headers,
+  rows,
+  columnMapping = DEFAULT_COLUMN_MAPPING
+) => {
+  const mapping = resolveColumnMapping(headers, columnMapping)
+  const { measures } = mapping
+  const suppliers = buildDictionary(rows, mapping.supplier)
+  const categories = buildDictionary(rows, mapping.category)
+  const supplierIndex = new Map(suppliers.map((value, index) => [value, index]))
+  const categoryIndex = new Map(
+    categories.map((value, index) => [value, index])
+  )
+  const cells = new Map()
+
+  rows.forEach((row) => {
+    const monthKey = getRowMonthKey(row, mapping)
+    const supplier = supplierIndex.get(row[mapping.supplier]) ?? -1
+    const category = categoryIndex.get(row[mapping.category]) ?? -1
+    const key = `${supplier}|${category}|${monthKey}`
+
+    let cell = cells.get(key)
+    if (!cell) {
+      cell = {
+        supplier,
+        category,
+        month: monthKey,
+        rows: 0,
+        values: measures.map(() => 0),
+      }
+      cells.set(key, cell)
+    }
+    cell.rows += 1
+    measures.forEach((column, index) => {
+      cell.values[index] += toNumber(row[column])
+    })
+  })
+
+  const sorted = Array.from(cells.values()).sort(
+    (a, b) =>
+      a.supplier - b.supplier || a.category - b.category || a.month - b.month
+  )
+  const months = Array.from(new Set(sorted.map((cell) => cell.month))).sort(
+    (a, b) => a - b
+  )
+  const monthIndex = new Map(months.map((value, index) => [value, index]))
+
+  const supplierOffsets = new Array(suppliers.length + 2).fill(sorted.length)
+  for (let i = sorted.length - 1; i >= 0; i -= 1) {
+    supplierOffsets[sorted[i].supplier + 1] = i
+  }
+  for (let i = supplierOffsets.length - 2; i >= 0; i -= 1) {
+    supplierOffsets[i] = Math.min(supplierOffsets[i], supplierOffsets[i + 1])
+  }
+
+  return {
+    version: SALES_SUMMARY_VERSION,
+    headers,
+    mapping,
+    rowCount: rows.length,
+    suppliers,
+    categories,
+    months,
+    measures,
+    supplierOffsets,
+    cube: {
+      supplier: sorted.map((cell) => cell.supplier),
+      category: sorted.map((cell) => cell.category),
+      month: sorted.map((cell) => monthIndex.get(cell.month)),
+      rows: sorted.map((cell) => cell.rows),
+      values: measures.map((_, index) =>
+        sorted.map((cell) => round(cell.values[index]))
+      ),
+    },
+  }
+}
+
+// Returns the [start, end) cube slices holding the given suppliers, in cube
+// order; an empty list selects the whole cube.
+const cubeRanges = (summary, suppliers) => {
+  if (!suppliers.length) return [[0, summary.cube.rows.length]]
+  const offsets = summary.supplierOffsets
+  return suppliers
+    .map((supplier) => summary.suppliers.indexOf(supplier))
+    .filter((index) => index !== -1)
+    .sort((a, b) => a - b)
+    .map((index) => [offsets[index + 1], offsets[index + 2]])
+}
+
+// Calls visit(i) for every cube entry matching the filters (see
+// querySalesSummary for their meaning).
+const forEachCubeEntry = (
+  summary,
+  { suppliers = [], categories = [], monthRange = null },
+  visit
+) => {
+  const { cube } = summary
+  // Like unknown suppliers in cubeRanges, unknown categories match nothing
+  // rather than the rows with no category (-1).
+  const categoryIndexes = categories.length
+    ? new Set(
+        categories
+          .map((category) => summary.categories.indexOf(category))
+          .filter((index) => index !== -1)
+      )
+    : null
+
+  cubeRanges(summary, suppliers).forEach(([start, end]) => {
+    for (let i = start; i < end; i += 1) {
+      if (categoryIndexes && !categoryIndexes.has(cube.category[i])) continue
+      const monthKey = summary.months[cube.month[i]]
+      if (monthRange && (!monthKey || !isMonthInRange(monthKey, monthRange))) {
+        continue
+      }
+      visit(i)
+    }
+  })
+}
+
+/**
+ * Sums the cube for a selection of `suppliers` and `categories` (an empty
+ * list matches everything), optionally limited to a `monthRange` (see
+ * isMonthInRange); rows without a date are dropped once a range is set.
+ * Returns the matching row count and one entry per month, sorted and
+ * labelled YYYY-MM, holding every measure's total in `values` and the sum of
+ * `measures` (by default the mapping's totalMeasures) in `value`.
+ */
+export const querySalesSummary = (
+  summary,
+  { measures = summary.mapping.totalMeasures, ...filters } = {}
+) => {
+  const { cube } = summary
+  const totals = new Map()
+  let rowCount = 0
+
+  forEachCubeEntry(summary, filters, (i) => {
+    rowCount += cube.rows[i]
+    const monthIndex = cube.month[i]
+    if (summary.months[monthIndex] === 0) return
+
+    let values = totals.get(monthIndex)
+    if (!values) {
+      values = summary.measures.map(() => 0)
+      totals.set(monthIndex, values)
+    }
+    cube.values.forEach((column, index) => {
+      values[index] += column[i]
+    })
+  })
+
+  const monthlyTotals = Array.from(totals.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([monthIndex, values]) => {
+      const byMeasure = Object.fromEntries(
+        summary.measures.map((column, index) => [column, values[index]])
+      )
+      return {
+        label: formatMonthKey(summary.months[monthIndex]),
+        value: measures.reduce(
+          (sum, column) => sum + (byMeasure[column] ?? 0),
+          0
+        ),
+        values: byMeasure,
+      }
+    })
+
+  return { rowCount, monthlyTotals }
+}
+
+/**
+ * Totals the filtered cube per supplier or per category (`dimension` is
+ * 'supplier' or 'category'). Returns `{ label, rows, values }` entries in
+ * dictionary order; entries with no supplier or category are labelled ''.
+ */
+export const groupSalesSummary = (summary, dimension, filters = {}) => {
+  const { cube } = summary
+  const codes = cube[dimension]
+  const labels =
+    dimension === 'supplier' ? summary.suppliers : summary.categories
+  const groups = new Map()
+
+  forEachCubeEntry(summary, filters, (i) => {
+    let group = groups.get(codes[i])
+    if (!group) {
+      group = { rows: 0, values: summary.measures.map(() => 0) }
+      groups.set(codes[i], group)
+    }
+    group.rows += cube.rows[i]
+    cube.values.forEach((column, index) => {
+      group.values[index] += column[i]
+    })
+  })
+
+  return Array.from(groups.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([code, group]) => ({
+      label: labels[code] ?? '',
+      rows: group.rows,
+      values: Object.fromEntries(
+        summary.measures.map((column, index) => [column, group.values[index]])
+      ),
+    }))
+}
+
+/**
+ * Cross-tabulates the filtered cube: one row per supplier or category
+ * (`rows` is 'supplier' or 'category') and one column per month or year
+ * (`columns` is 'month' or 'year'), each cell summing `measures`. Rows
+ * without a date are left out, as in querySalesSummary. Returns
+ * `{ columns, rows, columnTotals, total }` where `columns` are
+ * `{ key, label }` (key YYYYMM or YYYY, ascending) and `rows` are
+ * `{ label, cells, total }` in dictionary order, `cells` lining up with
+ * `columns`.
+ */
+export const pivotSalesSummary = (
+  summary,
+  { rows, columns, measures = summary.mapping.totalMeasures },
+  filters = {}
+) => {
+  const { cube } = summary
+  const rowCodes = cube[rows]
+  const rowLabels = rows === 'supplier' ? summary.suppliers : summary.categories
+  const measureIndexes = measures
+    .map((measure) => summary.measures.indexOf(measure))
+    .filter((index) => index !== -1)
+  const columnKey = (monthKey) =>
+    columns === 'year' ? Math.floor(monthKey / 100) : monthKey
+  const grid = new Map()
+  const columnKeys = new Set()
+
+  forEachCubeEntry(summary, filters, (i) => {
+    const monthKey = summary.months[cube.month[i]]
+    if (!monthKey) return
+    const key = columnKey(monthKey)
+    columnKeys.add(key)
+    let row = grid.get(rowCodes[i])
+    if (!row) {
+      row = new Map()
+      grid.set(rowCodes[i], row)
+    }
+    const value = measureIndexes.reduce(
+      (sum, index) => sum + cube.values[index][i],
+      0
+    )
+    row.set(key, (row.get(key) ?? 0) + value)
+  })
+
+  const sortedKeys = Array.from(columnKeys).sort((a, b) => a - b)
+  const pivotRows = Array.from(grid.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([code, row]) => {
+      const cells = sortedKeys.map((key) => row.get(key) ?? 0)
+      return {
+        label: rowLabels[code] ?? '',
+        cells,
+        total: cells.reduce((sum, value) => sum + value, 0),
+      }
+    })
+  const columnTotals = sortedKeys.map((_, index) =>
+    pivotRows.reduce((sum, row) => sum + row.cells[index], 0)
+  )
+
+  return {
+    columns: sortedKeys.map((key) => ({
+      key,
+      label: columns === 'year' ? String(key) : formatMonthKey(key),
+    })),
+    rows: pivotRows,
+    columnTotals,
+    total: columnTotals.reduce((sum, value) => sum + value, 0),
+  }
+}
@@ -0,0 +1,74 @@
+import { toNumber } from './salesSummary'
+
+export const PAGE_SIZES = [10, 25, 50, 100]
+export const DEFAULT_PAGE_SIZE = 25
+
+export const DEFAULT_TABLE_VIEW = {
+  search: '',
+  sort: null,
+  page: 1,
+  pageSize: DEFAULT_PAGE_SIZE,
+}
+
+const PREFERRED_SEARCH_COLUMNS = ['ITEM DESCRIPTION', 'ITEM CODE']
+
+// Free-text search looks at the item description and code when the dataset
+// has them, and at every column otherwise.
+export const getSearchColumns = (headers) => {
+  const preferred = PREFERRED_SEARCH_COLUMNS.filter((column) =>
+    headers.includes(column)
+  )
+  return preferred.length ? preferred : headers
+}
+
+export const searchRows = (rows, query, columns) => {
+  const needle = query.trim().toLowerCase()
+  if (!needle) return rows
+  return rows.filter((row) =>
+    columns.some((column) =>
+      String(row[column] ?? '')
+        .toLowerCase()
+        .includes(needle)
+    )
+  )
+}
+
+const textCollator = new Intl.Collator('en-US', {
+  numeric: true,
+  sensitivity: 'base',
+})
+
+/**
+ * Returns a sorted copy of `rows`. `sort` is `{ column, direction }` with
+ * direction 'asc' or 'desc', or null to keep the original order. Columns in
+ * `numericColumns` compare as numbers; everything else uses a collator that
+ * orders embedded digits numerically.
+ */
+export const sortRows = (rows, sort, numericColumns = []) => {
+  if (!sort) return rows
+  const { column, direction } = sort
+  const sign = direction === 'desc' ? -1 : 1
+  const compare = numericColumns.includes(column)
+    ? (a, b) => toNumber(a[column]) - toNumber(b[column])
+    : (a, b) => textCollator.compare(a[column] ?? '', b[column] ?? '')
+
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => compare(a.row, b.row) * sign || a.index - b.index)
+    .map(({ row }) => row)
+}
+
+// Cycles a header between ascending, descending and unsorted.
+export const nextSort = (sort, column) => {
+  if (sort?.column !== column) return { column, direction: 'asc' }
+  if (sort.direction === 'asc') return { column, direction: 'desc' }
+  return null
+}
+
+export const sumColumns = (rows, columns) =>
+  Object.fromEntries(
+    columns.map((column) => [
+      column,
+      rows.reduce((sum, row) => sum + toNumber(row[column]), 0),
+    ])
+  )
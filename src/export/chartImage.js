@@ -0,0 +1,108 @@
+import { LocalizedError } from '../i18n'
+import { addPngText, formatExportMetadata } from './formats'
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+const CHART_BACKGROUND = '#0f172a'
+const PNG_SCALE = 2
+
+// Chart styling lives in App.css, so copy what matters onto the clone for the
+// file to render the same outside the page.
+const INLINE_STYLES = [
+  'fill',
+  'fill-opacity',
+  'stroke',
+  'stroke-width',
+  'stroke-dasharray',
+  'opacity',
+  'font-family',
+  'font-size',
+  'font-weight',
+  'font-style',
+]
+
+const inlineStyles = (source, target) => {
+  const sourceNodes = [source, ...source.querySelectorAll('*')]
+  const targetNodes = [target, ...target.querySelectorAll('*')]
+  sourceNodes.forEach((node, index) => {
+    const computed = window.getComputedStyle(node)
+    const style = INLINE_STYLES.map(
+      (property) => `${property}:${computed.getPropertyValue(property)}`
+    ).join(';')
+    targetNodes[index].setAttribute('style', style)
+  })
+}
+
+const chartTitle = (metadata) => `Monthly sales - ${metadata.dataset}`
+
+const prependText = (parent, tag, text) => {
+  const element = document.createElementNS(SVG_NS, tag)
+  element.textContent = text
+  parent.prepend(element)
+}
+
+/**
+ * Serializes the rendered chart as a standalone SVG document, without the
+ * hover tooltip or brush, with `metadata` in its <desc> and <metadata>.
+ */
+export const serializeChart = (svg, metadata) => {
+  const clone = svg.cloneNode(true)
+  inlineStyles(svg, clone)
+  clone
+    .querySelectorAll('.chart-tooltip, .chart-brush')
+    .forEach((element) => element.remove())
+
+  const width = svg.getAttribute('width')
+  const height = svg.getAttribute('height')
+  clone.setAttribute('xmlns', SVG_NS)
+  clone.setAttribute('viewBox', `0 0 ${width} ${height}`)
+  ;['class', 'tabindex', 'role'].forEach((name) => clone.removeAttribute(name))
+  clone.querySelector('rect')?.style.setProperty('fill', CHART_BACKGROUND)
+
+  prependText(clone, 'metadata', JSON.stringify(metadata))
+  prependText(clone, 'desc', formatExportMetadata(metadata))
+  prependText(clone, 'title', chartTitle(metadata))
+
+  return new XMLSerializer().serializeToString(clone)
+}
+
+const loadImage = (url) =>
+  new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => resolve(image)
+    image.onerror = () => reject(new LocalizedError('export.renderFailed'))
+    image.src = url
+  })
+
+// Rasterizes serialized SVG at twice its size and tags the PNG with metadata.
+export const renderChartPNG = async (svgText, width, height, metadata) => {
+  const url = URL.createObjectURL(
+    new Blob([svgText], { type: 'image/svg+xml' })
+  )
+  try {
+    const image = await loadImage(url)
+    const canvas = document.createElement('canvas')
+    canvas.width = width * PNG_SCALE
+    canvas.height = height * PNG_SCALE
+    const context = canvas.getContext('2d')
+    context.scale(PNG_SCALE, PNG_SCALE)
+    context.drawImage(image, 0, 0, width, height)
+
+    const blob = await new Promise((resolve, reject) =>
+      canvas.toBlob(
+        (result) =>
+          result
+            ? resolve(result)
+            : reject(new LocalizedError('export.pngFailed')),
+        'image/png'
+      )
+    )
+    const bytes = addPngText(await blob.arrayBuffer(), [
+      ['Title', chartTitle(metadata)],
+      ['Description', formatExportMetadata(metadata)],
+      ['Comment', JSON.stringify(metadata)],
+    ])
+    return new Blob([bytes], { type: 'image/png' })
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
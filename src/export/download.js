@@ -0,0 +1,12 @@
+// Saves a Blob (or a string, wrapped in a Blob of `type`) under `fileName`.
+export const downloadFile = (content, fileName, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.append(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,175 @@
+// Pure builders for exported files. Every export carries the same metadata
+// (see buildExportMetadata) so a file can be traced back to the view that
+// produced it.
+
+import { formatMonthKey } from '../data/salesSummary'
+
+/**
+ * Describes the active view. `filters` lists `{ label, column, value }` for
+ * each dimension filter ('All' when unset) and `dateRange` is the chart's
+ * `{ start, end }` YYYYMM range or null.
+ */
+export const buildExportMetadata = ({
+  datasetName,
+  filters,
+  dateRange = null,
+  rowCount,
+  exportedAt = new Date(),
+}) => ({
+  dataset: datasetName,
+  exportedAt: exportedAt.toISOString(),
+  filters: filters.map(({ label, column, value }) => ({
+    label,
+    column,
+    value,
+  })),
+  dateRange: dateRange
+    ? {
+        start: formatMonthKey(dateRange.start),
+        end: formatMonthKey(dateRange.end),
+      }
+    : null,
+  rowCount,
+})
+
+// Flattens metadata into `[label, value]` pairs for CSV comments, SVG
+// descriptions and PNG text chunks.
+export const describeExportMetadata = (metadata) => [
+  ['Dataset', metadata.dataset],
+  ['Exported', metadata.exportedAt],
+  ...metadata.filters.map(({ label, value }) => [label, value]),
+  [
+    'Months',
+    metadata.dateRange
+      ? `${metadata.dateRange.start} to ${metadata.dateRange.end}`
+      : 'All',
+  ],
+  ['Rows matched', String(metadata.rowCount)],
+]
+
+export const formatExportMetadata = (metadata) =>
+  describeExportMetadata(metadata)
+    .map(([label, value]) => `${label}: ${value}`)
+    .join('\n')
+
+const csvCell = (value) => {
+  const text = String(value ?? '')
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvLine = (cells) => cells.map(csvCell).join(',')
+
+// Metadata goes first as `# label: value` comment lines, then a normal CSV.
+const toCSV = (columns, records, metadata) =>
+  [
+    ...describeExportMetadata(metadata).map(
+      ([label, value]) => `# ${label}: ${value}`
+    ),
+    csvLine(columns),
+    ...records.map((record) =>
+      csvLine(columns.map((column) => record[column]))
+    ),
+  ].join('\r\n') + '\r\n'
+
+export const rowsToCSV = (headers, rows, metadata) =>
+  toCSV(headers, rows, metadata)
+
+export const rowsToJSON = (headers, rows, metadata) =>
+  JSON.stringify(
+    {
+      metadata,
+      columns: headers,
+      rows: rows.map((row) =>
+        Object.fromEntries(headers.map((header) => [header, row[header]]))
+      ),
+    },
+    null,
+    2
+  )
+
+// One line per month with every measure plus the headline total.
+export const monthlyTotalsToCSV = (monthlyTotals, measures, metadata) =>
+  toCSV(
+    ['Month', ...measures, 'Total'],
+    monthlyTotals.map(({ label, value, values }) => ({
+      ...values,
+      Month: label,
+      Total: value,
+    })),
+    metadata
+  )
+
+const slug = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+
+// e.g. sales-rows_beer_2020-01-to-2020-06.csv
+export const exportFileName = (base, metadata, extension) => {
+  const parts = metadata.filters
+    .filter(({ value }) => value !== 'All')
+    .map(({ value }) => slug(value))
+  if (metadata.dateRange) {
+    parts.push(`${metadata.dateRange.start}-to-${metadata.dateRange.end}`)
+  }
+  return `${[base, ...parts].filter(Boolean).join('_')}.${extension}`
+}
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// An uncompressed iTXt chunk: keyword, flags, empty language tags, UTF-8 text.
+const textChunk = (keyword, text) => {
+  const encoder = new TextEncoder()
+  const data = new Uint8Array([
+    ...encoder.encode(keyword),
+    0,
+    0,
+    0,
+    0,
+    0,
+    ...encoder.encode(text),
+  ])
+  const chunk = new Uint8Array(12 + data.length)
+  const view = new DataView(chunk.buffer)
+  view.setUint32(0, data.length)
+  chunk.set(encoder.encode('iTXt'), 4)
+  chunk.set(data, 8)
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)))
+  return chunk
+}
+
+const PNG_HEADER_LENGTH = 8 + 25 // signature + IHDR chunk
+
+/**
+ * Returns a copy of the PNG bytes with one text chunk per `[keyword, text]`
+ * entry inserted straight after the IHDR chunk.
+ */
+export const addPngText = (png, entries) => {
+  const source = new Uint8Array(png)
+  const chunks = entries.map(([keyword, text]) => textChunk(keyword, text))
+  const size = chunks.reduce((sum, chunk) => sum + chunk.length, source.length)
+  const result = new Uint8Array(size)
+  result.set(source.subarray(0, PNG_HEADER_LENGTH))
+  let offset = PNG_HEADER_LENGTH
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset)
+    offset += chunk.length
+  })
+  result.set(source.subarray(PNG_HEADER_LENGTH), offset)
+  return result
+}
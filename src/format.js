@@ -0,0 +1,100 @@
+import { parseMonthLabel } from './data/salesSummary'
+import { DEFAULT_LOCALE, createTranslator, localeTag } from './i18n'
+
+// Class names that colour a change green when up and red when down.
+export const changeClass = (change) => {
+  if (change === null || change === 0) return 'change'
+  return change > 0 ? 'change up' : 'change down'
+}
+
+const buildFormatters = (locale) => {
+  const tag = localeTag(locale)
+  const t = createTranslator(locale)
+  const number = new Intl.NumberFormat(tag)
+  const decimal = new Intl.NumberFormat(tag, { maximumFractionDigits: 2 })
+  const share = new Intl.NumberFormat(tag, {
+    style: 'percent',
+    maximumFractionDigits: 1,
+  })
+  const change = new Intl.NumberFormat(tag, {
+    style: 'percent',
+    maximumFractionDigits: 1,
+    signDisplay: 'exceptZero',
+  })
+  const month = new Intl.DateTimeFormat(tag, {
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC',
+  })
+  const day = new Intl.DateTimeFormat(tag, {
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  })
+  const dateTime = new Intl.DateTimeFormat(tag, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  })
+  const timestamp = new Intl.DateTimeFormat(tag, {
+    dateStyle: 'medium',
+    timeStyle: 'medium',
+  })
+  const currencies = new Map()
+  const currency = (code, digits) => {
+    const key = `${code}/${digits}`
+    if (!currencies.has(key)) {
+      currencies.set(
+        key,
+        new Intl.NumberFormat(tag, {
+          style: 'currency',
+          currency: code,
+          maximumFractionDigits: digits,
+        })
+      )
+    }
+    return currencies.get(key)
+  }
+  const notAvailable = t('format.notAvailable')
+  const monthKey = (key) =>
+    month.format(Date.UTC(Math.floor(key / 100), (key % 100) - 1))
+
+  return {
+    number: (value) => number.format(value),
+    count: (value) => number.format(Math.round(value)),
+    share: (value) => (value === null ? notAvailable : share.format(value)),
+    change: (value) => (value === null ? notAvailable : change.format(value)),
+    // Chart and summary values: whole units of `code` (an ISO 4217 currency,
+    // see the column mapping) or, without one, a rounded count.
+    measure: (value, code) =>
+      code
+        ? currency(code, 0).format(Math.round(value))
+        : number.format(Math.round(value)),
+    // Table cells and totals, to the cent or two decimal places.
+    amount: (value, code) =>
+      code ? currency(code, 2).format(value) : decimal.format(value),
+    // 'YYYY-MM' month labels as e.g. "Jan 2024"; other labels, such as the
+    // pivot's years, come back unchanged.
+    month: (label) => {
+      const key = parseMonthLabel(label)
+      return key ? monthKey(key) : label
+    },
+    // YYYYMM month keys, as in the summary's `months`.
+    monthKey,
+    // 'YYYY-MM-DD' UTC days, as in the poll's daily turnout.
+    day: (value) => day.format(new Date(`${value}T00:00:00Z`)),
+    dateTime: (date) => (date ? dateTime.format(date) : ''),
+    // To the second, for the audit log.
+    timestamp: (date) => (date ? timestamp.format(date) : ''),
+  }
+}
+
+const formatters = new Map()
+
+/**
+ * Number, percentage, currency and date formatting for `locale` (an id from
+ * LOCALES). Formatters are built once per locale.
+ */
+export const getFormatters = (locale = DEFAULT_LOCALE) => {
+  if (!formatters.has(locale)) formatters.set(locale, buildFormatters(locale))
+  return formatters.get(locale)
+}
@@ -0,0 +1,36 @@
+import { useEffect, useMemo, useState } from 'react'
+import { setAuthLanguage } from '../auth'
+import { getFormatters } from '../format'
+import { createTranslator, detectLocale, localeTag, saveLocale } from '.'
+import { LocaleContext } from './useLocale'
+
+// Holds the selected language for everything below it. A choice is saved in
+// this browser, marks the page's language and sets the language of the
+// emails Firebase Auth sends.
+function LocaleProvider({ children }) {
+  const [locale, setLocaleState] = useState(detectLocale)
+
+  useEffect(() => {
+    document.documentElement.lang = localeTag(locale)
+    setAuthLanguage(locale)
+  }, [locale])
+
+  const value = useMemo(
+    () => ({
+      locale,
+      setLocale: (next) => {
+        saveLocale(next)
+        setLocaleState(next)
+      },
+      t: createTranslator(locale),
+      format: getFormatters(locale),
+    }),
+    [locale]
+  )
+
+  return (
+    <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>
+  )
+}
+
+export default LocaleProvider
@@ -0,0 +1,468 @@
+// English text, the fallback for every other catalog. Keys are grouped by
+// the module or component that shows them.
+
+export default {
+  'language.label': 'Language',
+  'language.name.en': 'English',
+  'language.name.es': 'Spanish',
+
+  'format.notAvailable': 'n/a',
+
+  'authError.mismatch': 'That email and password do not match.',
+  'authError.invalidEmail': 'Enter a valid email address.',
+  'authError.missingEmail': 'Enter your email address.',
+  'authError.missingPassword': 'Enter your password.',
+  'authError.emailInUse':
+    'An account already exists for that email. Try signing in instead.',
+  'authError.weakPassword': 'Choose a password with at least 6 characters.',
+  'authError.userDisabled': 'This account has been disabled.',
+  'authError.tooManyRequests':
+    'Too many attempts. Wait a few minutes and try again.',
+  'authError.network':
+    'Unable to reach the sign-in service. Check your connection.',
+  'authError.popupClosed': 'The Google window was closed before signing in.',
+  'authError.popupBlocked':
+    'Your browser blocked the Google window. Allow pop-ups and try again.',
+  'authError.otherCredential':
+    'That email is already registered with a password. Sign in with it instead.',
+  'authError.notAllowed': 'This sign-in method is not enabled.',
+  'authError.unauthorizedDomain': 'Sign-in is not enabled for this site.',
+  'authError.expiredLink': 'That link has expired. Request a new one.',
+  'authError.invalidLink': 'That link is no longer valid. Request a new one.',
+  'authError.default': 'Something went wrong. Please try again.',
+
+  'auth.signIn': 'Sign in',
+  'auth.signUp': 'Sign up',
+  'auth.createAccount': 'Create account',
+  'auth.sendReset': 'Send reset link',
+  'auth.resetSent': 'If {email} has an account, a reset link is on its way.',
+  'auth.notVerifiedYet':
+    'Your email is not verified yet. Open the link we sent, then try again.',
+  'auth.thanks': 'Thank you for your support.',
+  'auth.verifyPrompt': 'Verify your email to vote. We sent a link to {email}.',
+  'auth.haveVerified': 'I have verified',
+  'auth.verificationSent': 'Verification email sent.',
+  'auth.verificationFailed':
+    'Your account was created, but the verification email could not be sent. Use Resend email to try again.',
+  'auth.resendEmail': 'Resend email',
+  'auth.signOut': 'Sign out',
+  'auth.email': 'Email',
+  'auth.password': 'Password',
+  'auth.working': 'Working...',
+  'auth.backToSignIn': 'Back to sign in',
+  'auth.forgotPassword': 'Forgot password?',
+  'auth.google': 'Continue with Google',
+
+  'vote.alreadyVoted': 'You have already voted in this poll.',
+  'vote.notAccepted': 'The poll did not accept it; it may have closed.',
+  'vote.noBallot': 'No ballot has your receipt code.',
+  'vote.invalidated':
+    'This ballot was invalidated and can no longer be changed.',
+  'vote.sameChoice': 'You already chose that option.',
+  'vote.nothingToWithdraw': 'No vote to withdraw.',
+  'vote.cannotChange': 'This receipt cannot change the ballot.',
+  'comments.alreadyReported': 'You have already reported this comment.',
+  'admin.onlyCountedBallot': 'Only a counted ballot can be invalidated.',
+  'audit.action.pollCreate': 'Created poll',
+  'audit.action.pollOpen': 'Opened poll',
+  'audit.action.pollClose': 'Closed poll',
+  'audit.action.voteInvalidate': 'Invalidated ballot',
+  'audit.action.votesExport': 'Exported votes',
+  'audit.action.commentHide': 'Hid comment',
+  'audit.action.commentRestore': 'Restored comment',
+
+  'poll.title': 'Stance Poll',
+  'poll.picker': 'Poll',
+  'poll.closedOption': '{question} (closed)',
+  'poll.closedNotice': 'This poll is closed.',
+  'poll.opens': 'Opens {date}.',
+  'poll.closes': 'Closes {date}.',
+  'poll.closedAt': 'Closed {date}.',
+  'poll.changeUntil': 'Votes can be changed until {date}.',
+  'poll.changeClosed': 'Votes can no longer be changed.',
+  'poll.loadFailed': 'Unable to load polls. Please refresh and try again.',
+  'poll.none': 'There are no polls to show right now.',
+  'poll.signInPrompt': 'Sign in or sign up to cast your vote.',
+  'poll.secretBallot':
+    'Thank you for your support. Your choice is stored without your name, and other voters cannot see how you voted. Keep the receipt code you are shown; it is the only way to change or withdraw your vote.',
+  'poll.submitting': 'Submitting...',
+  'poll.confirm': 'Confirm Vote',
+  'poll.resultsFailed': 'Unable to load the latest results.',
+  'poll.queueFailed':
+    'Unable to save your vote on this device. Please try again once you are online.',
+  'poll.signInToVote': 'Please sign in to vote.',
+  'poll.verifyToVote': 'Verify your email address before voting.',
+  'poll.notAccepting': 'This poll is not accepting votes.',
+  'poll.voteFailed': 'Unable to record your vote. Please try again.',
+  'poll.pendingBadge': 'Pending',
+  'poll.pendingVote':
+    'Your vote for {option} is saved on this device and will be submitted when you are back online.',
+  'poll.retrySync': 'Try again now',
+  'poll.syncRejected': 'Your offline vote was not submitted: {reason}',
+  'poll.syncedBadge': 'Synced',
+  'poll.synced': 'Your offline vote has been submitted.',
+  'poll.cast': 'Your ballot has been cast.',
+  'poll.currentChoice': 'Your ballot counts for {option}.',
+  'poll.withdrawn': 'You have withdrawn your vote.',
+  'poll.changePrompt': 'You can change or withdraw it below.',
+  'poll.change': 'Change Vote',
+  'poll.withdraw': 'Withdraw Vote',
+  'poll.changeFailed': 'Unable to change your vote. Please try again.',
+  'receipt.codeLabel': 'Receipt code:',
+  'receipt.pendingHint': 'It will find your ballot once the vote is submitted.',
+  'receipt.keepHint':
+    'Keep it to check later that your ballot was counted and to change it; anyone who sees it can see and change your choice.',
+  'receipt.notStored':
+    'Your receipt code was shown when you voted and is not stored with your account.',
+  'receipt.enterToChange':
+    'To change or withdraw your vote, enter your receipt code.',
+  'receipt.use': 'Use receipt',
+  'receipt.notFound': 'No ballot has this receipt.',
+  'receipt.invalidated':
+    'This ballot was invalidated by an administrator: {reason}',
+  'receipt.withdrawn': 'This ballot was withdrawn.',
+  'receipt.counted': 'Counted: {option}.',
+  'receipt.badFormat':
+    'Receipt codes are 16 letters and digits, like 7K3M-Q9TX-2WHC-R4NB.',
+  'receipt.checkFailed': 'Unable to check the receipt. Please try again.',
+  'receipt.checkTitle': 'Check a ballot receipt',
+  'receipt.code': 'Receipt code',
+  'receipt.check': 'Check',
+
+  'pollResults.title': 'Results',
+  'pollResults.describeDay': {
+    one: '{day}: {count} vote',
+    other: '{day}: {count} votes',
+  },
+  'pollResults.describeTotal': '{label} {count} in total',
+  'pollResults.dayVotes': 'Votes that day',
+  'pollResults.optionTotal': '{label} (total)',
+  'pollResults.dailyTurnout': 'Daily turnout',
+  'pollResults.chartLabel':
+    'Poll results over time. Use the arrow keys to move between days.',
+  'pollResults.loadFailed': 'Unable to load the results over time.',
+  'pollResults.note':
+    'Days are in UTC. The split reflects invalidated ballots; the chart shows votes as they were cast.',
+
+  'common.cancel': 'Cancel',
+  'common.none': 'None',
+  'comments.empty': 'Write a comment first.',
+  'comments.tooLong': 'Comments can be at most {max} characters.',
+  'comments.verifyFirst': 'Verify your email address before commenting.',
+  'comments.postFailed': 'Unable to post your comment. Please try again.',
+  'comments.add': 'Add a comment',
+  'comments.reply': 'Reply',
+  'comments.stanceBadge': 'Stance badge',
+  'comments.linkView': 'Link my current dashboard view',
+  'comments.posting': 'Posting...',
+  'comments.post': 'Post comment',
+  'comments.hiddenByModerator': 'This comment was hidden by a moderator.',
+  'comments.actionFailed': 'That did not work. Please try again.',
+  'comments.reportReason': 'Why are you reporting this? (optional)',
+  'comments.report': 'Report',
+  'comments.reported': 'Thanks, a moderator will take a look.',
+  'comments.hideReason': 'Reason for hiding',
+  'comments.hide': 'Hide',
+  'comments.hidden': 'Comment hidden.',
+  'comments.restoreReason': 'Reason for restoring',
+  'comments.restore': 'Restore',
+  'comments.restored': 'Comment restored.',
+  'comments.hiddenBadge': 'Hidden',
+  'comments.reportCount': {
+    one: 'Reported once',
+    other: 'Reported {count} times',
+  },
+  'comments.openView': 'Open the dashboard view this comment refers to',
+  'comments.loadFailed': 'Unable to load the discussion.',
+  'comments.title': 'Discussion',
+  'comments.intro':
+    'Explain your position or point others at something in the data. Stance badges are chosen by their authors.',
+  'comments.signIn': 'Sign in to read and join the discussion.',
+  'comments.closed': 'This poll is closed to new comments.',
+  'comments.none': 'No comments yet.',
+
+  'export.renderFailed': 'Unable to render the chart.',
+  'export.pngFailed': 'PNG export failed.',
+  'export.failed': 'Export failed.',
+  'export.exporting': 'Exporting...',
+  'filters.active': 'Active filters',
+  'filters.remove': 'Remove {label}',
+  'filters.clearAll': 'Clear all',
+  'filters.all': 'All',
+  'filters.selectedCount': '{count} selected',
+  'filters.searchPlaceholder': 'Search...',
+  'filters.searchLabel': 'Search {label}',
+  'filters.noMatches': 'No matches.',
+  'filters.more': '{count} more; refine the search.',
+  'filters.clearSelection': 'Clear selection',
+
+  'chart.mode.stacked': 'Stacked',
+  'chart.mode.grouped': 'Grouped',
+  'chart.mode.line': 'Line',
+  'chart.trend.none': 'None',
+  'chart.trend.linear': 'Linear',
+  'chart.trend.seasonal': 'Seasonal',
+  'pivot.columns.month': 'Month',
+  'pivot.columns.year': 'Year',
+  'comparison.delta.difference': 'Difference (B − A)',
+  'comparison.delta.ratio': 'Ratio (B ÷ A)',
+  'quality.badDate': 'No usable date',
+  'quality.badDate.effect':
+    'Left out of the monthly totals but still counted in Rows matched.',
+  'quality.unparseable': 'Non-numeric measure values',
+  'quality.unparseable.effect':
+    'Only a leading number is used (so "1,234" counts as 1); anything else counts as 0.',
+  'quality.blank': 'Blank measure values',
+  'quality.blank.effect': 'Counted as 0.',
+  'quality.negative': 'Negative measure values',
+  'quality.negative.effect': 'Summed as-is, reducing the totals.',
+  'quality.outlier': 'Outliers',
+  'quality.outlier.effect':
+    'More than 3 interquartile ranges outside the middle half of the non-zero values in their column.',
+  'quality.missingSupplier': 'Missing supplier',
+  'quality.missingSupplier.effect':
+    'Only included when no supplier filter is set.',
+  'quality.duplicate': 'Duplicate item and month',
+  'quality.duplicate.effect':
+    'A later row repeating an earlier item code in the same month.',
+
+  'forecast.movingAverage': '{months}-month moving average',
+  'forecast.tooFewMonths':
+    'Not enough months for a trend (at least 3 are needed)',
+  'forecast.linearTrend': 'Linear least-squares trend (slope {slope}/month)',
+  'forecast.seasonalTrend':
+    'Seasonal least-squares trend (slope {slope}/month, 12-month additive seasonality)',
+  'forecast.tooFewForSeasons':
+    'Not enough months for seasonality (at least {months} are needed), so the trend is linear',
+  'forecast.band':
+    '{months}-month forecast, {confidence}% prediction band (±{error} s.e.)',
+
+  'table.loadingRows': 'Loading rows...',
+  'table.rowCount': { one: '{count} row', other: '{count} rows' },
+  'quality.title': 'Data quality',
+  'quality.intro':
+    'Rows the dashboard had to coerce, skip or would otherwise sum without warning. Tick an issue to leave those rows out of the chart, insights and table.',
+  'quality.checkRows': 'Check the rows',
+  'quality.summary': {
+    one: '{flagged} of {count} row has at least one issue.',
+    other: '{flagged} of {count} rows have at least one issue.',
+  },
+  'quality.excluded': {
+    one: '{count} is excluded from the aggregates.',
+    other: '{count} are excluded from the aggregates.',
+  },
+  'quality.missingColumn': 'Missing {column}',
+  'quality.columns': 'Columns: {columns}.',
+  'quality.examples': 'Examples',
+  'quality.exampleLine': 'Line {line}: {values}',
+
+  'insights.title': 'Insights',
+  'insights.intro': 'Rankings, growth and mix for the active filters.',
+  'insights.showTop': 'Show top',
+  'insights.noSales': 'No sales in this view.',
+  'insights.blank': '(blank)',
+  'insights.topItems': 'Top items',
+  'insights.itemsFromRows': 'Item rankings are built from the raw rows.',
+  'insights.loadRows': 'Load rows',
+  'insights.topItemsBy': 'Top items by {measure}',
+  'insights.topBy': 'Top {label} by {measure}',
+  'insights.latestMonth': 'Latest month: {month}',
+  'insights.measure': 'Measure',
+  'insights.value': 'Value',
+  'insights.versus': 'vs {month}',
+  'insights.versusPreviousMonth': 'vs previous month',
+  'insights.versusYearEarlier': 'vs a year earlier',
+  'insights.total': 'Total',
+  'insights.shareOfTotal': '{label} share of total',
+  'insights.suppliers': 'suppliers',
+  'insights.category': 'Category',
+
+  'comparison.title': 'Compare',
+  'comparison.intro':
+    'Put two selections side by side. A is the filters above; B has its own filters. Both use the month range, keyword and data-quality exclusions, and the charted series.',
+  'comparison.toggle': 'Compare A with B',
+  'comparison.sideB': 'B: {label}',
+  'comparison.by': 'Compare by',
+  'comparison.side': 'Side',
+  'comparison.monthlyAverage': 'Monthly average',
+  'comparison.noData': 'No data matches either selection.',
+  'dashboard.loadingFilterRows': 'Loading the rows these filters need...',
+
+  'pivot.title': 'Pivot',
+  'pivot.intro':
+    '{measure} for the active filters, shaded by size. Click a cell or total to open those rows in the table below.',
+  'pivot.rows': 'Rows',
+  'pivot.columns': 'Columns',
+  'pivot.totalSales': 'Total sales',
+  'pivot.drillDown': 'Show the {selection} rows in the table',
+  'pivot.showTop': 'Show the top {count} rows',
+  'pivot.showAll': 'Show all {count} rows',
+  'dashboard.noData': 'No data matches the selected filters.',
+
+  'chart.movingAverage': 'Moving average',
+  'chart.movingAverageShort': 'Moving avg',
+  'chart.trend': 'Trend',
+  'chart.forecast': 'Forecast',
+  'chart.bandLow': 'Band low',
+  'chart.bandHigh': 'Band high',
+  'chart.describeTotal': 'total {value}',
+  'chart.ariaLabel':
+    'Monthly sales chart. Use the arrow keys to move between months; hold Shift to select a range and press Enter to filter to it.',
+
+  'table.search': 'Search {columns}',
+  'table.pageSize': 'Rows per page',
+  'table.previous': 'Previous',
+  'table.page': 'Page',
+  'table.ofPages': 'of {pages}',
+  'table.next': 'Next',
+
+  'dashboard.eyebrow': 'Warehouse + Retail Sales Dashboard',
+  'dashboard.title': 'Maryland Warehouse & Retail Sales Trends',
+  'dashboard.warehouse': 'Warehouse (Supplier)',
+  'dashboard.category': 'Drug/Product Category',
+  'dashboard.fromMonth': 'From month',
+  'dashboard.toMonth': 'To month',
+  'dashboard.earliest': 'Earliest',
+  'dashboard.latest': 'Latest',
+  'dashboard.keyword': 'Keyword',
+  'dashboard.descriptionKeyword': 'Description keyword',
+  'dashboard.excludedRows': 'Excluded rows',
+  'dashboard.rowsMatched': 'Rows matched',
+  'dashboard.loading': 'Loading sales data...',
+  'dashboard.loadFailed':
+    'Unable to load the CSV data. Please refresh and try again.',
+  'dashboard.filterRowsFailed': 'Unable to load the rows these filters need.',
+  'filters.months': 'Months: {start} to {end}',
+  'filters.keyword': 'Keyword: "{keyword}"',
+  'filters.excluding': 'Excluding: {issue}',
+  'chart.title': 'Monthly Total Sales',
+  'chart.intro':
+    'Aggregated by year and month for the active filters. Hover or focus a month for details; drag across months to filter the chart and table to that range.',
+  'chart.range': 'Showing {start} to {end}.',
+  'chart.clearRange': 'Clear range',
+  'chart.view': 'View',
+  'chart.months': { one: '{count} month', other: '{count} months' },
+  'chart.off': 'Off',
+  'chart.pickTrend': 'Pick a trend to forecast from.',
+  'chart.band': 'Band',
+  'chart.series': 'Series',
+  'chart.noSeries': 'Select at least one series to chart.',
+  'export.chart': 'Export chart',
+  'export.rows': 'Export filtered rows',
+  'export.totalsCsv': 'Monthly totals CSV',
+  'table.title': 'Raw Sales Data',
+  'table.intro':
+    'Click a header to sort, search item descriptions and codes, and page through the filtered results. The footer totals every matching row.',
+  'table.loadFailed':
+    'Unable to load the raw rows. Please refresh and try again.',
+
+  'mapping.missingColumn': 'The column "{column}" is not in this file.',
+  'mapping.noDates': 'Choose a date column, or both a year and a month column.',
+  'mapping.noMeasures': 'Choose at least one measure column.',
+  'mapping.noTotal': 'Include at least one measure in the total.',
+  'mapping.sameFilters': 'Pick two different filter columns.',
+  'mapping.firstFilter': 'First filter (dimension)',
+  'mapping.secondFilter': 'Second filter (dimension)',
+  'mapping.datesFrom': 'Dates come from',
+  'mapping.yearMonth': 'Year and month columns',
+  'mapping.dateColumn': 'A single date column',
+  'mapping.date': 'Date',
+  'mapping.currency': 'Currency',
+  'mapping.noCurrency': 'None (plain numbers)',
+  'mapping.measures': 'Measures',
+  'mapping.includeInTotal': 'Include in total',
+  'dataset.title': 'Dataset',
+  'dataset.showing': 'Showing',
+  'dataset.defaultName': 'Maryland warehouse & retail sales',
+  'dataset.intro':
+    'Upload another sales extract to explore it with the same dashboard.',
+  'dataset.useDefault': 'Use the Maryland dataset',
+  'dataset.reading': 'Reading file...',
+  'dataset.drop': 'Drop a CSV here or click to choose a file.',
+  'dataset.noRows': 'That file has no rows.',
+  'dataset.readFailed': 'Unable to read that file.',
+  'dataset.mapColumns':
+    'Map the columns of {name} ({rows}) onto the dashboard.',
+  'dataset.load': 'Load dataset',
+
+  'audit.loadFailed': 'Unable to load the audit log.',
+  'audit.loading': 'Loading audit log...',
+  'audit.empty': 'No admin actions yet.',
+  'audit.limit': {
+    one: 'Showing the latest {count} action.',
+    other: 'Showing the latest {count} actions.',
+  },
+  'audit.when': 'When',
+  'audit.admin': 'Admin',
+  'audit.action': 'Action',
+  'audit.poll': 'Poll',
+  'audit.voter': 'Voter',
+  'audit.details': 'Details',
+  'audit.title': 'Audit log',
+  'audit.intro': 'Every poll change, vote invalidation and export.',
+  'admin.status.draft': 'Draft',
+  'admin.status.open': 'Open',
+  'admin.status.closed': 'Closed',
+  'admin.updateFailed': 'Unable to update the poll. Please try again.',
+  'admin.noPolls': 'No polls yet.',
+  'admin.close': 'Close',
+  'admin.reopen': 'Reopen',
+  'admin.open': 'Open',
+  'admin.loadFailed': 'Unable to load the polls.',
+  'admin.polls': 'Polls',
+  'admin.pollsIntro':
+    'Drafts stay hidden from the dashboard until they are opened.',
+  'admin.newPoll': 'New poll',
+  'admin.votes': 'Votes',
+  'admin.title': 'Admin console',
+  'admin.back': 'Back to the dashboard',
+  'admin.signIn': 'Sign in with an admin account to continue.',
+  'admin.checking': 'Checking your access...',
+  'admin.noAccess': '{email} does not have admin access.',
+
+  'votes.invalidated': 'Invalidated ({choice}): {reason}',
+  'votes.withdrawn': 'Withdrawn',
+  'votes.loadFailed': 'Unable to load the votes.',
+  'votes.exportNotRecorded': 'The export was not recorded in the audit log.',
+  'votes.invalidateFailed':
+    'Unable to invalidate the ballot. Please try again.',
+  'votes.loading': 'Loading votes...',
+  'votes.voters': 'Voters ({count})',
+  'votes.exportVoters': 'Export voters',
+  'votes.ballots': 'Ballots ({count})',
+  'votes.exportBallots': 'Export ballots',
+  'votes.invalidateHint':
+    "Ballots do not name their voters, so a fraudulent voter's ballot cannot be found from the voter list. Find a ballot by the receipt code its voter reports. Invalidating it leaves the voter record in place.",
+  'votes.find': 'Find ballot',
+  'votes.showAll': 'Show all ballots',
+  'votes.ballot': 'Ballot',
+  'votes.choice': 'Choice',
+  'votes.actions': 'Actions',
+  'votes.reason': 'Reason',
+  'votes.invalidate': 'Invalidate',
+
+  'pollDraft.noQuestion': 'Enter the poll question.',
+  'pollDraft.tooFewOptions': 'Give the poll at least two options.',
+  'pollDraft.tooManyOptions': 'A poll can have at most {max} options.',
+  'pollDraft.duplicateOptions': 'Each option needs a different label.',
+  'pollDraft.translationQuestion':
+    'Enter the {language} question, or clear that translation.',
+  'pollDraft.translationOptions': {
+    one: 'Give {count} {language} option, in the same order, or leave them blank.',
+    other:
+      'Give {count} {language} options, in the same order, or leave them blank.',
+  },
+  'pollDraft.badDate': 'Check the poll dates.',
+  'pollDraft.closesBeforeOpens': 'The poll must close after it opens.',
+  'pollForm.opensAt': 'Opens (optional)',
+  'pollForm.closesAt': 'Closes (optional)',
+  'pollForm.changeDeadline': 'Votes can change until (optional)',
+  'pollForm.question': 'Question',
+  'pollForm.description': 'Description (blank lines separate paragraphs)',
+  'pollForm.options': 'Options, one per line',
+  'pollForm.translation': '{language} translation (optional)',
+  'pollForm.translatedOptions': 'Options, one per line in the same order',
+  'pollForm.createFailed': 'Unable to create the poll. Please try again.',
+  'pollForm.creating': 'Creating...',
+  'pollForm.create': 'Create draft poll',
+}
@@ -0,0 +1,490 @@
+// Spanish text. Every key in en.js should have an entry here; the unit tests
+// check that the two catalogs stay in step.
+
+export default {
+  'language.label': 'Idioma',
+  'language.name.en': 'inglés',
+  'language.name.es': 'español',
+
+  'format.notAvailable': 'n/d',
+
+  'authError.mismatch': 'El correo y la contraseña no coinciden.',
+  'authError.invalidEmail': 'Escribe un correo electrónico válido.',
+  'authError.missingEmail': 'Escribe tu correo electrónico.',
+  'authError.missingPassword': 'Escribe tu contraseña.',
+  'authError.emailInUse':
+    'Ya existe una cuenta con ese correo. Prueba a iniciar sesión.',
+  'authError.weakPassword': 'Elige una contraseña de al menos 6 caracteres.',
+  'authError.userDisabled': 'Esta cuenta está desactivada.',
+  'authError.tooManyRequests':
+    'Demasiados intentos. Espera unos minutos y vuelve a intentarlo.',
+  'authError.network':
+    'No se pudo conectar con el servicio de acceso. Revisa tu conexión.',
+  'authError.popupClosed':
+    'La ventana de Google se cerró antes de iniciar sesión.',
+  'authError.popupBlocked':
+    'El navegador bloqueó la ventana de Google. Permite las ventanas emergentes y vuelve a intentarlo.',
+  'authError.otherCredential':
+    'Ese correo ya está registrado con contraseña. Inicia sesión con ella.',
+  'authError.notAllowed': 'Este método de acceso no está habilitado.',
+  'authError.unauthorizedDomain': 'El acceso no está habilitado en este sitio.',
+  'authError.expiredLink': 'Ese enlace ha caducado. Solicita uno nuevo.',
+  'authError.invalidLink': 'Ese enlace ya no es válido. Solicita uno nuevo.',
+  'authError.default': 'Algo salió mal. Vuelve a intentarlo.',
+
+  'auth.signIn': 'Iniciar sesión',
+  'auth.signUp': 'Registrarse',
+  'auth.createAccount': 'Crear cuenta',
+  'auth.sendReset': 'Enviar enlace',
+  'auth.resetSent':
+    'Si {email} tiene una cuenta, le enviaremos un enlace para restablecer la contraseña.',
+  'auth.notVerifiedYet':
+    'Tu correo aún no está verificado. Abre el enlace que te enviamos y vuelve a intentarlo.',
+  'auth.thanks': 'Gracias por tu apoyo.',
+  'auth.verifyPrompt':
+    'Verifica tu correo para votar. Enviamos un enlace a {email}.',
+  'auth.haveVerified': 'Ya lo verifiqué',
+  'auth.verificationSent': 'Correo de verificación enviado.',
+  'auth.verificationFailed':
+    'Tu cuenta se creó, pero no pudimos enviar el correo de verificación. Usa Reenviar correo para intentarlo de nuevo.',
+  'auth.resendEmail': 'Reenviar correo',
+  'auth.signOut': 'Cerrar sesión',
+  'auth.email': 'Correo electrónico',
+  'auth.password': 'Contraseña',
+  'auth.working': 'Procesando...',
+  'auth.backToSignIn': 'Volver a iniciar sesión',
+  'auth.forgotPassword': '¿Olvidaste tu contraseña?',
+  'auth.google': 'Continuar con Google',
+
+  'vote.alreadyVoted': 'Ya votaste en esta encuesta.',
+  'vote.notAccepted': 'La encuesta no lo aceptó; es posible que haya cerrado.',
+  'vote.noBallot': 'Ninguna papeleta tiene tu código de comprobante.',
+  'vote.invalidated': 'Esta papeleta fue invalidada y ya no se puede cambiar.',
+  'vote.sameChoice': 'Ya elegiste esa opción.',
+  'vote.nothingToWithdraw': 'No hay ningún voto que retirar.',
+  'vote.cannotChange': 'Este comprobante no puede cambiar la papeleta.',
+  'comments.alreadyReported': 'Ya denunciaste este comentario.',
+  'admin.onlyCountedBallot':
+    'Solo se puede invalidar una papeleta contabilizada.',
+  'audit.action.pollCreate': 'Creó una encuesta',
+  'audit.action.pollOpen': 'Abrió una encuesta',
+  'audit.action.pollClose': 'Cerró una encuesta',
+  'audit.action.voteInvalidate': 'Invalidó una papeleta',
+  'audit.action.votesExport': 'Exportó los votos',
+  'audit.action.commentHide': 'Ocultó un comentario',
+  'audit.action.commentRestore': 'Restauró un comentario',
+
+  'poll.title': 'Encuesta de opinión',
+  'poll.picker': 'Encuesta',
+  'poll.closedOption': '{question} (cerrada)',
+  'poll.closedNotice': 'Esta encuesta está cerrada.',
+  'poll.opens': 'Abre el {date}.',
+  'poll.closes': 'Cierra el {date}.',
+  'poll.closedAt': 'Cerró el {date}.',
+  'poll.changeUntil': 'Los votos se pueden cambiar hasta el {date}.',
+  'poll.changeClosed': 'Los votos ya no se pueden cambiar.',
+  'poll.loadFailed':
+    'No se pudieron cargar las encuestas. Actualiza la página y vuelve a intentarlo.',
+  'poll.none': 'No hay encuestas para mostrar en este momento.',
+  'poll.signInPrompt': 'Inicia sesión o regístrate para votar.',
+  'poll.secretBallot':
+    'Gracias por tu apoyo. Tu elección se guarda sin tu nombre y los demás votantes no pueden ver cómo votaste. Guarda el código de comprobante que verás; es la única forma de cambiar o retirar tu voto.',
+  'poll.submitting': 'Enviando...',
+  'poll.confirm': 'Confirmar voto',
+  'poll.resultsFailed': 'No se pudieron cargar los resultados más recientes.',
+  'poll.queueFailed':
+    'No se pudo guardar tu voto en este dispositivo. Vuelve a intentarlo cuando tengas conexión.',
+  'poll.signInToVote': 'Inicia sesión para votar.',
+  'poll.verifyToVote': 'Verifica tu correo electrónico antes de votar.',
+  'poll.notAccepting': 'Esta encuesta no está aceptando votos.',
+  'poll.voteFailed': 'No se pudo registrar tu voto. Vuelve a intentarlo.',
+  'poll.pendingBadge': 'Pendiente',
+  'poll.pendingVote':
+    'Tu voto por «{option}» está guardado en este dispositivo y se enviará cuando vuelvas a tener conexión.',
+  'poll.retrySync': 'Reintentar ahora',
+  'poll.syncRejected': 'Tu voto sin conexión no se envió: {reason}',
+  'poll.syncedBadge': 'Sincronizado',
+  'poll.synced': 'Tu voto sin conexión se ha enviado.',
+  'poll.cast': 'Tu voto ha sido emitido.',
+  'poll.currentChoice': 'Tu papeleta cuenta para {option}.',
+  'poll.withdrawn': 'Retiraste tu voto.',
+  'poll.changePrompt': 'Puedes cambiarlo o retirarlo abajo.',
+  'poll.change': 'Cambiar voto',
+  'poll.withdraw': 'Retirar voto',
+  'poll.changeFailed': 'No se pudo cambiar tu voto. Vuelve a intentarlo.',
+  'receipt.codeLabel': 'Código de comprobante:',
+  'receipt.pendingHint':
+    'Servirá para encontrar tu papeleta cuando se envíe el voto.',
+  'receipt.keepHint':
+    'Guárdalo para comprobar más tarde que tu papeleta se contó y para cambiarla; cualquiera que lo vea puede ver y cambiar tu elección.',
+  'receipt.notStored':
+    'Tu código de comprobante se mostró al votar y no se guarda con tu cuenta.',
+  'receipt.enterToChange':
+    'Para cambiar o retirar tu voto, introduce tu código de comprobante.',
+  'receipt.use': 'Usar comprobante',
+  'receipt.notFound': 'Ninguna papeleta tiene este comprobante.',
+  'receipt.invalidated': 'Un administrador invalidó esta papeleta: {reason}',
+  'receipt.withdrawn': 'Esta papeleta fue retirada.',
+  'receipt.counted': 'Contabilizada: {option}.',
+  'receipt.badFormat':
+    'Los códigos de comprobante tienen 16 letras y números, como 7K3M-Q9TX-2WHC-R4NB.',
+  'receipt.checkFailed':
+    'No se pudo comprobar el comprobante. Vuelve a intentarlo.',
+  'receipt.checkTitle': 'Comprobar una papeleta',
+  'receipt.code': 'Código de comprobante',
+  'receipt.check': 'Comprobar',
+
+  'pollResults.title': 'Resultados',
+  'pollResults.describeDay': {
+    one: '{day}: {count} voto',
+    other: '{day}: {count} votos',
+  },
+  'pollResults.describeTotal': '{label}: {count} en total',
+  'pollResults.dayVotes': 'Votos ese día',
+  'pollResults.optionTotal': '{label} (total)',
+  'pollResults.dailyTurnout': 'Participación diaria',
+  'pollResults.chartLabel':
+    'Resultados de la encuesta a lo largo del tiempo. Usa las flechas para moverte entre días.',
+  'pollResults.loadFailed':
+    'No se pudieron cargar los resultados a lo largo del tiempo.',
+  'pollResults.note':
+    'Los días están en UTC. El reparto tiene en cuenta las papeletas invalidadas; el gráfico muestra los votos tal como se emitieron.',
+
+  'common.cancel': 'Cancelar',
+  'common.none': 'Ninguna',
+  'comments.empty': 'Primero escribe un comentario.',
+  'comments.tooLong':
+    'Los comentarios pueden tener como máximo {max} caracteres.',
+  'comments.verifyFirst': 'Verifica tu correo electrónico antes de comentar.',
+  'comments.postFailed':
+    'No se pudo publicar tu comentario. Vuelve a intentarlo.',
+  'comments.add': 'Añade un comentario',
+  'comments.reply': 'Responder',
+  'comments.stanceBadge': 'Distintivo de postura',
+  'comments.linkView': 'Enlazar mi vista actual del panel',
+  'comments.posting': 'Publicando...',
+  'comments.post': 'Publicar comentario',
+  'comments.hiddenByModerator': 'Un moderador ocultó este comentario.',
+  'comments.actionFailed': 'No funcionó. Vuelve a intentarlo.',
+  'comments.reportReason': '¿Por qué lo denuncias? (opcional)',
+  'comments.report': 'Denunciar',
+  'comments.reported': 'Gracias, un moderador lo revisará.',
+  'comments.hideReason': 'Motivo para ocultarlo',
+  'comments.hide': 'Ocultar',
+  'comments.hidden': 'Comentario oculto.',
+  'comments.restoreReason': 'Motivo para restaurarlo',
+  'comments.restore': 'Restaurar',
+  'comments.restored': 'Comentario restaurado.',
+  'comments.hiddenBadge': 'Oculto',
+  'comments.reportCount': {
+    one: 'Denunciado una vez',
+    other: 'Denunciado {count} veces',
+  },
+  'comments.openView':
+    'Abrir la vista del panel a la que se refiere este comentario',
+  'comments.loadFailed': 'No se pudo cargar el debate.',
+  'comments.title': 'Debate',
+  'comments.intro':
+    'Explica tu postura o señala algo en los datos. Cada autor elige su distintivo de postura.',
+  'comments.signIn': 'Inicia sesión para leer el debate y participar.',
+  'comments.closed': 'Esta encuesta ya no admite comentarios nuevos.',
+  'comments.none': 'Todavía no hay comentarios.',
+
+  'export.renderFailed': 'No se pudo generar el gráfico.',
+  'export.pngFailed': 'No se pudo exportar el PNG.',
+  'export.failed': 'No se pudo exportar.',
+  'export.exporting': 'Exportando...',
+  'filters.active': 'Filtros activos',
+  'filters.remove': 'Quitar {label}',
+  'filters.clearAll': 'Quitar todos',
+  'filters.all': 'Todos',
+  'filters.selectedCount': {
+    one: '{count} seleccionado',
+    other: '{count} seleccionados',
+  },
+  'filters.searchPlaceholder': 'Buscar...',
+  'filters.searchLabel': 'Buscar en {label}',
+  'filters.noMatches': 'Sin coincidencias.',
+  'filters.more': '{count} más; afina la búsqueda.',
+  'filters.clearSelection': 'Borrar selección',
+
+  'chart.mode.stacked': 'Apilado',
+  'chart.mode.grouped': 'Agrupado',
+  'chart.mode.line': 'Líneas',
+  'chart.trend.none': 'Ninguna',
+  'chart.trend.linear': 'Lineal',
+  'chart.trend.seasonal': 'Estacional',
+  'pivot.columns.month': 'Mes',
+  'pivot.columns.year': 'Año',
+  'comparison.delta.difference': 'Diferencia (B − A)',
+  'comparison.delta.ratio': 'Proporción (B ÷ A)',
+  'quality.badDate': 'Sin fecha utilizable',
+  'quality.badDate.effect':
+    'Se excluyen de los totales mensuales, pero cuentan en Filas coincidentes.',
+  'quality.unparseable': 'Valores de medida no numéricos',
+  'quality.unparseable.effect':
+    'Solo se usa el número inicial (así, "1,234" cuenta como 1); cualquier otra cosa cuenta como 0.',
+  'quality.blank': 'Valores de medida vacíos',
+  'quality.blank.effect': 'Cuentan como 0.',
+  'quality.negative': 'Valores de medida negativos',
+  'quality.negative.effect': 'Se suman tal cual y reducen los totales.',
+  'quality.outlier': 'Valores atípicos',
+  'quality.outlier.effect':
+    'A más de 3 rangos intercuartílicos de la mitad central de los valores distintos de cero de su columna.',
+  'quality.missingSupplier': 'Sin proveedor',
+  'quality.missingSupplier.effect':
+    'Solo se incluyen cuando no hay filtro de proveedor.',
+  'quality.duplicate': 'Artículo y mes duplicados',
+  'quality.duplicate.effect':
+    'Una fila posterior que repite un código de artículo anterior en el mismo mes.',
+
+  'forecast.movingAverage': 'Media móvil de {months} meses',
+  'forecast.tooFewMonths':
+    'No hay meses suficientes para una tendencia (se necesitan al menos 3)',
+  'forecast.linearTrend':
+    'Tendencia lineal por mínimos cuadrados (pendiente {slope}/mes)',
+  'forecast.seasonalTrend':
+    'Tendencia estacional por mínimos cuadrados (pendiente {slope}/mes, estacionalidad aditiva de 12 meses)',
+  'forecast.tooFewForSeasons':
+    'No hay meses suficientes para la estacionalidad (se necesitan al menos {months}), así que la tendencia es lineal',
+  'forecast.band':
+    'Pronóstico a {months} meses, banda de predicción del {confidence} % (±{error} e.e.)',
+
+  'table.loadingRows': 'Cargando filas...',
+  'table.rowCount': { one: '{count} fila', other: '{count} filas' },
+  'quality.title': 'Calidad de los datos',
+  'quality.intro':
+    'Filas que el panel tuvo que convertir u omitir, o que sumaría sin avisar. Marca un problema para excluir esas filas del gráfico, el análisis y la tabla.',
+  'quality.checkRows': 'Revisar las filas',
+  'quality.summary': {
+    one: '{flagged} de {count} fila tiene al menos un problema.',
+    other: '{flagged} de {count} filas tienen al menos un problema.',
+  },
+  'quality.excluded': {
+    one: '{count} queda excluida de los totales.',
+    other: '{count} quedan excluidas de los totales.',
+  },
+  'quality.missingColumn': 'Sin {column}',
+  'quality.columns': 'Columnas: {columns}.',
+  'quality.examples': 'Ejemplos',
+  'quality.exampleLine': 'Línea {line}: {values}',
+
+  'insights.title': 'Análisis',
+  'insights.intro':
+    'Clasificaciones, crecimiento y composición para los filtros activos.',
+  'insights.showTop': 'Mostrar los primeros',
+  'insights.noSales': 'No hay ventas en esta vista.',
+  'insights.blank': '(vacío)',
+  'insights.topItems': 'Artículos principales',
+  'insights.itemsFromRows':
+    'La clasificación de artículos se calcula a partir de las filas originales.',
+  'insights.loadRows': 'Cargar filas',
+  'insights.topItemsBy': 'Artículos principales por {measure}',
+  'insights.topBy': 'Principales {label} por {measure}',
+  'insights.latestMonth': 'Último mes: {month}',
+  'insights.measure': 'Medida',
+  'insights.value': 'Valor',
+  'insights.versus': 'frente a {month}',
+  'insights.versusPreviousMonth': 'frente al mes anterior',
+  'insights.versusYearEarlier': 'frente a un año antes',
+  'insights.total': 'Total',
+  'insights.shareOfTotal': 'Participación por {label} en el total',
+  'insights.suppliers': 'proveedores',
+  'insights.category': 'categoría',
+
+  'comparison.title': 'Comparar',
+  'comparison.intro':
+    'Pon dos selecciones una junto a otra. A son los filtros de arriba; B tiene sus propios filtros. Ambas usan el rango de meses, la palabra clave, las exclusiones de calidad de datos y las series del gráfico.',
+  'comparison.toggle': 'Comparar A con B',
+  'comparison.sideB': 'B: {label}',
+  'comparison.by': 'Comparar por',
+  'comparison.side': 'Lado',
+  'comparison.monthlyAverage': 'Promedio mensual',
+  'comparison.noData': 'Ningún dato coincide con ninguna de las selecciones.',
+  'dashboard.loadingFilterRows':
+    'Cargando las filas que necesitan estos filtros...',
+
+  'pivot.title': 'Tabla dinámica',
+  'pivot.intro':
+    '{measure} para los filtros activos, sombreado según su tamaño. Haz clic en una celda o un total para abrir esas filas en la tabla de abajo.',
+  'pivot.rows': 'Filas',
+  'pivot.columns': 'Columnas',
+  'pivot.totalSales': 'Ventas totales',
+  'pivot.drillDown': 'Mostrar las filas de {selection} en la tabla',
+  'pivot.showTop': 'Mostrar las {count} primeras filas',
+  'pivot.showAll': 'Mostrar las {count} filas',
+  'dashboard.noData': 'Ningún dato coincide con los filtros seleccionados.',
+
+  'chart.movingAverage': 'Media móvil',
+  'chart.movingAverageShort': 'Media móvil',
+  'chart.trend': 'Tendencia',
+  'chart.forecast': 'Pronóstico',
+  'chart.bandLow': 'Banda inferior',
+  'chart.bandHigh': 'Banda superior',
+  'chart.describeTotal': 'total {value}',
+  'chart.ariaLabel':
+    'Gráfico de ventas mensuales. Usa las flechas para moverte entre meses; mantén pulsada Mayús para seleccionar un rango y pulsa Intro para filtrar por él.',
+
+  'table.search': 'Buscar en {columns}',
+  'table.pageSize': 'Filas por página',
+  'table.previous': 'Anterior',
+  'table.page': 'Página',
+  'table.ofPages': 'de {pages}',
+  'table.next': 'Siguiente',
+
+  'dashboard.eyebrow': 'Panel de ventas mayoristas y minoristas',
+  'dashboard.title': 'Tendencias de ventas mayoristas y minoristas de Maryland',
+  'dashboard.warehouse': 'Almacén (proveedor)',
+  'dashboard.category': 'Categoría de bebida o producto',
+  'dashboard.fromMonth': 'Desde el mes',
+  'dashboard.toMonth': 'Hasta el mes',
+  'dashboard.earliest': 'El primero',
+  'dashboard.latest': 'El último',
+  'dashboard.keyword': 'Palabra clave',
+  'dashboard.descriptionKeyword': 'Palabra clave de la descripción',
+  'dashboard.excludedRows': 'Filas excluidas',
+  'dashboard.rowsMatched': 'Filas que coinciden',
+  'dashboard.loading': 'Cargando los datos de ventas...',
+  'dashboard.loadFailed':
+    'No se pudieron cargar los datos CSV. Actualiza la página e inténtalo de nuevo.',
+  'dashboard.filterRowsFailed':
+    'No se pudieron cargar las filas que necesitan estos filtros.',
+  'filters.months': 'Meses: de {start} a {end}',
+  'filters.keyword': 'Palabra clave: «{keyword}»',
+  'filters.excluding': 'Excluye: {issue}',
+  'chart.title': 'Ventas totales mensuales',
+  'chart.intro':
+    'Agregadas por año y mes para los filtros activos. Pasa el cursor o enfoca un mes para ver los detalles; arrastra sobre varios meses para filtrar el gráfico y la tabla a ese rango.',
+  'chart.range': 'Se muestra de {start} a {end}.',
+  'chart.clearRange': 'Quitar el rango',
+  'chart.view': 'Vista',
+  'chart.months': { one: '{count} mes', other: '{count} meses' },
+  'chart.off': 'Desactivado',
+  'chart.pickTrend': 'Elige una tendencia para el pronóstico.',
+  'chart.band': 'Banda',
+  'chart.series': 'Series',
+  'chart.noSeries': 'Selecciona al menos una serie para el gráfico.',
+  'export.chart': 'Exportar el gráfico',
+  'export.rows': 'Exportar las filas filtradas',
+  'export.totalsCsv': 'CSV de totales mensuales',
+  'table.title': 'Datos de ventas sin procesar',
+  'table.intro':
+    'Haz clic en un encabezado para ordenar, busca en las descripciones y los códigos de los artículos y recorre los resultados filtrados por páginas. El pie suma todas las filas que coinciden.',
+  'table.loadFailed':
+    'No se pudieron cargar las filas sin procesar. Actualiza la página e inténtalo de nuevo.',
+
+  'mapping.missingColumn': 'La columna «{column}» no está en este archivo.',
+  'mapping.noDates':
+    'Elige una columna de fecha, o una columna de año y otra de mes.',
+  'mapping.noMeasures': 'Elige al menos una columna de medida.',
+  'mapping.noTotal': 'Incluye al menos una medida en el total.',
+  'mapping.sameFilters': 'Elige dos columnas de filtro distintas.',
+  'mapping.firstFilter': 'Primer filtro (dimensión)',
+  'mapping.secondFilter': 'Segundo filtro (dimensión)',
+  'mapping.datesFrom': 'Las fechas salen de',
+  'mapping.yearMonth': 'Columnas de año y mes',
+  'mapping.dateColumn': 'Una sola columna de fecha',
+  'mapping.date': 'Fecha',
+  'mapping.currency': 'Moneda',
+  'mapping.noCurrency': 'Ninguna (números sin más)',
+  'mapping.measures': 'Medidas',
+  'mapping.includeInTotal': 'Incluir en el total',
+  'dataset.title': 'Conjunto de datos',
+  'dataset.showing': 'Se muestra',
+  'dataset.defaultName': 'Ventas mayoristas y minoristas de Maryland',
+  'dataset.intro':
+    'Sube otro extracto de ventas para explorarlo con el mismo panel.',
+  'dataset.useDefault': 'Usar los datos de Maryland',
+  'dataset.reading': 'Leyendo el archivo...',
+  'dataset.drop': 'Suelta un CSV aquí o haz clic para elegir un archivo.',
+  'dataset.noRows': 'Ese archivo no tiene filas.',
+  'dataset.readFailed': 'No se pudo leer ese archivo.',
+  'dataset.mapColumns': 'Asigna las columnas de {name} ({rows}) al panel.',
+  'dataset.load': 'Cargar los datos',
+
+  'audit.loadFailed': 'No se pudo cargar el registro de auditoría.',
+  'audit.loading': 'Cargando el registro de auditoría...',
+  'audit.empty': 'Todavía no hay acciones de administración.',
+  'audit.limit': {
+    one: 'Se muestra la última acción.',
+    other: 'Se muestran las últimas {count} acciones.',
+  },
+  'audit.when': 'Cuándo',
+  'audit.admin': 'Administrador',
+  'audit.action': 'Acción',
+  'audit.poll': 'Encuesta',
+  'audit.voter': 'Votante',
+  'audit.details': 'Detalles',
+  'audit.title': 'Registro de auditoría',
+  'audit.intro': 'Cada cambio de encuesta, anulación de voto y exportación.',
+  'admin.status.draft': 'Borrador',
+  'admin.status.open': 'Abierta',
+  'admin.status.closed': 'Cerrada',
+  'admin.updateFailed':
+    'No se pudo actualizar la encuesta. Inténtalo de nuevo.',
+  'admin.noPolls': 'Todavía no hay encuestas.',
+  'admin.close': 'Cerrar',
+  'admin.reopen': 'Reabrir',
+  'admin.open': 'Abrir',
+  'admin.loadFailed': 'No se pudieron cargar las encuestas.',
+  'admin.polls': 'Encuestas',
+  'admin.pollsIntro':
+    'Los borradores no aparecen en el panel hasta que se abren.',
+  'admin.newPoll': 'Nueva encuesta',
+  'admin.votes': 'Votos',
+  'admin.title': 'Consola de administración',
+  'admin.back': 'Volver al panel',
+  'admin.signIn':
+    'Inicia sesión con una cuenta de administrador para continuar.',
+  'admin.checking': 'Comprobando tu acceso...',
+  'admin.noAccess': '{email} no tiene acceso de administrador.',
+
+  'votes.invalidated': 'Anulado ({choice}): {reason}',
+  'votes.withdrawn': 'Retirada',
+  'votes.loadFailed': 'No se pudieron cargar los votos.',
+  'votes.exportNotRecorded':
+    'La exportación no quedó anotada en el registro de auditoría.',
+  'votes.invalidateFailed':
+    'No se pudo anular la papeleta. Inténtalo de nuevo.',
+  'votes.loading': 'Cargando los votos...',
+  'votes.voters': 'Votantes ({count})',
+  'votes.exportVoters': 'Exportar los votantes',
+  'votes.ballots': 'Papeletas ({count})',
+  'votes.exportBallots': 'Exportar las papeletas',
+  'votes.invalidateHint':
+    'Las papeletas no nombran a sus votantes, así que la papeleta de un votante fraudulento no se puede encontrar desde la lista de votantes. Busca una papeleta por el código de comprobante que informe su votante. Invalidarla deja el registro del votante como está.',
+  'votes.find': 'Buscar papeleta',
+  'votes.showAll': 'Mostrar todas las papeletas',
+  'votes.ballot': 'Papeleta',
+  'votes.choice': 'Opción',
+  'votes.actions': 'Acciones',
+  'votes.reason': 'Motivo',
+  'votes.invalidate': 'Anular',
+
+  'pollDraft.noQuestion': 'Escribe la pregunta de la encuesta.',
+  'pollDraft.tooFewOptions': 'Dale a la encuesta al menos dos opciones.',
+  'pollDraft.tooManyOptions':
+    'Una encuesta puede tener como máximo {max} opciones.',
+  'pollDraft.duplicateOptions': 'Cada opción necesita un texto distinto.',
+  'pollDraft.translationQuestion':
+    'Escribe la pregunta en {language}, o vacía esa traducción.',
+  'pollDraft.translationOptions': {
+    one: 'Escribe {count} opción en {language}, en el mismo orden, o déjalas en blanco.',
+    other:
+      'Escribe {count} opciones en {language}, en el mismo orden, o déjalas en blanco.',
+  },
+  'pollDraft.badDate': 'Revisa las fechas de la encuesta.',
+  'pollDraft.closesBeforeOpens':
+    'La encuesta debe cerrarse después de abrirse.',
+  'pollForm.opensAt': 'Se abre (opcional)',
+  'pollForm.closesAt': 'Se cierra (opcional)',
+  'pollForm.changeDeadline': 'Los votos se pueden cambiar hasta (opcional)',
+  'pollForm.question': 'Pregunta',
+  'pollForm.description': 'Descripción (las líneas en blanco separan párrafos)',
+  'pollForm.options': 'Opciones, una por línea',
+  'pollForm.translation': 'Traducción al {language} (opcional)',
+  'pollForm.translatedOptions': 'Opciones, una por línea en el mismo orden',
+  'pollForm.createFailed': 'No se pudo crear la encuesta. Inténtalo de nuevo.',
+  'pollForm.creating': 'Creando...',
+  'pollForm.create': 'Crear la encuesta como borrador',
+}
@@ -0,0 +1,93 @@
+// Translations for the dashboard and the admin console. Each catalog maps a
+// flat key to its text; `{name}` placeholders are filled from the params, and
+// an entry of `{ one, other }` forms picks one by params.count. Keys missing
+// from a catalog fall back to English. Kept free of React and Firebase so
+// the pure modules can translate their messages too.
+
+import en from './en'
+import es from './es'
+
+// `tag` is the BCP 47 tag used for number and date formatting.
+export const LOCALES = [
+  { id: 'en', label: 'English', tag: 'en-US' },
+  { id: 'es', label: 'Español', tag: 'es-US' },
+]
+
+export const DEFAULT_LOCALE = 'en'
+
+const CATALOGS = { en, es }
+const STORAGE_KEY = 'stancePoll.locale'
+
+export const localeTag = (locale) =>
+  (LOCALES.find(({ id }) => id === locale) ?? LOCALES[0]).tag
+
+// 'es-MX' and 'es' both match 'es'; null for languages without a catalog.
+export const matchLocale = (language) => {
+  const id = String(language ?? '')
+    .toLowerCase()
+    .split('-')[0]
+  return Object.hasOwn(CATALOGS, id) ? id : null
+}
+
+// The saved choice, then the browser's languages, then English.
+export const detectLocale = () => {
+  let saved = null
+  try {
+    saved = window.localStorage.getItem(STORAGE_KEY)
+  } catch {
+    // Storage may be disabled; fall back to the browser's languages.
+  }
+  const languages =
+    typeof navigator === 'undefined'
+      ? []
+      : (navigator.languages ?? [navigator.language])
+  return [saved, ...languages].map(matchLocale).find(Boolean) ?? DEFAULT_LOCALE
+}
+
+export const saveLocale = (locale) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale)
+  } catch {
+    // Storage may be full or disabled; the choice still applies this session.
+  }
+}
+
+/**
+ * Returns `t(key, params)` for `locale`. `params.count` picks the plural form
+ * and fills `{count}` as a formatted number; other params are inserted as
+ * given. Unknown keys come back unchanged so a gap shows up on screen.
+ */
+export const createTranslator = (locale) => {
+  const catalog = CATALOGS[locale] ?? CATALOGS[DEFAULT_LOCALE]
+  const tag = localeTag(locale)
+  const plurals = new Intl.PluralRules(tag)
+  const numbers = new Intl.NumberFormat(tag)
+
+  return (key, params = {}) => {
+    let message = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key
+    if (typeof message === 'object') {
+      message = message[plurals.select(params.count)] ?? message.other
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+      if (name === 'count' && typeof params.count === 'number') {
+        return numbers.format(params.count)
+      }
+      return Object.hasOwn(params, name) ? String(params[name]) : match
+    })
+  }
+}
+
+// English, for the pure modules' defaults and for tests.
+export const translate = createTranslator(DEFAULT_LOCALE)
+
+/**
+ * An error the UI can show in any language: `key` and `params` name its
+ * message in the catalogs, and `message` is the English text.
+ */
+export class LocalizedError extends Error {
+  constructor(key, params = {}) {
+    super(translate(key, params))
+    this.key = key
+    this.params = params
+  }
+}
@@ -0,0 +1,17 @@
+import { createContext, useContext } from 'react'
+import { getFormatters } from '../format'
+import { DEFAULT_LOCALE, translate } from '.'
+
+// Provided by LocaleProvider; English until one is mounted.
+export const LocaleContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: translate,
+  format: getFormatters(DEFAULT_LOCALE),
+})
+
+/**
+ * The selected locale with `t` (see createTranslator), `format` (see
+ * getFormatters) and `setLocale` to switch languages.
+ */
+export const useLocale = () => useContext(LocaleContext)
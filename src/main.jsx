@@ -1,10 +1,34 @@
-import { StrictMode } from 'react'
+import { StrictMode, Suspense, lazy } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import LocaleProvider from './i18n/LocaleProvider.jsx'
+
+const AdminConsole = lazy(() => import('./components/AdminConsole.jsx'))
+
+// The worker only exists in production builds; see plugins/serviceWorker.js.
+// The app works without it, so a failed registration is only logged.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => {
+      console.warn('Service worker registration failed:', err)
+    })
+  })
+}
+
+// Hosting rewrites every path to index.html, so /admin lands here too.
+const isAdminRoute = /^\/admin\/?$/.test(window.location.pathname)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <LocaleProvider>
+      {isAdminRoute ? (
+        <Suspense fallback={null}>
+          <AdminConsole />
+        </Suspense>
+      ) : (
+        <App />
+      )}
+    </LocaleProvider>
   </StrictMode>,
 )
@@ -0,0 +1,130 @@
+// Turns the admin console's new-poll form into poll fields. Kept free of
+// Firebase so it can be unit tested; src/admin.js does the writing.
+
+import { translate } from './i18n'
+
+// The tally rules in firestore.rules check each option by position, so they
+// cover a fixed number of them.
+export const MAX_POLL_OPTIONS = 6
+
+export const EMPTY_POLL_DRAFT = {
+  question: '',
+  description: '',
+  optionsText: 'Support\nAgainst',
+  opensAt: '',
+  closesAt: '',
+  changeDeadline: '',
+  // By locale id; left blank, the poll shows its English text.
+  translations: { es: { question: '', description: '', optionsText: '' } },
+}
+
+const slug = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+
+const optionLines = (optionsText) =>
+  optionsText
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+
+// One option per non-blank line. Ids are slugs of the labels, suffixed when
+// two labels slug the same way.
+export const buildPollOptions = (optionsText) => {
+  const seen = new Map()
+  return optionLines(optionsText).map((label) => {
+    const base = slug(label) || 'option'
+    const count = (seen.get(base) ?? 0) + 1
+    seen.set(base, count)
+    return { id: count === 1 ? base : `${base}-${count}`, label }
+  })
+}
+
+// `datetime-local` values are local times; empty means unset.
+const toDate = (value) => {
+  if (!value) return null
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+// Translations with any text filled in, as [locale, translation] pairs.
+const filledTranslations = (draft) =>
+  Object.entries(draft.translations ?? {}).filter(([, translation]) =>
+    Object.values(translation).some((value) => value.trim())
+  )
+
+// Returns a message describing what is wrong with the draft, or null. A
+// translation needs its own question, and its options (one per line, in the
+// same order) must match the English ones; blank options keep the English.
+export const validatePollDraft = (draft, t = translate) => {
+  if (!draft.question.trim()) return t('pollDraft.noQuestion')
+  const labels = buildPollOptions(draft.optionsText).map(({ label }) => label)
+  if (labels.length < 2) return t('pollDraft.tooFewOptions')
+  if (labels.length > MAX_POLL_OPTIONS) {
+    return t('pollDraft.tooManyOptions', { max: MAX_POLL_OPTIONS })
+  }
+  if (new Set(labels).size !== labels.length) {
+    return t('pollDraft.duplicateOptions')
+  }
+  for (const [locale, translation] of filledTranslations(draft)) {
+    const language = t(`language.name.${locale}`)
+    if (!translation.question.trim()) {
+      return t('pollDraft.translationQuestion', { language })
+    }
+    const translated = optionLines(translation.optionsText)
+    if (translated.length && translated.length !== labels.length) {
+      return t('pollDraft.translationOptions', {
+        language,
+        count: labels.length,
+      })
+    }
+  }
+  for (const field of ['opensAt', 'closesAt', 'changeDeadline']) {
+    if (draft[field] && !toDate(draft[field])) return t('pollDraft.badDate')
+  }
+  const opensAt = toDate(draft.opensAt)
+  const closesAt = toDate(draft.closesAt)
+  if (opensAt && closesAt && closesAt <= opensAt) {
+    return t('pollDraft.closesBeforeOpens')
+  }
+  return null
+}
+
+// `{ [locale]: { question, description, options } }`, with options mapping
+// option ids to labels (see src/pollTranslations.js).
+const buildTranslations = (draft, options) =>
+  Object.fromEntries(
+    filledTranslations(draft).map(([locale, translation]) => {
+      const labels = optionLines(translation.optionsText)
+      return [
+        locale,
+        {
+          question: translation.question.trim(),
+          description: translation.description.trim(),
+          options: Object.fromEntries(
+            labels.map((label, index) => [options[index].id, label])
+          ),
+        },
+      ]
+    })
+  )
+
+// The stored fields for a valid draft. New polls start as drafts, and only
+// carry `translations` when one was filled in.
+export const buildPollFields = (draft) => {
+  const options = buildPollOptions(draft.optionsText)
+  const translations = buildTranslations(draft, options)
+  return {
+    question: draft.question.trim(),
+    description: draft.description.trim(),
+    options,
+    optionIds: options.map(({ id }) => id),
+    status: 'draft',
+    opensAt: toDate(draft.opensAt),
+    closesAt: toDate(draft.closesAt),
+    changeDeadline: toDate(draft.changeDeadline),
+    ...(Object.keys(translations).length ? { translations } : {}),
+  }
+}
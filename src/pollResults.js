@@ -0,0 +1,59 @@
+// Poll results over time. Each vote also adds one to a per-day bucket,
+// `polls/{pollId}/days/{YYYY-MM-DD}`, so the dashboard can chart how the
+// count grew without any ballot carrying a timestamp. Kept free of Firebase
+// so it can be unit tested.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// The bucket a vote cast at `date` goes in: its UTC calendar day. The rules
+// accept the day before or after the server's too, for skewed clocks.
+export const voteDay = (date = new Date()) => date.toISOString().slice(0, 10)
+
+const dayTime = (day) => Date.parse(`${day}T00:00:00Z`)
+
+const isDay = (day) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(day) && !Number.isNaN(dayTime(day))
+
+/**
+ * Turns day buckets (`[{ day, counts, withdrawn }]`, any order) into one
+ * entry per day from the first vote to `lastDay` (default: the last bucket),
+ * with days without votes filled in:
+ * `{ day, counts, turnout, cumulative }`, where `counts` and `cumulative`
+ * map every option id to that day's and the running vote count. Changed and
+ * withdrawn votes move a day's counts, so `counts` can go below zero;
+ * `turnout`, the ballots cast that day, adds back the `withdrawn` ones.
+ */
+export const buildPollTimeline = (days, optionIds, lastDay = null) => {
+  const byDay = new Map(
+    days.filter(({ day }) => isDay(day)).map((bucket) => [bucket.day, bucket])
+  )
+  if (!byDay.size) return []
+  const sorted = [...byDay.keys()].sort()
+  const end = lastDay && lastDay > sorted.at(-1) ? lastDay : sorted.at(-1)
+
+  const timeline = []
+  const running = Object.fromEntries(optionIds.map((id) => [id, 0]))
+  for (let time = dayTime(sorted[0]); time <= dayTime(end); time += DAY_MS) {
+    const day = voteDay(new Date(time))
+    const { counts: stored = {}, withdrawn = 0 } = byDay.get(day) ?? {}
+    const counts = {}
+    let turnout = withdrawn
+    optionIds.forEach((id) => {
+      counts[id] = stored[id] ?? 0
+      running[id] += counts[id]
+      turnout += counts[id]
+    })
+    timeline.push({ day, counts, turnout, cumulative: { ...running } })
+  }
+  return timeline
+}
+
+// Each option's count and share of the votes counted, in option order.
+export const voteShares = (counts, optionIds) => {
+  const total = optionIds.reduce((sum, id) => sum + (counts[id] ?? 0), 0)
+  return optionIds.map((id) => ({
+    id,
+    count: counts[id] ?? 0,
+    share: total ? (counts[id] ?? 0) / total : 0,
+  }))
+}
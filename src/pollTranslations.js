@@ -0,0 +1,24 @@
+// Poll text in the reader's language. A poll may carry `translations`, keyed
+// by locale id, of `{ question, description, options }`, where `options`
+// maps option ids to labels (see buildPollFields in src/pollDraft.js). Each
+// field falls back to the poll's own text, which is English. Kept free of
+// Firebase so it can be unit tested.
+
+/**
+ * Returns `poll` with its question, description and option labels in
+ * `locale` where a translation has them. Option ids, and so the tallies and
+ * ballots keyed by them, are unchanged.
+ */
+export const localizePoll = (poll, locale) => {
+  const translation = poll?.translations?.[locale]
+  if (!translation) return poll
+  const labels = translation.options ?? {}
+  return {
+    ...poll,
+    question: translation.question || poll.question,
+    description: translation.description || poll.description,
+    options: poll.options.map((option) =>
+      labels[option.id] ? { ...option, label: labels[option.id] } : option
+    ),
+  }
+}
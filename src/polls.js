@@ -0,0 +1,312 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  increment,
+  onSnapshot,
+  query,
+  runTransaction,
+  serverTimestamp,
+  where,
+} from 'firebase/firestore'
+import { db } from './firebase'
+import { LocalizedError } from './i18n'
+import { voteDay } from './pollResults'
+import {
+  generateReceiptCode,
+  receiptBallotId,
+  receiptChangeKey,
+  saveReceipt,
+  sha256Hex,
+} from './receipts'
+import { dequeueVote, isOfflineError, loadPendingVotes } from './voteQueue'
+
+export const POLLS_COLLECTION = 'polls'
+export const VOTERS_SUBCOLLECTION = 'voters'
+export const BALLOTS_SUBCOLLECTION = 'ballots'
+export const HISTORY_SUBCOLLECTION = 'history'
+export const TALLIES_SUBCOLLECTION = 'tallies'
+export const DAYS_SUBCOLLECTION = 'days'
+export const PUBLIC_POLL_STATUSES = ['open', 'closed']
+
+// Thrown for votes the poll itself refuses, as opposed to Firestore failures.
+export class VoteError extends LocalizedError {}
+
+// Each poll keeps one tally document, `tallies/total`. Every vote also writes
+// the day's bucket, so sharding the tally would not spread the load, and a
+// single document is what lets the rules tie each increment to one ballot.
+export const TALLY_ID = 'total'
+
+const toDate = (value) => {
+  if (!value) return null
+  if (typeof value.toDate === 'function') return value.toDate()
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+export const normalizePoll = (snapshot) => {
+  const data = snapshot.data()
+  return {
+    id: snapshot.id,
+    question: data.question ?? '',
+    description: data.description ?? '',
+    options: Array.isArray(data.options) ? data.options : [],
+    status: data.status ?? 'draft',
+    opensAt: toDate(data.opensAt),
+    closesAt: toDate(data.closesAt),
+    changeDeadline: toDate(data.changeDeadline),
+    translations: data.translations ?? {},
+  }
+}
+
+export const isPollOpen = (poll, now = new Date()) => {
+  if (!poll || poll.status !== 'open') return false
+  if (poll.opensAt && now < poll.opensAt) return false
+  if (poll.closesAt && now >= poll.closesAt) return false
+  return true
+}
+
+// Must stay in sync with canChangeVote in firestore.rules.
+export const canChangeVote = (poll, now = new Date()) =>
+  isPollOpen(poll, now) && (!poll.changeDeadline || now < poll.changeDeadline)
+
+export const getOptionLabel = (poll, optionId) =>
+  poll?.options.find((option) => option.id === optionId)?.label ?? optionId
+
+const sortPolls = (polls) =>
+  [...polls].sort((a, b) => {
+    const openDiff = Number(isPollOpen(b)) - Number(isPollOpen(a))
+    if (openDiff !== 0) return openDiff
+    return (b.opensAt?.getTime() ?? 0) - (a.opensAt?.getTime() ?? 0)
+  })
+
+export const subscribeToPolls = (onChange, onError) =>
+  onSnapshot(
+    query(
+      collection(db, POLLS_COLLECTION),
+      where('status', 'in', PUBLIC_POLL_STATUSES)
+    ),
+    (snapshot) => onChange(sortPolls(snapshot.docs.map(normalizePoll))),
+    onError
+  )
+
+export const subscribeToVoteCounts = (pollId, onChange, onError) =>
+  onSnapshot(
+    doc(db, POLLS_COLLECTION, pollId, TALLIES_SUBCOLLECTION, TALLY_ID),
+    (snapshot) => onChange(snapshot.data()?.counts ?? {}),
+    onError
+  )
+
+// Per-day vote counts, `[{ day, counts, withdrawn }]` in no particular
+// order. See buildPollTimeline.
+export const subscribeToVoteDays = (pollId, onChange, onError) =>
+  onSnapshot(
+    collection(db, POLLS_COLLECTION, pollId, DAYS_SUBCOLLECTION),
+    (snapshot) =>
+      onChange(
+        snapshot.docs.map((dayDoc) => ({
+          day: dayDoc.id,
+          counts: dayDoc.data().counts ?? {},
+          withdrawn: dayDoc.data().withdrawn ?? 0,
+        }))
+      ),
+    onError
+  )
+
+// Whether the user has cast a ballot in the poll. Which ballot is theirs is
+// not recorded anywhere; only their receipt code leads to it.
+export const hasVoted = async (pollId, uid) => {
+  const voterSnap = await getDoc(
+    doc(db, POLLS_COLLECTION, pollId, VOTERS_SUBCOLLECTION, uid)
+  )
+  return voterSnap.exists()
+}
+
+// Looks a ballot up by its formatted receipt code. Returns `{ choice,
+// invalidation }` (choice is null once withdrawn or invalidated) or null if
+// no ballot has that receipt.
+export const getBallotByReceipt = async (pollId, code) => {
+  const ballotSnap = await getDoc(
+    doc(
+      db,
+      POLLS_COLLECTION,
+      pollId,
+      BALLOTS_SUBCOLLECTION,
+      await receiptBallotId(code)
+    )
+  )
+  if (!ballotSnap.exists()) return null
+  const data = ballotSnap.data()
+  return {
+    choice: data.choice ?? null,
+    invalidation: data.invalidation ?? null,
+  }
+}
+
+// Casts a ballot and returns its receipt code. The voter record
+// (eligibility: who voted, but not how or when) and the ballot (the choice
+// and day, filed under the hash of the receipt) are written with the tally
+// and day increments in one transaction. The tally names the ballot it
+// counted, so the rules can check the increment without the voter record
+// saying which ballot is theirs. The shared write time and `lastBallot` still
+// let admins pair the two (see the README). Only the receipt can change the ballot
+// later (see changeBallot). A vote queued offline passes the receipt it was
+// shown with.
+export const castBallot = async (
+  pollId,
+  user,
+  choice,
+  receipt = generateReceiptCode()
+) => {
+  const ballotId = await receiptBallotId(receipt)
+  const keyHash = await sha256Hex(await receiptChangeKey(receipt, 0))
+  const day = voteDay()
+
+  await runTransaction(db, async (transaction) => {
+    const voterRef = doc(
+      db,
+      POLLS_COLLECTION,
+      pollId,
+      VOTERS_SUBCOLLECTION,
+      user.uid
+    )
+    if ((await transaction.get(voterRef)).exists()) {
+      throw new VoteError('vote.alreadyVoted')
+    }
+
+    transaction.set(voterRef, { email: user.email })
+    transaction.set(
+      doc(db, POLLS_COLLECTION, pollId, BALLOTS_SUBCOLLECTION, ballotId),
+      { choice, day, version: 0, keyHash }
+    )
+    transaction.set(
+      doc(db, POLLS_COLLECTION, pollId, TALLIES_SUBCOLLECTION, TALLY_ID),
+      { counts: { [choice]: increment(1) }, lastBallot: ballotId },
+      { merge: true }
+    )
+    transaction.set(
+      doc(db, POLLS_COLLECTION, pollId, DAYS_SUBCOLLECTION, day),
+      { counts: { [choice]: increment(1) } },
+      { merge: true }
+    )
+  })
+  return receipt
+}
+
+// Changes the ballot filed under `receipt` to `choice`, or withdraws it when
+// `choice` is null. Nothing about the voter is read or written: the history
+// entry reveals the key for the ballot's current version, which the rules
+// check against its `keyHash`, and the ballot takes the hash of the next key.
+// The tally and today's bucket move from the old choice to the new one.
+export const changeBallot = async (pollId, receipt, choice) => {
+  const ballotId = await receiptBallotId(receipt)
+  const day = voteDay()
+
+  await runTransaction(db, async (transaction) => {
+    const ballotRef = doc(
+      db,
+      POLLS_COLLECTION,
+      pollId,
+      BALLOTS_SUBCOLLECTION,
+      ballotId
+    )
+    const ballotSnap = await transaction.get(ballotRef)
+    if (!ballotSnap.exists()) throw new VoteError('vote.noBallot')
+    const ballot = ballotSnap.data()
+    if (ballot.invalidation) throw new VoteError('vote.invalidated')
+    if (ballot.choice === choice) {
+      throw new VoteError(choice ? 'vote.sameChoice' : 'vote.nothingToWithdraw')
+    }
+    // Ballots cast before changes were possible have no key to spend.
+    const version = ballot.version ?? 0
+    const key = await receiptChangeKey(receipt, version)
+    if (!ballot.keyHash || (await sha256Hex(key)) !== ballot.keyHash) {
+      throw new VoteError('vote.cannotChange')
+    }
+
+    const moves = {}
+    if (ballot.choice) moves[ballot.choice] = increment(-1)
+    if (choice) moves[choice] = increment(1)
+    // A day's turnout is its counts plus its withdrawn ballots.
+    const withdrawn = (choice ? 0 : 1) - (ballot.choice ? 0 : 1)
+
+    transaction.update(ballotRef, {
+      choice,
+      day,
+      version: version + 1,
+      keyHash: await sha256Hex(await receiptChangeKey(receipt, version + 1)),
+    })
+    transaction.set(
+      doc(ballotRef, HISTORY_SUBCOLLECTION, String(version + 1)),
+      {
+        choice,
+        previousChoice: ballot.choice,
+        key,
+        createdAt: serverTimestamp(),
+      }
+    )
+    transaction.set(
+      doc(db, POLLS_COLLECTION, pollId, TALLIES_SUBCOLLECTION, TALLY_ID),
+      { counts: moves, lastBallot: ballotId },
+      { merge: true }
+    )
+    transaction.set(
+      doc(db, POLLS_COLLECTION, pollId, DAYS_SUBCOLLECTION, day),
+      {
+        counts: moves,
+        ...(withdrawn ? { withdrawn: increment(withdrawn) } : {}),
+      },
+      { merge: true }
+    )
+  })
+}
+
+const submitPendingVote = async (user, vote) => {
+  try {
+    await castBallot(vote.pollId, user, vote.choice, vote.receipt)
+    return { status: 'synced' }
+  } catch (err) {
+    if (isOfflineError(err)) return null
+    // An earlier attempt may have gone through before the connection
+    // dropped; the receipt finds out.
+    const ballot = await getBallotByReceipt(vote.pollId, vote.receipt).catch(
+      () => null
+    )
+    if (ballot) return { status: 'synced' }
+    return {
+      status: 'rejected',
+      error: err instanceof VoteError ? err : new VoteError('vote.notAccepted'),
+    }
+  }
+}
+
+let syncing = null
+
+/**
+ * Submits the votes `user` queued while offline (see src/voteQueue.js),
+ * oldest first, and resolves to `[{ pollId, receipt, status, error }]` for
+ * each one settled: 'synced' once its ballot is in (the receipt is then
+ * saved like any other) or 'rejected' with the reason as a VoteError. Votes
+ * that still cannot reach the server stay queued. Calls made while a sync is
+ * running share it.
+ */
+export const syncPendingVotes = (user) => {
+  if (!syncing) {
+    syncing = (async () => {
+      const settled = []
+      for (const vote of loadPendingVotes(user.uid)) {
+        const result = await submitPendingVote(user, vote)
+        if (!result) break
+        dequeueVote(vote.pollId, user.uid)
+        if (result.status === 'synced') {
+          saveReceipt(vote.pollId, user.uid, vote.receipt)
+        }
+        settled.push({ pollId: vote.pollId, receipt: vote.receipt, ...result })
+      }
+      return settled
+    })().finally(() => {
+      syncing = null
+    })
+  }
+  return syncing
+}
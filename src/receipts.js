@@ -0,0 +1,84 @@
+// Ballot receipts. A voter's receipt code is shown once when they vote; the
+// ballot is stored under the SHA-256 of the code, so the code finds the
+// ballot but the ballot cannot be traced back to the code or the voter. The
+// code is also what authorises changing the ballot.
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud.
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+const CODE_LENGTH = 16
+const GROUP_SIZE = 4
+
+const formatCode = (characters) =>
+  characters.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g')).join('-')
+
+// 80 random bits, e.g. 7K3M-Q9TX-2WHC-R4NB.
+export const generateReceiptCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH))
+  return formatCode(
+    Array.from(bytes, (byte) => ALPHABET[byte % ALPHABET.length]).join('')
+  )
+}
+
+// Accepts any case, spacing or dashes and the usual look-alikes; returns the
+// formatted code, or null when the text cannot be a receipt.
+export const normalizeReceiptCode = (text) => {
+  const characters = String(text ?? '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/[IL]/g, '1')
+    .replace(/O/g, '0')
+  if (characters.length !== CODE_LENGTH) return null
+  if ([...characters].some((character) => !ALPHABET.includes(character))) {
+    return null
+  }
+  return formatCode(characters)
+}
+
+// Lowercase hex SHA-256 of the text's UTF-8 bytes, as firestore.rules'
+// `hashing.sha256(text).toHexString().lower()` computes it.
+export const sha256Hex = async (text) => {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(text)
+  )
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('')
+}
+
+// The ballot document id for a formatted receipt code.
+export const receiptBallotId = (code) => sha256Hex(code.replace(/-/g, ''))
+
+// The key that authorises the change from `version` of a ballot to the next.
+// The ballot stores only `sha256Hex` of it; the change reveals the key and
+// stores the hash of the next one, so only the receipt leads to a key that is
+// not yet spent.
+export const receiptChangeKey = (code, version) =>
+  sha256Hex(`${code.replace(/-/g, '')}:${version}`)
+
+// Receipts are also remembered in this browser so the poll card can show
+// them again; nothing outside the voter's device links them to the voter.
+const STORAGE_KEY = 'stancePoll.receipts'
+
+const receiptKey = (pollId, uid) => `${pollId}/${uid}`
+
+const readSavedReceipts = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) ?? {}
+  } catch {
+    return {}
+  }
+}
+
+export const loadReceipt = (pollId, uid) =>
+  readSavedReceipts()[receiptKey(pollId, uid)] ?? null
+
+export const saveReceipt = (pollId, uid, code) => {
+  const saved = readSavedReceipts()
+  saved[receiptKey(pollId, uid)] = code
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(saved))
+  } catch {
+    // Storage may be full or disabled; the voter still saw the code.
+  }
+}
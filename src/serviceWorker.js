@@ -0,0 +1,77 @@
+// The service worker, built into /sw.js by plugins/serviceWorker.js, which
+// prepends the build's precache list and cache version. It is not bundled
+// with the app and only registered in production builds (see main.jsx).
+//
+// - The app shell (index.html, scripts, styles, icons and the precomputed
+//   sales summary) is precached, so the dashboard opens offline.
+// - The sales data under /data/ is fetched from the network when possible
+//   and kept in its own cache, which survives deploys, for when it is not.
+// - Firestore and Auth traffic is cross-origin and left alone; Firestore's
+//   own offline persistence covers it.
+
+const PRECACHE_URLS = self.__PRECACHE_URLS ?? []
+const SHELL_CACHE = `shell-${self.__CACHE_VERSION ?? 'dev'}`
+const DATA_CACHE = 'sales-data'
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE_URLS))
+  )
+})
+
+// Drops the shells of earlier deploys once this one takes over.
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith('shell-') && key !== SHELL_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request)
+    // Partial (206) responses cannot be cached.
+    if (response.status === 200) {
+      const cache = await caches.open(DATA_CACHE)
+      await cache.put(request, response.clone())
+    }
+    return response
+  } catch (err) {
+    const cached = await caches.match(request)
+    if (cached) return cached
+    throw err
+  }
+}
+
+const cacheFirst = async (request) =>
+  (await caches.match(request)) ?? fetch(request)
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  // Hosting rewrites every path to index.html, so any page falls back to it.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(async () => {
+        const shell = await caches.match('/index.html')
+        return shell ?? Response.error()
+      })
+    )
+    return
+  }
+  if (url.pathname.startsWith('/data/')) {
+    event.respondWith(networkFirst(request))
+    return
+  }
+  event.respondWith(cacheFirst(request))
+})
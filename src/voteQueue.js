@@ -0,0 +1,62 @@
+// Votes cast without a connection. Transactions need the server, so an
+// offline vote is kept in this browser with the receipt code shown to the
+// voter, and submitted by syncPendingVotes in src/polls.js on reconnect.
+// Kept free of Firebase so it can be unit tested.
+
+const STORAGE_KEY = 'stancePoll.pendingVotes'
+
+// Firestore reports a lost or missing connection as 'unavailable'.
+export const isOfflineError = (err) =>
+  err?.code === 'unavailable' ||
+  (typeof navigator !== 'undefined' && navigator.onLine === false)
+
+const isSameVote = (vote, pollId, uid) =>
+  vote.pollId === pollId && vote.uid === uid
+
+// One pending vote per poll and user; queueing again replaces it.
+export const addPendingVote = (queue, vote) => [
+  ...queue.filter((item) => !isSameVote(item, vote.pollId, vote.uid)),
+  vote,
+]
+
+export const removePendingVote = (queue, pollId, uid) =>
+  queue.filter((vote) => !isSameVote(vote, pollId, uid))
+
+const readQueue = () => {
+  try {
+    const queue = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(queue) ? queue : []
+  } catch {
+    return []
+  }
+}
+
+// False when storage is full or disabled.
+const writeQueue = (queue) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(queue))
+    return true
+  } catch {
+    return false
+  }
+}
+
+// `{ pollId, uid, choice, receipt, queuedAt }`, queuedAt an ISO timestamp.
+export const loadPendingVotes = (uid) =>
+  readQueue().filter((vote) => vote.uid === uid)
+
+// Returns the queued vote, or null when it could not be stored.
+export const queueVote = ({ pollId, uid, choice, receipt }) => {
+  const vote = {
+    pollId,
+    uid,
+    choice,
+    receipt,
+    queuedAt: new Date().toISOString(),
+  }
+  return writeQueue(addPendingVote(readQueue(), vote)) ? vote : null
+}
+
+export const dequeueVote = (pollId, uid) => {
+  writeQueue(removePendingVote(readQueue(), pollId, uid))
+}
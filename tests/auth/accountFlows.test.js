@@ -0,0 +1,83 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import {
+  refreshEmailVerification,
+  sendPasswordReset,
+  signIn,
+  signOutUser,
+  signUp,
+} from '../../src/auth'
+import { getAuthErrorMessage } from '../../src/authErrors'
+
+// Runs against the Auth emulator: `npm run test:auth` starts it and sets
+// VITE_USE_EMULATORS so src/firebase.js connects to it. The emulator files
+// accounts under the project it was started with.
+const EMULATOR = 'http://127.0.0.1:9099/emulator/v1/projects'
+const PROJECT_ID = 'demo-unit3quiz-v005-vote'
+const PASSWORD = 'correct-horse'
+
+const listOobCodes = async () => {
+  const response = await fetch(`${EMULATOR}/${PROJECT_ID}/oobCodes`)
+  return (await response.json()).oobCodes
+}
+
+const captureError = (promise) =>
+  promise.then(
+    () => null,
+    (err) => err
+  )
+
+beforeEach(async () => {
+  await signOutUser()
+  await fetch(`${EMULATOR}/${PROJECT_ID}/accounts`, { method: 'DELETE' })
+})
+
+describe('sign-up and verification', () => {
+  it('sends a verification email to new accounts', async () => {
+    const { user, verificationSent } = await signUp('ada@example.com', PASSWORD)
+    expect(verificationSent).toBe(true)
+    expect(user.emailVerified).toBe(false)
+    expect(await listOobCodes()).toMatchObject([
+      { email: 'ada@example.com', requestType: 'VERIFY_EMAIL' },
+    ])
+  })
+
+  it('picks up a verification completed elsewhere', async () => {
+    const { user } = await signUp('ada@example.com', PASSWORD)
+    expect(await refreshEmailVerification(user)).toBe(false)
+
+    const [{ oobLink }] = await listOobCodes()
+    await fetch(oobLink)
+    expect(await refreshEmailVerification(user)).toBe(true)
+    expect((await user.getIdTokenResult()).claims.email_verified).toBe(true)
+  })
+
+  it('explains a taken email address', async () => {
+    await signUp('ada@example.com', PASSWORD)
+    await signOutUser()
+    const error = await captureError(signUp('ada@example.com', PASSWORD))
+    expect(getAuthErrorMessage(error)).toMatch(/already exists/)
+  })
+})
+
+describe('sign-in and password reset', () => {
+  it('explains a wrong password', async () => {
+    await signUp('ada@example.com', PASSWORD)
+    await signOutUser()
+    const error = await captureError(signIn('ada@example.com', 'wrong'))
+    expect(getAuthErrorMessage(error)).toBe(
+      'That email and password do not match.'
+    )
+  })
+
+  it('sends a password reset email', async () => {
+    await signUp('ada@example.com', PASSWORD)
+    await signOutUser()
+    await sendPasswordReset('ada@example.com')
+    expect(await listOobCodes()).toContainEqual(
+      expect.objectContaining({
+        email: 'ada@example.com',
+        requestType: 'PASSWORD_RESET',
+      })
+    )
+  })
+})
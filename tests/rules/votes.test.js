@@ -0,0 +1,915 @@
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from '@firebase/rules-unit-testing'
+import {
+  Timestamp,
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  increment,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  writeBatch,
+} from 'firebase/firestore'
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest'
+
+const POLL_ID = 'distribution-capacity'
+
+let testEnv
+
+const openPoll = {
+  question: 'Do you support expanding capacity?',
+  description: '',
+  options: [
+    { id: 'yes', label: 'Support' },
+    { id: 'no', label: 'Against' },
+  ],
+  optionIds: ['yes', 'no'],
+  status: 'open',
+  opensAt: null,
+  closesAt: null,
+}
+
+const seedPoll = (pollId, data) =>
+  testEnv.withSecurityRulesDisabled((context) =>
+    setDoc(doc(context.firestore(), 'polls', pollId), data)
+  )
+
+const dbFor = (uid, { emailVerified = true, claims = {} } = {}) =>
+  testEnv
+    .authenticatedContext(uid, {
+      email: `${uid}@example.com`,
+      email_verified: emailVerified,
+      ...claims,
+    })
+    .firestore()
+
+const adminDb = () => dbFor('root', { claims: { admin: true } })
+
+// Adds an audit entry to `batch` and returns its id.
+const addAuditEntry = (batch, db, action, entry = {}) => {
+  const ref = doc(collection(db, 'auditLog'))
+  batch.set(ref, {
+    action,
+    actorUid: 'root',
+    actorEmail: 'root@example.com',
+    pollId: POLL_ID,
+    target: null,
+    details: '',
+    createdAt: serverTimestamp(),
+    ...entry,
+  })
+  return ref.id
+}
+
+const createPoll = (db, { audit = true, poll = {} } = {}) => {
+  const batch = writeBatch(db)
+  const auditId = audit ? addAuditEntry(batch, db, 'poll.create') : 'missing'
+  batch.set(doc(collection(db, 'polls')), {
+    ...openPoll,
+    status: 'draft',
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    lastAuditId: auditId,
+    ...poll,
+  })
+  return batch.commit()
+}
+
+const setPollStatus = (db, status, { audit = true } = {}) => {
+  const batch = writeBatch(db)
+  const auditId = audit ? addAuditEntry(batch, db, 'poll.close') : 'missing'
+  batch.update(doc(db, 'polls', POLL_ID), {
+    status,
+    updatedAt: serverTimestamp(),
+    lastAuditId: auditId,
+  })
+  return batch.commit()
+}
+
+// Ballot ids are SHA-256 hashes of receipt codes; any 64 hex digits will do.
+const ballotIdFor = (uid) =>
+  Array.from(uid.padEnd(32, '0'), (char) =>
+    char.charCodeAt(0).toString(16).padStart(2, '0').slice(-2)
+  ).join('')
+
+// Stand-ins for receiptChangeKey in src/receipts.js: the rules only check
+// that a key hashes to the ballot's `keyHash`.
+const changeKeyFor = (uid, version) => `${uid}:${version}`
+
+const keyHashFor = (uid, version) =>
+  createHash('sha256').update(changeKeyFor(uid, version)).digest('hex')
+
+const invalidateBallot = (
+  db,
+  ballotId,
+  { reason = 'Duplicate account', audit = true, tally } = {}
+) => {
+  const batch = writeBatch(db)
+  const auditId = audit
+    ? addAuditEntry(batch, db, 'vote.invalidate', {
+        target: ballotId,
+        details: reason,
+      })
+    : 'missing'
+  batch.update(doc(db, 'polls', POLL_ID, 'ballots', ballotId), {
+    choice: null,
+    invalidation: {
+      choice: 'yes',
+      reason,
+      adminUid: 'root',
+      auditId,
+      createdAt: serverTimestamp(),
+    },
+  })
+  if (tally !== null) {
+    batch.set(
+      doc(db, 'polls', POLL_ID, 'tallies', 'total'),
+      tally ?? { counts: { yes: increment(-1) }, lastBallot: ballotId },
+      { merge: true }
+    )
+  }
+  return batch.commit()
+}
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+const castBallot = (
+  db,
+  {
+    pollId = POLL_ID,
+    uid,
+    choice = 'yes',
+    day = today(),
+    ballotId = ballotIdFor(uid),
+    voter = {},
+    ballot = {},
+    tally,
+    dayCounts,
+  }
+) => {
+  const batch = writeBatch(db)
+  if (voter) {
+    batch.set(doc(db, 'polls', pollId, 'voters', uid), {
+      email: `${uid}@example.com`,
+      ...voter,
+    })
+  }
+  if (ballot) {
+    batch.set(doc(db, 'polls', pollId, 'ballots', ballotId), {
+      choice,
+      day,
+      version: 0,
+      keyHash: keyHashFor(uid, 0),
+      ...ballot,
+    })
+  }
+  if (tally !== null) {
+    batch.set(
+      doc(db, 'polls', pollId, 'tallies', 'total'),
+      tally ?? { counts: { [choice]: increment(1) }, lastBallot: ballotId },
+      { merge: true }
+    )
+  }
+  if (dayCounts !== null) {
+    batch.set(
+      doc(db, 'polls', pollId, 'days', day),
+      dayCounts ?? { counts: { [choice]: increment(1) } },
+      { merge: true }
+    )
+  }
+  return batch.commit()
+}
+
+// Moves the ballot cast by `uid` from `from` to `to` (null withdraws it),
+// revealing the key for its current `version`.
+const changeBallot = (
+  db,
+  {
+    uid,
+    from = 'yes',
+    to = 'no',
+    version = 0,
+    key = changeKeyFor(uid, version),
+    day = today(),
+    history = {},
+  }
+) => {
+  const ballotId = ballotIdFor(uid)
+  const ballotRef = doc(db, 'polls', POLL_ID, 'ballots', ballotId)
+  const moves = {}
+  if (from) moves[from] = increment(-1)
+  if (to) moves[to] = increment(1)
+  const withdrawn = (to ? 0 : 1) - (from ? 0 : 1)
+  const batch = writeBatch(db)
+  batch.update(ballotRef, {
+    choice: to,
+    day,
+    version: version + 1,
+    keyHash: keyHashFor(uid, version + 1),
+  })
+  if (history) {
+    batch.set(doc(ballotRef, 'history', String(version + 1)), {
+      choice: to,
+      previousChoice: from,
+      key,
+      createdAt: serverTimestamp(),
+      ...history,
+    })
+  }
+  batch.set(
+    doc(db, 'polls', POLL_ID, 'tallies', 'total'),
+    { counts: moves, lastBallot: ballotId },
+    { merge: true }
+  )
+  batch.set(
+    doc(db, 'polls', POLL_ID, 'days', day),
+    {
+      counts: moves,
+      ...(withdrawn ? { withdrawn: increment(withdrawn) } : {}),
+    },
+    { merge: true }
+  )
+  return batch.commit()
+}
+
+const tallyCounts = async () => {
+  let counts
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const snap = await getDoc(
+      doc(context.firestore(), 'polls', POLL_ID, 'tallies', 'total')
+    )
+    counts = snap.data()?.counts ?? {}
+  })
+  return counts
+}
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-unit3quiz-v005-vote',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+  })
+})
+
+afterAll(async () => {
+  await testEnv?.cleanup()
+})
+
+beforeEach(async () => {
+  await testEnv.clearFirestore()
+  await seedPoll(POLL_ID, openPoll)
+})
+
+describe('polls', () => {
+  it('lets anyone read open and closed polls', async () => {
+    await seedPoll('closed-poll', { ...openPoll, status: 'closed' })
+    const db = testEnv.unauthenticatedContext().firestore()
+    await assertSucceeds(getDoc(doc(db, 'polls', POLL_ID)))
+    await assertSucceeds(getDoc(doc(db, 'polls', 'closed-poll')))
+  })
+
+  it('hides draft polls', async () => {
+    await seedPoll('draft-poll', { ...openPoll, status: 'draft' })
+    const db = testEnv.unauthenticatedContext().firestore()
+    await assertFails(getDoc(doc(db, 'polls', 'draft-poll')))
+  })
+
+  it('does not let voters edit polls', async () => {
+    await assertFails(
+      updateDoc(doc(dbFor('alice'), 'polls', POLL_ID), { status: 'closed' })
+    )
+  })
+})
+
+describe('ballots', () => {
+  it('lets a signed-in user cast a ballot', async () => {
+    await assertSucceeds(castBallot(dbFor('alice'), { uid: 'alice' }))
+    expect(await tallyCounts()).toEqual({ yes: 1 })
+  })
+
+  it('rejects unauthenticated ballots', async () => {
+    const db = testEnv.unauthenticatedContext().firestore()
+    await assertFails(castBallot(db, { uid: 'alice' }))
+  })
+
+  it('rejects ballots from users with an unverified email', async () => {
+    const db = dbFor('alice', { emailVerified: false })
+    await assertFails(castBallot(db, { uid: 'alice' }))
+  })
+
+  it('rejects a voter record written for another user', async () => {
+    await assertFails(castBallot(dbFor('alice'), { uid: 'bob' }))
+  })
+
+  it('allows only one ballot per user', async () => {
+    const db = dbFor('alice')
+    await assertSucceeds(castBallot(db, { uid: 'alice', choice: 'yes' }))
+    await assertFails(
+      castBallot(db, {
+        uid: 'alice',
+        choice: 'no',
+        ballotId: ballotIdFor('alice-again'),
+      })
+    )
+    await assertFails(
+      castBallot(db, {
+        uid: 'alice',
+        voter: null,
+        ballotId: ballotIdFor('alice-again'),
+      })
+    )
+  })
+
+  it('only accepts a voter record cast with its ballot', async () => {
+    const db = dbFor('alice')
+    await assertFails(
+      setDoc(doc(db, 'polls', POLL_ID, 'voters', 'alice'), {
+        email: 'alice@example.com',
+      })
+    )
+    await castBallot(dbFor('bob'), { uid: 'bob' })
+    // The tally already names bob's ballot, which exists.
+    await assertFails(
+      setDoc(doc(db, 'polls', POLL_ID, 'voters', 'alice'), {
+        email: 'alice@example.com',
+      })
+    )
+  })
+
+  it('requires a voter record alongside every ballot', async () => {
+    await assertFails(castBallot(dbFor('alice'), { uid: 'alice', voter: null }))
+    await assertFails(
+      castBallot(dbFor('alice'), { uid: 'alice', ballot: null })
+    )
+  })
+
+  it('never lets a voter record change or a ballot go unkeyed', async () => {
+    const db = dbFor('alice')
+    await castBallot(db, { uid: 'alice' })
+    const ballotRef = doc(db, 'polls', POLL_ID, 'ballots', ballotIdFor('alice'))
+    const voterRef = doc(db, 'polls', POLL_ID, 'voters', 'alice')
+    await assertFails(updateDoc(ballotRef, { choice: 'no' }))
+    await assertFails(deleteDoc(ballotRef))
+    await assertFails(updateDoc(voterRef, { email: 'bob@example.com' }))
+    await assertFails(deleteDoc(voterRef))
+  })
+
+  it('rejects choices outside the poll options', async () => {
+    await assertFails(
+      castBallot(dbFor('alice'), { uid: 'alice', choice: 'maybe' })
+    )
+  })
+
+  it('keeps ballots to the choice, the day, a key hash and a hashed id', async () => {
+    const db = dbFor('alice')
+    await assertFails(castBallot(db, { uid: 'alice', ballot: { version: 1 } }))
+    await assertFails(
+      castBallot(db, { uid: 'alice', ballot: { keyHash: 'alice:0' } })
+    )
+    await assertFails(
+      castBallot(db, { uid: 'alice', ballot: { uid: 'alice' } })
+    )
+    await assertFails(
+      castBallot(db, { uid: 'alice', ballot: { createdAt: serverTimestamp() } })
+    )
+    await assertFails(castBallot(db, { uid: 'alice', ballotId: 'alice' }))
+  })
+
+  it("keeps voter records to the voter's own email", async () => {
+    const db = dbFor('alice')
+    await assertFails(
+      castBallot(db, { uid: 'alice', voter: { createdAt: serverTimestamp() } })
+    )
+    await assertFails(castBallot(db, { uid: 'alice', voter: { day: today() } }))
+    await assertFails(
+      castBallot(db, { uid: 'alice', voter: { email: 'bob@example.com' } })
+    )
+    await assertFails(
+      castBallot(db, { uid: 'alice', voter: { choice: 'yes' } })
+    )
+  })
+
+  it('rejects ballots on closed or not-yet-open polls', async () => {
+    await seedPoll('closed-poll', { ...openPoll, status: 'closed' })
+    await seedPoll('ended-poll', {
+      ...openPoll,
+      closesAt: Timestamp.fromDate(new Date('2000-01-01')),
+    })
+    await seedPoll('future-poll', {
+      ...openPoll,
+      opensAt: Timestamp.fromDate(new Date('2999-01-01')),
+    })
+    const db = dbFor('alice')
+    await assertFails(castBallot(db, { uid: 'alice', pollId: 'closed-poll' }))
+    await assertFails(castBallot(db, { uid: 'alice', pollId: 'ended-poll' }))
+    await assertFails(castBallot(db, { uid: 'alice', pollId: 'future-poll' }))
+  })
+
+  it('only lets voters read their own voter record', async () => {
+    await castBallot(dbFor('alice'), { uid: 'alice' })
+    await assertSucceeds(
+      getDoc(doc(dbFor('alice'), 'polls', POLL_ID, 'voters', 'alice'))
+    )
+    await assertFails(
+      getDoc(doc(dbFor('bob'), 'polls', POLL_ID, 'voters', 'alice'))
+    )
+  })
+
+  it('lets anyone look up a ballot of a public poll', async () => {
+    await castBallot(dbFor('alice'), { uid: 'alice' })
+    const db = testEnv.unauthenticatedContext().firestore()
+    await assertSucceeds(
+      getDoc(doc(db, 'polls', POLL_ID, 'ballots', ballotIdFor('alice')))
+    )
+  })
+})
+
+describe('changes', () => {
+  it('lets the receipt holder change and withdraw a ballot', async () => {
+    await castBallot(dbFor('alice'), { uid: 'alice' })
+    // The receipt, not the account, authorizes the change.
+    const db = dbFor('bob')
+    await assertSucceeds(changeBallot(db, { uid: 'alice' }))
+    expect(await tallyCounts()).toEqual({ yes: 0, no: 1 })
+    await assertSucceeds(
+      changeBallot(db, { uid: 'alice', from: 'no', to: null, version: 1 })
+    )
+    expect(await tallyCounts()).toEqual({ yes: 0, no: 0 })
+    await assertSucceeds(
+      changeBallot(db, { uid: 'alice', from: null, to: 'yes', version: 2 })
+    )
+    expect(await tallyCounts()).toEqual({ yes: 1, no: 0 })
+  })
+
+  it('rejects a wrong or spent change key', async () => {
+    const db = dbFor('alice')
+    await castBallot(db, { uid: 'alice' })
+    await assertFails(
+      changeBallot(db, { uid: 'alice', key: changeKeyFor('mallory', 0) })
+    )
+    await assertSucceeds(changeBallot(db, { uid: 'alice' }))
+    await assertFails(
+      changeBallot(db, {
+        uid: 'alice',
+        from: 'no',
+        to: 'yes',
+        version: 1,
+        key: changeKeyFor('alice', 0),
+      })
+    )
+  })
+
+  it('requires a matching history entry', async () => {
+    const db = dbFor('alice')
+    await castBallot(db, { uid: 'alice' })
+    await assertFails(changeBallot(db, { uid: 'alice', history: null }))
+    await assertFails(
+      changeBallot(db, { uid: 'alice', history: { previousChoice: 'no' } })
+    )
+    await assertFails(
+      changeBallot(db, { uid: 'alice', history: { uid: 'alice' } })
+    )
+    await assertSucceeds(changeBallot(db, { uid: 'alice' }))
+    await assertFails(
+      updateDoc(
+        doc(
+          db,
+          'polls',
+          POLL_ID,
+          'ballots',
+          ballotIdFor('alice'),
+          'history',
+          '1'
+        ),
+        { choice: 'yes' }
+      )
+    )
+    await assertSucceeds(
+      getDoc(
+        doc(
+          testEnv.unauthenticatedContext().firestore(),
+          'polls',
+          POLL_ID,
+          'ballots',
+          ballotIdFor('alice'),
+          'history',
+          '1'
+        )
+      )
+    )
+  })
+
+  it('rejects changes after the deadline or to invalidated ballots', async () => {
+    await castBallot(dbFor('alice'), { uid: 'alice' })
+    await castBallot(dbFor('bob'), { uid: 'bob' })
+    await assertSucceeds(invalidateBallot(adminDb(), ballotIdFor('bob')))
+    await assertFails(
+      changeBallot(dbFor('bob'), { uid: 'bob', from: null, to: 'no' })
+    )
+    await seedPoll(POLL_ID, {
+      ...openPoll,
+      changeDeadline: Timestamp.fromDate(new Date('2000-01-01')),
+    })
+    await assertFails(changeBallot(dbFor('alice'), { uid: 'alice' }))
+  })
+})
+
+describe('tallies', () => {
+  it('rejects a ballot that does not increment the tally', async () => {
+    await assertFails(castBallot(dbFor('alice'), { uid: 'alice', tally: null }))
+  })
+
+  it('rejects a tally increment for a different choice', async () => {
+    await assertFails(
+      castBallot(dbFor('alice'), {
+        uid: 'alice',
+        choice: 'yes',
+        tally: {
+          counts: { no: increment(1) },
+          lastBallot: ballotIdFor('alice'),
+        },
+      })
+    )
+  })
+
+  it('requires the tally to name the ballot cast with it', async () => {
+    const db = dbFor('alice')
+    await assertFails(
+      castBallot(db, {
+        uid: 'alice',
+        tally: { counts: { yes: increment(1) } },
+      })
+    )
+    await assertFails(
+      castBallot(db, {
+        uid: 'alice',
+        tally: {
+          counts: { yes: increment(1) },
+          lastBallot: ballotIdFor('nobody'),
+        },
+      })
+    )
+    await assertFails(
+      setDoc(doc(db, 'polls', POLL_ID, 'tallies', '0'), {
+        counts: { yes: 1 },
+        lastBallot: ballotIdFor('alice'),
+      })
+    )
+  })
+
+  it('counts only one ballot per voter record', async () => {
+    const db = dbFor('alice')
+    const batch = writeBatch(db)
+    batch.set(doc(db, 'polls', POLL_ID, 'voters', 'alice'), {
+      email: 'alice@example.com',
+    })
+    for (const key of ['alice', 'alice-again']) {
+      batch.set(doc(db, 'polls', POLL_ID, 'ballots', ballotIdFor(key)), {
+        choice: 'yes',
+        day: today(),
+        version: 0,
+        keyHash: keyHashFor(key, 0),
+      })
+    }
+    batch.set(doc(db, 'polls', POLL_ID, 'tallies', 'total'), {
+      counts: { yes: increment(1) },
+      lastBallot: ballotIdFor('alice'),
+    })
+    batch.set(doc(db, 'polls', POLL_ID, 'days', today()), {
+      counts: { yes: increment(1) },
+    })
+    await assertFails(batch.commit())
+  })
+
+  it('rejects increments larger than one or for several options', async () => {
+    const db = dbFor('alice')
+    await assertFails(
+      castBallot(db, {
+        uid: 'alice',
+        tally: {
+          counts: { yes: increment(5) },
+          lastBallot: ballotIdFor('alice'),
+        },
+      })
+    )
+    await assertFails(
+      castBallot(db, {
+        uid: 'alice',
+        tally: {
+          counts: { yes: increment(1), no: increment(1) },
+          lastBallot: ballotIdFor('alice'),
+        },
+      })
+    )
+  })
+
+  it('rejects tally writes without a new voter record', async () => {
+    const db = dbFor('alice')
+    await assertFails(
+      setDoc(
+        doc(db, 'polls', POLL_ID, 'tallies', 'total'),
+        { counts: { yes: increment(1) }, lastBallot: ballotIdFor('alice') },
+        { merge: true }
+      )
+    )
+    await castBallot(db, { uid: 'alice' })
+    await assertFails(
+      setDoc(
+        doc(db, 'polls', POLL_ID, 'tallies', 'total'),
+        { counts: { yes: increment(1) }, lastBallot: ballotIdFor('alice') },
+        { merge: true }
+      )
+    )
+  })
+
+  it("requires a matching increment on the ballot's day", async () => {
+    const db = dbFor('alice')
+    await assertFails(castBallot(db, { uid: 'alice', dayCounts: null }))
+    await assertFails(
+      castBallot(db, { uid: 'alice', ballot: { day: '2000-01-01' } })
+    )
+    await assertFails(
+      castBallot(db, {
+        uid: 'alice',
+        dayCounts: { counts: { no: increment(1) } },
+      })
+    )
+    await assertFails(castBallot(db, { uid: 'alice', day: '2000-01-01' }))
+    await assertFails(castBallot(db, { uid: 'alice', day: 'today' }))
+    await assertSucceeds(castBallot(db, { uid: 'alice' }))
+    await assertFails(
+      setDoc(
+        doc(db, 'polls', POLL_ID, 'days', today()),
+        { counts: { yes: increment(1) } },
+        { merge: true }
+      )
+    )
+  })
+
+  it('lets anyone read the tallies of a public poll', async () => {
+    await castBallot(dbFor('alice'), { uid: 'alice' })
+    const db = testEnv.unauthenticatedContext().firestore()
+    await assertSucceeds(getDoc(doc(db, 'polls', POLL_ID, 'tallies', 'total')))
+    await assertSucceeds(getDoc(doc(db, 'polls', POLL_ID, 'days', today())))
+  })
+})
+
+const COMMENT_ID = 'first-comment'
+
+const writeComment = (db, uid, { id = COMMENT_ID, comment = {} } = {}) =>
+  setDoc(doc(db, 'polls', POLL_ID, 'comments', id), {
+    authorUid: uid,
+    authorName: uid,
+    body: 'The numbers back this up.',
+    stance: null,
+    parentId: null,
+    view: '',
+    hidden: false,
+    reportCount: 0,
+    createdAt: serverTimestamp(),
+    ...comment,
+  })
+
+const reportComment = (db, uid, { count = increment(1) } = {}) => {
+  const batch = writeBatch(db)
+  const commentRef = doc(db, 'polls', POLL_ID, 'comments', COMMENT_ID)
+  batch.set(doc(commentRef, 'reports', uid), {
+    reason: 'Off topic',
+    createdAt: serverTimestamp(),
+  })
+  batch.update(commentRef, { reportCount: count })
+  return batch.commit()
+}
+
+const moderateComment = (db, hidden, { reason = 'Abusive' } = {}) => {
+  const batch = writeBatch(db)
+  const auditId = addAuditEntry(
+    batch,
+    db,
+    hidden ? 'comment.hide' : 'comment.restore',
+    { target: COMMENT_ID, details: reason }
+  )
+  batch.update(doc(db, 'polls', POLL_ID, 'comments', COMMENT_ID), {
+    hidden,
+    moderation: {
+      reason,
+      adminUid: 'root',
+      auditId,
+      createdAt: serverTimestamp(),
+    },
+  })
+  return batch.commit()
+}
+
+describe('comments', () => {
+  it('lets verified users comment and reply under their own uid', async () => {
+    const db = dbFor('alice')
+    await assertSucceeds(writeComment(db, 'alice'))
+    await assertSucceeds(
+      writeComment(db, 'alice', {
+        id: 'reply',
+        comment: { parentId: COMMENT_ID },
+      })
+    )
+    await assertFails(
+      writeComment(db, 'alice', {
+        id: 'nested',
+        comment: { parentId: 'reply' },
+      })
+    )
+    await assertFails(writeComment(db, 'bob', { id: 'forged' }))
+    await assertFails(
+      writeComment(dbFor('carol', { emailVerified: false }), 'carol', {
+        id: 'unverified',
+      })
+    )
+  })
+
+  it('limits comments to signed-in readers', async () => {
+    await writeComment(dbFor('alice'), 'alice')
+    const commentPath = ['polls', POLL_ID, 'comments', COMMENT_ID]
+    await assertSucceeds(getDoc(doc(dbFor('bob'), ...commentPath)))
+    await assertFails(
+      getDoc(doc(testEnv.unauthenticatedContext().firestore(), ...commentPath))
+    )
+  })
+
+  it('rejects empty, overlong and pre-moderated comments', async () => {
+    const db = dbFor('alice')
+    await assertFails(writeComment(db, 'alice', { comment: { body: '' } }))
+    await assertFails(
+      writeComment(db, 'alice', { comment: { body: 'x'.repeat(1001) } })
+    )
+    await assertFails(writeComment(db, 'alice', { comment: { hidden: true } }))
+    await assertFails(
+      writeComment(db, 'alice', { comment: { reportCount: -5 } })
+    )
+  })
+
+  it('only accepts a stance badge from someone who has voted', async () => {
+    const db = dbFor('alice')
+    await assertFails(writeComment(db, 'alice', { comment: { stance: 'yes' } }))
+    await castBallot(db, { uid: 'alice' })
+    await assertSucceeds(
+      writeComment(db, 'alice', { comment: { stance: 'no' } })
+    )
+    await assertFails(
+      writeComment(db, 'alice', { id: 'other', comment: { stance: 'maybe' } })
+    )
+  })
+
+  it('counts one report per user', async () => {
+    await writeComment(dbFor('alice'), 'alice')
+    const db = dbFor('bob')
+    await assertFails(reportComment(db, 'bob', { count: increment(5) }))
+    await assertSucceeds(reportComment(db, 'bob'))
+    await assertFails(reportComment(db, 'bob'))
+    await assertFails(
+      updateDoc(doc(db, 'polls', POLL_ID, 'comments', COMMENT_ID), {
+        body: 'Edited',
+      })
+    )
+  })
+
+  it('lets admins hide and restore comments with an audit entry', async () => {
+    await writeComment(dbFor('alice'), 'alice')
+    await assertFails(moderateComment(dbFor('bob'), true))
+    const db = adminDb()
+    await assertFails(moderateComment(db, true, { reason: '' }))
+    await assertSucceeds(moderateComment(db, true))
+    await assertFails(
+      getDoc(doc(dbFor('bob'), 'polls', POLL_ID, 'comments', COMMENT_ID))
+    )
+    await assertSucceeds(
+      getDoc(doc(db, 'polls', POLL_ID, 'comments', COMMENT_ID))
+    )
+    await assertSucceeds(moderateComment(db, false))
+  })
+})
+
+describe('admin', () => {
+  it('lets admins read drafts and voter records', async () => {
+    await seedPoll('draft-poll', { ...openPoll, status: 'draft' })
+    await castBallot(dbFor('alice'), { uid: 'alice' })
+    const db = adminDb()
+    await assertSucceeds(getDoc(doc(db, 'polls', 'draft-poll')))
+    await assertSucceeds(getDoc(doc(db, 'polls', POLL_ID, 'voters', 'alice')))
+  })
+
+  it('accepts an admin role document instead of a claim', async () => {
+    await seedPoll('draft-poll', { ...openPoll, status: 'draft' })
+    await testEnv.withSecurityRulesDisabled((context) =>
+      setDoc(doc(context.firestore(), 'roles', 'carol'), { admin: true })
+    )
+    await assertSucceeds(getDoc(doc(dbFor('carol'), 'polls', 'draft-poll')))
+    await assertFails(
+      setDoc(doc(dbFor('carol'), 'roles', 'alice'), { admin: true })
+    )
+  })
+
+  it('creates polls only alongside an audit entry', async () => {
+    await assertSucceeds(createPoll(adminDb()))
+    await assertFails(createPoll(adminDb(), { audit: false }))
+    await assertFails(createPoll(adminDb(), { poll: { optionIds: ['yes'] } }))
+    const options = ['a', 'b', 'c', 'd', 'e', 'f', 'g']
+    await assertFails(
+      createPoll(adminDb(), {
+        poll: {
+          options: options.map((id) => ({ id, label: id })),
+          optionIds: options,
+        },
+      })
+    )
+    await assertFails(createPoll(dbFor('alice')))
+  })
+
+  it('accepts translations only as a map', async () => {
+    const translations = {
+      es: { question: '¿Sí o no?', description: '', options: { yes: 'Sí' } },
+    }
+    await assertSucceeds(createPoll(adminDb(), { poll: { translations } }))
+    await assertFails(
+      createPoll(adminDb(), { poll: { translations: 'Sí o no' } })
+    )
+  })
+
+  it('opens and closes polls alongside an audit entry', async () => {
+    const db = adminDb()
+    await assertSucceeds(setPollStatus(db, 'closed'))
+    await assertFails(setPollStatus(db, 'open', { audit: false }))
+    await assertFails(
+      updateDoc(doc(db, 'polls', POLL_ID), { question: 'Changed?' })
+    )
+  })
+
+  it('invalidates a ballot with a reason and freezes it', async () => {
+    const ballotId = ballotIdFor('alice')
+    await castBallot(dbFor('alice'), { uid: 'alice' })
+    await assertFails(invalidateBallot(adminDb(), ballotId, { reason: '' }))
+    await assertFails(invalidateBallot(dbFor('bob'), ballotId))
+    const db = adminDb()
+    await assertSucceeds(invalidateBallot(db, ballotId))
+    expect(await tallyCounts()).toEqual({ yes: 0 })
+    await assertFails(invalidateBallot(db, ballotId))
+    await assertFails(
+      updateDoc(doc(db, 'polls', POLL_ID, 'ballots', ballotId), {
+        choice: 'no',
+      })
+    )
+  })
+
+  it('takes exactly the invalidated ballot off the tally', async () => {
+    const ballotId = ballotIdFor('alice')
+    await castBallot(dbFor('alice'), { uid: 'alice' })
+    await castBallot(dbFor('bob'), { uid: 'bob', choice: 'no' })
+    const db = adminDb()
+    await assertFails(invalidateBallot(db, ballotId, { tally: null }))
+    await assertFails(invalidateBallot(db, ballotId, { audit: false }))
+    for (const counts of [
+      { yes: increment(-2) },
+      { no: increment(-1) },
+      { yes: increment(-1), no: increment(5) },
+    ]) {
+      await assertFails(
+        invalidateBallot(db, ballotId, {
+          tally: { counts, lastBallot: ballotId },
+        })
+      )
+    }
+    await assertFails(
+      invalidateBallot(db, ballotId, {
+        tally: {
+          counts: { no: increment(-1) },
+          lastBallot: ballotIdFor('bob'),
+        },
+      })
+    )
+    await assertFails(
+      setDoc(
+        doc(db, 'polls', POLL_ID, 'tallies', 'total'),
+        { counts: { yes: increment(-1) }, lastBallot: ballotId },
+        { merge: true }
+      )
+    )
+    await assertSucceeds(invalidateBallot(db, ballotId))
+    expect(await tallyCounts()).toEqual({ yes: 0, no: 1 })
+  })
+
+  it('keeps the audit log admin-only and append-only', async () => {
+    const db = adminDb()
+    const batch = writeBatch(db)
+    const entryId = addAuditEntry(batch, db, 'votes.export')
+    await assertSucceeds(batch.commit())
+    const entryRef = doc(db, 'auditLog', entryId)
+    await assertSucceeds(getDoc(entryRef))
+    await assertFails(updateDoc(entryRef, { details: 'edited' }))
+    await assertFails(deleteDoc(entryRef))
+    await assertFails(getDoc(doc(dbFor('alice'), 'auditLog', entryId)))
+  })
+})
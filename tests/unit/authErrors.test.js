@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest'
+import {
+  DEFAULT_AUTH_ERROR_KEY,
+  getAuthErrorMessage,
+} from '../../src/authErrors'
+import { createTranslator, translate } from '../../src/i18n'
+
+describe('getAuthErrorMessage', () => {
+  it('maps Firebase error codes to friendly messages', () => {
+    expect(getAuthErrorMessage({ code: 'auth/invalid-credential' })).toBe(
+      'That email and password do not match.'
+    )
+    expect(getAuthErrorMessage({ code: 'auth/weak-password' })).toMatch(
+      /at least 6 characters/
+    )
+  })
+
+  it('never shows the raw Firebase message', () => {
+    const error = Object.assign(new Error('Firebase: Error (auth/quota).'), {
+      code: 'auth/quota-exceeded',
+    })
+    const fallback = translate(DEFAULT_AUTH_ERROR_KEY)
+    expect(getAuthErrorMessage(error)).toBe(fallback)
+    expect(getAuthErrorMessage(undefined)).toBe(fallback)
+  })
+
+  it('translates with the given translator', () => {
+    const t = createTranslator('es')
+    expect(getAuthErrorMessage({ code: 'auth/invalid-credential' }, t)).toBe(
+      'El correo y la contraseña no coinciden.'
+    )
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest'
+import { OVERLAY_STYLES, buildSeries } from '../../src/chartSeries'
+
+describe('buildSeries', () => {
+  it('colours the selected measures in order', () => {
+    const series = buildSeries(
+      ['retail', 'transfers', 'warehouse'],
+      ['warehouse', 'retail', 'missing']
+    )
+    expect(series.map(({ key }) => key)).toEqual(['warehouse', 'retail'])
+    expect(series[0].color).not.toBe(series[1].color)
+  })
+})
+
+describe('OVERLAY_STYLES', () => {
+  it('never shares a colour with a series', () => {
+    // Enough measures to use every series colour.
+    const measures = Array.from({ length: 16 }, (_, index) => `m${index}`)
+    const seriesColors = new Set(
+      buildSeries(measures, measures).map(({ color }) => color)
+    )
+    Object.values(OVERLAY_STYLES).forEach(({ color }) => {
+      expect(seriesColors.has(color)).toBe(false)
+    })
+  })
+})
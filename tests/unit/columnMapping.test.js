@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest'
+import {
+  guessColumnMapping,
+  validateColumnMapping,
+} from '../../src/data/columnMapping'
+import {
+  DEFAULT_COLUMN_MAPPING,
+  buildSalesSummary,
+  getRowMonthKey,
+  querySalesSummary,
+} from '../../src/data/salesSummary'
+
+describe('getRowMonthKey', () => {
+  it('reads separate year and month columns', () => {
+    const mapping = DEFAULT_COLUMN_MAPPING
+    expect(getRowMonthKey({ YEAR: '2020', MONTH: '7' }, mapping)).toBe(202007)
+    expect(getRowMonthKey({ YEAR: '', MONTH: '7' }, mapping)).toBe(0)
+  })
+
+  it('reads common single-column date formats', () => {
+    const mapping = { ...DEFAULT_COLUMN_MAPPING, date: 'Period' }
+    expect(getRowMonthKey({ Period: '2021-03' }, mapping)).toBe(202103)
+    expect(getRowMonthKey({ Period: '2021-03-31' }, mapping)).toBe(202103)
+    expect(getRowMonthKey({ Period: '11/05/2019' }, mapping)).toBe(201911)
+    expect(getRowMonthKey({ Period: 'soon' }, mapping)).toBe(0)
+  })
+})
+
+describe('guessColumnMapping', () => {
+  it('recognises the Maryland layout', () => {
+    const headers = [
+      'YEAR',
+      'MONTH',
+      'SUPPLIER',
+      'ITEM CODE',
+      'ITEM DESCRIPTION',
+      'ITEM TYPE',
+      'RETAIL SALES',
+      'RETAIL TRANSFERS',
+      'WAREHOUSE SALES',
+    ]
+    const rows = [
+      {
+        YEAR: '2020',
+        MONTH: '1',
+        SUPPLIER: 'ACME',
+        'ITEM CODE': '100',
+        'ITEM DESCRIPTION': 'RED',
+        'ITEM TYPE': 'WINE',
+        'RETAIL SALES': '1.5',
+        'RETAIL TRANSFERS': '0',
+        'WAREHOUSE SALES': '-2',
+      },
+    ]
+    expect(guessColumnMapping(headers, rows)).toMatchObject({
+      supplier: 'SUPPLIER',
+      category: 'ITEM TYPE',
+      year: 'YEAR',
+      month: 'MONTH',
+      date: '',
+      measures: ['RETAIL SALES', 'RETAIL TRANSFERS', 'WAREHOUSE SALES'],
+    })
+  })
+
+  it('falls back to a date column and the first text columns', () => {
+    const headers = ['Sale Date', 'Store', 'Department', 'Units']
+    const rows = [
+      {
+        'Sale Date': '2022-01-03',
+        Store: 'North',
+        Department: 'Deli',
+        Units: '4',
+      },
+    ]
+    expect(guessColumnMapping(headers, rows)).toMatchObject({
+      supplier: 'Store',
+      category: 'Department',
+      date: 'Sale Date',
+      measures: ['Units'],
+    })
+  })
+})
+
+describe('validateColumnMapping', () => {
+  const headers = ['When', 'Store', 'Units']
+  const valid = {
+    supplier: 'Store',
+    category: '',
+    year: '',
+    month: '',
+    date: 'When',
+    measures: ['Units'],
+    totalMeasures: ['Units'],
+  }
+
+  it('accepts a complete mapping', () => {
+    expect(validateColumnMapping(valid, headers)).toBeNull()
+  })
+
+  it('reports missing dates, measures and unknown columns', () => {
+    expect(validateColumnMapping({ ...valid, date: '' }, headers)).toMatch(
+      /date/
+    )
+    expect(
+      validateColumnMapping(
+        { ...valid, measures: [], totalMeasures: [] },
+        headers
+      )
+    ).toMatch(/measure/)
+    expect(
+      validateColumnMapping({ ...valid, supplier: 'Region' }, headers)
+    ).toMatch(/Region/)
+  })
+
+  it('drives the summary for a custom layout', () => {
+    const rows = [
+      { When: '2022-01-03', Store: 'North', Units: '4' },
+      { When: '2022-01-20', Store: 'South', Units: '1' },
+      { When: '2022-02-01', Store: 'North', Units: '2' },
+    ]
+    const summary = buildSalesSummary(headers, rows, valid)
+    expect(summary.suppliers).toEqual(['North', 'South'])
+    expect(querySalesSummary(summary, { suppliers: ['North'] })).toMatchObject({
+      rowCount: 2,
+      monthlyTotals: [
+        { label: '2022-01', value: 4 },
+        { label: '2022-02', value: 2 },
+      ],
+    })
+  })
+})
@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest'
+import {
+  buildCommentThreads,
+  commentAuthorName,
+  validateCommentBody,
+} from '../../src/commentThread'
+
+const at = (minutes) => new Date(Date.UTC(2025, 2, 1, 12, minutes))
+
+describe('buildCommentThreads', () => {
+  it('nests replies under their comment, oldest first', () => {
+    const threads = buildCommentThreads([
+      { id: 'b', parentId: null, createdAt: at(5) },
+      { id: 'b2', parentId: 'b', createdAt: at(9) },
+      { id: 'a', parentId: null, createdAt: at(1) },
+      { id: 'b1', parentId: 'b', createdAt: at(6) },
+    ])
+    expect(
+      threads.map(({ comment, replies }) => [
+        comment.id,
+        replies.map(({ id }) => id),
+      ])
+    ).toEqual([
+      ['a', []],
+      ['b', ['b1', 'b2']],
+    ])
+  })
+
+  it('keeps replies to a hidden comment under a placeholder', () => {
+    const threads = buildCommentThreads([
+      { id: 'a', parentId: null, createdAt: at(1) },
+      { id: 'r', parentId: 'gone', createdAt: at(3) },
+    ])
+    expect(threads[1]).toEqual({
+      comment: { id: 'gone', missing: true },
+      replies: [{ id: 'r', parentId: 'gone', createdAt: at(3) }],
+    })
+  })
+
+  it('sorts comments still waiting for a server time first', () => {
+    const threads = buildCommentThreads([
+      { id: 'a', parentId: null, createdAt: at(1) },
+      { id: 'pending', parentId: null, createdAt: null },
+    ])
+    expect(threads.map(({ comment }) => comment.id)).toEqual(['pending', 'a'])
+  })
+})
+
+describe('validateCommentBody', () => {
+  it('requires some text within the length limit', () => {
+    expect(validateCommentBody('   ')).toMatch(/Write a comment/)
+    expect(validateCommentBody('x'.repeat(1001))).toMatch(/at most 1000/)
+    expect(validateCommentBody('  Looks right to me. ')).toBeNull()
+  })
+})
+
+describe('commentAuthorName', () => {
+  it('prefers the display name and never shows the full email', () => {
+    expect(
+      commentAuthorName({ displayName: ' Ana ', email: 'ana@example.com' })
+    ).toBe('Ana')
+    expect(
+      commentAuthorName({ displayName: null, email: 'ana@example.com' })
+    ).toBe('ana')
+    expect(commentAuthorName({})).toBe('Voter')
+  })
+})
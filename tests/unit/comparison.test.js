@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest'
+import {
+  compareMonthlyTotals,
+  describeSelection,
+  summarizeComparison,
+} from '../../src/data/comparison'
+
+const totalsA = [
+  { label: '2019-02', value: 50 },
+  { label: '2020-01', value: 80 },
+  { label: '2020-02', value: 100 },
+]
+const totalsB = [
+  { label: '2020-02', value: 150 },
+  { label: '2020-01', value: 0 },
+  { label: '2020-03', value: 30 },
+]
+
+describe('compareMonthlyTotals', () => {
+  it('lines up both sides by month with their difference and ratio', () => {
+    expect(compareMonthlyTotals(totalsA, totalsB)).toEqual([
+      {
+        label: '2019-02',
+        values: { a: 50, b: 0, difference: -50, ratio: 0 },
+      },
+      {
+        label: '2020-01',
+        values: { a: 80, b: 0, difference: -80, ratio: 0 },
+      },
+      {
+        label: '2020-02',
+        values: { a: 100, b: 150, difference: 50, ratio: 1.5 },
+      },
+      {
+        label: '2020-03',
+        values: { a: 0, b: 30, difference: 30, ratio: null },
+      },
+    ])
+  })
+})
+
+describe('summarizeComparison', () => {
+  it('totals each side and compares the latest month', () => {
+    const summary = summarizeComparison(
+      compareMonthlyTotals(totalsA, totalsB.slice(0, 2))
+    )
+    expect(summary).toEqual({
+      latest: '2020-02',
+      previousMonth: '2020-01',
+      previousYear: '2019-02',
+      a: { total: 230, average: 230 / 3, current: 100, mom: 0.25, yoy: 1 },
+      b: { total: 150, average: 50, current: 150, mom: null, yoy: null },
+    })
+  })
+
+  it('is null without data', () => {
+    expect(summarizeComparison([])).toBeNull()
+  })
+})
+
+describe('describeSelection', () => {
+  it('lists suppliers then categories, or All', () => {
+    expect(
+      describeSelection({ suppliers: ['ALPHA', 'BETA'], categories: ['WINE'] })
+    ).toBe('ALPHA, BETA / WINE')
+    expect(describeSelection({ suppliers: [], categories: [] })).toBe('All')
+  })
+})
@@ -0,0 +1,125 @@
+import { readFileSync } from 'node:fs'
+import { describe, expect, it } from 'vitest'
+import {
+  createCSVParser,
+  detectDelimiter,
+  parseCSVText,
+} from '../../src/csv/parser'
+
+const readFixture = (name) =>
+  readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+
+// Feeds the text through the streaming parser in fixed-size chunks so quotes,
+// CRLFs and the BOM land on chunk boundaries.
+const parseInChunks = (text, chunkSize) => {
+  const rows = []
+  const parser = createCSVParser({ onRow: (row) => rows.push(row) })
+  for (let i = 0; i < text.length; i += chunkSize) {
+    parser.push(text.slice(i, i + chunkSize))
+  }
+  const { headers, delimiter } = parser.finish()
+  return { headers, rows, delimiter }
+}
+
+const CHUNK_SIZES = [1, 2, 3, 7, 64, Infinity]
+
+describe('detectDelimiter', () => {
+  it('picks the most common delimiter outside quotes', () => {
+    expect(detectDelimiter('a,b,c')).toBe(',')
+    expect(detectDelimiter('a;b;"c,d,e"')).toBe(';')
+    expect(detectDelimiter('a\tb\tc')).toBe('\t')
+    expect(detectDelimiter('a|b')).toBe('|')
+    expect(detectDelimiter('single')).toBe(',')
+  })
+})
+
+describe('createCSVParser', () => {
+  it.each(CHUNK_SIZES)(
+    'keeps quoted newlines and CRLF rows intact (chunk size %s)',
+    (chunkSize) => {
+      const { headers, rows } = parseInChunks(
+        readFixture('multiline-crlf.csv'),
+        chunkSize
+      )
+      expect(headers).toEqual(['SUPPLIER', 'ITEM DESCRIPTION', 'RETAIL SALES'])
+      expect(rows).toEqual([
+        {
+          SUPPLIER: 'REPUBLIC NATIONAL',
+          'ITEM DESCRIPTION': 'GIFT SET\r\nWITH TWO GLASSES',
+          'RETAIL SALES': '12.5',
+        },
+        {
+          SUPPLIER: 'JIM BEAM "BLACK"',
+          'ITEM DESCRIPTION': '750ML, 86 PROOF',
+          'RETAIL SALES': '3',
+        },
+      ])
+    }
+  )
+
+  it.each(CHUNK_SIZES)(
+    'strips the BOM and detects semicolons (chunk size %s)',
+    (chunkSize) => {
+      const { headers, rows, delimiter } = parseInChunks(
+        readFixture('bom-semicolon.csv'),
+        chunkSize
+      )
+      expect(delimiter).toBe(';')
+      expect(headers).toEqual(['YEAR', 'MONTH', 'SUPPLIER', 'RETAIL SALES'])
+      expect(rows[0]).toEqual({
+        YEAR: '2020',
+        MONTH: '1',
+        SUPPLIER: 'SMITH; SONS',
+        'RETAIL SALES': '1,5',
+      })
+      expect(rows).toHaveLength(2)
+    }
+  )
+
+  it('parses tab-separated files', () => {
+    const { rows, delimiter } = parseCSVText(readFixture('tabs.tsv'))
+    expect(delimiter).toBe('\t')
+    expect(rows).toEqual([
+      { 'ITEM CODE': '100009', 'ITEM TYPE': 'WINE', 'WAREHOUSE SALES': '-1' },
+      {
+        'ITEM CODE': '100024',
+        'ITEM TYPE': 'BEER\tKEG',
+        'WAREHOUSE SALES': '4',
+      },
+    ])
+  })
+
+  it.each(CHUNK_SIZES)(
+    'handles escaped quotes, blank lines and a missing final newline (chunk size %s)',
+    (chunkSize) => {
+      const { rows } = parseInChunks(readFixture('edge-cases.csv'), chunkSize)
+      expect(rows).toEqual([
+        {
+          'ITEM CODE': '1',
+          'ITEM DESCRIPTION': 'quoted "inner" text',
+          'RETAIL SALES': '2',
+        },
+        { 'ITEM CODE': '2', 'ITEM DESCRIPTION': '', 'RETAIL SALES': '' },
+        {
+          'ITEM CODE': '3',
+          'ITEM DESCRIPTION': 'no trailing newline\nat end',
+          'RETAIL SALES': '9',
+        },
+      ])
+    }
+  )
+
+  it('fills missing trailing values with empty strings', () => {
+    const { rows } = parseCSVText('a,b,c\n1\n')
+    expect(rows).toEqual([{ a: '1', b: '', c: '' }])
+  })
+
+  it('honours an explicit delimiter', () => {
+    const { rows } = parseCSVText('a|b;c\n1|2;3\n', { delimiter: ';' })
+    expect(rows).toEqual([{ 'a|b': '1|2', c: '3' }])
+  })
+
+  it('returns no headers for empty input', () => {
+    expect(parseCSVText('')).toEqual({ headers: [], rows: [], delimiter: ',' })
+  })
+})
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest'
+import {
+  DEFAULT_DASHBOARD_STATE,
+  formatDashboardState,
+  isSearchOnlyChange,
+  parseDashboardState,
+} from '../../src/dashboardUrl'
+
+const state = {
+  suppliers: ['JOHNSON BROTHERS OF MARYLAND, INC.', 'REPUBLIC NATIONAL'],
+  categories: ['WINE'],
+  dateRange: { start: 202001, end: 202006 },
+  keyword: 'reserve',
+  excludedIssues: ['negative', 'duplicate'],
+  chartMode: 'line',
+  chartMeasures: ['RETAIL SALES', 'WAREHOUSE SALES'],
+  overlay: { movingAverage: 3, trend: 'seasonal', horizon: 6, confidence: 80 },
+  pivot: { rows: 'category', columns: 'year', measure: 'RETAIL SALES' },
+  comparison: {
+    enabled: true,
+    suppliers: ['BETA'],
+    categories: ['WINE', 'BEER'],
+    delta: 'ratio',
+  },
+  tableView: {
+    search: 'pinot & noir',
+    sort: { column: 'RETAIL SALES', direction: 'desc' },
+    page: 3,
+    pageSize: 50,
+  },
+}
+
+describe('formatDashboardState', () => {
+  it('leaves defaults out of the query string', () => {
+    expect(formatDashboardState(DEFAULT_DASHBOARD_STATE)).toBe('')
+  })
+
+  it('round-trips every part of the view', () => {
+    const query = formatDashboardState(state)
+    expect(query).toMatch(/^\?supplier=/)
+    expect(parseDashboardState(query)).toEqual(state)
+  })
+
+  it('keeps an explicitly empty series selection', () => {
+    const query = formatDashboardState({
+      ...DEFAULT_DASHBOARD_STATE,
+      chartMeasures: [],
+    })
+    expect(parseDashboardState(query).chartMeasures).toEqual([])
+  })
+})
+
+describe('parseDashboardState', () => {
+  it('falls back to defaults for malformed parameters', () => {
+    expect(
+      parseDashboardState(
+        '?from=2020-13x&to=2020-02&view=pie&page=-2&size=7&sort=ITEM&ma=4&trend=cubic&forecast=&band=99&exclude=typos&prows=item&pcols=week&pmeasure=&compare=yes&bsupplier=X'
+      )
+    ).toEqual(DEFAULT_DASHBOARD_STATE)
+  })
+
+  it('orders a reversed month range', () => {
+    expect(parseDashboardState('from=2020-06&to=2020-01').dateRange).toEqual({
+      start: 202001,
+      end: 202006,
+    })
+  })
+
+  it('splits the sort direction from the last colon', () => {
+    expect(parseDashboardState('?sort=A%3AB%3Aasc').tableView.sort).toEqual({
+      column: 'A:B',
+      direction: 'asc',
+    })
+  })
+})
+
+describe('isSearchOnlyChange', () => {
+  it('is true when only the search text (and page reset) changed', () => {
+    const next = {
+      ...state,
+      tableView: { ...state.tableView, search: 'pinot', page: 1 },
+    }
+    expect(isSearchOnlyChange(state, next)).toBe(true)
+    expect(isSearchOnlyChange(state, { ...state, keyword: 'reserv' })).toBe(
+      true
+    )
+  })
+
+  it('is false when anything else changed', () => {
+    expect(isSearchOnlyChange(state, { ...state, categories: ['BEER'] })).toBe(
+      false
+    )
+    expect(
+      isSearchOnlyChange(state, {
+        ...state,
+        categories: ['BEER'],
+        tableView: { ...state.tableView, search: 'pinot' },
+      })
+    ).toBe(false)
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest'
+import { parseCSVText } from '../../src/csv/parser'
+import {
+  auditRows,
+  excludeFlaggedRows,
+  issueMask,
+} from '../../src/data/dataQuality'
+import { DEFAULT_COLUMN_MAPPING } from '../../src/data/salesSummary'
+
+const CSV = [
+  'YEAR,MONTH,SUPPLIER,ITEM CODE,RETAIL SALES,RETAIL TRANSFERS,WAREHOUSE SALES',
+  '2020,1,ALPHA,100,1,1,1',
+  '2020,1,ALPHA,101,2,2,2',
+  '2020,1,BETA,102,3,3,3',
+  '2020,1,BETA,103,4,4,4',
+  '2020,1,BETA,104,5,5,5',
+  '2020,13,ALPHA,105,1,1,1',
+  'bad,1,ALPHA,106,1,1,1',
+  '2020,2,,107,1,,n/a',
+  '2020,2,ALPHA,108,-2,1,1',
+  '2020,2,ALPHA,109,1,1,900',
+  '2020,2,BETA,109,1,1,1',
+].join('\n')
+
+const { rows } = parseCSVText(CSV)
+const report = auditRows(rows, DEFAULT_COLUMN_MAPPING, {
+  itemColumn: 'ITEM CODE',
+})
+const issue = (id) => report.issues.find((item) => item.id === id)
+
+describe('auditRows', () => {
+  it('flags rows without a usable year and month', () => {
+    expect(issue('bad-date')).toMatchObject({ count: 2, examples: [5, 6] })
+  })
+
+  it('separates blank from non-numeric measure values', () => {
+    expect(issue('blank')).toMatchObject({
+      count: 1,
+      columns: { 'RETAIL TRANSFERS': 1 },
+    })
+    expect(issue('unparseable')).toMatchObject({
+      count: 1,
+      columns: { 'WAREHOUSE SALES': 1 },
+      examples: [7],
+    })
+  })
+
+  it('flags negative values and far outliers per column', () => {
+    expect(issue('negative')).toMatchObject({
+      count: 1,
+      columns: { 'RETAIL SALES': 1 },
+    })
+    expect(issue('outlier')).toMatchObject({
+      count: 1,
+      columns: { 'WAREHOUSE SALES': 1 },
+      examples: [9],
+    })
+  })
+
+  it('flags missing suppliers and repeated item codes within a month', () => {
+    expect(issue('missing-supplier').examples).toEqual([7])
+    expect(issue('duplicate').examples).toEqual([10])
+  })
+
+  it('counts each flagged row once', () => {
+    expect(report.flaggedRows).toBe(6)
+  })
+})
+
+describe('excludeFlaggedRows', () => {
+  it('drops only rows carrying one of the chosen issues', () => {
+    const mask = issueMask(['bad-date', 'duplicate'])
+    const kept = excludeFlaggedRows(rows, report.flags, mask)
+    expect(kept).toHaveLength(rows.length - 3)
+    expect(kept).not.toContain(rows[10])
+    expect(excludeFlaggedRows(rows, report.flags, 0)).toBe(rows)
+  })
+})
@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest'
+import {
+  addPngText,
+  buildExportMetadata,
+  exportFileName,
+  monthlyTotalsToCSV,
+  rowsToCSV,
+  rowsToJSON,
+} from '../../src/export/formats'
+
+const metadata = buildExportMetadata({
+  datasetName: 'Maryland warehouse & retail sales',
+  filters: [
+    { label: 'Warehouse (Supplier)', column: 'SUPPLIER', value: 'All' },
+    { label: 'Drug/Product Category', column: 'ITEM TYPE', value: 'BEER' },
+  ],
+  dateRange: { start: 202001, end: 202006 },
+  rowCount: 2,
+  exportedAt: new Date('2024-05-01T12:00:00Z'),
+})
+
+describe('buildExportMetadata', () => {
+  it('records the dataset, filters and month range', () => {
+    expect(metadata).toEqual({
+      dataset: 'Maryland warehouse & retail sales',
+      exportedAt: '2024-05-01T12:00:00.000Z',
+      filters: [
+        { label: 'Warehouse (Supplier)', column: 'SUPPLIER', value: 'All' },
+        { label: 'Drug/Product Category', column: 'ITEM TYPE', value: 'BEER' },
+      ],
+      dateRange: { start: '2020-01', end: '2020-06' },
+      rowCount: 2,
+    })
+  })
+})
+
+describe('rowsToCSV', () => {
+  it('prefixes comment lines and quotes awkward cells', () => {
+    const csv = rowsToCSV(
+      ['ITEM DESCRIPTION', 'RETAIL SALES'],
+      [
+        { 'ITEM DESCRIPTION': 'Says "hi", twice', 'RETAIL SALES': '1.5' },
+        { 'ITEM DESCRIPTION': 'Plain', 'RETAIL SALES': '' },
+      ],
+      metadata
+    )
+    expect(csv.split('\r\n')).toEqual([
+      '# Dataset: Maryland warehouse & retail sales',
+      '# Exported: 2024-05-01T12:00:00.000Z',
+      '# Warehouse (Supplier): All',
+      '# Drug/Product Category: BEER',
+      '# Months: 2020-01 to 2020-06',
+      '# Rows matched: 2',
+      'ITEM DESCRIPTION,RETAIL SALES',
+      '"Says ""hi"", twice",1.5',
+      'Plain,',
+      '',
+    ])
+  })
+})
+
+describe('rowsToJSON', () => {
+  it('wraps the rows with their metadata', () => {
+    const parsed = JSON.parse(rowsToJSON(['A'], [{ A: '1', B: 'x' }], metadata))
+    expect(parsed.metadata).toEqual(metadata)
+    expect(parsed.columns).toEqual(['A'])
+    expect(parsed.rows).toEqual([{ A: '1' }])
+  })
+})
+
+describe('monthlyTotalsToCSV', () => {
+  it('writes one line per month with each measure and the total', () => {
+    const csv = monthlyTotalsToCSV(
+      [{ label: '2020-01', value: 3, values: { RETAIL: 1, WAREHOUSE: 2 } }],
+      ['RETAIL', 'WAREHOUSE'],
+      metadata
+    )
+    expect(csv.split('\r\n').slice(-3)).toEqual([
+      'Month,RETAIL,WAREHOUSE,Total',
+      '2020-01,1,2,3',
+      '',
+    ])
+  })
+})
+
+describe('exportFileName', () => {
+  it('names the active filters and range', () => {
+    expect(exportFileName('sales-rows', metadata, 'csv')).toBe(
+      'sales-rows_beer_2020-01-to-2020-06.csv'
+    )
+  })
+})
+
+describe('addPngText', () => {
+  it('inserts a valid iTXt chunk after IHDR', () => {
+    const png = new Uint8Array(8 + 25 + 12)
+    png.set([137, 80, 78, 71, 13, 10, 26, 10])
+    const result = addPngText(png, [['Comment', 'ok']])
+    const view = new DataView(result.buffer)
+    const length = view.getUint32(33)
+    const type = new TextDecoder().decode(result.subarray(37, 41))
+    const data = new TextDecoder().decode(result.subarray(41, 41 + length))
+
+    expect(result.length).toBe(png.length + 12 + length)
+    expect(type).toBe('iTXt')
+    expect(data).toBe('Comment\0\0\0\0\0ok')
+    // Reference CRC for this chunk, computed with zlib.crc32.
+    expect(view.getUint32(41 + length)).toBe(0xfc30821a)
+  })
+})
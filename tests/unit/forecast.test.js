@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest'
+import { buildOverlay, fitTrend, movingAverage } from '../../src/data/forecast'
+
+const month = (label, value) => ({ label, value, values: { SALES: value } })
+
+describe('movingAverage', () => {
+  it('averages the trailing calendar window', () => {
+    expect(movingAverage([0, 1, 2, 3], [3, 6, 9, 12], 3)).toEqual([
+      null,
+      null,
+      6,
+      9,
+    ])
+  })
+
+  it('skips months missing from the window', () => {
+    expect(movingAverage([0, 1, 3], [2, 4, 10], 3)).toEqual([null, null, 7])
+    expect(movingAverage([0, 2, 3], [2, 4, 10], 3)).toEqual([null, 3, 7])
+  })
+})
+
+describe('fitTrend', () => {
+  it('recovers an exact line', () => {
+    const fit = fitTrend([0, 1, 2, 3], [1, 3, 5, 7])
+    expect(fit.slope).toBeCloseTo(2)
+    expect(fit.predict(10)).toBeCloseTo(21)
+    expect(fit.standardError).toBeCloseTo(0)
+  })
+
+  it('adds calendar-month offsets for a seasonal fit', () => {
+    // Two years of a flat series that is 10 higher every December.
+    const xs = Array.from({ length: 24 }, (_, i) => i)
+    const ys = xs.map((x) => (x % 12 === 11 ? 110 : 100))
+    const fit = fitTrend(xs, ys, { seasonal: true })
+    expect(fit.predict(35) - fit.predict(34)).toBeCloseTo(10, 0)
+    expect(fit.seasonal).toBe(true)
+  })
+
+  it('stays linear when seasons would leave no residual error', () => {
+    const xs = Array.from({ length: 12 }, (_, i) => i)
+    const ys = xs.map((x) => 100 + x + (x % 3) * 5)
+    const fit = fitTrend(xs, ys, { seasonal: true })
+    expect(fit.seasonal).toBe(false)
+    expect(fit.standardError).toBeGreaterThan(0)
+  })
+})
+
+describe('buildOverlay', () => {
+  const totals = [
+    month('2019-11', 10),
+    month('2019-12', 20),
+    month('2020-02', 40),
+    month('2020-03', 50),
+  ]
+
+  it('returns null when every overlay is off', () => {
+    expect(
+      buildOverlay(totals, ['SALES'], {
+        movingAverage: 0,
+        trend: 'none',
+        horizon: 6,
+        confidence: 95,
+      })
+    ).toBeNull()
+  })
+
+  it('forecasts past the gap-aware trend with a widening band', () => {
+    const overlay = buildOverlay(totals, ['SALES'], {
+      movingAverage: 0,
+      trend: 'linear',
+      horizon: 2,
+      confidence: 95,
+    })
+    expect(overlay.movingAverage).toBeNull()
+    expect(overlay.trend.map(Math.round)).toEqual([10, 20, 40, 50])
+    expect(overlay.forecast.map(({ label }) => label)).toEqual([
+      '2020-04',
+      '2020-05',
+    ])
+    expect(overlay.forecast[0].value).toBeCloseTo(60)
+    const [first, second] = overlay.forecast
+    expect(second.upper - second.lower).toBeGreaterThanOrEqual(
+      first.upper - first.lower
+    )
+    expect(overlay.description).toContain('Linear least-squares trend')
+    expect(overlay.description).toContain('2-month forecast, 95%')
+  })
+
+  it('falls back to a linear trend under two years of months', () => {
+    const year = Array.from({ length: 12 }, (_, i) =>
+      month(`2020-${String(i + 1).padStart(2, '0')}`, 100 + (i % 4) * 10)
+    )
+    const overlay = buildOverlay(year, ['SALES'], {
+      movingAverage: 0,
+      trend: 'seasonal',
+      horizon: 3,
+      confidence: 95,
+    })
+    const [first] = overlay.forecast
+    expect(first.upper - first.lower).toBeGreaterThan(0)
+    expect(overlay.description).toContain('Linear least-squares trend')
+    expect(overlay.description).toContain('at least 24 are needed')
+  })
+
+  it('explains when there are too few months for a trend', () => {
+    const overlay = buildOverlay(totals.slice(0, 2), ['SALES'], {
+      movingAverage: 3,
+      trend: 'seasonal',
+      horizon: 3,
+      confidence: 80,
+    })
+    expect(overlay.trend).toBeNull()
+    expect(overlay.forecast).toEqual([])
+    expect(overlay.description).toMatch(/^3-month moving average · Not enough/)
+  })
+})
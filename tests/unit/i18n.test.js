@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest'
+import { getFormatters } from '../../src/format'
+import {
+  LocalizedError,
+  createTranslator,
+  matchLocale,
+  translate,
+} from '../../src/i18n'
+import en from '../../src/i18n/en'
+import es from '../../src/i18n/es'
+
+describe('createTranslator', () => {
+  it('fills placeholders and picks plural forms', () => {
+    expect(translate('filters.searchLabel', { label: 'Suppliers' })).toBe(
+      'Search Suppliers'
+    )
+    expect(translate('table.rowCount', { count: 1 })).toBe('1 row')
+    expect(translate('table.rowCount', { count: 1234 })).toBe('1,234 rows')
+  })
+
+  it('translates into Spanish with its own number format', () => {
+    const t = createTranslator('es')
+    expect(t('table.rowCount', { count: 1 })).toBe('1 fila')
+    expect(t('table.rowCount', { count: 1234 })).toBe('1,234 filas')
+    expect(t('common.cancel')).toBe('Cancelar')
+  })
+
+  it('falls back to English, then to the key', () => {
+    expect(createTranslator('fr')('common.cancel')).toBe('Cancel')
+    expect(translate('no.such.key')).toBe('no.such.key')
+  })
+
+  it('has every English key in Spanish', () => {
+    expect(Object.keys(es).sort()).toEqual(Object.keys(en).sort())
+  })
+})
+
+describe('matchLocale', () => {
+  it('matches by language and ignores the region', () => {
+    expect(matchLocale('es-MX')).toBe('es')
+    expect(matchLocale('EN')).toBe('en')
+    expect(matchLocale('fr-FR')).toBeNull()
+    expect(matchLocale(undefined)).toBeNull()
+  })
+})
+
+describe('getFormatters', () => {
+  it('formats month labels in the locale and leaves others alone', () => {
+    expect(getFormatters('en').month('2024-01')).toBe('Jan 2024')
+    expect(getFormatters('es').month('2024-01')).toBe('ene 2024')
+    expect(getFormatters('es').month('2024')).toBe('2024')
+  })
+
+  it('formats measures as currency only when one is set', () => {
+    const format = getFormatters('en')
+    expect(format.measure(1234.6)).toBe('1,235')
+    expect(format.measure(1234.6, 'USD')).toBe('$1,235')
+    expect(format.amount(1234.5, 'EUR')).toBe('€1,234.50')
+    expect(format.amount(1234.567)).toBe('1,234.57')
+  })
+
+  it('shows a missing change as not available', () => {
+    expect(getFormatters('en').change(null)).toBe('n/a')
+    expect(getFormatters('es').change(null)).toBe('n/d')
+    expect(getFormatters('es').change(0.25)).toBe('+25%')
+  })
+})
+
+describe('LocalizedError', () => {
+  it('keeps its key and params with an English message', () => {
+    const error = new LocalizedError('pollDraft.tooManyOptions', { max: 6 })
+    expect(error.message).toBe('A poll can have at most 6 options.')
+    expect(error.key).toBe('pollDraft.tooManyOptions')
+    expect(error.params).toEqual({ max: 6 })
+  })
+})
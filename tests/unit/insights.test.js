@@ -0,0 +1,125 @@
+import { describe, expect, it } from 'vitest'
+import {
+  getItemColumns,
+  groupRows,
+  latestPeriodChanges,
+  percentChange,
+  shareOfTotal,
+  topEntries,
+} from '../../src/data/insights'
+
+const entry = (label, retail, warehouse) => ({
+  label,
+  values: { RETAIL: retail, WAREHOUSE: warehouse },
+})
+
+describe('topEntries', () => {
+  it('ranks by one measure and skips entries without sales', () => {
+    const entries = [
+      entry('A', 5, 0),
+      entry('B', 9, 1),
+      entry('C', 0, 7),
+      entry('D', 7, 2),
+    ]
+    expect(topEntries(entries, 'RETAIL', 2).map(({ label }) => label)).toEqual([
+      'B',
+      'D',
+    ])
+    expect(
+      topEntries(entries, 'WAREHOUSE', 5).map(({ label }) => label)
+    ).toEqual(['C', 'D', 'B'])
+  })
+})
+
+describe('groupRows', () => {
+  it('totals rows per item code with the first description seen', () => {
+    const rows = [
+      { 'ITEM CODE': '1', 'ITEM DESCRIPTION': '', RETAIL: '2' },
+      { 'ITEM CODE': '1', 'ITEM DESCRIPTION': 'Stout', RETAIL: '3.5' },
+      { 'ITEM CODE': '2', 'ITEM DESCRIPTION': 'Cider', RETAIL: 'x' },
+    ]
+    expect(
+      groupRows(rows, 'ITEM CODE', 'ITEM DESCRIPTION', ['RETAIL'])
+    ).toEqual([
+      { key: '1', label: 'Stout', rows: 2, values: { RETAIL: 5.5 } },
+      { key: '2', label: 'Cider', rows: 1, values: { RETAIL: 0 } },
+    ])
+  })
+})
+
+describe('getItemColumns', () => {
+  it('prefers item codes as keys and descriptions as labels', () => {
+    expect(getItemColumns(['ITEM CODE', 'ITEM DESCRIPTION'])).toEqual({
+      key: 'ITEM CODE',
+      label: 'ITEM DESCRIPTION',
+    })
+    expect(getItemColumns(['ITEM DESCRIPTION'])).toEqual({
+      key: 'ITEM DESCRIPTION',
+      label: 'ITEM DESCRIPTION',
+    })
+    expect(getItemColumns(['Store', 'Units'])).toBeNull()
+  })
+})
+
+describe('percentChange', () => {
+  it('has no value without a baseline', () => {
+    expect(percentChange(15, 10)).toBeCloseTo(0.5)
+    expect(percentChange(-5, -10)).toBeCloseTo(0.5)
+    expect(percentChange(5, 0)).toBeNull()
+  })
+})
+
+describe('latestPeriodChanges', () => {
+  const month = (label, retail, warehouse) => ({
+    label,
+    value: retail + warehouse,
+    values: { RETAIL: retail, WAREHOUSE: warehouse },
+  })
+
+  it('compares the latest month with the previous month and year', () => {
+    const result = latestPeriodChanges(
+      [
+        month('2019-01', 50, 50),
+        month('2019-12', 80, 20),
+        month('2020-01', 90, 30),
+      ],
+      ['RETAIL', 'WAREHOUSE']
+    )
+    expect(result.latest).toBe('2020-01')
+    expect(result.previousMonth).toBe('2019-12')
+    expect(result.previousYear).toBe('2019-01')
+    const [total, retail, warehouse] = result.changes
+    expect(total).toMatchObject({ key: 'total', current: 120 })
+    expect(total.mom).toBeCloseTo(0.2)
+    expect(total.yoy).toBeCloseTo(0.2)
+    expect(retail.mom).toBeCloseTo(0.125)
+    expect(warehouse.yoy).toBeCloseTo(-0.4)
+  })
+
+  it('leaves comparisons empty when those months are missing', () => {
+    const result = latestPeriodChanges(
+      [month('2020-01', 1, 1), month('2020-03', 2, 2)],
+      []
+    )
+    expect(result.previousMonth).toBeNull()
+    expect(result.changes[0]).toEqual({
+      key: 'total',
+      current: 4,
+      mom: null,
+      yoy: null,
+    })
+    expect(latestPeriodChanges([], [])).toBeNull()
+  })
+})
+
+describe('shareOfTotal', () => {
+  it('splits the combined measures between groups', () => {
+    const shares = shareOfTotal(
+      [entry('BEER', 1, 2), entry('WINE', 5, 4), entry('KEGS', 0, 0)],
+      ['RETAIL', 'WAREHOUSE']
+    )
+    expect(shares.map(({ label }) => label)).toEqual(['WINE', 'BEER'])
+    expect(shares[0].share).toBeCloseTo(0.75)
+    expect(shares[1]).toMatchObject({ total: 3, share: 0.25 })
+  })
+})
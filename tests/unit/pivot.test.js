@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest'
+import {
+  heatColor,
+  pivotColumnRange,
+  pivotDrillDownRange,
+  rankPivotRows,
+} from '../../src/data/pivot'
+
+describe('rankPivotRows', () => {
+  it('puts the largest totals first and blank labels last', () => {
+    const ranked = rankPivotRows([
+      { label: '', total: 50 },
+      { label: 'ALPHA', total: 3 },
+      { label: 'BETA', total: 8 },
+    ])
+    expect(ranked.map(({ label }) => label)).toEqual(['BETA', 'ALPHA', ''])
+  })
+})
+
+describe('pivotColumnRange', () => {
+  const months = [0, 201911, 202001, 202003, 202101]
+
+  it('covers a single month', () => {
+    expect(pivotColumnRange('month', 202003, months)).toEqual({
+      start: 202003,
+      end: 202003,
+    })
+  })
+
+  it('covers the months of a year present in the data', () => {
+    expect(pivotColumnRange('year', 2020, months)).toEqual({
+      start: 202001,
+      end: 202003,
+    })
+    expect(pivotColumnRange('year', 2018, months)).toEqual({
+      start: 201801,
+      end: 201812,
+    })
+  })
+})
+
+describe('pivotDrillDownRange', () => {
+  const months = [201911, 202001, 202003, 202006, 202101]
+
+  it('keeps the column range when no range is applied', () => {
+    expect(pivotDrillDownRange('year', 2020, months, null)).toEqual({
+      start: 202001,
+      end: 202006,
+    })
+  })
+
+  it('narrows a year column to the applied partial range', () => {
+    expect(
+      pivotDrillDownRange('year', 2020, months, {
+        start: 201911,
+        end: 202003,
+      })
+    ).toEqual({ start: 202001, end: 202003 })
+    expect(
+      pivotDrillDownRange('month', 202003, months, {
+        start: 202001,
+        end: 202006,
+      })
+    ).toEqual({ start: 202003, end: 202003 })
+  })
+})
+
+describe('heatColor', () => {
+  it('scales blue for sales and red for returns, nothing for zero', () => {
+    expect(heatColor(0, 100)).toBeUndefined()
+    expect(heatColor(100, 100)).toBe('rgba(56, 189, 248, 0.8)')
+    expect(heatColor(-25, 100)).toBe('rgba(248, 113, 113, 0.44)')
+  })
+})
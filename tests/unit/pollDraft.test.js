@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest'
+import {
+  EMPTY_POLL_DRAFT,
+  buildPollFields,
+  buildPollOptions,
+  validatePollDraft,
+} from '../../src/pollDraft'
+
+const draft = (changes) => ({
+  ...EMPTY_POLL_DRAFT,
+  question: 'Should the depot open on Sundays?',
+  ...changes,
+})
+
+describe('buildPollOptions', () => {
+  it('slugs one option per line and keeps ids unique', () => {
+    expect(buildPollOptions('Yes, please\n\n  No \nyes please\n???')).toEqual([
+      { id: 'yes-please', label: 'Yes, please' },
+      { id: 'no', label: 'No' },
+      { id: 'yes-please-2', label: 'yes please' },
+      { id: 'option', label: '???' },
+    ])
+  })
+})
+
+describe('validatePollDraft', () => {
+  it('accepts the default options', () => {
+    expect(validatePollDraft(draft())).toBeNull()
+  })
+
+  it('needs a question and two distinct options', () => {
+    expect(validatePollDraft(draft({ question: '  ' }))).toMatch(/question/)
+    expect(validatePollDraft(draft({ optionsText: 'Yes' }))).toMatch(/two/)
+    expect(validatePollDraft(draft({ optionsText: 'Yes\nYes' }))).toMatch(
+      /different/
+    )
+    expect(
+      validatePollDraft(draft({ optionsText: 'A\nB\nC\nD\nE\nF\nG' }))
+    ).toMatch(/at most 6/)
+  })
+
+  it('checks that the poll closes after it opens', () => {
+    expect(
+      validatePollDraft(
+        draft({ opensAt: '2026-05-02T09:00', closesAt: '2026-05-01T09:00' })
+      )
+    ).toMatch(/close after/)
+  })
+})
+
+describe('buildPollFields', () => {
+  it('creates a draft poll with option ids and dates', () => {
+    const fields = buildPollFields(
+      draft({ description: ' Details ', closesAt: '2026-05-01T09:00' })
+    )
+    expect(fields).toMatchObject({
+      question: 'Should the depot open on Sundays?',
+      description: 'Details',
+      optionIds: ['support', 'against'],
+      status: 'draft',
+      opensAt: null,
+      changeDeadline: null,
+    })
+    expect(fields.closesAt).toEqual(new Date('2026-05-01T09:00'))
+  })
+})
+
+describe('poll translations', () => {
+  const translated = (es) =>
+    draft({
+      translations: {
+        es: { question: '', description: '', optionsText: '', ...es },
+      },
+    })
+
+  it('needs a question and matching options for a filled translation', () => {
+    expect(validatePollDraft(translated({}))).toBeNull()
+    expect(validatePollDraft(translated({ description: 'Detalles' }))).toMatch(
+      /Spanish question/
+    )
+    expect(
+      validatePollDraft(
+        translated({ question: '¿Abrir?', optionsText: 'A favor' })
+      )
+    ).toMatch(/2 Spanish options/)
+    expect(
+      validatePollDraft(translated({ question: '¿Abrir el domingo?' }))
+    ).toBeNull()
+  })
+
+  it('stores translated labels by option id', () => {
+    expect(buildPollFields(draft()).translations).toBeUndefined()
+    expect(
+      buildPollFields(
+        translated({
+          question: ' ¿Abrir el domingo? ',
+          optionsText: 'A favor\n\nEn contra',
+        })
+      ).translations
+    ).toEqual({
+      es: {
+        question: '¿Abrir el domingo?',
+        description: '',
+        options: { support: 'A favor', against: 'En contra' },
+      },
+    })
+  })
+})
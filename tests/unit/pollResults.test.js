@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest'
+import { buildPollTimeline, voteDay, voteShares } from '../../src/pollResults'
+
+const OPTIONS = ['yes', 'no']
+
+describe('voteDay', () => {
+  it('uses the UTC calendar day', () => {
+    expect(voteDay(new Date('2025-03-04T23:59:59Z'))).toBe('2025-03-04')
+    expect(voteDay(new Date('2025-03-05T00:00:00Z'))).toBe('2025-03-05')
+  })
+})
+
+describe('buildPollTimeline', () => {
+  it('orders days and accumulates each option', () => {
+    const timeline = buildPollTimeline(
+      [
+        { day: '2025-03-02', counts: { no: 2 } },
+        { day: '2025-03-01', counts: { yes: 3, no: 1 } },
+      ],
+      OPTIONS
+    )
+    expect(timeline).toEqual([
+      {
+        day: '2025-03-01',
+        counts: { yes: 3, no: 1 },
+        turnout: 4,
+        cumulative: { yes: 3, no: 1 },
+      },
+      {
+        day: '2025-03-02',
+        counts: { yes: 0, no: 2 },
+        turnout: 2,
+        cumulative: { yes: 3, no: 3 },
+      },
+    ])
+  })
+
+  it('fills days without votes, across month ends', () => {
+    const timeline = buildPollTimeline(
+      [
+        { day: '2025-02-27', counts: { yes: 1 } },
+        { day: '2025-03-02', counts: { yes: 1 } },
+      ],
+      OPTIONS
+    )
+    expect(timeline.map(({ day }) => day)).toEqual([
+      '2025-02-27',
+      '2025-02-28',
+      '2025-03-01',
+      '2025-03-02',
+    ])
+    expect(timeline.map(({ turnout }) => turnout)).toEqual([1, 0, 0, 1])
+    expect(timeline.at(-1).cumulative).toEqual({ yes: 2, no: 0 })
+  })
+
+  it('moves changed votes and keeps withdrawn ones out of turnout', () => {
+    const timeline = buildPollTimeline(
+      [
+        { day: '2025-03-01', counts: { yes: 2 } },
+        { day: '2025-03-02', counts: { yes: -2, no: 1 }, withdrawn: 1 },
+      ],
+      OPTIONS
+    )
+    expect(timeline[1]).toEqual({
+      day: '2025-03-02',
+      counts: { yes: -2, no: 1 },
+      turnout: 0,
+      cumulative: { yes: 0, no: 1 },
+    })
+  })
+
+  it('extends to the last day given but never trims', () => {
+    const days = [{ day: '2025-03-01', counts: { yes: 1 } }]
+    expect(buildPollTimeline(days, OPTIONS, '2025-03-03')).toHaveLength(3)
+    expect(buildPollTimeline(days, OPTIONS, '2025-02-01')).toHaveLength(1)
+  })
+
+  it('ignores unknown options and malformed days', () => {
+    const timeline = buildPollTimeline(
+      [
+        { day: '2025-03-01', counts: { yes: 1, maybe: 5 } },
+        { day: 'summary', counts: { yes: 9 } },
+      ],
+      OPTIONS
+    )
+    expect(timeline).toHaveLength(1)
+    expect(timeline[0].turnout).toBe(1)
+  })
+
+  it('is empty before the first vote', () => {
+    expect(buildPollTimeline([], OPTIONS, '2025-03-01')).toEqual([])
+  })
+})
+
+describe('voteShares', () => {
+  it('splits the counted votes by option', () => {
+    expect(voteShares({ yes: 3, no: 1 }, OPTIONS)).toEqual([
+      { id: 'yes', count: 3, share: 0.75 },
+      { id: 'no', count: 1, share: 0.25 },
+    ])
+  })
+
+  it('reports zero shares when nobody has voted', () => {
+    expect(voteShares({}, OPTIONS)).toEqual([
+      { id: 'yes', count: 0, share: 0 },
+      { id: 'no', count: 0, share: 0 },
+    ])
+  })
+})
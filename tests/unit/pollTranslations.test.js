@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest'
+import { localizePoll } from '../../src/pollTranslations'
+
+const poll = {
+  id: 'sundays',
+  question: 'Open on Sundays?',
+  description: 'Details',
+  options: [
+    { id: 'yes', label: 'Support' },
+    { id: 'no', label: 'Against' },
+  ],
+  translations: {
+    es: { question: '¿Abrir los domingos?', options: { yes: 'A favor' } },
+  },
+}
+
+describe('localizePoll', () => {
+  it('uses the translated text and falls back field by field', () => {
+    expect(localizePoll(poll, 'es')).toMatchObject({
+      id: 'sundays',
+      question: '¿Abrir los domingos?',
+      description: 'Details',
+      options: [
+        { id: 'yes', label: 'A favor' },
+        { id: 'no', label: 'Against' },
+      ],
+    })
+  })
+
+  it('returns the poll unchanged without a translation', () => {
+    expect(localizePoll(poll, 'en')).toBe(poll)
+    expect(localizePoll({ ...poll, translations: {} }, 'es').question).toBe(
+      'Open on Sundays?'
+    )
+  })
+})
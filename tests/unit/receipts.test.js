@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest'
+import {
+  generateReceiptCode,
+  normalizeReceiptCode,
+  receiptBallotId,
+  receiptChangeKey,
+  sha256Hex,
+} from '../../src/receipts'
+
+describe('generateReceiptCode', () => {
+  it('formats 16 Crockford base32 characters in groups of four', () => {
+    const code = generateReceiptCode()
+    expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){3}$/)
+    expect(normalizeReceiptCode(code)).toBe(code)
+  })
+
+  it('does not repeat codes', () => {
+    const codes = new Set(Array.from({ length: 50 }, generateReceiptCode))
+    expect(codes.size).toBe(50)
+  })
+})
+
+describe('normalizeReceiptCode', () => {
+  it('accepts any case, spacing and look-alike characters', () => {
+    expect(normalizeReceiptCode(' 7k3m q9tx-2whc-r4nb ')).toBe(
+      '7K3M-Q9TX-2WHC-R4NB'
+    )
+    expect(normalizeReceiptCode('OIL0-0000-0000-0000')).toBe(
+      '0110-0000-0000-0000'
+    )
+  })
+
+  it('rejects text that cannot be a receipt', () => {
+    expect(normalizeReceiptCode('7K3M-Q9TX-2WHC')).toBeNull()
+    expect(normalizeReceiptCode('7K3M-Q9TX-2WHC-R4NU')).toBeNull()
+    expect(normalizeReceiptCode('')).toBeNull()
+    expect(normalizeReceiptCode(null)).toBeNull()
+  })
+})
+
+describe('receiptBallotId', () => {
+  it('hashes the code without its dashes', async () => {
+    const ballotId = await receiptBallotId('7K3M-Q9TX-2WHC-R4NB')
+    expect(ballotId).toMatch(/^[0-9a-f]{64}$/)
+    expect(ballotId).toBe(await receiptBallotId('7K3MQ9TX2WHCR4NB'))
+    expect(ballotId).not.toBe(await receiptBallotId('7K3M-Q9TX-2WHC-R4NC'))
+  })
+
+  it('matches the SHA-256 of the code', async () => {
+    expect(await receiptBallotId('0000-0000-0000-0000')).toBe(
+      'fcdb4b423f4e5283afa249d762ef6aef150e91fccd810d43e5e719d14512dec7'
+    )
+  })
+})
+
+describe('receiptChangeKey', () => {
+  it('gives each version of a ballot its own key', async () => {
+    const first = await receiptChangeKey('7K3M-Q9TX-2WHC-R4NB', 0)
+    expect(first).toMatch(/^[0-9a-f]{64}$/)
+    expect(first).toBe(await receiptChangeKey('7K3MQ9TX2WHCR4NB', 0))
+    expect(first).not.toBe(await receiptChangeKey('7K3M-Q9TX-2WHC-R4NB', 1))
+    expect(first).not.toBe(await receiptBallotId('7K3M-Q9TX-2WHC-R4NB'))
+  })
+
+  it('hashes the code and the version', async () => {
+    expect(await receiptChangeKey('0000-0000-0000-0000', 2)).toBe(
+      await sha256Hex('0000000000000000:2')
+    )
+  })
+})
@@ -0,0 +1,238 @@
+import { describe, expect, it } from 'vitest'
+import { parseCSVText } from '../../src/csv/parser'
+import {
+  DEFAULT_COLUMN_MAPPING,
+  buildSalesSummary,
+  getRowMonthKey,
+  groupSalesSummary,
+  pivotSalesSummary,
+  querySalesSummary,
+} from '../../src/data/salesSummary'
+
+const CSV = [
+  'YEAR,MONTH,SUPPLIER,ITEM TYPE,RETAIL SALES,RETAIL TRANSFERS,WAREHOUSE SALES',
+  '2020,2,BETA,WINE,3,1,4',
+  '2020,1,ALPHA,WINE,1.5,0,2',
+  '2020,1,ALPHA,BEER,1,0,1',
+  '2020,1,,BEER,10,0,0',
+  'bad,1,ALPHA,BEER,100,0,0',
+  '2020,2,ALPHA,BEER,not-a-number,0,5',
+].join('\n')
+
+const { headers, rows } = parseCSVText(CSV)
+const summary = buildSalesSummary(headers, rows)
+
+describe('buildSalesSummary', () => {
+  it('dictionary-encodes suppliers and categories', () => {
+    expect(summary.suppliers).toEqual(['ALPHA', 'BETA'])
+    expect(summary.categories).toEqual(['BEER', 'WINE'])
+    expect(summary.measures).toEqual([
+      'RETAIL SALES',
+      'RETAIL TRANSFERS',
+      'WAREHOUSE SALES',
+    ])
+    expect(summary.rowCount).toBe(6)
+  })
+
+  it('indexes each supplier slice of the cube', () => {
+    const { supplierOffsets, cube } = summary
+    const alpha = cube.supplier.slice(supplierOffsets[1], supplierOffsets[2])
+    const beta = cube.supplier.slice(supplierOffsets[2], supplierOffsets[3])
+    expect(cube.supplier.slice(0, supplierOffsets[1])).toEqual([-1])
+    expect(new Set(alpha)).toEqual(new Set([0]))
+    expect(beta).toEqual([1])
+  })
+
+  it('survives a JSON round trip', () => {
+    expect(JSON.parse(JSON.stringify(summary))).toEqual(summary)
+  })
+})
+
+describe('getRowMonthKey', () => {
+  const monthKey = (year, month) =>
+    getRowMonthKey({ YEAR: year, MONTH: month }, DEFAULT_COLUMN_MAPPING)
+
+  it('reads the year and month columns', () => {
+    expect(monthKey('2020', '1')).toBe(202001)
+    expect(monthKey('2020', '12')).toBe(202012)
+  })
+
+  it('rejects months outside 1-12, like the quality report', () => {
+    expect(monthKey('2020', '0')).toBe(0)
+    expect(monthKey('2020', '13')).toBe(0)
+    expect(monthKey('bad', '1')).toBe(0)
+  })
+})
+
+describe('querySalesSummary', () => {
+  it('sums retail and warehouse sales by month for all rows', () => {
+    expect(querySalesSummary(summary)).toMatchObject({
+      rowCount: 6,
+      monthlyTotals: [
+        { label: '2020-01', value: 15.5 },
+        { label: '2020-02', value: 12 },
+      ],
+    })
+  })
+
+  it('filters by supplier and category together', () => {
+    expect(
+      querySalesSummary(summary, { suppliers: ['ALPHA'], categories: ['BEER'] })
+    ).toMatchObject({
+      rowCount: 3,
+      monthlyTotals: [
+        { label: '2020-01', value: 2 },
+        { label: '2020-02', value: 5 },
+      ],
+    })
+    expect(querySalesSummary(summary, { suppliers: ['BETA'] }).rowCount).toBe(1)
+    expect(querySalesSummary(summary, { suppliers: ['NOBODY'] })).toEqual({
+      rowCount: 0,
+      monthlyTotals: [],
+    })
+  })
+
+  it('matches nothing for an unknown category, not the blank ones', () => {
+    const blank = parseCSVText(
+      [
+        'YEAR,MONTH,SUPPLIER,ITEM TYPE,RETAIL SALES,RETAIL TRANSFERS,WAREHOUSE SALES',
+        '2020,1,ALPHA,,5,0,0',
+        '2020,1,ALPHA,WINE,1,0,0',
+      ].join('\n')
+    )
+    const blankSummary = buildSalesSummary(blank.headers, blank.rows)
+    expect(querySalesSummary(blankSummary, { categories: ['NOPE'] })).toEqual({
+      rowCount: 0,
+      monthlyTotals: [],
+    })
+  })
+
+  it('combines several suppliers and categories', () => {
+    expect(
+      querySalesSummary(summary, {
+        suppliers: ['BETA', 'ALPHA'],
+        categories: ['WINE'],
+      })
+    ).toMatchObject({
+      rowCount: 2,
+      monthlyTotals: [
+        { label: '2020-01', value: 3.5 },
+        { label: '2020-02', value: 7 },
+      ],
+    })
+    expect(
+      querySalesSummary(summary, { categories: ['BEER', 'WINE'] }).rowCount
+    ).toBe(6)
+  })
+
+  it('reports every measure per month', () => {
+    const [january] = querySalesSummary(summary).monthlyTotals
+    expect(january.values).toEqual({
+      'RETAIL SALES': 12.5,
+      'RETAIL TRANSFERS': 0,
+      'WAREHOUSE SALES': 3,
+    })
+  })
+
+  it('limits rows and totals to a month range', () => {
+    expect(
+      querySalesSummary(summary, {
+        suppliers: ['ALPHA'],
+        monthRange: { start: 202002, end: 202012 },
+      })
+    ).toMatchObject({
+      rowCount: 1,
+      monthlyTotals: [{ label: '2020-02', value: 5 }],
+    })
+  })
+
+  it('sums the requested measures', () => {
+    const { monthlyTotals } = querySalesSummary(summary, {
+      measures: ['RETAIL TRANSFERS'],
+    })
+    expect(monthlyTotals.map((item) => item.value)).toEqual([0, 1])
+  })
+})
+
+describe('groupSalesSummary', () => {
+  it('totals each supplier, keeping blanks under an empty label', () => {
+    expect(groupSalesSummary(summary, 'supplier')).toEqual([
+      {
+        label: '',
+        rows: 1,
+        values: {
+          'RETAIL SALES': 10,
+          'RETAIL TRANSFERS': 0,
+          'WAREHOUSE SALES': 0,
+        },
+      },
+      {
+        label: 'ALPHA',
+        rows: 4,
+        values: {
+          'RETAIL SALES': 102.5,
+          'RETAIL TRANSFERS': 0,
+          'WAREHOUSE SALES': 8,
+        },
+      },
+      {
+        label: 'BETA',
+        rows: 1,
+        values: {
+          'RETAIL SALES': 3,
+          'RETAIL TRANSFERS': 1,
+          'WAREHOUSE SALES': 4,
+        },
+      },
+    ])
+  })
+
+  it('applies the same filters as querySalesSummary', () => {
+    const groups = groupSalesSummary(summary, 'category', {
+      suppliers: ['ALPHA'],
+      monthRange: { start: 202001, end: 202001 },
+    })
+    expect(groups.map(({ label, rows }) => [label, rows])).toEqual([
+      ['BEER', 1],
+      ['WINE', 1],
+    ])
+  })
+})
+
+describe('pivotSalesSummary', () => {
+  it('crosses suppliers with months, leaving out undated rows', () => {
+    expect(
+      pivotSalesSummary(summary, { rows: 'supplier', columns: 'month' })
+    ).toEqual({
+      columns: [
+        { key: 202001, label: '2020-01' },
+        { key: 202002, label: '2020-02' },
+      ],
+      rows: [
+        { label: '', cells: [10, 0], total: 10 },
+        { label: 'ALPHA', cells: [5.5, 5], total: 10.5 },
+        { label: 'BETA', cells: [0, 7], total: 7 },
+      ],
+      columnTotals: [15.5, 12],
+      total: 27.5,
+    })
+  })
+
+  it('groups by year for one measure under the filters', () => {
+    expect(
+      pivotSalesSummary(
+        summary,
+        { rows: 'category', columns: 'year', measures: ['RETAIL SALES'] },
+        { suppliers: ['ALPHA', 'BETA'] }
+      )
+    ).toEqual({
+      columns: [{ key: 2020, label: '2020' }],
+      rows: [
+        { label: 'BEER', cells: [1], total: 1 },
+        { label: 'WINE', cells: [4.5], total: 4.5 },
+      ],
+      columnTotals: [5.5],
+      total: 5.5,
+    })
+  })
+})
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest'
+import {
+  getSearchColumns,
+  nextSort,
+  searchRows,
+  sortRows,
+  sumColumns,
+} from '../../src/data/tableRows'
+
+const rows = [
+  { 'ITEM CODE': '100', 'ITEM DESCRIPTION': 'Pinot Noir 750ML', SALES: '9.5' },
+  { 'ITEM CODE': '20', 'ITEM DESCRIPTION': 'Lager 12PK', SALES: '10' },
+  { 'ITEM CODE': '3', 'ITEM DESCRIPTION': 'Pinot Grigio', SALES: '-2' },
+]
+
+describe('getSearchColumns', () => {
+  it('prefers the item description and code', () => {
+    expect(
+      getSearchColumns(['SUPPLIER', 'ITEM CODE', 'ITEM DESCRIPTION'])
+    ).toEqual(['ITEM DESCRIPTION', 'ITEM CODE'])
+  })
+
+  it('falls back to every column', () => {
+    expect(getSearchColumns(['Vendor', 'Amount'])).toEqual(['Vendor', 'Amount'])
+  })
+})
+
+describe('searchRows', () => {
+  const columns = ['ITEM DESCRIPTION', 'ITEM CODE']
+
+  it('matches case-insensitively across the search columns', () => {
+    expect(searchRows(rows, ' pinot ', columns)).toHaveLength(2)
+    expect(searchRows(rows, '20', columns)).toEqual([rows[1]])
+  })
+
+  it('returns every row for an empty query', () => {
+    expect(searchRows(rows, '', columns)).toBe(rows)
+  })
+})
+
+describe('sortRows', () => {
+  it('compares measure columns as numbers', () => {
+    const sorted = sortRows(rows, { column: 'SALES', direction: 'asc' }, [
+      'SALES',
+    ])
+    expect(sorted.map((row) => row.SALES)).toEqual(['-2', '9.5', '10'])
+  })
+
+  it('orders embedded digits numerically in text columns', () => {
+    const sorted = sortRows(rows, { column: 'ITEM CODE', direction: 'desc' })
+    expect(sorted.map((row) => row['ITEM CODE'])).toEqual(['100', '20', '3'])
+  })
+
+  it('keeps ties in their original order', () => {
+    const tied = [
+      { id: 'a', n: '1' },
+      { id: 'b', n: '1' },
+      { id: 'c', n: '0' },
+    ]
+    const sorted = sortRows(tied, { column: 'n', direction: 'desc' }, ['n'])
+    expect(sorted.map((row) => row.id)).toEqual(['a', 'b', 'c'])
+  })
+})
+
+describe('nextSort', () => {
+  it('cycles ascending, descending, then unsorted', () => {
+    const asc = nextSort(null, 'SALES')
+    expect(asc).toEqual({ column: 'SALES', direction: 'asc' })
+    const desc = nextSort(asc, 'SALES')
+    expect(desc).toEqual({ column: 'SALES', direction: 'desc' })
+    expect(nextSort(desc, 'SALES')).toBeNull()
+    expect(nextSort(desc, 'ITEM CODE')).toEqual({
+      column: 'ITEM CODE',
+      direction: 'asc',
+    })
+  })
+})
+
+describe('sumColumns', () => {
+  it('totals each column, treating blanks as zero', () => {
+    expect(sumColumns([...rows, { SALES: '' }], ['SALES'])).toEqual({
+      SALES: 17.5,
+    })
+  })
+})
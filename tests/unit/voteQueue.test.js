@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest'
+import {
+  addPendingVote,
+  isOfflineError,
+  removePendingVote,
+} from '../../src/voteQueue'
+
+const vote = (pollId, uid, choice) => ({ pollId, uid, choice })
+
+describe('addPendingVote', () => {
+  it('keeps one vote per poll and user, the latest last', () => {
+    const queue = [vote('p1', 'ana', 'yes'), vote('p2', 'ana', 'no')]
+    expect(addPendingVote(queue, vote('p1', 'ana', 'no'))).toEqual([
+      vote('p2', 'ana', 'no'),
+      vote('p1', 'ana', 'no'),
+    ])
+    expect(addPendingVote(queue, vote('p1', 'ben', 'yes'))).toHaveLength(3)
+  })
+})
+
+describe('removePendingVote', () => {
+  it("drops only that user's vote in that poll", () => {
+    const queue = [vote('p1', 'ana', 'yes'), vote('p1', 'ben', 'no')]
+    expect(removePendingVote(queue, 'p1', 'ana')).toEqual([
+      vote('p1', 'ben', 'no'),
+    ])
+  })
+})
+
+describe('isOfflineError', () => {
+  it('treats Firestore unavailable errors as offline', () => {
+    expect(isOfflineError({ code: 'unavailable' })).toBe(true)
+    expect(isOfflineError({ code: 'permission-denied' })).toBe(false)
+  })
+})
@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import salesSummary from './plugins/salesSummary'
+import serviceWorker from './plugins/serviceWorker'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), salesSummary(), serviceWorker()],
 })